@@ -1,6 +1,6 @@
 'use client'
 
-import { useState, useEffect, Suspense } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef, Suspense } from 'react'
 import { useRedirectIfNotAuth } from '@/utils/auth'
 import { useSearchParams, useRouter } from 'next/navigation'
 import Link from 'next/link'
@@ -9,8 +9,14 @@ import {
   SessionDetails,
   Transcript,
   AiMessage,
+  Recording,
+  TranscriptionJob,
   getSessionDetails,
   deleteSession,
+  getSessionAudioUrl,
+  getTranscriptionModels,
+  retranscribeSession,
+  cancelRetranscription,
 } from '@/utils/api'
 
 type ConversationItem = (Transcript & { type: 'transcript' }) | (AiMessage & { type: 'ai_message' });
@@ -24,6 +30,106 @@ const Section = ({ title, children }: { title: string, children: React.ReactNode
     </div>
 );
 
+// Epoch seconds a transcript line starts; word timings are more precise than start_at
+const lineStart = (item: Transcript) => item.words?.find(word => word.start !== null)?.start ?? item.start_at;
+
+// The recording that was running at a time, or the last one that started before it
+const recordingAt = (recordings: Recording[], time: number) =>
+    [...recordings].reverse().find(recording => recording.started_at <= time) || recordings[0];
+
+const formatClock = (seconds: number) => {
+    const total = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const TranscriptionControls = ({ sessionId, job, onJobChange, onDone }: {
+    sessionId: string,
+    job: TranscriptionJob | null,
+    onJobChange: (job: TranscriptionJob | null) => void,
+    onDone: () => void,
+}) => {
+    const [models, setModels] = useState<{ id: string, name: string }[]>([]);
+    const [model, setModel] = useState('');
+    const [error, setError] = useState<string | null>(null);
+    const running = job?.status === 'running';
+
+    useEffect(() => {
+        getTranscriptionModels()
+            .then(({ models, selected }) => {
+                setModels(models);
+                setModel(selected || models[0]?.id || '');
+            })
+            .catch(err => console.error('Failed to load transcription models:', err));
+    }, []);
+
+    // Follow the job until it finishes, then reload the transcript
+    useEffect(() => {
+        if (!running) return;
+        const timer = setInterval(async () => {
+            try {
+                const details = await getSessionDetails(sessionId);
+                const next = details.transcription || null;
+                onJobChange(next);
+                if (next?.status === 'done') onDone();
+            } catch (err) {
+                console.error('Failed to check transcription:', err);
+            }
+        }, 2000);
+        return () => clearInterval(timer);
+    }, [running, sessionId, onJobChange, onDone]);
+
+    const start = async () => {
+        setError(null);
+        if (!window.confirm('Transcribe the recording again? The current transcript will be replaced when it finishes.')) return;
+        try {
+            onJobChange(await retranscribeSession(sessionId, model || undefined));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to start transcription');
+        }
+    };
+
+    const cancel = async () => {
+        try {
+            await cancelRetranscription(sessionId);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+            <select
+                value={model}
+                onChange={e => setModel(e.target.value)}
+                disabled={running || models.length === 0}
+                className="border border-gray-200 rounded px-2 py-1 bg-white"
+            >
+                {models.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+            </select>
+            {running ? (
+                <>
+                    <span className="text-gray-600">Transcribing with {job?.model}... {Math.round((job?.progress ?? 0) * 100)}%</span>
+                    <button onClick={cancel} className="px-3 py-1 rounded border border-gray-200 hover:bg-gray-50">Cancel</button>
+                </>
+            ) : (
+                <button
+                    onClick={start}
+                    disabled={!model}
+                    className="px-3 py-1 rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"
+                >
+                    Transcribe again
+                </button>
+            )}
+            {job?.status === 'done' && <span className="text-green-700">Transcribed with {job.model}: {job.transcriptCount} lines</span>}
+            {job?.status === 'cancelled' && <span className="text-gray-500">Transcription cancelled; the transcript is unchanged.</span>}
+            {job?.status === 'failed' && <span className="text-red-600">Transcription failed: {job.error}</span>}
+            {error && <span className="text-red-600">{error}</span>}
+        </div>
+    );
+};
+
 function SessionDetailsContent() {
   const userInfo = useRedirectIfNotAuth() as UserProfile | null;
   const [sessionDetails, setSessionDetails] = useState<SessionDetails | null>(null);
@@ -32,23 +138,72 @@ function SessionDetailsContent() {
   const sessionId = searchParams.get('sessionId');
   const router = useRouter();
   const [deleting, setDeleting] = useState(false);
+  const [transcriptionJob, setTranscriptionJob] = useState<TranscriptionJob | null>(null);
+  const audioRef = useRef<HTMLAudioElement>(null);
+  const pendingSeek = useRef<number | null>(null);
+  const [recording, setRecording] = useState<Recording | null>(null);
+  const [audioUrl, setAudioUrl] = useState<string | null>(null);
+  const [playbackTime, setPlaybackTime] = useState<number | null>(null);
+
+  const fetchDetails = useCallback(async (showLoading = true) => {
+    if (!sessionId) return;
+    if (showLoading) setIsLoading(true);
+    try {
+      const details = await getSessionDetails(sessionId as string);
+      setSessionDetails(details);
+      setTranscriptionJob(details.transcription || null);
+    } catch (error) {
+      console.error('Failed to load session details:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sessionId]);
 
   useEffect(() => {
     if (userInfo && sessionId) {
-      const fetchDetails = async () => {
-        setIsLoading(true);
-        try {
-          const details = await getSessionDetails(sessionId as string);
-          setSessionDetails(details);
-        } catch (error) {
-          console.error('Failed to load session details:', error);
-        } finally {
-          setIsLoading(false);
-        }
-      };
       fetchDetails();
     }
-  }, [userInfo, sessionId]);
+  }, [userInfo, sessionId, fetchDetails]);
+
+  const reloadTranscript = useCallback(() => fetchDetails(false), [fetchDetails]);
+  const recordings = useMemo(() => (sessionDetails?.recordings || []).filter(item => item.available), [sessionDetails]);
+
+  useEffect(() => {
+    if (!recording && recordings.length > 0) setRecording(recordings[0]);
+  }, [recording, recordings]);
+
+  useEffect(() => {
+    if (!sessionId || !recording) return;
+    getSessionAudioUrl(sessionId, recording.id).then(setAudioUrl);
+  }, [sessionId, recording]);
+
+  const seekTo = (time: number) => {
+    if (recordings.length === 0) return;
+    const target = recordingAt(recordings, time);
+    const offset = Math.max(0, time - target.started_at);
+    if (target.id !== recording?.id) {
+      // Applied once the other recording has loaded
+      pendingSeek.current = offset;
+      setRecording(target);
+      return;
+    }
+    if (audioRef.current) {
+      audioRef.current.currentTime = offset;
+      audioRef.current.play().catch(() => {});
+    }
+  };
+
+  const handleLoadedMetadata = () => {
+    if (pendingSeek.current !== null && audioRef.current) {
+      audioRef.current.currentTime = pendingSeek.current;
+      pendingSeek.current = null;
+      audioRef.current.play().catch(() => {});
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    if (audioRef.current && recording) setPlaybackTime(recording.started_at + audioRef.current.currentTime);
+  };
 
   const handleDelete = async () => {
     if (!sessionId) return;
@@ -154,15 +309,65 @@ function SessionDetailsContent() {
                     </Section>
                 )}
                 
+                {recordings.length > 0 && (
+                    <Section title="Recording">
+                        {recordings.length > 1 && (
+                            <div className="flex gap-2 text-sm">
+                                {recordings.map((item, index) => (
+                                    <button
+                                        key={item.id}
+                                        onClick={() => setRecording(item)}
+                                        className={`px-2 py-0.5 rounded border ${item.id === recording?.id ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}`}
+                                    >
+                                        Part {index + 1}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {audioUrl && (
+                            <audio
+                                ref={audioRef}
+                                src={audioUrl}
+                                controls
+                                preload="metadata"
+                                className="w-full"
+                                onLoadedMetadata={handleLoadedMetadata}
+                                onTimeUpdate={handleTimeUpdate}
+                            />
+                        )}
+                        {sessionId && (
+                            <TranscriptionControls
+                                sessionId={sessionId}
+                                job={transcriptionJob}
+                                onJobChange={setTranscriptionJob}
+                                onDone={reloadTranscript}
+                            />
+                        )}
+                    </Section>
+                )}
+
                 {sessionDetails.transcripts && sessionDetails.transcripts.length > 0 && (
                     <Section title="Listen: Transcript">
                         <div className="space-y-3">
-                            {sessionDetails.transcripts.map((item) => (
-                                <p key={item.id} className="text-gray-700">
-                                    <span className="font-semibold capitalize">{item.speaker}: </span>
-                                    {item.text}
-                                </p>
-                            ))}
+                            {sessionDetails.transcripts.map((item, index) => {
+                                const start = lineStart(item);
+                                const next = sessionDetails.transcripts[index + 1];
+                                const isPlaying = playbackTime !== null && start <= playbackTime && (!next || lineStart(next) > playbackTime);
+                                const canSeek = recordings.length > 0;
+                                return (
+                                    <p
+                                        key={item.id}
+                                        onClick={canSeek ? () => seekTo(start) : undefined}
+                                        className={`text-gray-700 rounded px-1 ${canSeek ? 'cursor-pointer hover:bg-gray-50' : ''} ${isPlaying ? 'bg-yellow-50' : ''}`}
+                                    >
+                                        {canSeek && recording && (
+                                            <span className="text-xs text-gray-400 mr-2">{formatClock(start - recordingAt(recordings, start).started_at)}</span>
+                                        )}
+                                        <span className="font-semibold capitalize">{item.speaker}: </span>
+                                        {item.text}
+                                    </p>
+                                );
+                            })}
                         </div>
                     </Section>
                 )}
@@ -6,8 +6,10 @@ import { useRedirectIfNotAuth } from '@/utils/auth'
 import {
   UserProfile,
   Session,
+  UsageReport,
   getSessions,
   deleteSession,
+  getUsageReport,
 } from '@/utils/api'
 
 export default function ActivityPage() {
@@ -15,6 +17,7 @@ export default function ActivityPage() {
   const [sessions, setSessions] = useState<Session[]>([])
   const [isLoading, setIsLoading] = useState(true)
   const [deletingId, setDeletingId] = useState<string | null>(null)
+  const [usage, setUsage] = useState<UsageReport | null>(null)
 
   const fetchSessions = async () => {
     try {
@@ -29,6 +32,9 @@ export default function ActivityPage() {
 
   useEffect(() => {
     fetchSessions()
+    getUsageReport(30)
+      .then(setUsage)
+      .catch(error => console.error('Failed to fetch usage:', error))
   }, [])
 
   if (!userInfo) {
@@ -63,6 +69,8 @@ export default function ActivityPage() {
     }
   }
 
+  const costBySession = new Map((usage?.bySession || []).map(row => [row.group_key, row.cost_usd]))
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-4xl mx-auto px-8 py-12">
@@ -71,6 +79,54 @@ export default function ActivityPage() {
             {getGreeting()}, {userInfo.display_name}
           </h1>
         </div>
+        {usage && usage.totals.calls > 0 && (
+          <div className="bg-white rounded-lg p-6 shadow-sm border border-gray-200 mb-12">
+            <div className="flex justify-between items-baseline mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">AI Spend, last {usage.days} days</h2>
+              <span className="text-2xl font-semibold text-gray-900">{formatUsd(usage.totals.cost_usd)}</span>
+            </div>
+            <div className="grid grid-cols-3 gap-4 text-sm text-gray-600 mb-4">
+              <div>{(usage.totals.input_tokens + usage.totals.output_tokens).toLocaleString()} tokens</div>
+              <div>{Math.round(usage.totals.audio_seconds / 60).toLocaleString()} min transcribed</div>
+              <div>{usage.totals.calls.toLocaleString()} calls</div>
+            </div>
+            {(['daily', 'monthly'] as const).map(period => {
+              const budget = usage.budgets[period]
+              if (!budget.limitUsd) return null
+              const percent = Math.min(100, Math.round((budget.ratio || 0) * 100))
+              return (
+                <div key={period} className="mb-3">
+                  <div className="flex justify-between text-xs text-gray-500 mb-1">
+                    <span>{period === 'daily' ? 'Today' : 'This month'}</span>
+                    <span>{formatUsd(budget.spentUsd)} of {formatUsd(budget.limitUsd)}</span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded">
+                    <div
+                      className={`h-2 rounded ${percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                </div>
+              )
+            })}
+            <table className="w-full text-sm mt-2">
+              <tbody>
+                {usage.byProvider.map(row => (
+                  <tr key={row.group_key} className="border-t border-gray-100">
+                    <td className="py-1 capitalize text-gray-700">{row.group_key}</td>
+                    <td className="py-1 text-right text-gray-500">{(row.input_tokens + row.output_tokens).toLocaleString()} tokens</td>
+                    <td className="py-1 text-right text-gray-900">{formatUsd(row.cost_usd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {usage.totals.unpriced_calls > 0 && (
+              <p className="text-xs text-gray-400 mt-2">
+                {usage.totals.unpriced_calls} calls used models without a known price and are not included in the total.
+              </p>
+            )}
+          </div>
+        )}
         <div>
           <h2 className="text-2xl font-semibold text-gray-900 mb-8 text-center">
             Your Past Activity
@@ -104,6 +160,9 @@ export default function ActivityPage() {
                   <span className={`capitalize inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${session.session_type === 'listen' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`}>
                     {session.session_type || 'ask'}
                   </span>
+                  {costBySession.has(session.id) && (
+                    <span className="ml-2 text-xs text-gray-500">{formatUsd(costBySession.get(session.id) || 0)}</span>
+                  )}
                 </div>
               ))}
             </div>
@@ -121,4 +180,8 @@ export default function ActivityPage() {
       </div>
     </div>
   )
-} 
\ No newline at end of file
+} 
+
+function formatUsd(amount: number) {
+  return `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`
+}
@@ -31,6 +31,7 @@ function createApp(eventBridge) {
     app.use('/api/user', require('./routes/user'));
     app.use('/api/conversations', require('./routes/conversations'));
     app.use('/api/presets', require('./routes/presets'));
+    app.use('/api/usage', require('./routes/usage'));
 
     app.get('/api/sync/status', (req, res) => {
         res.json({
@@ -22,6 +22,17 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Declared before /:session_id so it is not taken for a session id
+router.get('/transcription-models', async (req, res) => {
+    try {
+        const models = await ipcRequest(req, 'get-stt-models');
+        res.json(models);
+    } catch (error) {
+        console.error('Failed to get transcription models via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve transcription models' });
+    }
+});
+
 router.get('/:session_id', async (req, res) => {
     try {
         const details = await ipcRequest(req, 'get-session-details', req.params.session_id);
@@ -45,6 +56,54 @@ router.delete('/:session_id', async (req, res) => {
     }
 });
 
+// Served from the file so the player can seek (sendFile answers Range requests)
+router.get('/:session_id/audio/:recording_id', async (req, res) => {
+    try {
+        const audio = await ipcRequest(req, 'get-session-audio', {
+            sessionId: req.params.session_id,
+            recordingId: req.params.recording_id,
+        });
+        if (!audio) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.sendFile(audio.filePath, { headers: { 'Content-Type': 'audio/wav' } }, error => {
+            if (error && !res.headersSent) res.status(404).json({ error: 'Recording file is missing' });
+        });
+    } catch (error) {
+        console.error(`Failed to get audio via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to retrieve audio' });
+    }
+});
+
+router.post('/:session_id/retranscribe', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'retranscribe-session', {
+            sessionId: req.params.session_id,
+            model: req.body?.model,
+        });
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(202).json(result.job);
+    } catch (error) {
+        console.error(`Failed to start re-transcription via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to start transcription' });
+    }
+});
+
+router.delete('/:session_id/retranscribe', async (req, res) => {
+    try {
+        const result = await ipcRequest(req, 'cancel-retranscription', req.params.session_id);
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
+        res.json({ message: 'Transcription cancelled' });
+    } catch (error) {
+        console.error(`Failed to cancel re-transcription via IPC for ${req.params.session_id}:`, error);
+        res.status(500).json({ error: 'Failed to cancel transcription' });
+    }
+});
+
 // The search functionality will be more complex to move to IPC.
 // For now, we can disable it or leave it as is, knowing it's a future task.
 router.get('/search', (req, res) => {
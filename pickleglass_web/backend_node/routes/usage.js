@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { ipcRequest } = require('../ipcBridge');
+
+router.get('/', async (req, res) => {
+    try {
+        const report = await ipcRequest(req, 'get-usage-report', { days: req.query.days });
+        res.json(report);
+    } catch (error) {
+        console.error('Failed to get usage report via IPC:', error);
+        res.status(500).json({ error: 'Failed to retrieve usage' });
+    }
+});
+
+module.exports = router;
@@ -39,10 +39,19 @@ export interface Transcript {
   speaker?: string;
   text: string;
   lang?: string;
+  words?: TranscriptWord[] | null;
+  confidence?: number | null;
   created_at: number;
   sync_state: 'clean' | 'dirty';
 }
 
+export interface TranscriptWord {
+  word: string;
+  start: number | null; // epoch seconds
+  end: number | null;
+  confidence: number | null;
+}
+
 export interface AiMessage {
   id: string;
   session_id: string;
@@ -78,11 +87,36 @@ export interface PromptPreset {
   sync_state: 'clean' | 'dirty';
 }
 
+export interface Recording {
+  id: string;
+  session_id: string;
+  format: string;
+  sample_rate: number;
+  channels: string[];
+  started_at: number; // epoch seconds with milliseconds
+  ended_at: number | null;
+  duration_seconds: number | null;
+  size_bytes: number | null;
+  available: boolean;
+}
+
+export interface TranscriptionJob {
+  sessionId: string;
+  provider: string;
+  model: string;
+  status: 'running' | 'done' | 'failed' | 'cancelled';
+  progress: number;
+  error: string | null;
+  transcriptCount: number | null;
+}
+
 export interface SessionDetails {
     session: Session;
     transcripts: Transcript[];
     ai_messages: AiMessage[];
     summary: Summary | null;
+    recordings?: Recording[];
+    transcription?: TranscriptionJob | null;
 }
 
 
@@ -538,6 +572,76 @@ export const deletePreset = async (id: string): Promise<void> => {
   }
 };
 
+export interface UsageTotals {
+  calls: number;
+  input_tokens: number;
+  output_tokens: number;
+  audio_seconds: number;
+  cost_usd: number;
+  unpriced_calls: number;
+}
+
+export interface UsageBreakdownRow extends UsageTotals {
+  group_key: string;
+  title?: string | null;
+  started_at?: number | null;
+}
+
+export interface BudgetStatus {
+  since: number;
+  limitUsd: number | null;
+  spentUsd: number;
+  ratio: number | null;
+}
+
+export interface UsageReport {
+  days: number;
+  since: number;
+  totals: UsageTotals;
+  byProvider: UsageBreakdownRow[];
+  byModel: UsageBreakdownRow[];
+  byFeature: UsageBreakdownRow[];
+  byDay: UsageBreakdownRow[];
+  bySession: UsageBreakdownRow[];
+  budgets: { daily: BudgetStatus; monthly: BudgetStatus };
+}
+
+// Usage is metered by the desktop app, so it is always read through the local backend
+export const getUsageReport = async (days = 30): Promise<UsageReport> => {
+  const response = await apiCall(`/api/usage?days=${days}`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch usage');
+  return response.json();
+};
+
+// Recordings and transcription run in the desktop app, so they always go through the local backend
+export const getSessionAudioUrl = async (sessionId: string, recordingId: string): Promise<string> => {
+  if (!apiUrlInitialized) {
+    await (initializationPromise || initializeApiUrl());
+  }
+  return `${API_ORIGIN}/api/conversations/${sessionId}/audio/${recordingId}`;
+};
+
+export const getTranscriptionModels = async (): Promise<{ models: { id: string; name: string }[]; selected: string | null }> => {
+  const response = await apiCall(`/api/conversations/transcription-models`, { method: 'GET' });
+  if (!response.ok) throw new Error('Failed to fetch transcription models');
+  return response.json();
+};
+
+export const retranscribeSession = async (sessionId: string, model?: string): Promise<TranscriptionJob> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/retranscribe`, {
+    method: 'POST',
+    body: JSON.stringify({ model }),
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error || 'Failed to start transcription');
+  return body;
+};
+
+export const cancelRetranscription = async (sessionId: string): Promise<void> => {
+  const response = await apiCall(`/api/conversations/${sessionId}/retranscribe`, { method: 'DELETE' });
+  if (!response.ok) throw new Error('Failed to cancel transcription');
+};
+
 export interface BatchData {
     profile?: UserProfile;
     presets?: PromptPreset[];
@@ -1,16 +1,19 @@
 // src/bridge/featureBridge.js
-const { ipcMain, app, BrowserWindow } = require('electron');
+const { ipcMain, app, BrowserWindow, Notification } = require('electron');
 const settingsService = require('../features/settings/settingsService');
 const authService = require('../features/common/services/authService');
 const whisperService = require('../features/common/services/whisperService');
 const ollamaService = require('../features/common/services/ollamaService');
 const modelStateService = require('../features/common/services/modelStateService');
+const usageService = require('../features/common/services/usageService');
 const shortcutsService = require('../features/shortcuts/shortcutsService');
 const presetRepository = require('../features/common/repositories/preset');
 const localAIManager = require('../features/common/services/localAIManager');
 const askService = require('../features/ask/askService');
 const VOICE_CONFIG = require('../features/voice/voiceConfig');
 const listenService = require('../features/listen/listenService');
+const recordingService = require('../features/listen/recording/recordingService');
+const audioImportService = require('../features/listen/import/audioImportService');
 const permissionService = require('../features/common/services/permissionService');
 const encryptionService = require('../features/common/services/encryptionService');
 
@@ -88,6 +91,12 @@ module.exports = {
     ipcMain.handle('ask:stopVoiceInput', async () => await askService.stopVoiceInput());
     ipcMain.handle('ask:toggleVoiceInput', async () => await askService.toggleVoiceInput());
     ipcMain.handle('ask:sendAudioData', async (event, { data, mimeType }) => await askService.sendAudioData(data, mimeType));
+    ipcMain.handle('ask:getResearchMode', async () => askService.getResearchMode());
+    ipcMain.handle('ask:setResearchMode', async (event, mode) => await askService.setResearchMode(mode));
+    ipcMain.handle('ask:cycleResearchMode', async () => await askService.cycleResearchMode());
+    ipcMain.handle('ask:loadConversationHistory', async () => await askService.loadConversationHistory());
+    ipcMain.handle('ask:restartThread', async () => await askService.restartThread());
+    ipcMain.handle('ask:branchThread', async (event, keepCount) => await askService.branchThread(keepCount));
     
     // Research
     ipcMain.handle('research:toggleResearchView', async () => {
@@ -108,6 +117,7 @@ module.exports = {
     ipcMain.handle('listen:stopMacosSystemAudio', async () => await listenService.handleStopMacosAudio());
     ipcMain.handle('update-google-search-setting', async (event, enabled) => await listenService.handleUpdateGoogleSearchSetting(enabled));
     ipcMain.handle('listen:isSessionActive', async () => await listenService.isSessionActive());
+    ipcMain.handle('listen:renameSpeaker', async (event, rename) => await listenService.renameSpeaker(rename));
     ipcMain.handle('listen:changeSession', async (event, listenButtonText) => {
       console.log('[FeatureBridge] listen:changeSession from mainheader', listenButtonText);
       try {
@@ -127,6 +137,33 @@ module.exports = {
     ipcMain.handle('model:get-selected-models', async () => await modelStateService.getSelectedModels());
     ipcMain.handle('model:set-selected-model', async (e, { type, modelId }) => await modelStateService.handleSetSelectedModel(type, modelId));
     ipcMain.handle('model:get-available-models', async (e, { type }) => await modelStateService.getAvailableModels(type));
+    ipcMain.handle('model:get-fallback-chain', async () => ({
+      chain: await modelStateService.getFallbackChain(),
+      options: await modelStateService.getFallbackOptions(),
+    }));
+    ipcMain.handle('model:set-fallback-chain', async (e, providers) => await modelStateService.setFallbackChain(providers));
+    ipcMain.handle('model:get-feature-models', async () => await modelStateService.getFeatureModels());
+    ipcMain.handle('model:set-feature-model', async (e, { feature, route }) => await modelStateService.setFeatureModel(feature, route));
+    ipcMain.handle('model:get-custom-endpoint', async (e, provider) => await modelStateService.getCustomEndpoint(provider));
+    ipcMain.handle('model:set-custom-endpoint', async (e, { provider, baseUrl, apiKey, headers }) => await modelStateService.setCustomEndpoint({ baseUrl, apiKey, headers }, provider));
+    ipcMain.handle('model:refresh-catalogs', async () => await modelStateService.refreshModelCatalogs());
+    ipcMain.handle('model:get-model-settings', async (e, modelId) => await modelStateService.getModelSettings(modelId));
+    ipcMain.handle('model:set-model-settings', async (e, { modelId, settings }) => await modelStateService.setModelSettings(modelId, settings));
+    ipcMain.handle('model:refresh-endpoint-models', async (e, provider) => await modelStateService.refreshEndpointModels(provider));
+    // Usage and budgets
+    ipcMain.handle('usage:get-report', async (e, options) => await usageService.getReport(options));
+    ipcMain.handle('usage:get-budgets', async () => await usageService.getBudgets());
+    ipcMain.handle('usage:set-budgets', async (e, budgets) => await usageService.setBudgets(budgets));
+
+    // Audio recording
+    ipcMain.handle('recording:get-settings', async () => await recordingService.getSettings());
+    ipcMain.handle('recording:set-settings', async (e, settings) => await recordingService.setSettings(settings));
+
+    // Audio and video file import
+    ipcMain.handle('import:select-file', async () => await audioImportService.selectAndImport());
+    ipcMain.handle('import:cancel', () => audioImportService.cancel());
+    ipcMain.handle('import:get-job', () => audioImportService.getJob());
+
     ipcMain.handle('model:are-providers-configured', async () => await modelStateService.areProvidersConfigured());
     ipcMain.handle('model:get-provider-config', () => modelStateService.getProviderConfig());
     ipcMain.handle('model:re-initialize-state', async () => await modelStateService.initialize());
@@ -196,6 +233,23 @@ module.exports = {
         }
       });
     });
+    usageService.on('budget-warning', (warning) => {
+      BrowserWindow.getAllWindows().forEach(win => {
+        if (win && !win.isDestroyed()) {
+          win.webContents.send('usage:budget-warning', warning);
+        }
+      });
+      if (Notification.isSupported()) {
+        new Notification({ title: warning.exceeded ? 'AI budget reached' : 'AI budget warning', body: warning.message }).show();
+      }
+    });
+    audioImportService.on('progress', (job) => {
+      BrowserWindow.getAllWindows().forEach(win => {
+        if (win && !win.isDestroyed()) {
+          win.webContents.send('import:progress', job);
+        }
+      });
+    });
     modelStateService.on('force-show-apikey-header', () => {
       BrowserWindow.getAllWindows().forEach(win => {
         if (win && !win.isDestroyed()) {
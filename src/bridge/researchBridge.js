@@ -63,8 +63,36 @@ class ResearchBridge {
                     window.api.invoke('documents:uploadFile', filePath),
                 
                 // Open document in viewer
-                openDocument: (documentId) => 
-                    window.api.invoke('documents:openDocument', documentId)
+                openDocument: (documentId, options = {}) => 
+                    window.api.invoke('documents:openDocument', documentId, options),
+
+                // Passages most similar in meaning to a query
+                semanticSearch: (query, options = {}) => 
+                    window.api.invoke('documents:semanticSearch', query, options),
+
+                // Embed documents that are not indexed yet
+                indexEmbeddings: (documentIds = null) => 
+                    window.api.invoke('documents:indexEmbeddings', documentIds),
+
+                // Page index, section outline and parsed references
+                getStructure: (documentId) => 
+                    window.api.invoke('documents:getStructure', documentId),
+
+                // Text and line boxes of one page
+                getPage: (documentId, pageNumber) => 
+                    window.api.invoke('documents:getPage', documentId, pageNumber),
+
+                // Find a passage and return its page, offsets and line boxes
+                locateText: (documentId, text, options = {}) => 
+                    window.api.invoke('documents:locateText', documentId, text, options),
+
+                // Text of the lines inside a rectangle on a page
+                getTextInRegion: (documentId, pageNumber, rect) => 
+                    window.api.invoke('documents:getTextInRegion', documentId, pageNumber, rect),
+
+                // Re-extract text and structure from the stored file
+                reprocess: (documentId) => 
+                    window.api.invoke('documents:reprocess', documentId)
             },
 
             // Annotation management API
@@ -106,7 +134,71 @@ class ResearchBridge {
                 
                 // Get user's imported papers
                 getUserPapers: (limit = 50) => 
-                    window.api.invoke('research:getUserPapers', limit)
+                    window.api.invoke('research:getUserPapers', limit),
+                
+                // Resolve DOI metadata via CrossRef
+                resolveDoi: (doi) => 
+                    window.api.invoke('research:resolveDoi', doi),
+                
+                // Import a paper from a DOI
+                importByDoi: (doi) => 
+                    window.api.invoke('research:importByDoi', doi),
+                
+                // Refresh stored metadata for one paper
+                refreshPaper: (paperId) => 
+                    window.api.invoke('research:refreshPaper', paperId),
+                
+                // Refresh never-enriched, outdated or preprint-only papers
+                refreshStalePapers: (options = {}) => 
+                    window.api.invoke('research:refreshStalePapers', options),
+                
+                // Fetch and store references/citations for a library paper
+                fetchCitations: (paperId, options = {}) => 
+                    window.api.invoke('research:fetchCitations', paperId, options),
+                
+                // Walk the citation graph N hops out from a library paper
+                getCitationGraph: (paperId, options = {}) => 
+                    window.api.invoke('research:getCitationGraph', paperId, options),
+                
+                // Citations between papers already in the library
+                getLibraryCitations: () => 
+                    window.api.invoke('research:getLibraryCitations'),
+                
+                // Papers frequently co-cited by the library that aren't imported yet
+                suggestCoCitedPapers: (options = {}) => 
+                    window.api.invoke('research:suggestCoCitedPapers', options),
+                
+                // Export library/session/search results as 'bibtex', 'ris' or 'csljson'
+                exportBibliography: (scope, format = 'bibtex') => 
+                    window.api.invoke('research:exportBibliography', scope, format),
+                
+                // Export and save to a file chosen in a save dialog
+                saveBibliography: (scope, format = 'bibtex') => 
+                    window.api.invoke('research:saveBibliography', scope, format),
+                
+                // Import a .bib, .ris or CSL-JSON file into the library
+                importBibliography: (filePath, options = {}) => 
+                    window.api.invoke('research:importBibliography', filePath, options),
+                
+                // Select bibliography files via dialog and import them
+                selectAndImportBibliography: () => 
+                    window.api.invoke('research:selectAndImportBibliography'),
+                
+                // Create a research session and open it
+                createSession: (sessionData) => 
+                    window.api.invoke('research:createSession', sessionData),
+                
+                // Research sessions, the open one first
+                listSessions: () => 
+                    window.api.invoke('research:listSessions'),
+                
+                // Reopen a research session
+                openSession: (sessionId) => 
+                    window.api.invoke('research:openSession', sessionId),
+                
+                // Close a research session
+                closeSession: (sessionId) => 
+                    window.api.invoke('research:closeSession', sessionId)
             }
         };
     }
@@ -1,9 +1,13 @@
 const { BrowserWindow } = require('electron');
-const { createStreamingLLM } = require('../common/ai/factory');
+const { createLLM, createStreamingLLM } = require('../common/ai/factory');
 // Lazy require helper to avoid circular dependency issues
 const getWindowManager = () => require('../../window/windowManager');
 const internalBridge = require('../../bridge/internalBridge');
 const AskSttService = require('./stt/askSttService');
+const { ConversationMemory } = require('./conversationMemory');
+const { STOP_REASONS, collectStream, applyEvent } = require('../common/ai/streamEvents');
+const { toolDefinitions, streamWithTools } = require('../common/ai/tools');
+const { runWithFailover } = require('../common/ai/failover');
 
 const getWindowPool = () => {
     try {
@@ -17,6 +21,7 @@ const sessionRepository = require('../common/repositories/session');
 const askRepository = require('./repositories');
 const { getSystemPrompt } = require('../common/prompts/promptBuilder');
 const { profilePrompts } = require('../common/prompts/promptTemplates');
+const { RESEARCH_MODES, DEFAULT_RESEARCH_MODE, isResearchMode, nextResearchMode } = require('../common/prompts/researchModes');
 const path = require('node:path');
 const fs = require('node:fs');
 const os = require('os');
@@ -24,6 +29,7 @@ const util = require('util');
 const execFile = util.promisify(require('child_process').execFile);
 const { desktopCapturer } = require('electron');
 const modelStateService = require('../common/services/modelStateService');
+const usageService = require('../common/services/usageService');
 
 // Try to load sharp, but don't fail if it's not available
 let sharp;
@@ -128,17 +134,13 @@ async function captureScreenshot(options = {}) {
 class AskService {
     constructor() {
         this.abortController = null;
-        this.state = {
-            isVisible: false,
-            isLoading: false,
-            isStreaming: false,
-            currentQuestion: '',
-            currentResponse: '',
-            conversationalResponse: '', // New conversational response for TTS
-            showTextInput: true,
-            isListening: false,
-            sttTranscription: '',
-        };
+        this.sourceProvider = null;
+        this.toolProvider = null;
+        this.memory = new ConversationMemory();
+        // Ask thread per session; a missing entry is the session's original thread (thread_id NULL)
+        this.activeThreads = new Map();
+        this.currentSessionId = null;
+        this.state = this._initialState();
         
         // Initialize STT service
         this.sttService = new AskSttService();
@@ -151,6 +153,33 @@ class AskService {
         console.log('[AskService] Service instance created.');
     }
 
+    /**
+     * State of a closed Ask window
+     * @private
+     */
+    _initialState(researchMode = DEFAULT_RESEARCH_MODE) {
+        return {
+            isVisible: false,
+            isLoading: false,
+            isStreaming: false,
+            currentQuestion: '',
+            currentResponse: '',
+            conversationalResponse: '', // New conversational response for TTS
+            showTextInput: true,
+            isListening: false,
+            sttTranscription: '',
+            sources: [],
+            researchMode,
+            // How the last answer ended (see STOP_REASONS) and which model gave it
+            stopReason: null,
+            answeredBy: null,
+            // Selected model that failed when a fallback model answered instead
+            fallbackFrom: null,
+            // Lookups made while answering: { id, name, arguments, status: 'running' | 'done' | 'error' }
+            toolCalls: [],
+        };
+    }
+
     setupSttCallbacks() {
         this.sttService.setCallbacks({
             onTranscriptionUpdate: (text, isFinal) => {
@@ -210,6 +239,68 @@ class AskService {
         });
     }
 
+    /**
+     * Register where library passages come from (ResearchFeature). Without one, answers
+     * are not grounded in uploaded documents.
+     * @param {{ retrieveSources: (query: string, options: Object) => Promise<Array> }} provider
+     */
+    setSourceProvider(provider) {
+        this.sourceProvider = provider;
+    }
+
+    /**
+     * Register the tools the assistant may call while answering (ResearchFeature)
+     * @param {{ getAssistantTools: () => Array }} provider
+     */
+    setToolProvider(provider) {
+        this.toolProvider = provider;
+    }
+
+    /**
+     * Research mode of the active session, with the available modes for pickers
+     */
+    getResearchMode() {
+        return { mode: this.state.researchMode, modes: RESEARCH_MODES };
+    }
+
+    /**
+     * Switch the active session's research mode (creating the session if needed)
+     * @param {string} mode - A key of RESEARCH_MODES
+     */
+    async setResearchMode(mode) {
+        if (!isResearchMode(mode)) {
+            return { success: false, error: `Unknown research mode: ${mode}` };
+        }
+
+        try {
+            const sessionId = await sessionRepository.getOrCreateActive('ask');
+            await sessionRepository.updateResearchMode(sessionId, mode);
+            this._applyResearchMode(mode);
+            console.log(`[AskService] Research mode set to ${mode} for session ${sessionId}`);
+            return { success: true, mode };
+        } catch (error) {
+            console.error('[AskService] Failed to set research mode:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cycleResearchMode() {
+        return await this.setResearchMode(nextResearchMode(this.state.researchMode));
+    }
+
+    /**
+     * Update the in-memory mode and tell every window (header and Ask view) about it
+     * @private
+     */
+    _applyResearchMode(mode) {
+        if (this.state.researchMode === mode) return;
+        this.state.researchMode = mode;
+        this._broadcastState();
+        BrowserWindow.getAllWindows().forEach(win => {
+            if (!win.isDestroyed()) win.webContents.send('ask:researchModeChanged', { mode });
+        });
+    }
+
     _broadcastState() {
         const askWindow = getWindowPool()?.get('ask');
         if (askWindow && !askWindow.isDestroyed()) {
@@ -259,17 +350,7 @@ class AskService {
                 await this.stopVoiceInput();
             }
     
-            this.state = {
-                isVisible      : false,
-                isLoading      : false,
-                isStreaming    : false,
-                currentQuestion: '',
-                currentResponse: '',
-                conversationalResponse: '',
-                showTextInput  : true,
-                isListening    : false,
-                sttTranscription: '',
-            };
+            this.state = this._initialState(this.state.researchMode);
             this._broadcastState();
     
             internalBridge.emit('window:requestVisibility', { name: 'ask', visible: false });
@@ -291,6 +372,243 @@ class AskService {
         return conversationTexts.slice(-30).join('\n');
     }
 
+    /**
+     * Retrieve numbered passages from the user's library (or the session's pinned documents)
+     * @param {string} userPrompt
+     * @param {string} sessionId
+     * @returns {Promise<Array>} Sources, or [] when retrieval is unavailable
+     * @private
+     */
+    async _retrieveSources(userPrompt, sessionId) {
+        if (!this.sourceProvider || !userPrompt.trim()) return [];
+        try {
+            const sources = await this.sourceProvider.retrieveSources(userPrompt, { sessionId });
+            console.log(`[AskService] Retrieved ${sources.length} sources from the document library`);
+            return sources;
+        } catch (error) {
+            console.warn('[AskService] Document retrieval failed, answering without sources:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * @param {Array} sources
+     * @returns {string} Numbered excerpts with citation instructions, or '' when there are none
+     * @private
+     */
+    _formatSourcesForPrompt(sources) {
+        if (!sources || sources.length === 0) return '';
+
+        const excerpts = sources.map(source => {
+            const location = source.pageNumber ? `, p. ${source.pageNumber}` : '';
+            return `[${source.index}] ${source.title}${location}\n${source.text.replace(/\s+/g, ' ').trim()}`;
+        });
+
+        return [
+            'Excerpts from the user\'s uploaded documents:',
+            excerpts.join('\n\n'),
+            'When a statement relies on one of these excerpts, cite it inline with its number, e.g. [1] or [2][3]. ' +
+            'Only cite the numbers listed above. If the excerpts do not answer the question, say so and answer from general knowledge without citations.',
+        ].join('\n\n');
+    }
+
+    /**
+     * Sources cited as [n] or [n, m] in an answer, in order of first citation
+     * @private
+     */
+    _getCitedSources(answer, sources) {
+        const cited = new Set();
+        for (const match of (answer || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+            match[1].split(',').forEach(n => cited.add(Number(n)));
+        }
+        return [...cited]
+            .map(index => sources.find(source => source.index === index))
+            .filter(Boolean);
+    }
+
+    /**
+     * @returns {Array} Tools for this answer, or [] when none are registered
+     * @private
+     */
+    _getTools() {
+        if (!this.toolProvider) return [];
+        try {
+            return this.toolProvider.getAssistantTools() || [];
+        } catch (error) {
+            console.warn('[AskService] Tools unavailable, answering without them:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Context handed to tools. Library passages a tool finds become numbered sources,
+     * continuing after the ones retrieved up front, so they can be cited and linked like them.
+     * @private
+     */
+    _createToolContext(sessionId) {
+        return {
+            sessionId,
+            addSource: (passage) => {
+                const existing = this.state.sources.find(source =>
+                    source.documentId === passage.documentId && source.pageNumber === passage.pageNumber && source.text === passage.text);
+                if (existing) return existing.index;
+
+                const source = { charStart: null, charEnd: null, score: null, ...passage, index: this.state.sources.length + 1 };
+                this.state.sources = [...this.state.sources, source];
+                return source.index;
+            },
+        };
+    }
+
+    _threadKey(sessionId, threadId) {
+        return `${sessionId}:${threadId || 'main'}`;
+    }
+
+    /**
+     * Stored non-empty messages of one thread of a session, oldest first
+     * @private
+     */
+    async _loadThreadMessages(sessionId, threadId) {
+        const messages = await askRepository.getAllAiMessagesBySessionId(sessionId);
+        return messages.filter(message => (message.thread_id || null) === threadId && message.content);
+    }
+
+    /**
+     * Fold turns that no longer fit the memory budget into a running summary
+     * @private
+     */
+    async _summarizeTurns(modelInfo, previousSummary, turns, { sessionId = null, feature = 'ask' } = {}) {
+        const transcript = turns
+            .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+            .join('\n\n');
+
+        const llm = createLLM(modelInfo.provider, {
+            apiKey: modelInfo.apiKey,
+            model: modelInfo.model,
+            baseUrl: modelInfo.baseUrl,
+            headers: modelInfo.headers,
+            temperature: modelInfo.modelSettings?.temperature ?? 0.2,
+            maxTokens: 500,
+        });
+
+        const completion = await llm.chat([
+            {
+                role: 'system',
+                content: 'You maintain the memory of a research conversation. Write a compact summary that preserves the questions asked, ' +
+                    'the answers given, named methods, papers, numbers and open threads, so later follow-up questions can be resolved. ' +
+                    'Use short bullet points and keep any list order (e.g. "the second method") intact.',
+            },
+            {
+                role: 'user',
+                content: previousSummary
+                    ? `Current summary:\n${previousSummary}\n\nAdd these later turns to it:\n\n${transcript}`
+                    : `Summarize these turns:\n\n${transcript}`,
+            },
+        ]);
+
+        await usageService.recordLlmUsage({ sessionId, feature, provider: modelInfo.provider, model: modelInfo.model, ...completion.usage });
+        console.log(`[AskService] Summarized ${turns.length} earlier turns into conversation memory`);
+        return completion.content.trim();
+    }
+
+    /**
+     * Messages of the active thread, for restoring the Ask view
+     * @returns {Promise<{success: boolean, conversationHistory?: Array, error?: string}>}
+     */
+    async loadConversationHistory() {
+        try {
+            if (!this.currentSessionId) {
+                return { success: true, conversationHistory: [] };
+            }
+            const session = await sessionRepository.getById(this.currentSessionId);
+            if (!session || session.ended_at) {
+                return { success: true, conversationHistory: [] };
+            }
+
+            const threadId = this.activeThreads.get(this.currentSessionId) || null;
+            const messages = await this._loadThreadMessages(this.currentSessionId, threadId);
+            return { success: true, conversationHistory: messages.map(toHistoryEntry) };
+        } catch (error) {
+            console.error('[AskService] Failed to load conversation history:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Start a fresh thread in the active session. Earlier messages stay stored but
+     * are no longer sent to the model.
+     */
+    async restartThread() {
+        if (!this.currentSessionId) {
+            return { success: true, conversationHistory: [] };
+        }
+        return this._switchThread(this.currentSessionId, require('crypto').randomUUID(), []);
+    }
+
+    /**
+     * Start a new thread that continues from an earlier point of the active thread
+     * @param {number} keepCount - Number of leading messages to carry over
+     */
+    async branchThread(keepCount) {
+        if (!this.currentSessionId) {
+            return { success: false, error: 'No active conversation to branch' };
+        }
+
+        try {
+            const sessionId = this.currentSessionId;
+            const messages = await this._loadThreadMessages(sessionId, this.activeThreads.get(sessionId) || null);
+            const kept = messages.slice(0, Math.max(0, keepCount));
+            const threadId = require('crypto').randomUUID();
+
+            for (const message of kept) {
+                await askRepository.addAiMessage({
+                    sessionId, threadId, role: message.role, content: message.content, model: message.model,
+                });
+            }
+
+            console.log(`[AskService] Branched thread ${threadId} from ${kept.length} messages`);
+            return this._switchThread(sessionId, threadId, kept);
+        } catch (error) {
+            console.error('[AskService] Failed to branch thread:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _switchThread(sessionId, threadId, messages) {
+        if (this.abortController) {
+            this.abortController.abort('Thread changed');
+            this.abortController = null;
+        }
+        // The thread being left is never continued, so its summary isn't needed again
+        this.memory.forget(this._threadKey(sessionId, this.activeThreads.get(sessionId) || null));
+        this.activeThreads.set(sessionId, threadId);
+
+        this.state = {
+            ...this.state,
+            isLoading: false,
+            isStreaming: false,
+            currentQuestion: '',
+            currentResponse: '',
+            showTextInput: true,
+            sources: [],
+            stopReason: null,
+            answeredBy: null,
+            fallbackFrom: null,
+            toolCalls: [],
+        };
+        this._broadcastState();
+
+        const conversationHistory = messages.map(toHistoryEntry);
+        const askWindow = getWindowPool()?.get('ask');
+        if (askWindow && !askWindow.isDestroyed()) {
+            askWindow.webContents.send('ask:threadChanged', { conversationHistory });
+        }
+        return { success: true, conversationHistory };
+    }
+
     /**
      * 
      * @param {string} userPrompt
@@ -305,6 +623,11 @@ class AskService {
             currentQuestion: userPrompt,
             currentResponse: '',
             showTextInput: false,
+            sources: [],
+            stopReason: null,
+            answeredBy: null,
+            fallbackFrom: null,
+            toolCalls: [],
         };
         this._broadcastState();
 
@@ -323,10 +646,21 @@ class AskService {
             console.log(`[AskService] 🤖 Processing message: ${userPrompt.substring(0, 50)}...`);
 
             sessionId = await sessionRepository.getOrCreateActive('ask');
-            await askRepository.addAiMessage({ sessionId, role: 'user', content: userPrompt.trim() });
+            this.currentSessionId = sessionId;
+            const threadId = this.activeThreads.get(sessionId) || null;
+            const threadMessages = await this._loadThreadMessages(sessionId, threadId);
+
+            const { id: promptMessageId } = await askRepository.addAiMessage({ sessionId, threadId, role: 'user', content: userPrompt.trim() });
             console.log(`[AskService] DB: Saved user prompt to session ${sessionId}`);
+
+            const session = await sessionRepository.getById(sessionId);
+            const researchMode = isResearchMode(session?.research_mode) ? session.research_mode : DEFAULT_RESEARCH_MODE;
+            this._applyResearchMode(researchMode);
             
-            const modelInfo = await modelStateService.getCurrentModelInfo('llm');
+            // The model for this feature first, then the configured fallback chain
+            const feature = researchMode === 'paper_analysis' ? 'paper_analysis' : 'ask';
+            const candidates = await modelStateService.getLlmCandidates(feature);
+            const modelInfo = candidates[0];
             if (!modelInfo || !modelInfo.apiKey) {
                 throw new Error('AI model or API key not configured.');
             }
@@ -339,15 +673,39 @@ class AskService {
             let conversationalPromise = null;
             if (isVoiceMode) {
                 console.log('[AskService] Starting parallel conversational response generation...');
-                conversationalPromise = this._generateConversationalResponseInParallel(userPrompt, modelInfo, screenshotBase64);
+                try {
+                    const [voiceModel] = await modelStateService.getLlmCandidates('voice');
+                    conversationalPromise = this._generateConversationalResponseInParallel(userPrompt, voiceModel || modelInfo, screenshotBase64, sessionId);
+                } catch (error) {
+                    // The answer itself doesn't depend on the voice reply model
+                    console.warn('[AskService] Skipping the spoken reply:', error.message);
+                }
             }
 
             const conversationHistory = this._formatConversationForPrompt(conversationHistoryRaw);
 
-            const systemPrompt = getSystemPrompt('rani_analysis', conversationHistory);
+            const memory = await this.memory.build(
+                this._threadKey(sessionId, threadId),
+                threadMessages,
+                (previousSummary, turns) => this._summarizeTurns(modelInfo, previousSummary, turns, { sessionId, feature })
+            );
+            const earlierConversation = memory.summary ? `Summary of the earlier conversation:\n${memory.summary}` : '';
+
+            const sources = await this._retrieveSources(userPrompt, sessionId);
+            this.state.sources = sources;
+
+            const tools = this._getTools();
+            const toolGuidance = tools.length > 0
+                ? 'You can call tools to search the user\'s library, published papers, their annotations and recorded transcripts. ' +
+                  'Look things up when the answer depends on them instead of guessing, and never invent papers, quotes or citations.'
+                : '';
+
+            const promptContext = [conversationHistory, earlierConversation, this._formatSourcesForPrompt(sources), toolGuidance].filter(Boolean).join('\n\n');
+            const systemPrompt = getSystemPrompt(RESEARCH_MODES[researchMode].profile, promptContext);
 
             const messages = [
                 { role: 'system', content: systemPrompt },
+                ...memory.turns,
                 {
                     role: 'user',
                     content: [
@@ -357,23 +715,16 @@ class AskService {
             ];
 
             if (screenshotBase64) {
-                messages[1].content.push({
+                messages[messages.length - 1].content.push({
                     type: 'image_url',
                     image_url: { url: `data:image/jpeg;base64,${screenshotBase64}` },
                 });
             }
             
-            const streamingLLM = createStreamingLLM(modelInfo.provider, {
-                apiKey: modelInfo.apiKey,
-                model: modelInfo.model,
-                temperature: 0.7,
-                maxTokens: 2048,
-                usePortkey: false, // Disable Portkey for now
-                portkeyVirtualKey: undefined,
-            });
+            const toolContext = this._createToolContext(sessionId);
 
             try {
-                const response = await streamingLLM.streamChat(messages);
+                const { streamingLLM, response, candidate, request } = await this._startStream(candidates, messages, tools, signal);
                 const askWin = getWindowPool()?.get('ask');
 
                 if (!askWin || askWin.isDestroyed()) {
@@ -382,13 +733,11 @@ class AskService {
                     return { success: false, error: 'Ask window is not available.' };
                 }
 
-                const reader = response.body.getReader();
-                signal.addEventListener('abort', () => {
-                    console.log(`[AskService] Aborting stream reader. Reason: ${signal.reason}`);
-                    reader.cancel(signal.reason).catch(() => { /* 이미 취소된 경우의 오류는 무시 */ });
+                // Tool calls are executed between rounds; the signal cancels whichever round is streaming
+                const events = streamWithTools(streamingLLM, request.messages, {
+                    tools: request.tools, context: toolContext, initialResponse: response, signal
                 });
-
-                await this._processStream(reader, askWin, sessionId, signal);
+                await this._processStream(events, askWin, sessionId, signal, { threadId, promptMessageId, model: candidate.model, provider: candidate.provider, feature });
                 
                 // Handle parallel conversational response if it was started
                 if (conversationalPromise) {
@@ -423,13 +772,14 @@ class AskService {
                     // 텍스트만으로 메시지 재구성
                     const textOnlyMessages = [
                         { role: 'system', content: systemPrompt },
+                        ...memory.turns,
                         {
                             role: 'user',
                             content: `User Request: ${userPrompt.trim()}`
                         }
                     ];
 
-                    const fallbackResponse = await streamingLLM.streamChat(textOnlyMessages);
+                    const { streamingLLM, response: fallbackResponse, candidate, request } = await this._startStream(candidates, textOnlyMessages, tools, signal);
                     const askWin = getWindowPool()?.get('ask');
 
                     if (!askWin || askWin.isDestroyed()) {
@@ -438,13 +788,10 @@ class AskService {
                         return { success: false, error: 'Ask window is not available.' };
                     }
 
-                    const fallbackReader = fallbackResponse.body.getReader();
-                    signal.addEventListener('abort', () => {
-                        console.log(`[AskService] Aborting fallback stream reader. Reason: ${signal.reason}`);
-                        fallbackReader.cancel(signal.reason).catch(() => {});
+                    const fallbackEvents = streamWithTools(streamingLLM, request.messages, {
+                        tools: request.tools, context: toolContext, initialResponse: fallbackResponse, signal
                     });
-
-                    await this._processStream(fallbackReader, askWin, sessionId, signal);
+                    await this._processStream(fallbackEvents, askWin, sessionId, signal, { threadId, promptMessageId, model: candidate.model, provider: candidate.provider, feature });
                     return { success: true };
                 } else {
                     // 다른 종류의 에러이거나 스크린샷이 없었다면 그대로 throw
@@ -472,46 +819,93 @@ class AskService {
         }
     }
 
+    /**
+     * Start the first response round on the first candidate model that accepts the request.
+     * Rate limits, overload and network errors are retried with backoff before moving on.
+     * Screenshots and tools are left out for models known not to support them.
+     * @param {Array<{ provider: string, model: string, apiKey: string, capabilities?: Object }>} candidates - Selected model first
+     * @returns {Promise<{ streamingLLM: Object, response: Response, candidate: Object, request: { messages: Array, tools: Array } }>}
+     * @private
+     */
+    async _startStream(candidates, messages, tools, signal) {
+        const { result, candidate, fallback } = await runWithFailover(candidates, async (candidate) => {
+            const request = {
+                messages: candidate.capabilities?.vision === false ? withoutImages(messages) : messages,
+                tools: candidate.capabilities?.tools === false ? [] : tools,
+            };
+            const streamingLLM = createStreamingLLM(candidate.provider, {
+                apiKey: candidate.apiKey,
+                model: candidate.model,
+                baseUrl: candidate.baseUrl,
+                headers: candidate.headers,
+                temperature: candidate.modelSettings?.temperature ?? 0.7,
+                maxTokens: candidate.modelSettings?.maxTokens ?? 2048,
+                usePortkey: false, // Disable Portkey for now
+                portkeyVirtualKey: undefined,
+            });
+            const response = await streamingLLM.streamChat(request.messages, { tools: toolDefinitions(request.tools) });
+            return { streamingLLM, response, request };
+        }, {
+            signal,
+            onRetry: (error, attempt, delayMs) => {
+                console.warn(`[AskService] Retrying request (attempt ${attempt}) in ${Math.round(delayMs)}ms: ${error.message}`);
+            },
+        });
+
+        this.state.fallbackFrom = fallback ? candidates[0].model : null;
+        if (fallback) {
+            console.log(`[AskService] ${candidates[0].model} is unavailable, answering with ${candidate.model} (${candidate.provider})`);
+        }
+        return { ...result, candidate };
+    }
+
     /**
      * 
-     * @param {ReadableStreamDefaultReader} reader
+     * @param {AsyncIterable<Object>} events - Normalized stream events (see streamWithTools)
      * @param {BrowserWindow} askWin
      * @param {number} sessionId 
      * @param {AbortSignal} signal
+     * @param {Object} [turn]
+     * @param {string|null} [turn.threadId]
+     * @param {string|null} [turn.promptMessageId] - Stored user message that receives the input token count
+     * @param {string|null} [turn.model] - Requested model, used when the provider does not report one
+     * @param {string|null} [turn.provider] - Provider of the model, for usage accounting
+     * @param {string} [turn.feature] - Feature the usage is billed to
      * @returns {Promise<void>}
      * @private
      */
-    async _processStream(reader, askWin, sessionId, signal) {
-        const decoder = new TextDecoder();
-        let fullResponse = '';
+    async _processStream(events, askWin, sessionId, signal, { threadId = null, promptMessageId = null, model = null, provider = null, feature = 'ask' } = {}) {
+        const result = {
+            text: '',
+            model: null,
+            usage: { inputTokens: null, outputTokens: null },
+            stopReason: null,
+            error: null,
+        };
 
         try {
             this.state.isLoading = false;
             this.state.isStreaming = true;
             this._broadcastState();
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value);
-                const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.substring(6);
-                        if (data === '[DONE]') {
-                            return; 
-                        }
-                        try {
-                            const json = JSON.parse(data);
-                            const token = json.choices[0]?.delta?.content || '';
-                            if (token) {
-                                fullResponse += token;
-                                this.state.currentResponse = fullResponse;
-                                this._broadcastState();
-                            }
-                        } catch (error) {
-                        }
+
+            for await (const event of events) {
+                applyEvent(result, event);
+
+                if (event.type === 'text' && event.text) {
+                    this.state.currentResponse = result.text;
+                    this._broadcastState();
+                } else if (event.type === 'tool_call') {
+                    console.log(`[AskService] Model called ${event.name}`, event.arguments);
+                    this.state.toolCalls = [...this.state.toolCalls, { id: event.id, name: event.name, arguments: event.arguments, status: 'running' }];
+                    this._broadcastState();
+                } else if (event.type === 'tool_result') {
+                    this.state.toolCalls = this.state.toolCalls.map(call =>
+                        call.id === event.id ? { ...call, status: event.error ? 'error' : 'done' } : call);
+                    this._broadcastState();
+                } else if (event.type === 'error') {
+                    console.error('[AskService] Provider reported a stream error:', event.message);
+                    if (askWin && !askWin.isDestroyed()) {
+                        askWin.webContents.send('ask-response-stream-error', { error: event.message });
                     }
                 }
             }
@@ -520,18 +914,42 @@ class AskService {
                 console.log(`[AskService] Stream reading was intentionally cancelled. Reason: ${signal.reason}`);
             } else {
                 console.error('[AskService] Error while processing stream:', streamError);
+                result.stopReason = STOP_REASONS.ERROR;
                 if (askWin && !askWin.isDestroyed()) {
                     askWin.webContents.send('ask-response-stream-error', { error: streamError.message });
                 }
             }
         } finally {
+            const fullResponse = result.text;
+            const answeredBy = result.model || model;
+            if (result.stopReason === STOP_REASONS.MAX_TOKENS) {
+                console.warn(`[AskService] Answer was truncated at the output token limit (${result.usage.outputTokens ?? '?'} tokens)`);
+            }
+
             this.state.isStreaming = false;
             this.state.currentResponse = fullResponse;
+            this.state.stopReason = signal.aborted ? null : result.stopReason;
+            this.state.answeredBy = answeredBy;
+            // Keep only the sources the answer actually cites so the view can link them
+            this.state.sources = this._getCitedSources(fullResponse, this.state.sources);
             this._broadcastState();
             
+            await usageService.recordLlmUsage({ sessionId, feature, provider, model: answeredBy, ...result.usage });
+
+            if (promptMessageId && result.usage.inputTokens != null) {
+                try {
+                    await askRepository.updateAiMessageUsage(sessionId, promptMessageId, { tokens: result.usage.inputTokens, model: answeredBy });
+                } catch (dbError) {
+                    console.error('[AskService] DB: Failed to record prompt token usage:', dbError);
+                }
+            }
+
             if (fullResponse) {
                 try {
-                    await askRepository.addAiMessage({ sessionId, role: 'assistant', content: fullResponse });
+                    await askRepository.addAiMessage({
+                        sessionId, threadId, role: 'assistant', content: fullResponse,
+                        model: answeredBy || undefined, tokens: result.usage.outputTokens,
+                    });
                     console.log(`[AskService] DB: Saved partial or full assistant response to session ${sessionId} after stream ended.`);
                 } catch(dbError) {
                     console.error("[AskService] DB: Failed to save assistant response after stream ended:", dbError);
@@ -631,7 +1049,7 @@ class AskService {
     /**
      * Generate conversational response in parallel (for simultaneous TTS)
      */
-    async _generateConversationalResponseInParallel(userPrompt, modelInfo, screenshotBase64 = null) {
+    async _generateConversationalResponseInParallel(userPrompt, modelInfo, screenshotBase64 = null, sessionId = null) {
         try {
             const conversationalPrompt = `You are RANI (pronounced rah-nee), an AI research colleague and collaborator. Your style is like a young woman in her twenties: sharp and enthusiastic with the mind of an expert professor.
 Take the following detailed response and rewrite it so it sounds like youre explaining it out loud in conversation.
@@ -661,8 +1079,8 @@ Conversational response:`;
                 }
             ];
 
-            // Include screenshot if available (same as main response)
-            if (screenshotBase64) {
+            // Include screenshot if available (same as main response) and the voice model can see it
+            if (screenshotBase64 && modelInfo.capabilities?.vision !== false) {
                 messages[0].content.push({
                     type: 'image_url',
                     image_url: { url: `data:image/jpeg;base64,${screenshotBase64}` },
@@ -672,41 +1090,19 @@ Conversational response:`;
             const streamingLLM = createStreamingLLM(modelInfo.provider, {
                 apiKey: modelInfo.apiKey,
                 model: modelInfo.model,
-                temperature: 0.7,
+                baseUrl: modelInfo.baseUrl,
+                headers: modelInfo.headers,
+                temperature: modelInfo.modelSettings?.temperature ?? 0.7,
                 maxTokens: 300, // Shorter for conversational response
                 usePortkey: false, // Disable Portkey for now
                 portkeyVirtualKey: undefined,
             });
 
             const response = await streamingLLM.streamChat(messages);
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let conversationalResponse = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value);
-                const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.substring(6);
-                        if (data === '[DONE]') {
-                            break;
-                        }
-                        try {
-                            const json = JSON.parse(data);
-                            const token = json.choices[0]?.delta?.content || '';
-                            if (token) {
-                                conversationalResponse += token;
-                            }
-                        } catch (error) {
-                            // Skip invalid JSON
-                        }
-                    }
-                }
+            const { text: conversationalResponse, usage, error } = await collectStream(response.body.getReader());
+            await usageService.recordLlmUsage({ sessionId, feature: 'voice', provider: modelInfo.provider, model: modelInfo.model, ...usage });
+            if (error) {
+                throw new Error(error);
             }
 
             return conversationalResponse.trim();
@@ -734,6 +1130,22 @@ Conversational response:`;
 
 }
 
+/**
+ * Copy of a request with image parts dropped, for models without vision
+ */
+function withoutImages(messages) {
+    return messages.map(message => {
+        if (!Array.isArray(message.content)) return message;
+        const text = message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+        return { ...message, content: text };
+    });
+}
+
+function toHistoryEntry(message) {
+    const sentAt = typeof message.sent_at === 'number' ? message.sent_at * 1000 : message.sent_at?.toMillis?.();
+    return { id: message.id, role: message.role, content: message.content, model: message.model, timestamp: sentAt || Date.now() };
+}
+
 const askService = new AskService();
 
 module.exports = askService;
\ No newline at end of file
@@ -0,0 +1,86 @@
+const DEFAULT_BUDGET_TOKENS = 3000;
+// Per-message overhead for role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Rough token count (~4 characters per token). Good enough for budgeting
+ * across providers without shipping a tokenizer per model.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Conversation memory for Ask threads.
+ * Keeps the newest turns verbatim within a token budget and folds older turns
+ * into a running summary, cached per thread so each turn is summarized once.
+ */
+class ConversationMemory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.budgetTokens=3000] - Budget for verbatim turns
+     */
+    constructor({ budgetTokens = DEFAULT_BUDGET_TOKENS } = {}) {
+        this.budgetTokens = budgetTokens;
+        this.summaries = new Map();
+    }
+
+    /**
+     * Build the context for the next question of a thread
+     * @param {string} key - Thread key
+     * @param {Array<{ role: string, content: string }>} messages - Earlier messages, oldest first
+     * @param {(previousSummary: string|null, turns: Array) => Promise<string>} summarize
+     * @returns {Promise<{ summary: string|null, turns: Array<{ role: string, content: string }> }>}
+     */
+    async build(key, messages, summarize) {
+        const turns = messages
+            .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+            .map(({ role, content }) => ({ role, content }));
+
+        let start = turns.length;
+        let used = 0;
+        while (start > 0) {
+            const cost = estimateTokens(turns[start - 1].content) + MESSAGE_OVERHEAD_TOKENS;
+            if (used + cost > this.budgetTokens) break;
+            used += cost;
+            start--;
+        }
+        // Verbatim history should open with a question, not a dangling answer
+        while (start > 0 && start < turns.length && turns[start].role === 'assistant') start++;
+
+        const recent = turns.slice(start);
+        if (start === 0) {
+            return { summary: null, turns: recent };
+        }
+
+        const cached = this.summaries.get(key);
+        if (cached && cached.covered === start) {
+            return { summary: cached.text, turns: recent };
+        }
+
+        // Fold only the newly dropped turns into an existing summary
+        const base = cached && cached.covered < start ? cached : null;
+        try {
+            const text = await summarize(base ? base.text : null, turns.slice(base ? base.covered : 0, start));
+            this.summaries.set(key, { covered: start, text });
+            return { summary: text, turns: recent };
+        } catch (error) {
+            console.warn('[ConversationMemory] Summarization failed, dropping older turns:', error.message);
+            return { summary: base ? base.text : null, turns: recent };
+        }
+    }
+
+    /**
+     * Drop the cached summary of a thread
+     */
+    forget(key) {
+        this.summaries.delete(key);
+    }
+}
+
+module.exports = {
+    ConversationMemory,
+    estimateTokens,
+};
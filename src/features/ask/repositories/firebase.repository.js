@@ -1,4 +1,4 @@
-const { collection, addDoc, query, getDocs, orderBy, Timestamp } = require('firebase/firestore');
+const { collection, doc, addDoc, updateDoc, query, getDocs, orderBy, Timestamp } = require('firebase/firestore');
 const { getFirestoreInstance } = require('../../common/services/firebaseClient');
 const { createEncryptedConverter } = require('../../common/repositories/firestoreConverter');
 
@@ -10,7 +10,7 @@ function aiMessagesCol(sessionId) {
     return collection(db, `sessions/${sessionId}/ai_messages`).withConverter(aiMessageConverter);
 }
 
-async function addAiMessage({ uid, sessionId, role, content, model = 'unknown' }) {
+async function addAiMessage({ uid, sessionId, role, content, model = 'unknown', threadId = null, tokens = null }) {
     const now = Timestamp.now();
     const newMessage = {
         uid, // To identify the author of the message
@@ -18,7 +18,9 @@ async function addAiMessage({ uid, sessionId, role, content, model = 'unknown' }
         sent_at: now,
         role,
         content,
+        tokens,
         model,
+        thread_id: threadId,
         created_at: now,
     };
     
@@ -26,13 +28,20 @@ async function addAiMessage({ uid, sessionId, role, content, model = 'unknown' }
     return { id: docRef.id };
 }
 
+async function updateAiMessageUsage(sessionId, messageId, { tokens, model }) {
+    const changes = model ? { tokens, model } : { tokens };
+    await updateDoc(doc(aiMessagesCol(sessionId), messageId), changes);
+    return { changes: 1 };
+}
+
 async function getAllAiMessagesBySessionId(sessionId) {
     const q = query(aiMessagesCol(sessionId), orderBy('sent_at', 'asc'));
     const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map(doc => doc.data());
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
 module.exports = {
     addAiMessage,
+    updateAiMessageUsage,
     getAllAiMessagesBySessionId,
 }; 
\ No newline at end of file
@@ -12,9 +12,12 @@ function getBaseRepository() {
 
 // The adapter layer that injects the UID
 const askRepositoryAdapter = {
-    addAiMessage: ({ sessionId, role, content, model }) => {
+    addAiMessage: ({ sessionId, role, content, model, threadId, tokens }) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().addAiMessage({ uid, sessionId, role, content, model });
+        return getBaseRepository().addAiMessage({ uid, sessionId, role, content, model, threadId, tokens });
+    },
+    updateAiMessageUsage: (sessionId, messageId, usage) => {
+        return getBaseRepository().updateAiMessageUsage(sessionId, messageId, usage);
     },
     getAllAiMessagesBySessionId: (sessionId) => {
         // This function does not require a UID at the service level.
@@ -1,14 +1,14 @@
 const sqliteClient = require('../../common/services/sqliteClient');
 
-function addAiMessage({ uid, sessionId, role, content, model = 'unknown' }) {
+function addAiMessage({ uid, sessionId, role, content, model = 'unknown', threadId = null, tokens = null }) {
     // uid is ignored in the SQLite implementation
     const db = sqliteClient.getDb();
     const messageId = require('crypto').randomUUID();
     const now = Math.floor(Date.now() / 1000);
-    const query = `INSERT INTO ai_messages (id, session_id, sent_at, role, content, model, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+    const query = `INSERT INTO ai_messages (id, session_id, sent_at, role, content, tokens, model, thread_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     
     try {
-        db.prepare(query).run(messageId, sessionId, now, role, content, model, now);
+        db.prepare(query).run(messageId, sessionId, now, role, content, tokens, model, threadId, now);
         return { id: messageId };
     } catch (err) {
         console.error('SQLite: Failed to add AI message:', err);
@@ -16,13 +16,22 @@ function addAiMessage({ uid, sessionId, role, content, model = 'unknown' }) {
     }
 }
 
+function updateAiMessageUsage(sessionId, messageId, { tokens, model }) {
+    const db = sqliteClient.getDb();
+    const query = "UPDATE ai_messages SET tokens = ?, model = COALESCE(?, model) WHERE id = ? AND session_id = ?";
+    db.prepare(query).run(tokens, model || null, messageId, sessionId);
+    return { changes: 1 };
+}
+
 function getAllAiMessagesBySessionId(sessionId) {
     const db = sqliteClient.getDb();
-    const query = "SELECT * FROM ai_messages WHERE session_id = ? ORDER BY sent_at ASC";
+    // sent_at has one-second resolution; rowid keeps insertion order within the same second
+    const query = "SELECT * FROM ai_messages WHERE session_id = ? ORDER BY sent_at ASC, rowid ASC";
     return db.prepare(query).all(sessionId);
 }
 
 module.exports = {
     addAiMessage,
+    updateAiMessageUsage,
     getAllAiMessagesBySessionId
 }; 
\ No newline at end of file
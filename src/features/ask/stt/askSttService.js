@@ -1,5 +1,7 @@
 const { createSTT } = require('../../common/ai/factory');
 const modelStateService = require('../../common/services/modelStateService');
+const usageService = require('../../common/services/usageService');
+const { pcmAudioSeconds } = require('../../common/ai/pricing');
 
 class AskSttService {
     constructor() {
@@ -7,6 +9,7 @@ class AskSttService {
         this.isListening = false;
         this.currentTranscription = '';
         this.modelInfo = null;
+        this.audioSecondsSent = 0;
         
         // Callbacks
         this.onTranscriptionUpdate = null;
@@ -32,115 +35,15 @@ class AskSttService {
             
             console.log(`[AskSttService] Initializing STT for ${modelInfo.provider} using model ${modelInfo.model}`);
 
-            const handleMessage = message => {
-                if (!this.modelInfo) {
-                    console.log('[AskSttService] Ignoring message - session already closed');
-                    return;
-                }
-
-                if (this.modelInfo.provider === 'whisper') {
-                    if (message.text && message.text.trim()) {
-                        const finalText = message.text.trim();
-                        
-                        // Filter out noise patterns
-                        const noisePatterns = [
-                            '[BLANK_AUDIO]', '[INAUDIBLE]', '[MUSIC]', '[SOUND]', '[NOISE]',
-                            '(BLANK_AUDIO)', '(INAUDIBLE)', '(MUSIC)', '(SOUND)', '(NOISE)'
-                        ];
-                        
-                        const isNoise = noisePatterns.some(pattern => 
-                            finalText.includes(pattern) || finalText === pattern
-                        );
-                        
-                        if (!isNoise && finalText.length > 2) {
-                            this.currentTranscription = finalText;
-                            if (this.onTranscriptionUpdate) {
-                                this.onTranscriptionUpdate(finalText, true);
-                            }
-                            if (this.onTranscriptionComplete) {
-                                this.onTranscriptionComplete(finalText);
-                            }
-                        }
-                    }
-                } else if (this.modelInfo.provider === 'deepgram') {
-                    const text = message.channel?.alternatives?.[0]?.transcript;
-                    if (!text || text.trim().length === 0) return;
-
-                    const isFinal = message.is_final;
-                    
-                    if (isFinal) {
-                        this.currentTranscription = text;
-                        if (this.onTranscriptionUpdate) {
-                            this.onTranscriptionUpdate(text, true);
-                        }
-                        if (this.onTranscriptionComplete) {
-                            this.onTranscriptionComplete(text);
-                        }
-                    } else {
-                        if (this.onTranscriptionUpdate) {
-                            this.onTranscriptionUpdate(text, false);
-                        }
-                    }
-                } else if (this.modelInfo.provider === 'gemini') {
-                    if (message.serverContent?.turnComplete) {
-                        if (this.currentTranscription) {
-                            if (this.onTranscriptionComplete) {
-                                this.onTranscriptionComplete(this.currentTranscription);
-                            }
-                        }
-                        return;
-                    }
-
-                    const transcription = message.serverContent?.inputTranscription;
-                    if (!transcription || !transcription.text) return;
-                    
-                    const textChunk = transcription.text;
-                    if (!textChunk.trim() || textChunk.trim() === '<noise>') {
-                        return;
-                    }
-
-                    this.currentTranscription += textChunk;
-                    if (this.onTranscriptionUpdate) {
-                        this.onTranscriptionUpdate(this.currentTranscription, false);
-                    }
-                } else {
-                    // OpenAI and other providers
-                    const type = message.type;
-                    const text = message.transcript || message.delta || 
-                                (message.alternatives && message.alternatives[0]?.transcript) || '';
-
-                    if (type === 'conversation.item.input_audio_transcription.delta') {
-                        this.currentTranscription += text;
-                        if (text && !text.includes('vq_lbr_audio_')) {
-                            if (this.onTranscriptionUpdate) {
-                                this.onTranscriptionUpdate(this.currentTranscription, false);
-                            }
-                        }
-                    } else if (type === 'conversation.item.input_audio_transcription.completed') {
-                        if (text && text.trim()) {
-                            this.currentTranscription = text.trim();
-                            if (this.onTranscriptionUpdate) {
-                                this.onTranscriptionUpdate(this.currentTranscription, true);
-                            }
-                            if (this.onTranscriptionComplete) {
-                                this.onTranscriptionComplete(this.currentTranscription);
-                            }
-                        }
-                    }
-                }
-
-                if (message.error) {
-                    console.error('[AskSttService] STT Session Error:', message.error);
-                    if (this.onError) {
-                        this.onError(message.error);
-                    }
-                }
-            };
-
-            const sttConfig = {
+            const sttOptions = {
+                apiKey: this.modelInfo.apiKey,
+                model: this.modelInfo.model,
                 language: language,
+                usePortkey: this.modelInfo.provider === 'openai-glass',
+                portkeyVirtualKey: this.modelInfo.provider === 'openai-glass' ? this.modelInfo.apiKey : undefined,
+                sessionType: 'ask', // To distinguish from listen service sessions
                 callbacks: {
-                    onmessage: handleMessage,
+                    ontranscript: event => this.handleTranscriptEvent(event),
                     onerror: error => {
                         console.error('[AskSttService] STT session error:', error.message);
                         if (this.onError) {
@@ -157,15 +60,6 @@ class AskSttService {
                 },
             };
 
-            const sttOptions = {
-                apiKey: this.modelInfo.apiKey,
-                language: language,
-                usePortkey: this.modelInfo.provider === 'openai-glass',
-                portkeyVirtualKey: this.modelInfo.provider === 'openai-glass' ? this.modelInfo.apiKey : undefined,
-                callbacks: sttConfig.callbacks,
-                sessionType: 'ask' // To distinguish from listen service sessions
-            };
-
             this.sttSession = await createSTT(this.modelInfo.provider, sttOptions);
             
             console.log('✅ [AskSttService] STT session initialized successfully.');
@@ -184,6 +78,26 @@ class AskSttService {
         }
     }
 
+    /**
+     * Partials update the question being dictated; each final completes it
+     * @param {import('../../common/ai/transcriptEvents').TranscriptEvent} event
+     */
+    handleTranscriptEvent(event) {
+        if (!this.modelInfo) {
+            console.log('[AskSttService] Ignoring transcript - session already closed');
+            return;
+        }
+        if (event.type === 'turn_end') return;
+
+        this.currentTranscription = event.text;
+        if (this.onTranscriptionUpdate) {
+            this.onTranscriptionUpdate(event.text, event.isFinal);
+        }
+        if (event.isFinal && this.onTranscriptionComplete) {
+            this.onTranscriptionComplete(event.text);
+        }
+    }
+
     async startListening() {
         if (!this.sttSession) {
             throw new Error('STT session not initialized');
@@ -227,25 +141,8 @@ class AskSttService {
             throw new Error('Not currently listening');
         }
 
-        let modelInfo = this.modelInfo;
-        if (!modelInfo) {
-            console.warn('[AskSttService] modelInfo not found, fetching on-the-fly as a fallback...');
-            modelInfo = await modelStateService.getCurrentModelInfo('stt');
-        }
-        if (!modelInfo) {
-            throw new Error('STT model info could not be retrieved.');
-        }
-
-        let payload;
-        if (modelInfo.provider === 'gemini') {
-            payload = { audio: { data, mimeType: mimeType || 'audio/pcm;rate=24000' } };
-        } else if (modelInfo.provider === 'deepgram') {
-            payload = Buffer.from(data, 'base64'); 
-        } else {
-            payload = data;
-        }
-
-        await this.sttSession.sendRealtimeInput(payload);
+        await this.sttSession.sendRealtimeInput(data, mimeType);
+        this.audioSecondsSent += pcmAudioSeconds(data, mimeType);
     }
 
     isActive() {
@@ -263,6 +160,16 @@ class AskSttService {
             this.sttSession = null;
         }
 
+        if (this.modelInfo && this.audioSecondsSent > 0) {
+            await usageService.recordSttUsage({
+                feature: 'ask',
+                provider: this.modelInfo.provider,
+                model: this.modelInfo.model,
+                audioSeconds: this.audioSecondsSent,
+            });
+        }
+        this.audioSecondsSent = 0;
+
         this.isListening = false;
         this.currentTranscription = '';
         this.modelInfo = null;
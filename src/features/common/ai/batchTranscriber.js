@@ -0,0 +1,176 @@
+const { createSTT } = require('./factory');
+const { resamplePcm } = require('../utils/pcmAudio');
+
+// Streaming providers are fed in small chunks, faster than real time but slow enough to keep up
+const STREAM_CHUNK_SECONDS = 0.1;
+const STREAM_SPEEDUP = 4;
+// Whisper transcribes a block at a time; it is fed the next block once it is idle
+const WHISPER_BLOCK_SECONDS = 25;
+// Silence after the audio lets voice-activity detection close the last utterance
+const TRAILING_SILENCE_SECONDS = 2;
+// The provider is done once it has been quiet this long, or when the timeout runs out
+const SETTLE_MS = 3000;
+const SETTLE_TIMEOUT_MS = 60 * 1000;
+const POLL_MS = 200;
+// Finals of the same speaker closer than this are one transcript line, as in a live session
+const TURN_GAP_SECONDS = 2;
+
+/**
+ * Transcribe recorded audio with a regular STT session, one session per channel, the way a
+ * live session would have heard it.
+ * @param {Object} options
+ * @param {Object} options.modelInfo - { provider, model, apiKey, ... } as returned by modelStateService
+ * @param {Array<{ speaker: string, samples: Int16Array, sampleRate: number, diarize?: boolean }>} options.channels
+ * @param {number} options.startedAt - Epoch seconds of the first sample; transcript times count from it
+ * @param {string} [options.language='en']
+ * @param {(progress: number) => void} [options.onProgress] - Share of the audio fed so far, 0 to 1
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ turns: Array<{ speaker: string, text: string, startAt: number, endAt: number, words: Array|null, confidence: number|null }>, audioSeconds: number }>}
+ *   Turns in order of time, with times in epoch seconds
+ */
+async function transcribeAudio({ modelInfo, channels, startedAt, language = 'en', onProgress = () => {}, signal = null }) {
+    const rate = modelInfo.provider === 'whisper' ? 16000 : 24000;
+    const inputs = channels.map(channel => ({ ...channel, samples: resamplePcm(channel.samples, channel.sampleRate, rate) }));
+    const totalSamples = inputs.reduce((sum, channel) => sum + channel.samples.length, 0);
+
+    let fedSamples = 0;
+    const turns = [];
+    for (const channel of inputs) {
+        const finals = await transcribeChannel(channel, rate, { modelInfo, language, signal }, samples => {
+            fedSamples += samples;
+            onProgress(totalSamples ? fedSamples / totalSamples : 1);
+        });
+        turns.push(...toTurns(finals, startedAt));
+    }
+
+    return {
+        turns: turns.sort((a, b) => a.startAt - b.startAt),
+        audioSeconds: totalSamples / rate,
+    };
+}
+
+/**
+ * @returns {Promise<Array>} Final utterances with times in seconds from the start of the audio
+ */
+async function transcribeChannel(channel, rate, { modelInfo, language, signal }, onFed) {
+    const finals = [];
+    let position = 0;
+    let utteranceStart = null;
+    let lastEventAt = Date.now();
+
+    const session = await createSTT(modelInfo.provider, {
+        apiKey: modelInfo.apiKey,
+        model: modelInfo.model,
+        language,
+        usePortkey: modelInfo.provider === 'openai-glass',
+        portkeyVirtualKey: modelInfo.provider === 'openai-glass' ? modelInfo.apiKey : undefined,
+        sessionType: 'batch',
+        diarize: !!channel.diarize,
+        callbacks: {
+            ontranscript: event => {
+                lastEventAt = Date.now();
+                if (event.type === 'partial') {
+                    if (utteranceStart === null) utteranceStart = position;
+                    return;
+                }
+                if (event.type !== 'final' || !event.text.trim()) return;
+
+                // Without word timings, the utterance is placed where the audio was when it was heard
+                const words = event.words?.length ? event.words : null;
+                finals.push({
+                    speaker: typeof event.speaker === 'number' ? `Speaker ${event.speaker + 1}` : channel.speaker,
+                    text: event.text.trim(),
+                    start: words?.[0]?.start ?? utteranceStart ?? position,
+                    end: words?.[words.length - 1]?.end ?? position,
+                    words,
+                    confidence: event.confidence,
+                });
+                utteranceStart = null;
+            },
+            onerror: error => console.error('[BatchTranscriber] STT session error:', error.message),
+        },
+    });
+
+    // Whisper sessions report when they are idle; streaming sessions are paced by the clock
+    const isBusy = typeof session.isBusy === 'function' ? () => session.isBusy() : null;
+    const blockSize = Math.round(rate * (isBusy ? WHISPER_BLOCK_SECONDS : STREAM_CHUNK_SECONDS));
+    const mimeType = `audio/pcm;rate=${rate}`;
+    const silence = new Int16Array(Math.round(rate * TRAILING_SILENCE_SECONDS));
+
+    try {
+        for (const [samples, counted] of [[channel.samples, true], [silence, false]]) {
+            for (let offset = 0; offset < samples.length; offset += blockSize) {
+                throwIfAborted(signal);
+                const block = samples.subarray(offset, offset + blockSize);
+                await session.sendRealtimeInput(toBase64(block), mimeType);
+                position += block.length / rate;
+                if (counted) onFed(block.length);
+
+                if (isBusy) await waitFor(() => !isBusy(), signal);
+                else await sleep(block.length / rate / STREAM_SPEEDUP * 1000, signal);
+            }
+        }
+
+        const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+        await waitFor(() => Date.now() > deadline || (Date.now() - lastEventAt >= SETTLE_MS && !isBusy?.()), signal);
+    } finally {
+        await session.close();
+    }
+    return finals;
+}
+
+/**
+ * Join consecutive finals of a speaker into transcript lines, in epoch seconds
+ */
+function toTurns(finals, startedAt) {
+    const turns = [];
+    for (const final of finals) {
+        const previous = turns[turns.length - 1];
+        if (previous && previous.speaker === final.speaker && final.start - previous.end < TURN_GAP_SECONDS) {
+            previous.text += ` ${final.text}`;
+            previous.end = Math.max(previous.end, final.end);
+            if (final.words) previous.words.push(...final.words);
+            if (final.confidence !== null) previous.confidences.push(final.confidence);
+        } else {
+            turns.push({
+                ...final,
+                words: final.words ? [...final.words] : [],
+                confidences: final.confidence !== null ? [final.confidence] : [],
+            });
+        }
+    }
+
+    const toEpoch = seconds => (typeof seconds === 'number' ? Math.round((startedAt + seconds) * 1000) / 1000 : null);
+    return turns.map(turn => ({
+        speaker: turn.speaker,
+        text: turn.text,
+        startAt: toEpoch(turn.start),
+        endAt: toEpoch(turn.end),
+        words: turn.words.length ? turn.words.map(word => ({ ...word, start: toEpoch(word.start), end: toEpoch(word.end) })) : null,
+        confidence: turn.confidences.length ? turn.confidences.reduce((sum, value) => sum + value, 0) / turn.confidences.length : null,
+    }));
+}
+
+function toBase64(samples) {
+    return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength).toString('base64');
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        const error = new Error('Transcription cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise(resolve => setTimeout(resolve, ms)).then(() => throwIfAborted(signal));
+}
+
+async function waitFor(condition, signal) {
+    while (!condition()) await sleep(POLL_MS, signal);
+}
+
+module.exports = {
+    transcribeAudio,
+};
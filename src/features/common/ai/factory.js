@@ -1,9 +1,19 @@
 // factory.js
 
+/**
+ * @typedef {object} ModelCapabilities
+ * @property {boolean|null} vision - Accepts images; null when unknown
+ * @property {boolean|null} tools - Supports tool calling; null when unknown
+ * @property {boolean} streaming
+ * @property {number|null} contextLength - Input token limit
+ * @property {number|null} maxOutputTokens
+ */
+
 /**
  * @typedef {object} ModelOption
  * @property {string} id 
  * @property {string} name
+ * @property {Partial<ModelCapabilities>} [capabilities] - See modelCatalog.js for defaults
  */
 
 /**
@@ -12,6 +22,8 @@
  * @property {() => any} handler
  * @property {ModelOption[]} llmModels
  * @property {ModelOption[]} sttModels
+ * @property {ModelOption[]} [embeddingModels]
+ * @property {boolean} [requiresEndpoint] - Configured with a base URL instead of just a key
  */
 
 /**
@@ -21,12 +33,20 @@ const PROVIDERS = {
   'openai': {
       name: 'OpenAI',
       handler: () => require("./providers/openai"),
+      // Curated list; the full list is fetched from the API and cached (see modelCatalog.js)
       llmModels: [
-          { id: 'gpt-4.1', name: 'GPT-4.1' },
+          { id: 'gpt-4.1', name: 'GPT-4.1', capabilities: { vision: true, tools: true, contextLength: 1047576, maxOutputTokens: 32768 } },
+          { id: 'gpt-4.1-mini', name: 'GPT-4.1 Mini', capabilities: { vision: true, tools: true, contextLength: 1047576, maxOutputTokens: 32768 } },
+          { id: 'gpt-4.1-nano', name: 'GPT-4.1 Nano', capabilities: { vision: true, tools: true, contextLength: 1047576, maxOutputTokens: 32768 } },
+          { id: 'gpt-4o', name: 'GPT-4o', capabilities: { vision: true, tools: true, contextLength: 128000, maxOutputTokens: 16384 } },
+          { id: 'gpt-4o-mini', name: 'GPT-4o Mini', capabilities: { vision: true, tools: true, contextLength: 128000, maxOutputTokens: 16384 } },
       ],
       sttModels: [
           { id: 'gpt-4o-mini-transcribe', name: 'GPT-4o Mini Transcribe' }
       ],
+      embeddingModels: [
+          { id: 'text-embedding-3-small', name: 'Text Embedding 3 Small' }
+      ],
   },
 
   'openai-glass': {
@@ -43,17 +63,26 @@ const PROVIDERS = {
       name: 'Gemini',
       handler: () => require("./providers/gemini"),
       llmModels: [
-          { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' },
+          { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', capabilities: { vision: true, tools: true, contextLength: 1048576, maxOutputTokens: 65536 } },
+          { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', capabilities: { vision: true, tools: true, contextLength: 1048576, maxOutputTokens: 65536 } },
+          { id: 'gemini-2.5-flash-lite', name: 'Gemini 2.5 Flash-Lite', capabilities: { vision: true, tools: true, contextLength: 1048576, maxOutputTokens: 65536 } },
+          { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', capabilities: { vision: true, tools: true, contextLength: 1048576, maxOutputTokens: 8192 } },
       ],
       sttModels: [
           { id: 'gemini-live-2.5-flash-preview', name: 'Gemini Live 2.5 Flash' }
       ],
+      embeddingModels: [
+          { id: 'text-embedding-004', name: 'Text Embedding 004' }
+      ],
   },
   'anthropic': {
       name: 'Anthropic',
       handler: () => require("./providers/anthropic"),
       llmModels: [
-          { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet' },
+          { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet', capabilities: { vision: true, tools: true, contextLength: 200000, maxOutputTokens: 8192 } },
+          { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4', capabilities: { vision: true, tools: true, contextLength: 200000, maxOutputTokens: 64000 } },
+          { id: 'claude-opus-4-20250514', name: 'Claude Opus 4', capabilities: { vision: true, tools: true, contextLength: 200000, maxOutputTokens: 32000 } },
+          { id: 'claude-3-5-haiku-20241022', name: 'Claude 3.5 Haiku', capabilities: { vision: true, tools: true, contextLength: 200000, maxOutputTokens: 8192 } },
       ],
       sttModels: [],
   },
@@ -70,6 +99,18 @@ const PROVIDERS = {
       handler: () => require("./providers/ollama"),
       llmModels: [], // Dynamic models populated from installed Ollama models
       sttModels: [], // Ollama doesn't support STT yet
+      embeddingModels: [
+          { id: 'nomic-embed-text', name: 'Nomic Embed Text' },
+          { id: 'mxbai-embed-large', name: 'mxbai Embed Large' },
+          { id: 'all-minilm', name: 'all-MiniLM' }
+      ],
+  },
+  'openai-compatible': {
+      name: 'OpenAI-Compatible',
+      handler: () => require("./providers/openaiCompatible"),
+      llmModels: [], // Discovered from the endpoint's /models
+      sttModels: [],
+      requiresEndpoint: true,
   },
   'whisper': {
       name: 'Whisper (Local)',
@@ -99,6 +140,11 @@ function sanitizeModelId(model) {
   return (typeof model === 'string') ? model.replace(/-glass$/, '') : model;
 }
 
+/**
+ * Streaming STT session: sendRealtimeInput(base64Pcm, mimeType) and close(). Every provider
+ * reports what it hears as TranscriptEvents through opts.callbacks.ontranscript
+ * (see transcriptEvents.js), alongside onerror and onclose.
+ */
 function createSTT(provider, opts) {
   if (provider === 'openai-glass') provider = 'openai';
   
@@ -112,6 +158,9 @@ function createSTT(provider, opts) {
   return handler.createSTT(opts);
 }
 
+/**
+ * Non-streaming LLM; its chat(messages) resolves to { content, usage: { inputTokens, outputTokens }, raw }
+ */
 function createLLM(provider, opts) {
   if (provider === 'openai-glass') provider = 'openai';
 
@@ -138,6 +187,31 @@ function createStreamingLLM(provider, opts) {
   return handler.createStreamingLLM(opts);
 }
 
+function createEmbedder(provider, opts = {}) {
+  if (provider === 'openai-glass') provider = 'openai';
+
+  const handler = PROVIDERS[provider]?.handler();
+  if (!handler?.createEmbedder) {
+      throw new Error(`Embeddings not supported for provider: ${provider}`);
+  }
+  if (opts.model) {
+    opts = { ...opts, model: sanitizeModelId(opts.model) };
+  }
+  return handler.createEmbedder(opts);
+}
+
+/**
+ * Fetch the models a provider offers to this key, or null when the provider has no listing API
+ * @returns {Promise<Array<{ id: string, name: string, contextLength?: number, maxOutputTokens?: number }>|null>}
+ */
+async function listModels(provider, opts = {}) {
+  if (provider === 'openai-glass') return null;
+
+  const handler = PROVIDERS[provider]?.handler();
+  if (!handler?.listModels) return null;
+  return handler.listModels(opts);
+}
+
 function getProviderClass(providerId) {
     const providerConfig = PROVIDERS[providerId];
     if (!providerConfig) return null;
@@ -158,6 +232,7 @@ function getProviderClass(providerId) {
         'gemini': 'GeminiProvider',
         'deepgram': 'DeepgramProvider',
         'ollama': 'OllamaProvider',
+        'openai-compatible': 'OpenAICompatibleProvider',
         'whisper': 'WhisperProvider'
     };
     
@@ -180,6 +255,8 @@ module.exports = {
   createSTT,
   createLLM,
   createStreamingLLM,
+  createEmbedder,
+  listModels,
   getProviderClass,
   getAvailableProviders,
 };
\ No newline at end of file
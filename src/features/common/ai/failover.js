@@ -0,0 +1,124 @@
+const RETRY_POLICY = {
+    retries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+};
+
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+/**
+ * HTTP status of a provider error. SDK errors carry `status`; the fetch-based providers only put
+ * it in the message ("OpenAI API error: 429 Too Many Requests").
+ * @returns {number|null}
+ */
+function getErrorStatus(error) {
+    if (!error) return null;
+    const status = error.status ?? error.statusCode ?? error.response?.status;
+    if (Number.isInteger(status)) return status;
+
+    const match = String(error.message || '').match(/\b(4\d\d|5\d\d)\b/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Rate limits, overload, 5xx and network failures are worth retrying; bad requests and auth errors are not
+ */
+function isRetryableError(error) {
+    if (!error || error.name === 'AbortError') return false;
+
+    const status = getErrorStatus(error);
+    if (status !== null) return RETRYABLE_STATUS.has(status);
+
+    const code = error.code || error.cause?.code;
+    if (code && NETWORK_ERROR_CODES.has(code)) return true;
+
+    return /fetch failed|network|socket hang up|timed? ?out|overloaded|rate limit/i.test(error.message || '');
+}
+
+/**
+ * Run a task, retrying retryable errors with exponential backoff and jitter
+ * @param {() => Promise<any>} task
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=500]
+ * @param {number} [options.maxDelayMs=8000]
+ * @param {AbortSignal} [options.signal] - Stops waiting and retrying
+ * @param {(error: Error, attempt: number, delayMs: number) => void} [options.onRetry]
+ */
+async function withRetry(task, { retries = RETRY_POLICY.retries, baseDelayMs = RETRY_POLICY.baseDelayMs, maxDelayMs = RETRY_POLICY.maxDelayMs, signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (signal?.aborted || attempt >= retries || !isRetryableError(error)) {
+                throw error;
+            }
+
+            const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+            if (onRetry) onRetry(error, attempt + 1, delayMs);
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Try each candidate model in order until one succeeds. Each candidate gets retries with backoff
+ * for retryable errors; any other failure moves on to the next candidate right away.
+ * @param {Array<{ provider: string, model: string, apiKey?: string }>} candidates - Primary model first
+ * @param {(candidate: Object) => Promise<any>} task
+ * @param {Object} [options] - withRetry options, plus:
+ * @param {(failure: { candidate: Object, error: Error, next: Object|null }) => void} [options.onFailover]
+ * @returns {Promise<{ result: any, candidate: Object, fallback: boolean, failures: Array }>}
+ */
+async function runWithFailover(candidates, task, { onFailover, ...retryOptions } = {}) {
+    if (!candidates || candidates.length === 0) {
+        throw new Error('AI model or API key not configured.');
+    }
+
+    const failures = [];
+    for (let i = 0; i < candidates.length; i++) {
+        const candidate = candidates[i];
+        try {
+            const result = await withRetry(() => task(candidate), retryOptions);
+            return { result, candidate, fallback: i > 0, failures };
+        } catch (error) {
+            if (retryOptions.signal?.aborted) throw error;
+
+            failures.push({ provider: candidate.provider, model: candidate.model, error: error.message });
+            const next = candidates[i + 1] || null;
+            console.warn(`[Failover] ${candidate.provider}/${candidate.model} failed: ${error.message}${next ? `; trying ${next.provider}/${next.model}` : ''}`);
+            if (next && onFailover) onFailover({ candidate, error, next });
+
+            if (!next) {
+                if (failures.length === 1) throw error;
+                const combined = new Error(`All models failed: ${failures.map(f => `${f.provider}/${f.model}: ${f.error}`).join('; ')}`);
+                combined.failures = failures;
+                throw combined;
+            }
+        }
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || new Error('Aborted'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = {
+    RETRY_POLICY,
+    getErrorStatus,
+    isRetryableError,
+    withRetry,
+    runWithFailover,
+};
@@ -0,0 +1,86 @@
+const { PROVIDERS } = require('./factory');
+
+const CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CAPABILITIES = {
+    vision: null,
+    tools: null,
+    streaming: true,
+    contextLength: null,
+    maxOutputTokens: null,
+};
+
+/**
+ * Capabilities of models that are listed by an API but not in the curated lists, by name.
+ * The first matching family wins.
+ */
+const MODEL_FAMILIES = [
+    { provider: 'openai', pattern: /^gpt-4\.1/, capabilities: { vision: true, tools: true, contextLength: 1047576, maxOutputTokens: 32768 } },
+    { provider: 'openai', pattern: /^(gpt-4o|chatgpt-4o)/, capabilities: { vision: true, tools: true, contextLength: 128000, maxOutputTokens: 16384 } },
+    { provider: 'openai', pattern: /^gpt-4-turbo/, capabilities: { vision: true, tools: true, contextLength: 128000, maxOutputTokens: 4096 } },
+    { provider: 'anthropic', pattern: /^claude-/, capabilities: { vision: true, tools: true, contextLength: 200000 } },
+    { provider: 'gemini', pattern: /^gemini-/, capabilities: { vision: true, tools: true, contextLength: 1048576 } },
+    { provider: 'ollama', pattern: /(llava|vision|-vl|gemma3|minicpm-v|moondream)/, capabilities: { vision: true } },
+    { provider: 'ollama', pattern: /^(llama3\.[123]|qwen2\.5|qwen3|mistral|mixtral|command-r)/, capabilities: { tools: true } },
+];
+
+/**
+ * Capabilities for a model: defaults, then what its family is known to support, then what
+ * the listing API reported about it
+ * @param {string} providerId
+ * @param {string} modelId
+ * @param {Object} [reported] - e.g. { contextLength, maxOutputTokens } from listModels()
+ * @returns {import('./factory').ModelCapabilities}
+ */
+function inferCapabilities(providerId, modelId, reported = {}) {
+    const family = MODEL_FAMILIES.find(entry => entry.provider === providerId && entry.pattern.test(modelId));
+    const capabilities = { ...DEFAULT_CAPABILITIES, ...family?.capabilities };
+
+    for (const key of Object.keys(DEFAULT_CAPABILITIES)) {
+        if (reported[key] != null) capabilities[key] = reported[key];
+    }
+    return capabilities;
+}
+
+/**
+ * Models a provider offers: the curated list first, in its order, then any other models the
+ * provider's API listed. Curated capabilities take precedence over inferred ones.
+ * @param {string} providerId
+ * @param {Array<{ id: string, name?: string }>} [discovered] - Cached listModels() result
+ * @returns {Array<{ id: string, name: string, capabilities: import('./factory').ModelCapabilities }>}
+ */
+function buildCatalog(providerId, discovered = []) {
+    const curated = PROVIDERS[providerId]?.llmModels || [];
+    const catalog = curated.map(model => ({
+        id: model.id,
+        name: model.name,
+        capabilities: { ...inferCapabilities(providerId, model.id), ...model.capabilities },
+    }));
+
+    const known = new Set(catalog.map(model => model.id));
+    const extra = discovered
+        .filter(model => model?.id && !known.has(model.id))
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map(model => ({
+            id: model.id,
+            name: model.name || model.id,
+            capabilities: inferCapabilities(providerId, model.id, model),
+        }));
+
+    return [...catalog, ...extra];
+}
+
+/**
+ * Whether a cached listing should be fetched again
+ * @param {number|null} fetchedAt - Epoch ms
+ */
+function isCatalogStale(fetchedAt) {
+    return !fetchedAt || Date.now() - fetchedAt > CATALOG_TTL_MS;
+}
+
+module.exports = {
+    DEFAULT_CAPABILITIES,
+    inferCapabilities,
+    buildCatalog,
+    isCatalogStale,
+};
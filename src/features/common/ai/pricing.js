@@ -0,0 +1,87 @@
+/**
+ * List prices in USD: per million tokens for LLMs, per minute of audio for STT.
+ * Models are matched by id prefix so dated snapshots (gpt-4o-2024-08-06) and the glass
+ * variants share their family's price; the first matching entry wins.
+ * Update these when providers change their prices. Models that are not listed are recorded
+ * with an unknown cost rather than a guess.
+ */
+const LLM_PRICES = [
+    { provider: 'openai', pattern: /^gpt-4\.1-nano/, input: 0.10, output: 0.40 },
+    { provider: 'openai', pattern: /^gpt-4\.1-mini/, input: 0.40, output: 1.60 },
+    { provider: 'openai', pattern: /^gpt-4\.1/, input: 2.00, output: 8.00 },
+    { provider: 'openai', pattern: /^gpt-4o-mini/, input: 0.15, output: 0.60 },
+    { provider: 'openai', pattern: /^(gpt-4o|chatgpt-4o)/, input: 2.50, output: 10.00 },
+    { provider: 'openai', pattern: /^gpt-4-turbo/, input: 10.00, output: 30.00 },
+    { provider: 'gemini', pattern: /^gemini-2\.5-pro/, input: 1.25, output: 10.00 },
+    { provider: 'gemini', pattern: /^gemini-2\.5-flash-lite/, input: 0.10, output: 0.40 },
+    { provider: 'gemini', pattern: /^gemini-2\.5-flash/, input: 0.30, output: 2.50 },
+    { provider: 'gemini', pattern: /^gemini-2\.0-flash-lite/, input: 0.075, output: 0.30 },
+    { provider: 'gemini', pattern: /^gemini-2\.0-flash/, input: 0.10, output: 0.40 },
+    { provider: 'anthropic', pattern: /^claude-opus-4/, input: 15.00, output: 75.00 },
+    { provider: 'anthropic', pattern: /^(claude-sonnet-4|claude-3-7-sonnet|claude-3-5-sonnet)/, input: 3.00, output: 15.00 },
+    { provider: 'anthropic', pattern: /^claude-3-5-haiku/, input: 0.80, output: 4.00 },
+];
+
+const STT_PRICES = [
+    { provider: 'openai', pattern: /^gpt-4o-mini-transcribe/, perMinute: 0.003 },
+    { provider: 'openai', pattern: /^(gpt-4o-transcribe|whisper-1)/, perMinute: 0.006 },
+    // Gemini Live bills about 25 audio tokens per second at its audio input rate
+    { provider: 'gemini', pattern: /^gemini-live/, perMinute: 0.0045 },
+    { provider: 'deepgram', pattern: /^nova-3/, perMinute: 0.0077 },
+];
+
+/** Providers that run on this machine */
+const LOCAL_PROVIDERS = new Set(['ollama', 'whisper']);
+
+function findPrice(table, provider, model) {
+    const family = provider === 'openai-glass' ? 'openai' : provider;
+    return table.find(entry => entry.provider === family && entry.pattern.test(model || '')) || null;
+}
+
+/**
+ * Cost of one LLM call
+ * @param {string} provider
+ * @param {string} model
+ * @param {{ inputTokens?: number|null, outputTokens?: number|null }} usage
+ * @returns {number|null} USD, or null when the model has no known price
+ */
+function estimateLlmCost(provider, model, { inputTokens, outputTokens } = {}) {
+    if (LOCAL_PROVIDERS.has(provider)) return 0;
+    const price = findPrice(LLM_PRICES, provider, model);
+    if (!price) return null;
+    return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * Cost of transcribing audio
+ * @param {string} provider
+ * @param {string} model
+ * @param {number} audioSeconds
+ * @returns {number|null} USD, or null when the model has no known price
+ */
+function estimateSttCost(provider, model, audioSeconds) {
+    if (LOCAL_PROVIDERS.has(provider)) return 0;
+    const price = findPrice(STT_PRICES, provider, model);
+    if (!price) return null;
+    return (audioSeconds / 60) * price.perMinute;
+}
+
+/**
+ * Duration of a base64 chunk of 16-bit mono PCM, at the rate in its mime type (24 kHz by default)
+ * @param {string} base64
+ * @param {string} [mimeType] - e.g. 'audio/pcm;rate=24000'
+ * @returns {number} Seconds
+ */
+function pcmAudioSeconds(base64, mimeType) {
+    const rate = Number(/rate=(\d+)/.exec(mimeType || '')?.[1]) || 24000;
+    const bytes = Math.floor(((base64?.length || 0) * 3) / 4);
+    return bytes / (rate * 2);
+}
+
+module.exports = {
+    LLM_PRICES,
+    STT_PRICES,
+    estimateLlmCost,
+    estimateSttCost,
+    pcmAudioSeconds,
+};
@@ -1,4 +1,14 @@
 const { Anthropic } = require("@anthropic-ai/sdk")
+const { STOP_REASONS, createEventResponse } = require("../streamEvents")
+const { parseToolArguments } = require("../tools")
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: STOP_REASONS.COMPLETE,
+  max_tokens: STOP_REASONS.MAX_TOKENS,
+  stop_sequence: STOP_REASONS.STOP_SEQUENCE,
+  tool_use: STOP_REASONS.TOOL_USE,
+  refusal: STOP_REASONS.CONTENT_FILTER,
+}
 
 class AnthropicProvider {
     static async validateApiKey(key) {
@@ -178,6 +188,7 @@ function createLLM({ apiKey, model = "claude-3-5-sonnet-20241022", temperature =
 
       return {
         content: response.content[0].text,
+        usage: { inputTokens: response.usage?.input_tokens ?? null, outputTokens: response.usage?.output_tokens ?? null },
         raw: response,
       }
     },
@@ -203,7 +214,7 @@ function createStreamingLLM({
   const client = new Anthropic({ apiKey })
 
   return {
-    streamChat: async (messages) => {
+    streamChat: async (messages, { tools = [], toolChoice = "auto" } = {}) => {
       console.log("[Anthropic Provider] Starting streaming request")
 
       let systemPrompt = ""
@@ -212,6 +223,15 @@ function createStreamingLLM({
       for (const msg of messages) {
         if (msg.role === "system") {
           systemPrompt = msg.content
+        } else if (msg.role === "tool") {
+          // Results of one turn's tool calls go back together in a single user message
+          const result = { type: "tool_result", tool_use_id: msg.toolCallId, content: msg.content }
+          const previous = anthropicMessages[anthropicMessages.length - 1]
+          if (previous && previous.role === "user" && previous.content.every((block) => block.type === "tool_result")) {
+            previous.content.push(result)
+          } else {
+            anthropicMessages.push({ role: "user", content: [result] })
+          }
         } else {
           // Handle multimodal content
           let content
@@ -243,7 +263,11 @@ function createStreamingLLM({
               }
             }
           } else {
-            content = [{ type: "text", text: msg.content }]
+            content = msg.content ? [{ type: "text", text: msg.content }] : []
+          }
+
+          for (const call of msg.toolCalls || []) {
+            content.push({ type: "tool_use", id: call.id, name: call.name, input: call.arguments || {} })
           }
 
           anthropicMessages.push({
@@ -253,75 +277,89 @@ function createStreamingLLM({
         }
       }
 
-      // Create a ReadableStream to handle Anthropic's streaming
-      const stream = new ReadableStream({
-        async start(controller) {
-          try {
-            console.log("[Anthropic Provider] Processing messages:", anthropicMessages.length, "messages")
-
-            let chunkCount = 0
-            let totalContent = ""
-
-            // Stream the response
-            const stream = await client.messages.create({
-              model: model,
-              max_tokens: maxTokens,
-              temperature: temperature,
-              system: systemPrompt || undefined,
-              messages: anthropicMessages,
-              stream: true,
-            })
-
-            for await (const chunk of stream) {
-              if (chunk.type === "content_block_delta" && chunk.delta.type === "text_delta") {
-                chunkCount++
-                const chunkText = chunk.delta.text || ""
-                totalContent += chunkText
-
-                // Format as SSE data
-                const data = JSON.stringify({
-                  choices: [
-                    {
-                      delta: {
-                        content: chunkText,
-                      },
-                    },
-                  ],
-                })
-                controller.enqueue(new TextEncoder().encode(`data: ${data}\n\n`))
-              }
-            }
+      console.log("[Anthropic Provider] Processing messages:", anthropicMessages.length, "messages")
 
-            console.log(
-              `[Anthropic Provider] Streamed ${chunkCount} chunks, total length: ${totalContent.length} chars`,
-            )
-
-            // Send the final done message
-            controller.enqueue(new TextEncoder().encode("data: [DONE]\n\n"))
-            controller.close()
-            console.log("[Anthropic Provider] Streaming completed successfully")
-          } catch (error) {
-            console.error("[Anthropic Provider] Streaming error:", error)
-            controller.error(error)
-          }
-        },
+      // Start the request before returning so request errors reach the caller
+      const stream = await client.messages.create({
+        model: model,
+        max_tokens: maxTokens,
+        temperature: temperature,
+        system: systemPrompt || undefined,
+        messages: anthropicMessages,
+        ...(tools.length > 0 && {
+          tools: tools.map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+          tool_choice: { type: toolChoice },
+        }),
+        stream: true,
       })
 
-      // Create a Response object with the stream
-      return new Response(stream, {
-        headers: {
-          "Content-Type": "text/event-stream",
-          "Cache-Control": "no-cache",
-          Connection: "keep-alive",
-        },
+      return createEventResponse(async (emit) => {
+        let chunkCount = 0
+        let totalContent = ""
+        let inputTokens = null
+        let toolCall = null
+
+        for await (const chunk of stream) {
+          if (chunk.type === "message_start") {
+            inputTokens = chunk.message.usage?.input_tokens ?? null
+            emit({ type: "start", model: chunk.message.model || model })
+            emit({ type: "usage", inputTokens, outputTokens: chunk.message.usage?.output_tokens ?? null })
+          } else if (chunk.type === "content_block_start" && chunk.content_block.type === "tool_use") {
+            toolCall = { id: chunk.content_block.id, name: chunk.content_block.name, json: "" }
+          } else if (chunk.type === "content_block_delta" && chunk.delta.type === "input_json_delta") {
+            if (toolCall) toolCall.json += chunk.delta.partial_json || ""
+          } else if (chunk.type === "content_block_stop" && toolCall) {
+            emit({ type: "tool_call", id: toolCall.id, name: toolCall.name, arguments: parseToolArguments(toolCall.json) })
+            toolCall = null
+          } else if (chunk.type === "content_block_delta" && chunk.delta.type === "text_delta") {
+            chunkCount++
+            const chunkText = chunk.delta.text || ""
+            totalContent += chunkText
+            emit({ type: "text", text: chunkText })
+          } else if (chunk.type === "message_delta") {
+            if (chunk.usage) {
+              emit({ type: "usage", inputTokens, outputTokens: chunk.usage.output_tokens })
+            }
+            if (chunk.delta?.stop_reason) {
+              emit({ type: "stop", reason: ANTHROPIC_STOP_REASONS[chunk.delta.stop_reason] || chunk.delta.stop_reason })
+            }
+          }
+        }
+
+        console.log(
+          `[Anthropic Provider] Streamed ${chunkCount} chunks, total length: ${totalContent.length} chars`,
+        )
       })
     },
   }
 }
 
+/**
+ * Lists the models available to a key
+ * @param {object} opts
+ * @param {string} opts.apiKey - Anthropic API key
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function listModels({ apiKey }) {
+    const response = await fetch("https://api.anthropic.com/v1/models?limit=100", {
+        headers: {
+            "x-api-key": apiKey,
+            "anthropic-version": "2023-06-01",
+        },
+        signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+        throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
+    }
+
+    const { data = [] } = await response.json();
+    return data.map(model => ({ id: model.id, name: model.display_name || model.id }));
+}
+
 module.exports = {
     AnthropicProvider,
     createSTT,
     createLLM,
-    createStreamingLLM
+    createStreamingLLM,
+    listModels
 };
@@ -2,6 +2,7 @@
 
 const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
 const WebSocket = require('ws');
+const { createTranscriptEvent } = require('../transcriptEvents');
 
 /**
  * Deepgram Provider 클래스. API 키 유효성 검사를 담당합니다.
@@ -36,11 +37,24 @@ class DeepgramProvider {
     }
 }
 
+/**
+ * Creates a Deepgram live transcription session
+ * @param {object} opts
+ * @param {string} opts.apiKey
+ * @param {string} [opts.language='en-US']
+ * @param {number} [opts.sampleRate=24000]
+ * @param {object} [opts.callbacks] - { ontranscript, onerror, onclose }; see transcriptEvents.js
+ * @param {string} [opts.sessionType] - Reported as the channel of transcript events
+ * @param {boolean} [opts.diarize=false] - Tell speakers apart; events then carry a speaker index
+ * @returns {Promise<object>} STT session
+ */
 function createSTT({
     apiKey,
     language = 'en-US',
     sampleRate = 24000,
     callbacks = {},
+    sessionType = null,
+    diarize = false,
   }) {
     const qs = new URLSearchParams({
       model: 'nova-3',
@@ -51,6 +65,7 @@ function createSTT({
       interim_results: 'true',
       channels: '1',
     });
+    if (diarize) qs.set('diarize', 'true');
   
     const url = `wss://api.deepgram.com/v1/listen?${qs}`;
   
@@ -68,7 +83,8 @@ function createSTT({
       ws.on('open', () => {
         clearTimeout(to);
         resolve({
-          sendRealtimeInput: (buf) => ws.send(buf),
+          // Base64 16-bit PCM at the session's sample rate
+          sendRealtimeInput: (data) => ws.send(Buffer.from(data, 'base64')),
           close: () => ws.close(1000, 'client'),
         });
       });
@@ -76,8 +92,45 @@ function createSTT({
       ws.on('message', raw => {
         let msg;
         try { msg = JSON.parse(raw.toString()); } catch { return; }
-        if (msg.channel?.alternatives?.[0]?.transcript !== undefined) {
-          callbacks.onmessage?.({ provider: 'deepgram', ...msg });
+        const alternative = msg.channel?.alternatives?.[0];
+        const text = alternative?.transcript?.trim();
+        if (!text) return;
+
+        const words = alternative.words?.map(word => ({
+          word: word.punctuated_word || word.word,
+          start: word.start ?? null,
+          end: word.end ?? null,
+          confidence: word.confidence ?? null,
+          ...(diarize ? { speaker: word.speaker ?? null } : {}),
+        })) || null;
+        const fields = {
+          provider: 'deepgram',
+          text,
+          confidence: alternative.confidence ?? null,
+          words,
+          channel: sessionType,
+        };
+
+        // Interim results repeat the whole segment so far; is_final closes the segment
+        if (!msg.is_final) {
+          // Whoever spoke last is the one still talking
+          const speaker = diarize ? words?.[words.length - 1]?.speaker ?? null : null;
+          callbacks.ontranscript?.(createTranscriptEvent('partial', { ...fields, speaker }));
+          return;
+        }
+        if (!diarize || !words?.length) {
+          callbacks.ontranscript?.(createTranscriptEvent('final', fields));
+          return;
+        }
+        // A final segment can span several speakers; report each stretch as its own final
+        for (const group of groupBySpeaker(words)) {
+          callbacks.ontranscript?.(createTranscriptEvent('final', {
+            ...fields,
+            text: group.map(word => word.word).join(' '),
+            confidence: average(group.map(word => word.confidence)),
+            words: group,
+            speaker: group[0].speaker,
+          }));
         }
       });
   
@@ -103,6 +156,24 @@ function createStreamingLLM(opts) {
   return { streamChat: async () => { throw new Error("Deepgram does not support Streaming LLM functionality."); } };
 }
 
+function groupBySpeaker(words) {
+  const groups = [];
+  for (const word of words) {
+    const current = groups[groups.length - 1];
+    if (current && current[0].speaker === word.speaker) {
+      current.push(word);
+    } else {
+      groups.push([word]);
+    }
+  }
+  return groups;
+}
+
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
 module.exports = {
     DeepgramProvider,
     createSTT,
@@ -1,5 +1,16 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai")
 const { GoogleGenAI } = require("@google/genai")
+const { STOP_REASONS, createEventResponse } = require("../streamEvents")
+const { createTranscriptEvent } = require("../transcriptEvents")
+
+const GEMINI_STOP_REASONS = {
+  STOP: STOP_REASONS.COMPLETE,
+  MAX_TOKENS: STOP_REASONS.MAX_TOKENS,
+  SAFETY: STOP_REASONS.CONTENT_FILTER,
+  RECITATION: STOP_REASONS.CONTENT_FILTER,
+  BLOCKLIST: STOP_REASONS.CONTENT_FILTER,
+  PROHIBITED_CONTENT: STOP_REASONS.CONTENT_FILTER,
+}
 
 class GeminiProvider {
     static async validateApiKey(key) {
@@ -31,24 +42,44 @@ class GeminiProvider {
  * @param {object} opts - Configuration options
  * @param {string} opts.apiKey - Gemini API key
  * @param {string} [opts.language='en-US'] - Language code
- * @param {object} [opts.callbacks] - Event callbacks
+ * @param {object} [opts.callbacks] - { ontranscript, onerror, onclose }; see transcriptEvents.js
+ * @param {string} [opts.sessionType] - Reported as the channel of transcript events
  * @returns {Promise<object>} STT session
  */
-async function createSTT({ apiKey, language = "en-US", callbacks = {}, ...config }) {
+async function createSTT({ apiKey, language = "en-US", callbacks = {}, sessionType = null, ...config }) {
   const liveClient = new GoogleGenAI({ vertexai: false, apiKey })
 
   // Language code BCP-47 conversion
   const lang = language.includes("-") ? language : `${language}-US`
 
+  const emit = (type, fields) => callbacks.ontranscript?.(
+    createTranscriptEvent(type, { provider: "gemini", channel: sessionType, ...fields })
+  )
+  // Gemini sends the transcription of a turn in fragments; partials carry the turn so far
+  let turnText = ""
+
   const session = await liveClient.live.connect({
 
     model: 'gemini-live-2.5-flash-preview',
     callbacks: {
-      ...callbacks,
-      onMessage: (msg) => {
+      onerror: callbacks.onerror,
+      onclose: callbacks.onclose,
+      onmessage: (msg) => {
         if (!msg || typeof msg !== 'object') return;
-        msg.provider = 'gemini';
-        callbacks.onmessage?.(msg);
+        const content = msg.serverContent
+
+        const chunk = content?.inputTranscription?.text
+        if (chunk && chunk.trim() && chunk.trim() !== "<noise>") {
+          turnText += chunk
+          emit("partial", { text: turnText.trim() })
+        }
+
+        if (content?.turnComplete) {
+          const text = turnText.trim()
+          turnText = ""
+          if (text) emit("final", { text })
+          emit("turn_end", {})
+        }
       }
     },
 
@@ -59,7 +90,9 @@ async function createSTT({ apiKey, language = "en-US", callbacks = {}, ...config
   })
 
   return {
-    sendRealtimeInput: async (payload) => session.sendRealtimeInput(payload),
+    // Base64 16-bit PCM; the mime type carries the sample rate
+    sendRealtimeInput: async (data, mimeType = "audio/pcm;rate=24000") =>
+      session.sendRealtimeInput({ audio: { data, mimeType } }),
     close: async () => session.close(),
   }
 }
@@ -192,6 +225,10 @@ function createLLM({ apiKey, model = "gemini-2.5-flash", temperature = 0.7, maxT
       // Return plain text content
       return {
         content: response.text(),
+        usage: {
+          inputTokens: response.usageMetadata?.promptTokenCount ?? null,
+          outputTokens: response.usageMetadata?.candidatesTokenCount ?? null,
+        },
         raw: result,
       }
     },
@@ -205,7 +242,7 @@ function createStreamingLLM({ apiKey, model = "gemini-2.5-flash", temperature =
   const client = new GoogleGenerativeAI(apiKey)
 
   return {
-    streamChat: async (messages) => {
+    streamChat: async (messages, { tools = [], toolChoice = "auto" } = {}) => {
       console.log("[Gemini Provider] Starting streaming request")
 
       let systemInstruction = ""
@@ -235,94 +272,173 @@ function createStreamingLLM({ apiKey, model = "gemini-2.5-flash", temperature =
         generationConfig: {
           temperature,
           maxOutputTokens: maxTokens || 8192,
-          // Force plain text responses
-          responseMimeType: "text/plain",
+          // Force plain text responses (Gemini rejects a response MIME type alongside function calling)
+          ...(tools.length === 0 && { responseMimeType: "text/plain" }),
         },
+        ...(tools.length > 0 && {
+          tools: [
+            {
+              functionDeclarations: tools.map((tool) => ({
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters,
+              })),
+            },
+          ],
+          toolConfig: { functionCallingConfig: { mode: toolChoice === "none" ? "NONE" : "AUTO" } },
+        }),
       })
 
-      const stream = new ReadableStream({
-        async start(controller) {
-          try {
-            const lastMessage = nonSystemMessages[nonSystemMessages.length - 1]
-            let geminiContent = []
-
-            if (Array.isArray(lastMessage.content)) {
-              for (const part of lastMessage.content) {
-                if (typeof part === "string") {
-                  geminiContent.push(part)
-                } else if (part.type === "text") {
-                  geminiContent.push(part.text)
-                } else if (part.type === "image_url" && part.image_url) {
-                  const base64Data = part.image_url.url.split(",")[1]
-                  geminiContent.push({
-                    inlineData: {
-                      mimeType: "image/png",
-                      data: base64Data,
-                    },
-                  })
-                }
-              }
-            } else {
-              geminiContent = [lastMessage.content]
-            }
+      // Gemini expects alternating user/model turns; tool results go back as function turns
+      const contents = []
+      for (const msg of nonSystemMessages) {
+        let role
+        let parts
+        if (msg.role === "tool") {
+          role = "function"
+          parts = [{ functionResponse: { name: msg.name, response: { content: msg.content } } }]
+        } else {
+          role = msg.role === "assistant" ? "model" : "user"
+          parts = msg.content ? toGeminiParts(msg.content) : []
+          for (const call of msg.toolCalls || []) {
+            parts.push({ functionCall: { name: call.name, args: call.arguments || {} } })
+          }
+        }
+        const previous = contents[contents.length - 1]
+        if (previous && previous.role === role) {
+          previous.parts.push(...parts)
+        } else {
+          contents.push({ role, parts })
+        }
+      }
 
-            const contentParts = geminiContent.map((part) => {
-              if (typeof part === "string") {
-                return { text: part }
-              } else if (part.inlineData) {
-                return { inlineData: part.inlineData }
-              }
-              return part
-            })
+      // Start the request before returning so request errors reach the caller
+      const result = await geminiModel.generateContentStream({ contents })
 
-            const result = await geminiModel.generateContentStream({
-              contents: [
-                {
-                  role: "user",
-                  parts: contentParts,
-                },
-              ],
-            })
+      return createEventResponse(async (emit) => {
+        let started = false
+        // Gemini has no call ids; number the calls so results can be matched up
+        let callCount = 0
+
+        for await (const chunk of result.stream) {
+          if (!started) {
+            emit({ type: "start", model: chunk.modelVersion || model })
+            started = true
+          }
+
+          const chunkText = chunk.candidates?.[0]?.content?.parts
+            ?.map((part) => part.text || "")
+            .join("")
+          if (chunkText) {
+            emit({ type: "text", text: chunkText })
+          }
 
-            for await (const chunk of result.stream) {
-              const chunkText = chunk.text() || ""
-
-              // Format as SSE data - this should now be plain text
-              const data = JSON.stringify({
-                choices: [
-                  {
-                    delta: {
-                      content: chunkText,
-                    },
-                  },
-                ],
-              })
-              controller.enqueue(new TextEncoder().encode(`data: ${data}\n\n`))
+          for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+            if (part.functionCall) {
+              callCount++
+              emit({ type: "tool_call", id: `call_${callCount}`, name: part.functionCall.name, arguments: part.functionCall.args || {} })
             }
+          }
 
-            controller.enqueue(new TextEncoder().encode("data: [DONE]\n\n"))
-            controller.close()
-          } catch (error) {
-            console.error("[Gemini Provider] Streaming error:", error)
-            controller.error(error)
+          const finishReason = chunk.candidates?.[0]?.finishReason
+          if (finishReason) {
+            const reason = callCount > 0 && finishReason === "STOP"
+              ? STOP_REASONS.TOOL_USE
+              : GEMINI_STOP_REASONS[finishReason] || finishReason.toLowerCase()
+            emit({ type: "stop", reason })
           }
-        },
+          if (chunk.usageMetadata) {
+            emit({
+              type: "usage",
+              inputTokens: chunk.usageMetadata.promptTokenCount ?? null,
+              outputTokens: chunk.usageMetadata.candidatesTokenCount ?? null,
+            })
+          }
+        }
       })
+    },
+  }
+}
+
+/**
+ * Converts OpenAI-style message content into Gemini parts
+ */
+function toGeminiParts(content) {
+  if (!Array.isArray(content)) {
+    return [{ text: content }]
+  }
 
-      return new Response(stream, {
-        headers: {
-          "Content-Type": "text/event-stream",
-          "Cache-Control": "no-cache",
-          Connection: "keep-alive",
+  const parts = []
+  for (const part of content) {
+    if (typeof part === "string") {
+      parts.push({ text: part })
+    } else if (part.type === "text") {
+      parts.push({ text: part.text })
+    } else if (part.type === "image_url" && part.image_url) {
+      parts.push({
+        inlineData: {
+          mimeType: "image/png",
+          data: part.image_url.url.split(",")[1],
         },
       })
+    }
+  }
+  return parts
+}
+
+/**
+ * Creates a Gemini embedder
+ * @param {object} opts - Configuration options
+ * @param {string} opts.apiKey - Gemini API key
+ * @param {string} [opts.model='text-embedding-004'] - Embedding model
+ * @returns {{ model: string, embed: (texts: string[]) => Promise<number[][]> }}
+ */
+function createEmbedder({ apiKey, model = "text-embedding-004", ...config }) {
+  const client = new GoogleGenerativeAI(apiKey)
+  const embeddingModel = client.getGenerativeModel({ model })
+
+  return {
+    model,
+    embed: async (texts) => {
+      const result = await embeddingModel.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: "user", parts: [{ text }] } })),
+      })
+      return result.embeddings.map(embedding => embedding.values)
     },
   }
 }
 
+/**
+ * Lists the models that can generate content, with the token limits the API reports
+ * @param {object} opts
+ * @param {string} opts.apiKey - Gemini API key
+ * @returns {Promise<Array<{ id: string, name: string, contextLength: number, maxOutputTokens: number }>>}
+ */
+async function listModels({ apiKey }) {
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=200&key=${apiKey}`, {
+        signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+        throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
+    }
+
+    const { models = [] } = await response.json();
+    return models
+        .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+        .map(model => ({
+            id: model.name.replace(/^models\//, ''),
+            name: model.displayName || model.name,
+            contextLength: model.inputTokenLimit,
+            maxOutputTokens: model.outputTokenLimit,
+        }))
+        .filter(model => /^gemini-/.test(model.id) && !/(embedding|tts|image|live|native-audio)/.test(model.id));
+}
+
 module.exports = {
     GeminiProvider,
     createSTT,
     createLLM,
-    createStreamingLLM
+    createStreamingLLM,
+    createEmbedder,
+    listModels
 };
@@ -1,5 +1,6 @@
 const http = require('http');
 const fetch = require('node-fetch');
+const { STOP_REASONS, createEventResponse } = require('../streamEvents');
 
 // Request Queue System for Ollama API (only for non-streaming requests)
 class RequestQueue {
@@ -92,6 +93,16 @@ class OllamaProvider {
 
 function convertMessagesToOllamaFormat(messages) {
     return messages.map(msg => {
+        if (msg.role === 'tool') {
+            return { role: 'tool', content: msg.content, tool_name: msg.name };
+        }
+        if (msg.role === 'assistant' && msg.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: msg.content || '',
+                tool_calls: msg.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+            };
+        }
         if (Array.isArray(msg.content)) {
             let textContent = '';
             const images = [];
@@ -216,6 +227,7 @@ function createLLM({
                     
                     return {
                         content: result.message.content,
+                        usage: { inputTokens: result.prompt_eval_count ?? null, outputTokens: result.eval_count ?? null },
                         raw: result
                     };
                 } catch (error) {
@@ -238,7 +250,7 @@ function createStreamingLLM({
         throw new Error('Model parameter is required for Ollama streaming LLM. Please specify a model name (e.g., "llama3.2:latest", "gemma3:4b")');
     }
     return {
-        streamChat: async (messages) => {
+        streamChat: async (messages, { tools = [], toolChoice = 'auto' } = {}) => {
             console.log('[Ollama Provider] Starting streaming request');
 
             const ollamaMessages = convertMessagesToOllamaFormat(messages);
@@ -254,6 +266,13 @@ function createStreamingLLM({
                             model,
                             messages: ollamaMessages,
                             stream: true,
+                            // Ollama has no tool_choice and takes earlier tool turns without definitions
+                            ...(tools.length > 0 && toolChoice !== 'none' && {
+                                tools: tools.map(tool => ({
+                                    type: 'function',
+                                    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                                }))
+                            }),
                             options: {
                                 temperature,
                                 num_predict: maxTokens,
@@ -267,63 +286,53 @@ function createStreamingLLM({
 
                     console.log('[Ollama Provider] Got streaming response');
 
-                    const stream = new ReadableStream({
-                        async start(controller) {
-                            let buffer = '';
-
-                            try {
-                                response.body.on('data', (chunk) => {
-                                    buffer += chunk.toString();
-                                    const lines = buffer.split('\n');
-                                    buffer = lines.pop() || '';
-
-                                    for (const line of lines) {
-                                        if (line.trim() === '') continue;
-                                        
-                                        try {
-                                            const data = JSON.parse(line);
-                                            
-                                            if (data.message?.content) {
-                                                const sseData = JSON.stringify({
-                                                    choices: [{
-                                                        delta: {
-                                                            content: data.message.content
-                                                        }
-                                                    }]
-                                                });
-                                                controller.enqueue(new TextEncoder().encode(`data: ${sseData}\n\n`));
-                                            }
-                                            
-                                            if (data.done) {
-                                                controller.enqueue(new TextEncoder().encode('data: [DONE]\n\n'));
-                                            }
-                                        } catch (e) {
-                                            console.error('[Ollama Provider] Failed to parse chunk:', e);
-                                        }
-                                    }
-                                });
-
-                                response.body.on('end', () => {
-                                    controller.close();
-                                    console.log('[Ollama Provider] Streaming completed');
-                                });
-
-                                response.body.on('error', (error) => {
-                                    console.error('[Ollama Provider] Streaming error:', error);
-                                    controller.error(error);
-                                });
-                                
-                            } catch (error) {
-                                console.error('[Ollama Provider] Streaming setup error:', error);
-                                controller.error(error);
+                    return createEventResponse(async (emit) => {
+                        let buffer = '';
+                        let started = false;
+                        let callCount = 0;
+
+                        // Ollama streams newline-delimited JSON rather than SSE
+                        for await (const chunk of response.body) {
+                            buffer += chunk.toString();
+                            const lines = buffer.split('\n');
+                            buffer = lines.pop() || '';
+
+                            for (const line of lines) {
+                                if (line.trim() === '') continue;
+
+                                let data;
+                                try {
+                                    data = JSON.parse(line);
+                                } catch (e) {
+                                    console.error('[Ollama Provider] Failed to parse chunk:', e);
+                                    continue;
+                                }
+
+                                if (data.error) {
+                                    throw new Error(`Ollama error: ${data.error}`);
+                                }
+                                if (!started) {
+                                    emit({ type: 'start', model: data.model || model });
+                                    started = true;
+                                }
+                                if (data.message?.content) {
+                                    emit({ type: 'text', text: data.message.content });
+                                }
+                                for (const call of data.message?.tool_calls || []) {
+                                    callCount++;
+                                    emit({ type: 'tool_call', id: `call_${callCount}`, name: call.function.name, arguments: call.function.arguments || {} });
+                                }
+                                if (data.done) {
+                                    emit({ type: 'usage', inputTokens: data.prompt_eval_count ?? null, outputTokens: data.eval_count ?? null });
+                                    const reason = data.done_reason === 'length'
+                                        ? STOP_REASONS.MAX_TOKENS
+                                        : callCount > 0 ? STOP_REASONS.TOOL_USE : STOP_REASONS.COMPLETE;
+                                    emit({ type: 'stop', reason });
+                                }
                             }
                         }
+                        console.log('[Ollama Provider] Streaming completed');
                     });
-
-                    return {
-                        ok: true,
-                        body: stream
-                    };
                     
                 } catch (error) {
                     console.error('[Ollama Provider] Request error:', error);
@@ -334,9 +343,39 @@ function createStreamingLLM({
     };
 }
 
+/**
+ * Creates an Ollama embedder. Runs entirely on the local Ollama server.
+ * @param {object} opts
+ * @param {string} [opts.model='nomic-embed-text'] - Installed embedding model
+ * @param {string} [opts.baseUrl='http://localhost:11434']
+ * @returns {{ model: string, embed: (texts: string[]) => Promise<number[][]> }}
+ */
+function createEmbedder({ model = 'nomic-embed-text', baseUrl = 'http://localhost:11434', ...config }) {
+    return {
+        model,
+        embed: async (texts) => {
+            return await requestQueue.add(async () => {
+                const response = await fetch(`${baseUrl}/api/embed`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ model, input: texts })
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+                }
+
+                const result = await response.json();
+                return result.embeddings;
+            });
+        }
+    };
+}
+
 module.exports = {
     OllamaProvider,
     createLLM,
     createStreamingLLM,
+    createEmbedder,
     convertMessagesToOllamaFormat
 }; 
\ No newline at end of file
@@ -3,6 +3,17 @@ const WebSocket = require('ws');
 const { Portkey } = require('portkey-ai');
 const { Readable } = require('stream');
 const { getProviderForModel } = require('../factory.js');
+const { STOP_REASONS, createEventResponse, readSseData } = require('../streamEvents');
+const { parseToolArguments } = require('../tools');
+const { createTranscriptEvent } = require('../transcriptEvents');
+
+const OPENAI_STOP_REASONS = {
+    stop: STOP_REASONS.COMPLETE,
+    length: STOP_REASONS.MAX_TOKENS,
+    content_filter: STOP_REASONS.CONTENT_FILTER,
+    tool_calls: STOP_REASONS.TOOL_USE,
+    function_call: STOP_REASONS.TOOL_USE,
+};
 
 
 class OpenAIProvider {
@@ -36,12 +47,13 @@ class OpenAIProvider {
  * @param {object} opts - Configuration options
  * @param {string} opts.apiKey - OpenAI API key
  * @param {string} [opts.language='en'] - Language code
- * @param {object} [opts.callbacks] - Event callbacks
+ * @param {object} [opts.callbacks] - { ontranscript, onerror, onclose }; see transcriptEvents.js
  * @param {boolean} [opts.usePortkey=false] - Whether to use Portkey
  * @param {string} [opts.portkeyVirtualKey] - Portkey virtual key
+ * @param {string} [opts.sessionType] - Reported as the channel of transcript events
  * @returns {Promise<object>} STT session
  */
-async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey = false, portkeyVirtualKey, ...config }) {
+async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey = false, portkeyVirtualKey, sessionType = null, ...config }) {
   const keyType = usePortkey ? 'vKey' : 'apiKey';
   const key = usePortkey ? (portkeyVirtualKey || apiKey) : apiKey;
 
@@ -61,6 +73,11 @@ async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey =
       };
 
   const ws = new WebSocket(wsUrl, { headers });
+  const emit = (type, fields) => callbacks.ontranscript?.(
+    createTranscriptEvent(type, { provider: 'openai', channel: sessionType, ...fields })
+  );
+  // Deltas of the utterance being transcribed
+  let partialText = '';
 
   return new Promise((resolve, reject) => {
     ws.onopen = () => {
@@ -102,6 +119,7 @@ async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey =
       };
 
       resolve({
+        // Base64 16-bit PCM at 24 kHz
         sendRealtimeInput: (audioData) => {
           if (ws.readyState === WebSocket.OPEN) {
             const message = {
@@ -133,8 +151,22 @@ async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey =
 
       if (!msg || typeof msg !== 'object') return;
 
-      msg.provider = 'openai';                // ← 항상 명시
-      callbacks.onmessage?.(msg);
+      if (msg.type === 'error' || msg.error) {
+        console.error('[OpenAI STT] Session error:', msg.error);
+        callbacks.onerror?.(new Error(msg.error?.message || 'OpenAI transcription error'));
+        return;
+      }
+
+      if (msg.type === 'conversation.item.input_audio_transcription.delta') {
+        // Audio placeholder tokens occasionally leak into deltas
+        if (!msg.delta || msg.delta.includes('vq_lbr_audio_')) return;
+        partialText += msg.delta;
+        emit('partial', { text: partialText.trim() });
+      } else if (msg.type === 'conversation.item.input_audio_transcription.completed') {
+        partialText = '';
+        const text = (msg.transcript || '').trim();
+        if (text) emit('final', { text });
+      }
     };
 
     ws.onerror = (error) => {
@@ -163,10 +195,12 @@ async function createSTT({ apiKey, language = 'en', callbacks = {}, usePortkey =
  * @param {number} [opts.maxTokens=2048] - Max tokens
  * @param {boolean} [opts.usePortkey=false] - Whether to use Portkey
  * @param {string} [opts.portkeyVirtualKey] - Portkey virtual key
+ * @param {string} [opts.baseUrl] - API base URL for OpenAI-compatible servers, e.g. http://localhost:8000/v1
+ * @param {object} [opts.headers] - Extra request headers
  * @returns {object} LLM instance
  */
-function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2048, usePortkey = false, portkeyVirtualKey, ...config }) {
-  const client = new OpenAI({ apiKey });
+function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2048, usePortkey = false, portkeyVirtualKey, baseUrl, headers, ...config }) {
+  const client = new OpenAI({ apiKey: apiKey || 'none', baseURL: baseUrl, defaultHeaders: headers });
   
   const callApi = async (messages) => {
     if (!usePortkey) {
@@ -178,6 +212,7 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
       });
       return {
         content: response.choices[0].message.content.trim(),
+        usage: { inputTokens: response.usage?.prompt_tokens ?? null, outputTokens: response.usage?.completion_tokens ?? null },
         raw: response
       };
     } else {
@@ -204,6 +239,7 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
       const result = await response.json();
       return {
         content: result.choices[0].message.content.trim(),
+        usage: { inputTokens: result.usage?.prompt_tokens ?? null, outputTokens: result.usage?.completion_tokens ?? null },
         raw: result
       };
     }
@@ -259,14 +295,16 @@ function createLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2
  * @param {number} [opts.maxTokens=2048] - Max tokens
  * @param {boolean} [opts.usePortkey=false] - Whether to use Portkey
  * @param {string} [opts.portkeyVirtualKey] - Portkey virtual key
+ * @param {string} [opts.baseUrl] - API base URL for OpenAI-compatible servers, e.g. http://localhost:8000/v1
+ * @param {object} [opts.headers] - Extra request headers
  * @returns {object} Streaming LLM instance
  */
-function createStreamingLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2048, usePortkey = false, portkeyVirtualKey, ...config }) {
+function createStreamingLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxTokens = 2048, usePortkey = false, portkeyVirtualKey, baseUrl, headers: extraHeaders, ...config }) {
   return {
-    streamChat: async (messages) => {
+    streamChat: async (messages, { tools = [], toolChoice = 'auto' } = {}) => {
       const fetchUrl = usePortkey 
         ? 'https://api.portkey.ai/v1/chat/completions'
-        : 'https://api.openai.com/v1/chat/completions';
+        : `${baseUrl || 'https://api.openai.com/v1'}/chat/completions`;
       
       const headers = usePortkey
         ? {
@@ -275,8 +313,9 @@ function createStreamingLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxT
             'Content-Type': 'application/json',
           }
         : {
-            Authorization: `Bearer ${apiKey}`,
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
             'Content-Type': 'application/json',
+            ...extraHeaders,
           };
 
       const response = await fetch(fetchUrl, {
@@ -284,18 +323,134 @@ function createStreamingLLM({ apiKey, model = 'gpt-4.1', temperature = 0.7, maxT
         headers,
         body: JSON.stringify({
           model: model,
-          messages,
+          messages: toOpenAIMessages(messages),
           temperature,
           max_tokens: maxTokens,
           stream: true,
+          stream_options: { include_usage: true },
+          ...(tools.length > 0 && {
+            tools: tools.map(tool => ({
+              type: 'function',
+              function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+            })),
+            tool_choice: toolChoice,
+          }),
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+        throw new Error(`${baseUrl ? 'OpenAI-compatible' : 'OpenAI'} API error: ${response.status} ${response.statusText}`);
       }
 
-      return response;
+      return createEventResponse(async (emit) => {
+        let started = false;
+        // Tool call ids, names and arguments arrive in fragments keyed by index
+        const pendingCalls = [];
+        for await (const data of readSseData(response.body.getReader())) {
+          if (data === '[DONE]') break;
+          if (!data) continue;
+
+          const chunk = JSON.parse(data);
+          if (chunk.error) {
+            throw new Error(chunk.error.message || 'OpenAI stream error');
+          }
+          if (!started) {
+            emit({ type: 'start', model: chunk.model || model });
+            started = true;
+          }
+
+          const choice = chunk.choices?.[0];
+          if (choice?.delta?.content) {
+            emit({ type: 'text', text: choice.delta.content });
+          }
+          for (const fragment of choice?.delta?.tool_calls || []) {
+            const call = pendingCalls[fragment.index] || (pendingCalls[fragment.index] = { id: '', name: '', args: '' });
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.name += fragment.function.name;
+            if (fragment.function?.arguments) call.args += fragment.function.arguments;
+          }
+          if (choice?.finish_reason) {
+            for (const call of pendingCalls.filter(Boolean)) {
+              emit({ type: 'tool_call', id: call.id, name: call.name, arguments: parseToolArguments(call.args) });
+            }
+            pendingCalls.length = 0;
+            emit({ type: 'stop', reason: OPENAI_STOP_REASONS[choice.finish_reason] || choice.finish_reason });
+          }
+          // With include_usage the last chunk has no choices, only usage
+          if (chunk.usage) {
+            emit({ type: 'usage', inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens });
+          }
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Map neutral tool turns (see ../tools.js) to Chat Completions messages
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+        })),
+      };
+    }
+    return msg;
+  });
+}
+
+/**
+ * Lists the chat models available to a key. Reasoning models (o-series, gpt-5) are left out
+ * because they reject the temperature and max_tokens parameters we send.
+ * @param {object} opts
+ * @param {string} opts.apiKey - OpenAI API key
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function listModels({ apiKey }) {
+  const response = await fetch('https://api.openai.com/v1/models', {
+    headers: { Authorization: `Bearer ${apiKey}` },
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!response.ok) {
+    throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+  }
+
+  const { data = [] } = await response.json();
+  return data
+    .map(model => model.id)
+    .filter(id => /^(gpt-4\.1|gpt-4o|gpt-4-turbo|chatgpt-4o)/.test(id))
+    .filter(id => !/(audio|realtime|transcribe|tts|search|image)/.test(id))
+    .sort()
+    .map(id => ({ id, name: id }));
+}
+
+/**
+ * Creates an OpenAI embedder
+ * @param {object} opts - Configuration options
+ * @param {string} opts.apiKey - OpenAI API key
+ * @param {string} [opts.model='text-embedding-3-small'] - Embedding model
+ * @returns {{ model: string, embed: (texts: string[]) => Promise<number[][]> }}
+ */
+function createEmbedder({ apiKey, model = 'text-embedding-3-small', ...config }) {
+  const client = new OpenAI({ apiKey });
+
+  return {
+    model,
+    embed: async (texts) => {
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
     }
   };
 }
@@ -304,5 +459,7 @@ module.exports = {
     OpenAIProvider,
     createSTT,
     createLLM,
-    createStreamingLLM
+    createStreamingLLM,
+    createEmbedder,
+    listModels
 }; 
\ No newline at end of file
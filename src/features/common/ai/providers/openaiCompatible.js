@@ -0,0 +1,126 @@
+const openai = require('./openai');
+
+class OpenAICompatibleProvider {
+    /**
+     * A key is optional for local servers; validation checks that the endpoint answers /models
+     * and returns the discovered models with the normalized base URL
+     * @param {string} key
+     * @param {object} endpoint
+     * @param {string} endpoint.baseUrl
+     * @param {object} [endpoint.headers]
+     */
+    static async validateApiKey(key, { baseUrl, headers } = {}) {
+        if (!baseUrl) {
+            return { success: false, error: 'A base URL is required for an OpenAI-compatible endpoint.' };
+        }
+
+        try {
+            const models = await listModels({ baseUrl, apiKey: key, headers });
+            if (models.length === 0) {
+                return { success: false, error: 'The endpoint did not list any models.' };
+            }
+            return { success: true, models, baseUrl: normalizeBaseUrl(baseUrl) };
+        } catch (error) {
+            console.error(`[OpenAICompatibleProvider] Validation against ${baseUrl} failed:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+/**
+ * Base URL with the API version path, e.g. "localhost:1234" → "http://localhost:1234/v1".
+ * URLs that already end in a version segment (/v1, /api/v2, /openai/v1) are kept as they are.
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function normalizeBaseUrl(baseUrl) {
+    let url = String(baseUrl || '').trim().replace(/\/+$/, '');
+    if (!url) throw new Error('Base URL is required.');
+    if (!/^https?:\/\//i.test(url)) url = `http://${url}`;
+
+    const parsed = new URL(url);
+    if (!/\/v\d+$/.test(parsed.pathname)) {
+        url = `${url}/v1`;
+    }
+    return url;
+}
+
+/**
+ * Discover the models an endpoint serves via GET /models
+ * @param {object} opts
+ * @param {string} opts.baseUrl
+ * @param {string} [opts.apiKey]
+ * @param {object} [opts.headers]
+ * @returns {Promise<Array<{ id: string, name: string, contextLength: number|null }>>}
+ */
+async function listModels({ baseUrl, apiKey, headers = {} }) {
+    const url = `${normalizeBaseUrl(baseUrl)}/models`;
+    const response = await fetch(url, {
+        headers: {
+            ...(apiKey && apiKey !== 'local' && { Authorization: `Bearer ${apiKey}` }),
+            ...headers,
+        },
+        signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || `GET ${url} failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    // OpenAI returns { data: [...] }; some servers return a bare array or { models: [...] }
+    const entries = Array.isArray(body) ? body : body.data || body.models || [];
+    return entries
+        .map(entry => (typeof entry === 'string' ? { id: entry } : entry))
+        .filter(entry => entry.id || entry.name)
+        .map(entry => ({
+            id: entry.id || entry.name,
+            name: entry.id || entry.name,
+            // vLLM and some gateways report the context window
+            contextLength: entry.max_model_len || entry.context_length || entry.context_window || null,
+        }))
+        .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Options for the OpenAI client functions: normalized base URL, and no bearer token when the
+ * endpoint needs no key
+ */
+function toOpenAIOptions({ apiKey, baseUrl, headers, ...opts }) {
+    return {
+        ...opts,
+        apiKey: apiKey && apiKey !== 'local' ? apiKey : undefined,
+        baseUrl: normalizeBaseUrl(baseUrl),
+        headers: headers || {},
+        usePortkey: false,
+    };
+}
+
+/**
+ * Creates an LLM instance for an OpenAI-compatible endpoint (vLLM, LM Studio, llama.cpp server, gateways)
+ * @param {object} opts - Same as openai.createLLM, plus:
+ * @param {string} opts.baseUrl - Endpoint base URL
+ * @param {object} [opts.headers] - Extra request headers, e.g. a gateway token
+ * @returns {object} LLM instance
+ */
+function createLLM(opts) {
+    return openai.createLLM(toOpenAIOptions(opts));
+}
+
+/**
+ * Creates a streaming LLM instance for an OpenAI-compatible endpoint
+ * @param {object} opts - Same as createLLM
+ * @returns {object} Streaming LLM instance
+ */
+function createStreamingLLM(opts) {
+    return openai.createStreamingLLM(toOpenAIOptions(opts));
+}
+
+module.exports = {
+    OpenAICompatibleProvider,
+    normalizeBaseUrl,
+    listModels,
+    createLLM,
+    createStreamingLLM,
+};
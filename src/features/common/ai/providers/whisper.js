@@ -1,8 +1,12 @@
-let spawn, path, EventEmitter;
+const { createTranscriptEvent } = require('../transcriptEvents');
+const { SpeakerClusterer } = require('../speakerClustering');
+
+let spawn, path, fs, EventEmitter;
 
 if (typeof window === 'undefined') {
     spawn = require('child_process').spawn;
     path = require('path');
+    fs = require('fs');
     EventEmitter = require('events').EventEmitter;
 } else {
     class DummyEventEmitter {
@@ -13,8 +17,24 @@ if (typeof window === 'undefined') {
     EventEmitter = DummyEventEmitter;
 }
 
+// Markers whisper.cpp prints for audio without speech
+const NOISE_PATTERNS = [
+    '[BLANK_AUDIO]', '[INAUDIBLE]', '[MUSIC]', '[SOUND]', '[NOISE]',
+    '(BLANK_AUDIO)', '(INAUDIBLE)', '(MUSIC)', '(SOUND)', '(NOISE)'
+];
+
+// saveAudioToTemp labels the PCM as 16 kHz whatever rate it was captured at
+const WAV_SAMPLE_RATE = 16000;
+const MIN_CHUNK_BYTES = 16000 * 2 * 0.15;
+
 class WhisperSTTSession extends EventEmitter {
-    constructor(model, whisperService, sessionId) {
+    /**
+     * @param {string} model
+     * @param {object} whisperService
+     * @param {string} [sessionId]
+     * @param {{ diarize?: boolean }} [options] - diarize labels each chunk with a locally clustered speaker
+     */
+    constructor(model, whisperService, sessionId, { diarize = false } = {}) {
         super();
         this.model = model;
         this.whisperService = whisperService;
@@ -23,7 +43,12 @@ class WhisperSTTSession extends EventEmitter {
         this.isRunning = false;
         this.audioBuffer = Buffer.alloc(0);
         this.processingInterval = null;
+        this.chunkInFlight = false;
         this.lastTranscription = '';
+        // Capture rate of the incoming PCM and seconds of it already transcribed, to place word timings
+        this.inputSampleRate = 24000;
+        this.processedSeconds = 0;
+        this.clusterer = diarize ? new SpeakerClusterer() : null;
     }
 
     async initialize() {
@@ -41,8 +66,7 @@ class WhisperSTTSession extends EventEmitter {
 
     startProcessingLoop() {
         this.processingInterval = setInterval(async () => {
-            const minBufferSize = 16000 * 2 * 0.15;
-            if (this.audioBuffer.length >= minBufferSize && !this.process) {
+            if (this.audioBuffer.length >= MIN_CHUNK_BYTES && !this.chunkInFlight) {
                 console.log(`[WhisperSTT-${this.sessionId}] Processing audio chunk, buffer size: ${this.audioBuffer.length}`);
                 await this.processAudioChunk();
             }
@@ -54,12 +78,17 @@ class WhisperSTTSession extends EventEmitter {
 
         const audioData = this.audioBuffer;
         this.audioBuffer = Buffer.alloc(0);
+        this.chunkInFlight = true;
+        const chunkStart = this.processedSeconds;
+        this.processedSeconds += audioData.length / (this.inputSampleRate * 2);
+        const speaker = this.clusterer ? this.clusterer.assign(audioData, this.inputSampleRate) : null;
 
         try {
             const tempFile = await this.whisperService.saveAudioToTemp(audioData, this.sessionId);
             
             if (!tempFile || typeof tempFile !== 'string') {
                 console.error('[WhisperSTT] Invalid temp file path:', tempFile);
+                this.chunkInFlight = false;
                 return;
             }
             
@@ -68,6 +97,7 @@ class WhisperSTTSession extends EventEmitter {
 
             if (!whisperPath || !modelPath) {
                 console.error('[WhisperSTT] Invalid whisper or model path:', { whisperPath, modelPath });
+                this.chunkInFlight = false;
                 return;
             }
 
@@ -76,7 +106,8 @@ class WhisperSTTSession extends EventEmitter {
                 '-f', tempFile,
                 '--no-timestamps',
                 '--output-txt',
-                '--output-json',
+                '--output-json-full',
+                '--output-file', tempFile.replace(/\.wav$/, ''),
                 '--language', 'auto',
                 '--threads', '4',
                 '--print-progress', 'false'
@@ -97,14 +128,17 @@ class WhisperSTTSession extends EventEmitter {
                 this.process = null;
                 
                 if (code === 0 && output.trim()) {
-                    const transcription = output.trim();
+                    const result = this.readJsonResult(tempFile, chunkStart);
+                    const transcription = result?.text || output.trim();
                     if (transcription && transcription !== this.lastTranscription) {
                         this.lastTranscription = transcription;
                         console.log(`[WhisperSTT-${this.sessionId}] Transcription: "${transcription}"`);
                         this.emit('transcription', {
                             text: transcription,
                             timestamp: Date.now(),
-                            confidence: 1.0,
+                            confidence: result?.confidence ?? null,
+                            words: this.clusterer ? result?.words?.map(word => ({ ...word, speaker })) ?? null : result?.words ?? null,
+                            speaker,
                             sessionId: this.sessionId
                         });
                     }
@@ -113,20 +147,85 @@ class WhisperSTTSession extends EventEmitter {
                 }
 
                 await this.whisperService.cleanupTempFile(tempFile);
+                this.chunkInFlight = false;
             });
 
         } catch (error) {
+            this.chunkInFlight = false;
             console.error('[WhisperSTT] Processing error:', error);
             this.emit('error', error);
         }
     }
 
-    sendRealtimeInput(audioData) {
+    /**
+     * Text, word timings and token confidences from the --output-json-full file whisper.cpp
+     * wrote next to the chunk
+     * @param {string} tempFile
+     * @param {number} chunkStart - Seconds of session audio before this chunk
+     * @returns {{ text: string, confidence: number|null, words: Array }|null} null when the file is unreadable
+     */
+    readJsonResult(tempFile, chunkStart) {
+        let segments;
+        try {
+            segments = JSON.parse(fs.readFileSync(tempFile.replace(/\.wav$/, '.json'), 'utf8')).transcription;
+        } catch (error) {
+            console.warn(`[WhisperSTT-${this.sessionId}] Could not read JSON output:`, error.message);
+            return null;
+        }
+        if (!Array.isArray(segments)) return null;
+
+        // whisper.cpp timed the audio as if it were 16 kHz
+        const scale = WAV_SAMPLE_RATE / this.inputSampleRate;
+        const words = [];
+        for (const token of segments.flatMap(segment => segment.tokens || [])) {
+            const text = token.text || '';
+            if (!text.trim() || /^\s*(\[_|<\|)/.test(text)) continue;
+
+            const start = chunkStart + (token.offsets?.from ?? 0) / 1000 * scale;
+            const end = chunkStart + (token.offsets?.to ?? 0) / 1000 * scale;
+            const current = words[words.length - 1];
+            // Tokens that do not start with a space continue the previous word
+            if (current && !text.startsWith(' ')) {
+                current.word += text;
+                current.end = end;
+                current.probabilities.push(token.p);
+            } else {
+                words.push({ word: text.trim(), start, end, probabilities: [token.p] });
+            }
+        }
+
+        const timedWords = words.map(({ probabilities, ...word }) => ({
+            ...word,
+            start: roundSeconds(word.start),
+            end: roundSeconds(word.end),
+            confidence: average(probabilities),
+        }));
+        const confidences = timedWords.map(word => word.confidence).filter(value => value !== null);
+
+        return {
+            text: segments.map(segment => segment.text || '').join('').trim(),
+            confidence: average(confidences),
+            words: timedWords,
+        };
+    }
+
+    /**
+     * Whether audio is waiting or being transcribed; batch transcription feeds the next
+     * block once the session is idle
+     */
+    isBusy() {
+        return this.chunkInFlight || this.audioBuffer.length >= MIN_CHUNK_BYTES;
+    }
+
+    sendRealtimeInput(audioData, mimeType) {
         if (!this.isRunning) {
             console.warn(`[WhisperSTT-${this.sessionId}] Session not running, cannot accept audio`);
             return;
         }
 
+        const rate = Number(/rate=(\d+)/.exec(mimeType || '')?.[1]);
+        if (rate) this.inputSampleRate = rate;
+
         if (typeof audioData === 'string') {
             try {
                 audioData = Buffer.from(audioData, 'base64');
@@ -200,7 +299,7 @@ class WhisperProvider {
         
         // Create unique session ID based on type
         const sessionId = `${sessionType}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-        const session = new WhisperSTTSession(model, this.whisperService, sessionId);
+        const session = new WhisperSTTSession(model, this.whisperService, sessionId, { diarize: !!config.diarize });
         
         // Log session creation
         console.log(`[WhisperProvider] Created session: ${sessionId}`);
@@ -211,8 +310,23 @@ class WhisperProvider {
         }
 
         if (config.callbacks) {
-            if (config.callbacks.onmessage) {
-                session.on('transcription', config.callbacks.onmessage);
+            if (config.callbacks.ontranscript) {
+                session.on('transcription', ({ text, confidence, words, speaker = null }) => {
+                    const finalText = text.trim();
+                    if (isNoise(finalText)) {
+                        console.log(`[WhisperSTT-${sessionId}] Filtered noise: "${finalText}"`);
+                        return;
+                    }
+                    // Each chunk is transcribed once, so every result is final
+                    config.callbacks.ontranscript(createTranscriptEvent('final', {
+                        provider: 'whisper',
+                        text: finalText,
+                        confidence,
+                        words,
+                        channel: sessionType,
+                        speaker,
+                    }));
+                });
             }
             if (config.callbacks.onerror) {
                 session.on('error', config.callbacks.onerror);
@@ -235,6 +349,19 @@ class WhisperProvider {
     }
 }
 
+function isNoise(text) {
+    return text.length <= 2 || NOISE_PATTERNS.some(pattern => text.includes(pattern));
+}
+
+function average(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+function roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
 module.exports = {
     WhisperProvider,
     WhisperSTTSession
@@ -0,0 +1,139 @@
+// Voice features are measured on short frames; only loud, clearly pitched frames count
+const FRAME_SECONDS = 0.03;
+const MIN_FRAME_RMS = 500;
+const MIN_VOICED_FRAMES = 5;
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 400;
+const MIN_PITCH_CORRELATION = 0.3;
+
+/**
+ * Local speaker diarization for providers that have none (Whisper). Each chunk of audio is
+ * reduced to a voice profile (median pitch and brightness) and matched to the closest
+ * speaker heard so far, or becomes a new speaker when it is not close to any of them.
+ * This is a rough fallback: it tells apart voices that differ in pitch, not similar ones,
+ * and gives each chunk a single speaker.
+ */
+class SpeakerClusterer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSpeakers=8]
+     * @param {number} [options.threshold=0.3] - Distance (about octaves of pitch) beyond which a voice is new
+     */
+    constructor({ maxSpeakers = 8, threshold = 0.3 } = {}) {
+        this.maxSpeakers = maxSpeakers;
+        this.threshold = threshold;
+        this.speakers = [];
+    }
+
+    /**
+     * @param {Buffer} pcm - 16-bit little-endian mono PCM
+     * @param {number} sampleRate
+     * @returns {number|null} Speaker index, or null when the chunk has too little voiced audio
+     */
+    assign(pcm, sampleRate) {
+        const profile = voiceProfile(pcm, sampleRate);
+        if (!profile) return null;
+
+        let nearest = -1;
+        let nearestDistance = Infinity;
+        this.speakers.forEach((speaker, index) => {
+            const d = distance(speaker.profile, profile);
+            if (d < nearestDistance) {
+                nearest = index;
+                nearestDistance = d;
+            }
+        });
+
+        if (nearest === -1 || (nearestDistance > this.threshold && this.speakers.length < this.maxSpeakers)) {
+            this.speakers.push({ profile, count: 1 });
+            return this.speakers.length - 1;
+        }
+
+        // Running mean, weighted so a voice profile settles after a few chunks but can still drift
+        const speaker = this.speakers[nearest];
+        const weight = 1 / Math.min(speaker.count + 1, 10);
+        speaker.profile = {
+            pitch: speaker.profile.pitch + (profile.pitch - speaker.profile.pitch) * weight,
+            brightness: speaker.profile.brightness + (profile.brightness - speaker.profile.brightness) * weight,
+        };
+        speaker.count++;
+        return nearest;
+    }
+}
+
+/**
+ * Median pitch (log2 Hz) and zero-crossing rate of the voiced frames
+ */
+function voiceProfile(pcm, sampleRate) {
+    // Int16Array needs an even byte offset
+    const aligned = pcm.byteOffset % 2 ? Buffer.from(pcm) : pcm;
+    const samples = new Int16Array(aligned.buffer, aligned.byteOffset, Math.floor(aligned.length / 2));
+    const frameSize = Math.round(sampleRate * FRAME_SECONDS);
+    const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+    const maxLag = Math.ceil(sampleRate / MIN_PITCH_HZ);
+
+    const pitches = [];
+    const crossings = [];
+    for (let offset = 0; offset + frameSize + maxLag <= samples.length; offset += frameSize) {
+        const frame = samples.subarray(offset, offset + frameSize + maxLag);
+        if (rms(frame, frameSize) < MIN_FRAME_RMS) continue;
+
+        const lag = pitchLag(frame, frameSize, minLag, maxLag);
+        if (!lag) continue;
+        pitches.push(Math.log2(sampleRate / lag));
+        crossings.push(zeroCrossingRate(frame, frameSize));
+    }
+
+    if (pitches.length < MIN_VOICED_FRAMES) return null;
+    return { pitch: median(pitches), brightness: median(crossings) };
+}
+
+function rms(frame, length) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += frame[i] * frame[i];
+    return Math.sqrt(sum / length);
+}
+
+/**
+ * Lag of the first autocorrelation peak close to the strongest one (later peaks at multiples of
+ * the period would halve the pitch), or null when the frame is not periodic
+ */
+function pitchLag(frame, length, minLag, maxLag) {
+    let energy = 0;
+    for (let i = 0; i < length; i++) energy += frame[i] * frame[i];
+    if (!energy) return null;
+
+    const correlations = [];
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let correlation = 0;
+        for (let i = 0; i < length; i++) correlation += frame[i] * frame[i + lag];
+        correlations.push(correlation / energy);
+    }
+
+    const best = Math.max(...correlations);
+    if (best < MIN_PITCH_CORRELATION) return null;
+    return minLag + correlations.findIndex(correlation => correlation >= best * 0.9);
+}
+
+function zeroCrossingRate(frame, length) {
+    let crossings = 0;
+    for (let i = 1; i < length; i++) {
+        if ((frame[i - 1] < 0) !== (frame[i] < 0)) crossings++;
+    }
+    return crossings / length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function distance(a, b) {
+    // Brightness is a rate around 0.05-0.2; scale it so both features count about equally
+    return Math.hypot(a.pitch - b.pitch, (a.brightness - b.brightness) * 3);
+}
+
+module.exports = {
+    SpeakerClusterer,
+};
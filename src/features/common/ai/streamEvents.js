@@ -0,0 +1,173 @@
+/**
+ * Provider-neutral streaming protocol.
+ *
+ * Every provider's streamChat() returns a Response whose body is a server-sent event stream of
+ * JSON events, terminated by `data: [DONE]`:
+ *
+ *   { type: 'start', model }                         - model that is answering
+ *   { type: 'text', text }                           - next piece of the answer
+ *   { type: 'usage', inputTokens, outputTokens }     - token counts, may be sent more than once
+ *   { type: 'stop', reason }                         - one of STOP_REASONS
+ *   { type: 'tool_call', id, name, arguments }       - the model wants a tool run (see tools.js)
+ *   { type: 'error', message }                       - the provider failed mid-stream
+ */
+
+const STOP_REASONS = {
+    COMPLETE: 'complete',
+    MAX_TOKENS: 'max_tokens',
+    STOP_SEQUENCE: 'stop_sequence',
+    CONTENT_FILTER: 'content_filter',
+    TOOL_USE: 'tool_use',
+    ERROR: 'error',
+};
+
+/**
+ * Build a streaming Response from an async producer.
+ * Errors thrown by the producer are sent as an `error` event followed by a `stop` event.
+ * @param {(emit: (event: Object) => void) => Promise<void>} produce
+ * @returns {Response}
+ */
+function createEventResponse(produce) {
+    const encoder = new TextEncoder();
+    let closed = false;
+
+    const stream = new ReadableStream({
+        async start(controller) {
+            const emit = (event) => {
+                if (!closed) controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+            };
+
+            try {
+                await produce(emit);
+            } catch (error) {
+                emit({ type: 'error', message: error.message || String(error) });
+                emit({ type: 'stop', reason: STOP_REASONS.ERROR });
+            }
+
+            if (!closed) {
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+                closed = true;
+            }
+        },
+        cancel() {
+            // The producer keeps running until its source ends; its events are simply dropped
+            closed = true;
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        },
+    });
+}
+
+/**
+ * Yield the `data:` payloads of a server-sent event stream. Lines split across chunks are reassembled.
+ * @param {ReadableStreamDefaultReader|AsyncIterable<Uint8Array>} source
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readSseData(source) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const chunks = typeof source.read === 'function' ? readerChunks(source) : source;
+    for await (const chunk of chunks) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.startsWith('data:')) yield line.slice(5).trim();
+        }
+    }
+
+    if (buffer.startsWith('data:')) yield buffer.slice(5).trim();
+}
+
+/**
+ * Yield the normalized events of a streamChat() response body until `[DONE]`
+ * @param {ReadableStreamDefaultReader} reader
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readStreamEvents(reader) {
+    for await (const data of readSseData(reader)) {
+        if (data === '[DONE]') return;
+        if (!data) continue;
+
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch {
+            continue;
+        }
+        if (event && typeof event.type === 'string') yield event;
+    }
+}
+
+/**
+ * Consume a whole stream into its final result
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {(event: Object) => void} [onEvent] - Called for every event
+ * @returns {Promise<{ text: string, model: string|null, usage: { inputTokens: number|null, outputTokens: number|null }, stopReason: string|null, error: string|null }>}
+ */
+async function collectStream(reader, onEvent) {
+    const result = {
+        text: '',
+        model: null,
+        usage: { inputTokens: null, outputTokens: null },
+        stopReason: null,
+        error: null,
+    };
+
+    for await (const event of readStreamEvents(reader)) {
+        applyEvent(result, event);
+        if (onEvent) onEvent(event);
+    }
+    return result;
+}
+
+/**
+ * Fold one event into a result object shaped like collectStream()'s
+ */
+function applyEvent(result, event) {
+    switch (event.type) {
+        case 'start':
+            result.model = event.model || result.model;
+            break;
+        case 'text':
+            result.text += event.text || '';
+            break;
+        case 'usage':
+            if (event.inputTokens != null) result.usage.inputTokens = event.inputTokens;
+            if (event.outputTokens != null) result.usage.outputTokens = event.outputTokens;
+            break;
+        case 'stop':
+            result.stopReason = event.reason;
+            break;
+        case 'error':
+            result.error = event.message;
+            break;
+    }
+    return result;
+}
+
+async function* readerChunks(reader) {
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+    }
+}
+
+module.exports = {
+    STOP_REASONS,
+    createEventResponse,
+    readSseData,
+    readStreamEvents,
+    collectStream,
+    applyEvent,
+};
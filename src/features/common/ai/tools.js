@@ -0,0 +1,179 @@
+const { readStreamEvents } = require('./streamEvents');
+
+const DEFAULT_MAX_ROUNDS = 4;
+const MAX_RESULT_CHARS = 8000;
+
+/**
+ * Provider-neutral tool calling.
+ *
+ * A tool is `{ name, description, parameters, execute(args, context) }`, where `parameters` is a
+ * JSON schema object. Providers receive only the definitions (`streamChat(messages, { tools })`),
+ * map them to their native format, and report calls as `{ type: 'tool_call', id, name, arguments }`
+ * stream events. With `toolChoice: 'none'` the definitions are still sent, since some providers
+ * reject earlier tool turns without them, but the model may not call any more tools.
+ *
+ * Tool turns use two extra message shapes that every provider maps back to its own format:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *   { role: 'tool', toolCallId, name, content }
+ */
+
+/**
+ * Strip tools down to what is sent to a provider
+ * @returns {Array<{ name: string, description: string, parameters: Object }>}
+ */
+function toolDefinitions(tools = []) {
+    return tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters: parameters || { type: 'object', properties: {} },
+    }));
+}
+
+/**
+ * Parse streamed tool arguments; malformed JSON yields an empty object
+ */
+function parseToolArguments(json) {
+    if (!json) return {};
+    if (typeof json === 'object') return json;
+    try {
+        const parsed = JSON.parse(json);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Run one tool call. Failures are returned to the model as `{ error }` rather than thrown,
+ * so it can recover or answer without the lookup.
+ * @returns {Promise<{ result: Object|null, error: string|null }>}
+ */
+async function executeToolCall(tools, call, context = {}) {
+    const tool = tools.find(candidate => candidate.name === call.name);
+    if (!tool) {
+        return { result: null, error: `Unknown tool: ${call.name}` };
+    }
+
+    try {
+        const result = await tool.execute(call.arguments || {}, context);
+        return { result: result ?? null, error: null };
+    } catch (error) {
+        console.warn(`[Tools] ${call.name} failed:`, error.message);
+        return { result: null, error: error.message };
+    }
+}
+
+/**
+ * Stream a conversation in which the model may call tools. Each round streams one response;
+ * when it ends with tool calls they are executed, their results appended, and the next round
+ * streams the continuation. Yields the normalized stream events of all rounds, plus
+ * `{ type: 'tool_result', id, name, error }` after each executed call. Usage events are cumulative
+ * across rounds and only the final round's stop event is passed on.
+ *
+ * @param {{ streamChat: (messages: Array, options?: Object) => Promise<Response> }} llm
+ * @param {Array} messages
+ * @param {Object} [options]
+ * @param {Array} [options.tools] - Tools the model may call
+ * @param {Object} [options.context] - Passed to every tool's execute()
+ * @param {Response} [options.initialResponse] - Already started response for the first round
+ * @param {number} [options.maxRounds=4] - Rounds that may call tools; the round after must answer
+ * @param {AbortSignal} [options.signal]
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamWithTools(llm, messages, {
+    tools = [],
+    context = {},
+    initialResponse = null,
+    maxRounds = DEFAULT_MAX_ROUNDS,
+    signal,
+} = {}) {
+    const definitions = toolDefinitions(tools);
+    const conversation = [...messages];
+    const totals = { inputTokens: 0, outputTokens: 0 };
+    let emittedText = '';
+
+    for (let round = 0; ; round++) {
+        if (signal?.aborted) return;
+
+        const allowCalls = definitions.length > 0 && round < maxRounds;
+        const toolOptions = definitions.length === 0 ? {} : { tools: definitions, toolChoice: allowCalls ? 'auto' : 'none' };
+        const response = round === 0 && initialResponse
+            ? initialResponse
+            : await llm.streamChat(conversation, toolOptions);
+
+        const reader = response.body.getReader();
+        const onAbort = () => reader.cancel(signal.reason).catch(() => {});
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let text = '';
+        let stop = null;
+        const calls = [];
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        try {
+            for await (const event of readStreamEvents(reader)) {
+                if (event.type === 'tool_call') {
+                    // Providers without tool_choice can still call; past the limit those calls are dropped
+                    if (!allowCalls) continue;
+                    calls.push({ id: event.id, name: event.name, arguments: parseToolArguments(event.arguments) });
+                    yield event;
+                } else if (event.type === 'usage') {
+                    usage.inputTokens = event.inputTokens ?? usage.inputTokens;
+                    usage.outputTokens = event.outputTokens ?? usage.outputTokens;
+                    yield {
+                        type: 'usage',
+                        inputTokens: totals.inputTokens + usage.inputTokens,
+                        outputTokens: totals.outputTokens + usage.outputTokens,
+                    };
+                } else if (event.type === 'stop') {
+                    stop = event;
+                } else if (event.type === 'text') {
+                    // Keep text from separate rounds in separate paragraphs
+                    if (!text && emittedText && !emittedText.endsWith('\n')) {
+                        emittedText += '\n\n';
+                        yield { type: 'text', text: '\n\n' };
+                    }
+                    text += event.text || '';
+                    emittedText += event.text || '';
+                    yield event;
+                } else {
+                    yield event;
+                }
+            }
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        totals.inputTokens += usage.inputTokens;
+        totals.outputTokens += usage.outputTokens;
+
+        if (calls.length === 0 || signal?.aborted) {
+            if (stop) yield stop;
+            return;
+        }
+
+        conversation.push({ role: 'assistant', content: text, toolCalls: calls });
+        for (const call of calls) {
+            const { result, error } = await executeToolCall(tools, call, context);
+            yield { type: 'tool_result', id: call.id, name: call.name, error };
+            conversation.push({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: truncate(JSON.stringify(error ? { error } : result)),
+            });
+        }
+    }
+}
+
+function truncate(text, limit = MAX_RESULT_CHARS) {
+    if (!text || text.length <= limit) return text || 'null';
+    return `${text.slice(0, limit)}… [truncated ${text.length - limit} characters]`;
+}
+
+module.exports = {
+    toolDefinitions,
+    parseToolArguments,
+    executeToolCall,
+    streamWithTools,
+};
@@ -0,0 +1,55 @@
+/**
+ * @typedef {object} TranscriptWord
+ * @property {string} word
+ * @property {number|null} start - Seconds from the start of the session's audio
+ * @property {number|null} end
+ * @property {number|null} confidence - 0 to 1
+ * @property {number|null} [speaker] - Diarized speaker index, when the session diarizes
+ */
+
+/**
+ * What every STT session reports through callbacks.ontranscript, whatever the provider.
+ * A 'partial' carries the utterance heard so far and is replaced by the next partial or
+ * final; a 'final' is a finished utterance; a 'turn_end' (no text) means the provider
+ * detected that the speaker finished their turn.
+ * @typedef {object} TranscriptEvent
+ * @property {'partial'|'final'|'turn_end'} type
+ * @property {string} provider
+ * @property {string} text
+ * @property {boolean} isFinal
+ * @property {number|null} confidence - 0 to 1; null when the provider does not report it
+ * @property {TranscriptWord[]|null} words - Word timings; null when the provider does not report them
+ * @property {string|null} channel - The sessionType the session was created with ('my', 'their', 'ask')
+ * @property {number|null} speaker - Diarized speaker index (0, 1, ...) within the session; null when the
+ *   session was not created with diarize or the provider could not tell
+ * @property {number} timestamp - Epoch ms
+ */
+
+/**
+ * @param {'partial'|'final'|'turn_end'} type
+ * @param {Object} fields
+ * @param {string} fields.provider
+ * @param {string} [fields.text]
+ * @param {number|null} [fields.confidence]
+ * @param {TranscriptWord[]|null} [fields.words]
+ * @param {string|null} [fields.channel]
+ * @param {number|null} [fields.speaker]
+ * @returns {TranscriptEvent}
+ */
+function createTranscriptEvent(type, { provider, text = '', confidence = null, words = null, channel = null, speaker = null }) {
+    return {
+        type,
+        provider,
+        text,
+        isFinal: type !== 'partial',
+        confidence,
+        words,
+        channel,
+        speaker,
+        timestamp: Date.now(),
+    };
+}
+
+module.exports = {
+    createTranscriptEvent,
+};
@@ -6,7 +6,10 @@ const LATEST_SCHEMA = {
             { name: 'email', type: 'TEXT NOT NULL' },
             { name: 'created_at', type: 'INTEGER' },
             { name: 'auto_update_enabled', type: 'INTEGER DEFAULT 1' },
-            { name: 'has_migrated_to_firebase', type: 'INTEGER DEFAULT 0' }
+            { name: 'has_migrated_to_firebase', type: 'INTEGER DEFAULT 0' },
+            { name: 'feature_models', type: 'TEXT' }, // JSON: { [feature]: { provider, model } }
+            { name: 'usage_budgets', type: 'TEXT' }, // JSON: { dailyUsd, monthlyUsd }
+            { name: 'audio_recording', type: 'TEXT' } // JSON: { enabled, retentionDays, maxStorageMb }
         ]
     },
     sessions: {
@@ -17,6 +20,9 @@ const LATEST_SCHEMA = {
             { name: 'session_type', type: 'TEXT DEFAULT \'research\'' },
             { name: 'research_mode', type: 'TEXT DEFAULT \'exploration\'' },
             { name: 'document_refs', type: 'TEXT' },
+            { name: 'topic', type: 'TEXT' },
+            { name: 'research_questions', type: 'TEXT' },
+            { name: 'research_session_id', type: 'TEXT' },
             { name: 'started_at', type: 'INTEGER' },
             { name: 'ended_at', type: 'INTEGER' },
             { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' },
@@ -32,6 +38,8 @@ const LATEST_SCHEMA = {
             { name: 'speaker', type: 'TEXT' },
             { name: 'text', type: 'TEXT' },
             { name: 'lang', type: 'TEXT' },
+            { name: 'words', type: 'TEXT' },
+            { name: 'confidence', type: 'REAL' },
             { name: 'created_at', type: 'INTEGER' },
             { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
         ]
@@ -45,6 +53,7 @@ const LATEST_SCHEMA = {
             { name: 'content', type: 'TEXT' },
             { name: 'tokens', type: 'INTEGER' },
             { name: 'model', type: 'TEXT' },
+            { name: 'thread_id', type: 'TEXT' },
             { name: 'created_at', type: 'INTEGER' },
             { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
         ]
@@ -99,6 +108,12 @@ const LATEST_SCHEMA = {
             { name: 'selected_stt_model', type: 'TEXT' },
             { name: 'is_active_llm', type: 'INTEGER DEFAULT 0' },
             { name: 'is_active_stt', type: 'INTEGER DEFAULT 0' },
+            { name: 'fallback_priority', type: 'INTEGER' },
+            { name: 'base_url', type: 'TEXT' },
+            { name: 'custom_headers', type: 'TEXT' },
+            { name: 'models_json', type: 'TEXT' },
+            { name: 'models_fetched_at', type: 'INTEGER' },
+            { name: 'model_settings', type: 'TEXT' },
             { name: 'created_at', type: 'INTEGER' },
             { name: 'updated_at', type: 'INTEGER' }
         ],
@@ -127,6 +142,7 @@ const LATEST_SCHEMA = {
             { name: 'file_size', type: 'INTEGER' },
             { name: 'extracted_text', type: 'TEXT' },
             { name: 'metadata', type: 'TEXT' },
+            { name: 'content_hash', type: 'TEXT' },
             { name: 'uploaded_at', type: 'INTEGER' },
             { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
         ]
@@ -148,18 +164,143 @@ const LATEST_SCHEMA = {
     research_papers: {
         columns: [
             { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT' },
             { name: 'title', type: 'TEXT NOT NULL' },
             { name: 'authors', type: 'TEXT' },
             { name: 'abstract', type: 'TEXT' },
+            { name: 'year', type: 'INTEGER' },
+            { name: 'venue', type: 'TEXT' },
             { name: 'url', type: 'TEXT' },
+            { name: 'pdf_url', type: 'TEXT' },
             { name: 'arxiv_id', type: 'TEXT' },
             { name: 'doi', type: 'TEXT' },
             { name: 'published_date', type: 'TEXT' },
+            { name: 'publisher', type: 'TEXT' },
             { name: 'citation_count', type: 'INTEGER' },
+            { name: 'references_count', type: 'INTEGER' },
+            { name: 'license', type: 'TEXT' },
             { name: 'source', type: 'TEXT' },
+            { name: 'metadata', type: 'TEXT' },
+            { name: 'file_path', type: 'TEXT' },
             { name: 'added_at', type: 'INTEGER' },
+            { name: 'imported_at', type: 'INTEGER' },
+            { name: 'enriched_at', type: 'INTEGER' },
+            { name: 's2_id', type: 'TEXT' },
+            { name: 'citations_fetched_at', type: 'INTEGER' },
+            { name: 'citation_key', type: 'TEXT' },
             { name: 'sync_state', type: 'TEXT DEFAULT \'clean\'' }
         ]
+    },
+    citation_nodes: {
+        columns: [
+            { name: 's2_id', type: 'TEXT PRIMARY KEY' },
+            { name: 'title', type: 'TEXT' },
+            { name: 'authors', type: 'TEXT' },
+            { name: 'year', type: 'INTEGER' },
+            { name: 'venue', type: 'TEXT' },
+            { name: 'doi', type: 'TEXT' },
+            { name: 'arxiv_id', type: 'TEXT' },
+            { name: 'citation_count', type: 'INTEGER' },
+            { name: 'fetched_at', type: 'INTEGER' }
+        ]
+    },
+    citation_edges: {
+        columns: [
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'citing_id', type: 'TEXT NOT NULL' },
+            { name: 'cited_id', type: 'TEXT NOT NULL' },
+            { name: 'created_at', type: 'INTEGER' }
+        ],
+        constraints: ['PRIMARY KEY (uid, citing_id, cited_id)']
+    },
+    document_pages: {
+        columns: [
+            { name: 'document_id', type: 'TEXT NOT NULL' },
+            { name: 'page_number', type: 'INTEGER NOT NULL' },
+            { name: 'char_start', type: 'INTEGER' },
+            { name: 'char_end', type: 'INTEGER' },
+            { name: 'width', type: 'REAL' },
+            { name: 'height', type: 'REAL' },
+            { name: 'text', type: 'TEXT' },
+            { name: 'layout', type: 'TEXT' }
+        ],
+        constraints: ['PRIMARY KEY (document_id, page_number)']
+    },
+    document_sections: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'document_id', type: 'TEXT NOT NULL' },
+            { name: 'title', type: 'TEXT' },
+            { name: 'kind', type: 'TEXT' },
+            { name: 'level', type: 'INTEGER' },
+            { name: 'page_number', type: 'INTEGER' },
+            { name: 'char_start', type: 'INTEGER' },
+            { name: 'char_end', type: 'INTEGER' }
+        ]
+    },
+    document_references: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'document_id', type: 'TEXT NOT NULL' },
+            { name: 'position', type: 'INTEGER' },
+            { name: 'raw_text', type: 'TEXT' },
+            { name: 'authors', type: 'TEXT' },
+            { name: 'title', type: 'TEXT' },
+            { name: 'year', type: 'INTEGER' },
+            { name: 'venue', type: 'TEXT' },
+            { name: 'doi', type: 'TEXT' },
+            { name: 'arxiv_id', type: 'TEXT' },
+            { name: 'page_number', type: 'INTEGER' },
+            { name: 'char_start', type: 'INTEGER' }
+        ]
+    },
+    usage_events: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'session_id', type: 'TEXT' },
+            { name: 'feature', type: 'TEXT' },
+            { name: 'kind', type: 'TEXT NOT NULL' }, // 'llm' | 'stt'
+            { name: 'provider', type: 'TEXT NOT NULL' },
+            { name: 'model', type: 'TEXT' },
+            { name: 'input_tokens', type: 'INTEGER DEFAULT 0' },
+            { name: 'output_tokens', type: 'INTEGER DEFAULT 0' },
+            { name: 'audio_seconds', type: 'REAL DEFAULT 0' },
+            { name: 'cost_usd', type: 'REAL' }, // NULL when the model has no known price
+            { name: 'created_at', type: 'INTEGER' }
+        ]
+    },
+    recordings: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'uid', type: 'TEXT NOT NULL' },
+            { name: 'session_id', type: 'TEXT NOT NULL' },
+            { name: 'file_path', type: 'TEXT NOT NULL' },
+            { name: 'format', type: 'TEXT' }, // e.g. 'wav/mulaw'
+            { name: 'sample_rate', type: 'INTEGER' },
+            { name: 'channels', type: 'TEXT' }, // JSON: speaker of each channel, e.g. ["Me", "Them"]
+            { name: 'started_at', type: 'REAL' }, // Epoch seconds with milliseconds, to line up with word timings
+            { name: 'ended_at', type: 'INTEGER' },
+            { name: 'duration_seconds', type: 'REAL' },
+            { name: 'size_bytes', type: 'INTEGER' },
+            { name: 'created_at', type: 'INTEGER' }
+        ]
+    },
+    document_chunks: {
+        columns: [
+            { name: 'id', type: 'TEXT PRIMARY KEY' },
+            { name: 'document_id', type: 'TEXT NOT NULL' },
+            { name: 'uid', type: 'TEXT' },
+            { name: 'chunk_index', type: 'INTEGER' },
+            { name: 'page_number', type: 'INTEGER' },
+            { name: 'char_start', type: 'INTEGER' },
+            { name: 'char_end', type: 'INTEGER' },
+            { name: 'text', type: 'TEXT' },
+            { name: 'embedding', type: 'BLOB' },
+            { name: 'embedding_model', type: 'TEXT' },
+            { name: 'dimensions', type: 'INTEGER' },
+            { name: 'created_at', type: 'INTEGER' }
+        ]
     }
 };
 
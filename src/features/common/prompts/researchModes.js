@@ -0,0 +1,31 @@
+/**
+ * Research modes a session can be in, stored in sessions.research_mode.
+ * Each mode selects the prompt profile used for Ask.
+ */
+const RESEARCH_MODES = {
+    exploration: { label: 'Explore', profile: 'exploration_mode' },
+    paper_analysis: { label: 'Paper', profile: 'paper_analysis' },
+    experiment: { label: 'Experiment', profile: 'experiment_mode' },
+};
+
+const DEFAULT_RESEARCH_MODE = 'exploration';
+
+function isResearchMode(mode) {
+    return Object.prototype.hasOwnProperty.call(RESEARCH_MODES, mode);
+}
+
+/**
+ * @param {string} mode
+ * @returns {string} The mode following `mode`, wrapping around
+ */
+function nextResearchMode(mode) {
+    const modes = Object.keys(RESEARCH_MODES);
+    return modes[(modes.indexOf(mode) + 1) % modes.length];
+}
+
+module.exports = {
+    RESEARCH_MODES,
+    DEFAULT_RESEARCH_MODE,
+    isResearchMode,
+    nextResearchMode,
+};
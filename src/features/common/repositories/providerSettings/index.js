@@ -57,6 +57,26 @@ const providerSettingsRepositoryAdapter = {
         return await repo.setActiveProvider(provider, type);
     },
     
+    async setModelCatalog(provider, modelsJson, fetchedAt) {
+        const repo = getBaseRepository();
+        return await repo.setModelCatalog(provider, modelsJson, fetchedAt);
+    },
+
+    async setModelSettings(provider, settingsJson) {
+        const repo = getBaseRepository();
+        return await repo.setModelSettings(provider, settingsJson);
+    },
+
+    async getFallbackChain() {
+        const repo = getBaseRepository();
+        return await repo.getFallbackChain();
+    },
+
+    async setFallbackChain(providers) {
+        const repo = getBaseRepository();
+        return await repo.setFallbackChain(providers);
+    },
+    
     async getActiveSettings() {
         const repo = getBaseRepository();
         return await repo.getActiveSettings();
@@ -36,12 +36,15 @@ function upsert(provider, settings) {
     
     // Use SQLite's UPSERT syntax (INSERT ... ON CONFLICT ... DO UPDATE)
     const stmt = db.prepare(`
-        INSERT INTO provider_settings (provider, api_key, selected_llm_model, selected_stt_model, is_active_llm, is_active_stt, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO provider_settings (provider, api_key, selected_llm_model, selected_stt_model, is_active_llm, is_active_stt, base_url, custom_headers, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(provider) DO UPDATE SET
             api_key = excluded.api_key,
             selected_llm_model = excluded.selected_llm_model,
             selected_stt_model = excluded.selected_stt_model,
+            base_url = excluded.base_url,
+            custom_headers = excluded.custom_headers,
+            -- models_json and model_settings have their own setters
             -- is_active_llm and is_active_stt are NOT updated here
             -- Use setActiveProvider() to change active status
             updated_at = excluded.updated_at
@@ -54,6 +57,8 @@ function upsert(provider, settings) {
         settings.selected_stt_model || null,
         0, // is_active_llm - always 0, use setActiveProvider to activate
         0, // is_active_stt - always 0, use setActiveProvider to activate
+        settings.base_url || null,
+        settings.custom_headers || null,
         settings.created_at || Date.now(),
         settings.updated_at
     );
@@ -116,6 +121,49 @@ function setActiveProvider(provider, type) {
     return { success: true };
 }
 
+// Cache a provider's model listing (JSON array)
+function setModelCatalog(provider, modelsJson, fetchedAt) {
+    const db = sqliteClient.getDb();
+    const stmt = db.prepare('UPDATE provider_settings SET models_json = ?, models_fetched_at = ? WHERE provider = ?');
+    const result = stmt.run(modelsJson, fetchedAt, provider);
+    return { changes: result.changes };
+}
+
+// Save per-model settings (JSON object keyed by model id)
+function setModelSettings(provider, settingsJson) {
+    const db = sqliteClient.getDb();
+    const stmt = db.prepare('UPDATE provider_settings SET model_settings = ?, updated_at = ? WHERE provider = ?');
+    const result = stmt.run(settingsJson, Date.now(), provider);
+    return { changes: result.changes };
+}
+
+// Get providers in the LLM fallback chain, first fallback first
+function getFallbackChain() {
+    const db = sqliteClient.getDb();
+    const stmt = db.prepare('SELECT * FROM provider_settings WHERE fallback_priority IS NOT NULL ORDER BY fallback_priority');
+    const results = stmt.all();
+
+    return results.map(result => {
+        if (result.api_key && encryptionService.looksEncrypted(result.api_key)) {
+            result.api_key = encryptionService.decrypt(result.api_key);
+        }
+        return result;
+    });
+}
+
+// Replace the LLM fallback chain with the given providers, in order
+function setFallbackChain(providers) {
+    const db = sqliteClient.getDb();
+
+    db.transaction(() => {
+        db.prepare('UPDATE provider_settings SET fallback_priority = NULL').run();
+        const stmt = db.prepare('UPDATE provider_settings SET fallback_priority = ? WHERE provider = ?');
+        providers.forEach((provider, index) => stmt.run(index + 1, provider));
+    })();
+
+    return { success: true };
+}
+
 // Get all active settings (both llm and stt)
 function getActiveSettings() {
     const db = sqliteClient.getDb();
@@ -156,5 +204,9 @@ module.exports = {
     getRawApiKeys,
     getActiveProvider,
     setActiveProvider,
+    setModelCatalog,
+    setModelSettings,
+    getFallbackChain,
+    setFallbackChain,
     getActiveSettings
 }; 
\ No newline at end of file
@@ -3,7 +3,7 @@ const { getFirestoreInstance } = require('../../services/firebaseClient');
 const { createEncryptedConverter } = require('../firestoreConverter');
 const encryptionService = require('../../services/encryptionService');
 
-const sessionConverter = createEncryptedConverter(['title']);
+const sessionConverter = createEncryptedConverter(['title', 'topic']);
 
 function sessionsCol() {
     const db = getFirestoreInstance();
@@ -27,16 +27,24 @@ async function getById(id) {
     return docSnap.exists() ? docSnap.data() : null;
 }
 
-async function create(uid, type = 'ask') {
+/**
+ * @param {Object} [options] - { title, startedAt, endedAt } in epoch seconds, for sessions that are
+ * recorded after the fact; an ended session is never picked up as the active one
+ */
+async function create(uid, type = 'ask', { title = null, startedAt = null, endedAt = null } = {}) {
     const now = Timestamp.now();
+    // Ask and listen sessions started while a research session is open belong to it and start in its mode
+    const research = await getOpenResearch(uid);
     const newSession = {
         uid: uid,
         members: [uid], // For future sharing functionality
-        title: `Session @ ${new Date().toLocaleTimeString()}`,
+        title: title || `Session @ ${new Date().toLocaleTimeString()}`,
         session_type: type,
-        started_at: now,
+        research_mode: research?.research_mode || 'exploration',
+        research_session_id: research?.id || null,
+        started_at: startedAt !== null ? Timestamp.fromMillis(startedAt * 1000) : now,
         updated_at: now,
-        ended_at: null,
+        ended_at: endedAt !== null ? Timestamp.fromMillis(endedAt * 1000) : null,
     };
     const docRef = await addDoc(sessionsCol(), newSession);
     console.log(`Firebase: Created session ${docRef.id} for user ${uid}`);
@@ -69,6 +77,9 @@ async function deleteWithRelatedData(id) {
         getDocs(query(summary)),
     ]);
     
+    const linkedSnap = await getDocs(query(sessionsCol(), where('research_session_id', '==', id)));
+    linkedSnap.forEach(d => batch.update(d.ref, { research_session_id: null }));
+
     transcriptsSnap.forEach(d => batch.delete(d.ref));
     aiMessagesSnap.forEach(d => batch.delete(d.ref));
     summarySnap.forEach(d => batch.delete(d.ref));
@@ -92,6 +103,21 @@ async function updateType(id, type) {
     return { changes: 1 };
 }
 
+async function updateResearchMode(id, mode) {
+    const docRef = doc(sessionsCol(), id);
+    await updateDoc(docRef, { research_mode: mode, updated_at: Timestamp.now() });
+
+    // The research session the session belongs to follows, so later sessions start in the same mode
+    const session = await getById(id);
+    if (session?.research_session_id) {
+        const research = await getById(session.research_session_id);
+        if (research && !research.ended_at) {
+            await updateDoc(doc(sessionsCol(), session.research_session_id), { research_mode: mode, updated_at: Timestamp.now() });
+        }
+    }
+    return { changes: 1 };
+}
+
 async function touch(id) {
     const docRef = doc(sessionsCol(), id);
     await updateDoc(docRef, { updated_at: Timestamp.now() });
@@ -103,6 +129,8 @@ async function getOrCreateActive(uid, requestedType = 'ask') {
         sessionsCol(),
         where('uid', '==', uid),
         where('ended_at', '==', null),
+        // Open research sessions are containers, not conversations, so they never match
+        where('session_type', 'in', ['ask', 'listen']),
         orderBy('session_type', 'desc'),
         limit(1)
     );
@@ -133,18 +161,105 @@ async function getOrCreateActive(uid, requestedType = 'ask') {
 async function endAllActiveSessions(uid) {
     const q = query(sessionsCol(), where('uid', '==', uid), where('ended_at', '==', null));
     const snapshot = await getDocs(q);
+    // Research sessions stay open until they are closed explicitly
+    const active = snapshot.docs.filter(d => d.data().session_type !== 'research');
 
-    if (snapshot.empty) return { changes: 0 };
+    if (active.length === 0) return { changes: 0 };
 
     const batch = writeBatch(getFirestoreInstance());
     const now = Timestamp.now();
-    snapshot.forEach(d => {
+    active.forEach(d => {
         batch.update(d.ref, { ended_at: now });
     });
     await batch.commit();
 
-    console.log(`[Repo] Ended ${snapshot.size} active session(s) for user ${uid}.`);
-    return { changes: snapshot.size };
+    console.log(`[Repo] Ended ${active.length} active session(s) for user ${uid}.`);
+    return { changes: active.length };
+}
+
+async function createResearch(uid, { title, topic = null, questions = [], documentIds = [], mode = 'exploration' }) {
+    const now = Timestamp.now();
+    await closeOpenResearch(uid, now);
+
+    const docRef = await addDoc(sessionsCol(), {
+        uid: uid,
+        members: [uid],
+        title,
+        session_type: 'research',
+        research_mode: mode,
+        topic,
+        research_questions: questions,
+        document_refs: documentIds,
+        started_at: now,
+        updated_at: now,
+        ended_at: null,
+    });
+    await linkActiveSessions(uid, docRef.id, mode, now);
+
+    console.log(`Firebase: Created research session ${docRef.id} for user ${uid}`);
+    return docRef.id;
+}
+
+async function getAllResearchByUserId(uid) {
+    const q = query(sessionsCol(), where('uid', '==', uid), where('session_type', '==', 'research'), orderBy('updated_at', 'desc'));
+    const snapshot = await getDocs(q);
+    const sessions = await Promise.all(snapshot.docs.map(async d => ({
+        ...d.data(),
+        linked_session_count: (await getLinkedSessions(d.id)).length,
+    })));
+    // Open sessions first, like the SQLite repository
+    return sessions.sort((a, b) => Number(Boolean(a.ended_at)) - Number(Boolean(b.ended_at)));
+}
+
+async function getOpenResearch(uid) {
+    const q = query(
+        sessionsCol(),
+        where('uid', '==', uid),
+        where('session_type', '==', 'research'),
+        where('ended_at', '==', null),
+        orderBy('updated_at', 'desc'),
+        limit(1)
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.empty ? null : snapshot.docs[0].data();
+}
+
+/**
+ * Make a research session the open one: any other open research session is closed, and the
+ * user's active ask/listen sessions join it
+ */
+async function openResearch(uid, id) {
+    const research = await getById(id);
+    if (!research || research.uid !== uid || research.session_type !== 'research') return { changes: 0 };
+
+    const now = Timestamp.now();
+    await closeOpenResearch(uid, now, id);
+    await updateDoc(doc(sessionsCol(), id), { ended_at: null, updated_at: now });
+    await linkActiveSessions(uid, id, research.research_mode, now);
+    return { changes: 1 };
+}
+
+async function getLinkedSessions(researchSessionId) {
+    const q = query(sessionsCol(), where('research_session_id', '==', researchSessionId), orderBy('started_at', 'asc'));
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(d => d.data());
+}
+
+/**
+ * Documents pinned to a session, else to the research session it belongs to
+ * @returns {Promise<string[]|null>} null when none are pinned
+ */
+async function getDocumentRefs(id) {
+    const session = await getById(id);
+    if (!session) return null;
+    if (Array.isArray(session.document_refs) && session.document_refs.length > 0) {
+        return session.document_refs;
+    }
+    if (!session.research_session_id) return null;
+
+    const research = await getById(session.research_session_id);
+    const refs = research?.document_refs;
+    return Array.isArray(refs) && refs.length > 0 ? refs : null;
 }
 
 module.exports = {
@@ -155,7 +270,32 @@ module.exports = {
     deleteWithRelatedData,
     end,
     updateType,
+    updateResearchMode,
     touch,
     getOrCreateActive,
     endAllActiveSessions,
-}; 
\ No newline at end of file
+    createResearch,
+    getAllResearchByUserId,
+    getOpenResearch,
+    openResearch,
+    getLinkedSessions,
+    getDocumentRefs,
+};
+
+async function closeOpenResearch(uid, now, exceptId = null) {
+    const q = query(sessionsCol(), where('uid', '==', uid), where('session_type', '==', 'research'), where('ended_at', '==', null));
+    const snapshot = await getDocs(q);
+    const batch = writeBatch(getFirestoreInstance());
+    snapshot.docs
+        .filter(d => d.id !== exceptId)
+        .forEach(d => batch.update(d.ref, { ended_at: now, updated_at: now }));
+    await batch.commit();
+}
+
+async function linkActiveSessions(uid, researchSessionId, mode, now) {
+    const q = query(sessionsCol(), where('uid', '==', uid), where('ended_at', '==', null), where('session_type', 'in', ['ask', 'listen']));
+    const snapshot = await getDocs(q);
+    const batch = writeBatch(getFirestoreInstance());
+    snapshot.forEach(d => batch.update(d.ref, { research_session_id: researchSessionId, research_mode: mode, updated_at: now }));
+    await batch.commit();
+} 
\ No newline at end of file
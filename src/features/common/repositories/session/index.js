@@ -26,9 +26,9 @@ const sessionRepositoryAdapter = {
 
     getById: (id) => getBaseRepository().getById(id),
     
-    create: (type = 'ask') => {
+    create: (type = 'ask', options = {}) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().create(uid, type);
+        return getBaseRepository().create(uid, type, options);
     },
     
     getAllByUserId: () => {
@@ -44,6 +44,8 @@ const sessionRepositoryAdapter = {
 
     updateType: (id, type) => getBaseRepository().updateType(id, type),
 
+    updateResearchMode: (id, mode) => getBaseRepository().updateResearchMode(id, mode),
+
     touch: (id) => getBaseRepository().touch(id),
 
     getOrCreateActive: (requestedType = 'ask') => {
@@ -55,6 +57,30 @@ const sessionRepositoryAdapter = {
         const uid = authService.getCurrentUserId();
         return getBaseRepository().endAllActiveSessions(uid);
     },
+
+    createResearch: (data) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().createResearch(uid, data);
+    },
+
+    getAllResearchByUserId: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getAllResearchByUserId(uid);
+    },
+
+    getOpenResearch: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getOpenResearch(uid);
+    },
+
+    openResearch: (id) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().openResearch(uid, id);
+    },
+
+    getLinkedSessions: (researchSessionId) => getBaseRepository().getLinkedSessions(researchSessionId),
+
+    getDocumentRefs: (id) => getBaseRepository().getDocumentRefs(id),
 };
 
 module.exports = sessionRepositoryAdapter; 
\ No newline at end of file
@@ -5,14 +5,23 @@ function getById(id) {
     return db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
 }
 
-function create(uid, type = 'ask') {
+/**
+ * @param {Object} [options] - { title, startedAt, endedAt } in epoch seconds, for sessions that are
+ * recorded after the fact; an ended session is never picked up as the active one
+ */
+function create(uid, type = 'ask', { title = null, startedAt = null, endedAt = null } = {}) {
     const db = sqliteClient.getDb();
     const sessionId = require('crypto').randomUUID();
     const now = Math.floor(Date.now() / 1000);
-    const query = `INSERT INTO sessions (id, uid, title, session_type, started_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    // Ask and listen sessions started while a research session is open belong to it and start in its mode
+    const research = getOpenResearch(uid);
+    const query = `INSERT INTO sessions (id, uid, title, session_type, research_mode, research_session_id, started_at, ended_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     
     try {
-        db.prepare(query).run(sessionId, uid, `Session @ ${new Date().toLocaleTimeString()}`, type, now, now);
+        db.prepare(query).run(
+            sessionId, uid, title || `Session @ ${new Date().toLocaleTimeString()}`, type,
+            research?.research_mode || 'exploration', research?.id || null, startedAt ?? now, endedAt, now
+        );
         console.log(`SQLite: Created session ${sessionId} for user ${uid} (type: ${type})`);
         return sessionId;
     } catch (err) {
@@ -36,6 +45,8 @@ function updateTitle(id, title) {
 function deleteWithRelatedData(id) {
     const db = sqliteClient.getDb();
     const transaction = db.transaction(() => {
+        db.prepare("UPDATE sessions SET research_session_id = NULL WHERE research_session_id = ?").run(id);
+        db.prepare("UPDATE annotations SET session_id = NULL WHERE session_id = ?").run(id);
         db.prepare("DELETE FROM transcripts WHERE session_id = ?").run(id);
         db.prepare("DELETE FROM ai_messages WHERE session_id = ?").run(id);
         db.prepare("DELETE FROM summaries WHERE session_id = ?").run(id);
@@ -66,6 +77,19 @@ function updateType(id, type) {
     return { changes: result.changes };
 }
 
+function updateResearchMode(id, mode) {
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+    const query = 'UPDATE sessions SET research_mode = ?, updated_at = ? WHERE id = ?';
+    const result = db.prepare(query).run(mode, now, id);
+    // The research session the session belongs to follows, so later sessions start in the same mode
+    db.prepare(`
+        UPDATE sessions SET research_mode = ?, updated_at = ?
+        WHERE id = (SELECT research_session_id FROM sessions WHERE id = ?) AND ended_at IS NULL
+    `).run(mode, now, id);
+    return { changes: result.changes };
+}
+
 function touch(id) {
     const db = sqliteClient.getDb();
     const now = Math.floor(Date.now() / 1000);
@@ -79,9 +103,10 @@ function getOrCreateActive(uid, requestedType = 'ask') {
     
     // 1. Look for ANY active session for the user (ended_at IS NULL).
     //    Prefer 'listen' sessions over 'ask' sessions to ensure continuity.
+    //    Open research sessions are containers, not conversations, so they never match.
     const findQuery = `
         SELECT id, session_type FROM sessions 
-        WHERE uid = ? AND ended_at IS NULL
+        WHERE uid = ? AND ended_at IS NULL AND session_type != 'research'
         ORDER BY CASE session_type WHEN 'listen' THEN 1 WHEN 'ask' THEN 2 ELSE 3 END
         LIMIT 1
     `;
@@ -112,7 +137,8 @@ function endAllActiveSessions(uid) {
     const db = sqliteClient.getDb();
     const now = Math.floor(Date.now() / 1000);
     // Filter by uid to match the Firebase repository's behavior.
-    const query = `UPDATE sessions SET ended_at = ?, updated_at = ? WHERE ended_at IS NULL AND uid = ?`;
+    // Research sessions stay open until they are closed explicitly.
+    const query = `UPDATE sessions SET ended_at = ?, updated_at = ? WHERE ended_at IS NULL AND uid = ? AND session_type != 'research'`;
     
     try {
         const result = db.prepare(query).run(now, now, uid);
@@ -124,6 +150,93 @@ function endAllActiveSessions(uid) {
     }
 }
 
+function createResearch(uid, { title, topic = null, questions = [], documentIds = [], mode = 'exploration' }) {
+    const db = sqliteClient.getDb();
+    const sessionId = require('crypto').randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `
+        INSERT INTO sessions (id, uid, title, session_type, research_mode, topic, research_questions, document_refs, started_at, updated_at)
+        VALUES (?, ?, ?, 'research', ?, ?, ?, ?, ?, ?)
+    `;
+
+    const transaction = db.transaction(() => {
+        closeOpenResearch(uid, now);
+        db.prepare(query).run(sessionId, uid, title, mode, topic, JSON.stringify(questions), JSON.stringify(documentIds), now, now);
+        linkActiveSessions(uid, sessionId, mode, now);
+    });
+
+    transaction();
+    console.log(`SQLite: Created research session ${sessionId} for user ${uid}`);
+    return sessionId;
+}
+
+function getAllResearchByUserId(uid) {
+    const db = sqliteClient.getDb();
+    const query = `
+        SELECT s.*, (SELECT COUNT(*) FROM sessions c WHERE c.research_session_id = s.id) AS linked_session_count
+        FROM sessions s
+        WHERE s.uid = ? AND s.session_type = 'research'
+        ORDER BY s.ended_at IS NOT NULL, s.updated_at DESC
+    `;
+    return db.prepare(query).all(uid);
+}
+
+function getOpenResearch(uid) {
+    const db = sqliteClient.getDb();
+    const query = `
+        SELECT * FROM sessions
+        WHERE uid = ? AND session_type = 'research' AND ended_at IS NULL
+        ORDER BY updated_at DESC LIMIT 1
+    `;
+    return db.prepare(query).get(uid) || null;
+}
+
+/**
+ * Make a research session the open one: any other open research session is closed, and the
+ * user's active ask/listen sessions join it
+ */
+function openResearch(uid, id) {
+    const db = sqliteClient.getDb();
+    const now = Math.floor(Date.now() / 1000);
+    const research = db.prepare("SELECT * FROM sessions WHERE id = ? AND uid = ? AND session_type = 'research'").get(id, uid);
+    if (!research) return { changes: 0 };
+
+    const transaction = db.transaction(() => {
+        closeOpenResearch(uid, now, id);
+        db.prepare('UPDATE sessions SET ended_at = NULL, updated_at = ? WHERE id = ?').run(now, id);
+        linkActiveSessions(uid, id, research.research_mode, now);
+    });
+
+    transaction();
+    return { changes: 1 };
+}
+
+function getLinkedSessions(researchSessionId) {
+    const db = sqliteClient.getDb();
+    const query = `
+        SELECT id, uid, title, session_type, research_mode, started_at, ended_at, updated_at
+        FROM sessions WHERE research_session_id = ? ORDER BY started_at ASC
+    `;
+    return db.prepare(query).all(researchSessionId);
+}
+
+/**
+ * Documents pinned to a session, else to the research session it belongs to
+ * @returns {string[]|null} null when none are pinned
+ */
+function getDocumentRefs(id) {
+    const db = sqliteClient.getDb();
+    const row = db.prepare(`
+        SELECT s.document_refs, r.document_refs AS research_document_refs
+        FROM sessions s
+        LEFT JOIN sessions r ON r.id = s.research_session_id
+        WHERE s.id = ?
+    `).get(id);
+    if (!row) return null;
+
+    return parseDocumentRefs(row.document_refs) || parseDocumentRefs(row.research_document_refs);
+}
+
 module.exports = {
     getById,
     create,
@@ -132,7 +245,40 @@ module.exports = {
     deleteWithRelatedData,
     end,
     updateType,
+    updateResearchMode,
     touch,
     getOrCreateActive,
     endAllActiveSessions,
-}; 
\ No newline at end of file
+    createResearch,
+    getAllResearchByUserId,
+    getOpenResearch,
+    openResearch,
+    getLinkedSessions,
+    getDocumentRefs,
+};
+
+function closeOpenResearch(uid, now, exceptId = null) {
+    const db = sqliteClient.getDb();
+    db.prepare(`
+        UPDATE sessions SET ended_at = ?, updated_at = ?
+        WHERE uid = ? AND session_type = 'research' AND ended_at IS NULL AND id IS NOT ?
+    `).run(now, now, uid, exceptId);
+}
+
+function linkActiveSessions(uid, researchSessionId, mode, now) {
+    const db = sqliteClient.getDb();
+    db.prepare(`
+        UPDATE sessions SET research_session_id = ?, research_mode = ?, updated_at = ?
+        WHERE uid = ? AND session_type != 'research' AND ended_at IS NULL
+    `).run(researchSessionId, mode, now, uid);
+}
+
+function parseDocumentRefs(value) {
+    if (!value) return null;
+    try {
+        const ids = JSON.parse(value);
+        return Array.isArray(ids) && ids.length > 0 ? ids : null;
+    } catch {
+        return null;
+    }
+}
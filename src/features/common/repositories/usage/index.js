@@ -0,0 +1,22 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../services/authService');
+
+// Usage is metered on this machine, so it is kept in SQLite whether or not the user is logged in
+const usageRepositoryAdapter = {
+    addEvent: (event) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.addEvent({ uid, ...event });
+    },
+
+    getTotals: (since) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getTotals(uid, since);
+    },
+
+    getBreakdown: (since, groupBy, limit) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getBreakdown(uid, since, groupBy, limit);
+    },
+};
+
+module.exports = usageRepositoryAdapter;
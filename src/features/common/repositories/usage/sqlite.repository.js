@@ -0,0 +1,96 @@
+const sqliteClient = require('../../services/sqliteClient');
+
+const TOTAL_COLUMNS = `
+    COUNT(*) AS calls,
+    COALESCE(SUM(input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(audio_seconds), 0) AS audio_seconds,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+    SUM(CASE WHEN cost_usd IS NULL THEN 1 ELSE 0 END) AS unpriced_calls
+`;
+
+// Column expressions usage can be grouped by; values are never taken from callers
+const GROUP_KEYS = {
+    provider: 'u.provider',
+    model: "u.provider || '/' || COALESCE(u.model, '')",
+    feature: "COALESCE(u.feature, 'other')",
+    day: "date(u.created_at, 'unixepoch', 'localtime')",
+    session: 'u.session_id',
+};
+
+/**
+ * Record one metered call
+ */
+function addEvent({ uid, sessionId = null, feature = null, kind, provider, model = null, inputTokens = 0, outputTokens = 0, audioSeconds = 0, costUsd = null }) {
+    const db = sqliteClient.getDb();
+    const id = require('crypto').randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `
+        INSERT INTO usage_events (id, uid, session_id, feature, kind, provider, model, input_tokens, output_tokens, audio_seconds, cost_usd, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+        db.prepare(query).run(id, uid, sessionId, feature, kind, provider, model, inputTokens || 0, outputTokens || 0, audioSeconds || 0, costUsd, now);
+        return { id };
+    } catch (err) {
+        console.error('[Usage Repository] Failed to record usage:', err);
+        throw err;
+    }
+}
+
+/**
+ * Totals of all usage since a time
+ * @param {string} uid
+ * @param {number} since - Unix seconds
+ */
+function getTotals(uid, since) {
+    const db = sqliteClient.getDb();
+    const query = `SELECT ${TOTAL_COLUMNS} FROM usage_events WHERE uid = ? AND created_at >= ?`;
+
+    try {
+        return db.prepare(query).get(uid, since);
+    } catch (err) {
+        console.error('[Usage Repository] Failed to get usage totals:', err);
+        throw err;
+    }
+}
+
+/**
+ * Totals since a time, grouped by provider, model, feature, day or session, most expensive first
+ * (days newest first). Session rows include the session title.
+ * @param {string} uid
+ * @param {number} since - Unix seconds
+ * @param {'provider'|'model'|'feature'|'day'|'session'} groupBy
+ * @param {number} [limit=50]
+ */
+function getBreakdown(uid, since, groupBy, limit = 50) {
+    const key = GROUP_KEYS[groupBy];
+    if (!key) throw new Error(`Unknown usage grouping: ${groupBy}`);
+
+    const db = sqliteClient.getDb();
+    const isSession = groupBy === 'session';
+    const query = `
+        SELECT ${key} AS group_key, ${isSession ? 'MAX(s.title) AS title, MAX(s.started_at) AS started_at,' : ''}
+            ${TOTAL_COLUMNS}
+        FROM usage_events u
+        ${isSession ? 'LEFT JOIN sessions s ON s.id = u.session_id' : ''}
+        WHERE u.uid = ? AND u.created_at >= ? ${isSession ? 'AND u.session_id IS NOT NULL' : ''}
+        GROUP BY ${key}
+        ORDER BY ${groupBy === 'day' ? 'group_key DESC' : 'cost_usd DESC, calls DESC'}
+        LIMIT ?
+    `;
+
+    try {
+        return db.prepare(query).all(uid, since, limit) || [];
+    } catch (err) {
+        console.error(`[Usage Repository] Failed to get usage by ${groupBy}:`, err);
+        throw err;
+    }
+}
+
+module.exports = {
+    addEvent,
+    getTotals,
+    getBreakdown,
+};
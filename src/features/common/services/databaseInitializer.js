@@ -60,6 +60,9 @@ class DatabaseInitializer {
             // This single call will now synchronize the schema and then init default data.
             await sqliteClient.initTables();
 
+            // Full-text search indexes are virtual tables, so they are migrated separately
+            sqliteClient.migrateFullTextSearch();
+
             // Clean up any orphaned sessions from previous versions
             await sqliteClient.cleanupEmptySessions();
 
@@ -108,6 +108,8 @@ async function checkAndRunMigration(firebaseUser) {
                     speaker: t.speaker ?? null,
                     text: encryptionService.encrypt(t.text ?? ''),
                     lang: t.lang ?? 'en',
+                    words: t.words ? encryptionService.encrypt(JSON.stringify(t.words)) : null,
+                    confidence: t.confidence ?? null,
                     created_at: t.created_at ? Timestamp.fromMillis(t.created_at * 1000) : null
                 };
                 phase2Batch.set(transcriptRef, cleanTranscript);
@@ -1,10 +1,20 @@
 const { EventEmitter } = require('events');
 const Store = require('electron-store');
-const { PROVIDERS, getProviderClass } = require('../ai/factory');
+const { PROVIDERS, getProviderClass, listModels } = require('../ai/factory');
+const { buildCatalog, inferCapabilities, isCatalogStale } = require('../ai/modelCatalog');
 const encryptionService = require('./encryptionService');
 const providerSettingsRepository = require('../repositories/providerSettings');
 const authService = require('./authService');
 const ollamaModelRepository = require('../repositories/ollamaModel');
+const settingsRepository = require('../../settings/repositories');
+
+/** Features that can use their own LLM instead of the selected one */
+const LLM_FEATURES = {
+    ask: 'Ask',
+    paper_analysis: 'Paper analysis',
+    summary: 'Live summary',
+    voice: 'Voice replies',
+};
 
 class ModelStateService extends EventEmitter {
     constructor() {
@@ -12,15 +22,22 @@ class ModelStateService extends EventEmitter {
         this.authService = authService;
         // electron-store는 오직 레거시 데이터 마이그레이션 용도로만 사용됩니다.
         this.store = new Store({ name: 'rani-model-state' });
+        // LLM catalogs by provider (see modelCatalog.js), built from the curated lists and the
+        // cached model listings. Kept in memory because getProviderForModel() is synchronous.
+        this.modelCatalogs = {};
     }
 
     async initialize() {
         console.log('[ModelStateService] Initializing one-time setup...');
         await this._initializeEncryption();
+        await this._loadModelCatalogs();
         await this._runMigrations();
         this.setupLocalAIStateSync();
         await this._autoSelectAvailableModels([], true);
         console.log('[ModelStateService] One-time setup complete.');
+
+        // Model listings change rarely; refresh stale ones without holding up startup
+        this.refreshModelCatalogs({ staleOnly: true }).catch(err => console.warn('[ModelStateService] Catalog refresh failed:', err.message));
     }
 
     async _initializeEncryption() {
@@ -94,6 +111,14 @@ class ModelStateService extends EventEmitter {
         }
     }
     
+    async _loadModelCatalogs() {
+        const allSettings = await providerSettingsRepository.getAll();
+        for (const providerId of Object.keys(PROVIDERS)) {
+            const setting = allSettings.find(s => s.provider === providerId);
+            this.modelCatalogs[providerId] = buildCatalog(providerId, parseJson(setting?.models_json, []));
+        }
+    }
+
     setupLocalAIStateSync() {
         const localAIManager = require('./localAIManager');
         localAIManager.on('state-changed', (service, status) => {
@@ -219,9 +244,14 @@ class ModelStateService extends EventEmitter {
             }
         }
 
-        const finalKey = (provider === 'ollama' || provider === 'whisper') ? 'local' : key;
+        const isKeyless = provider === 'ollama' || provider === 'whisper' || (PROVIDERS[provider]?.requiresEndpoint && !key);
+        const finalKey = isKeyless ? 'local' : key;
         const existingSettings = await providerSettingsRepository.getByProvider(provider) || {};
         await providerSettingsRepository.upsert(provider, { ...existingSettings, api_key: finalKey });
+        if (!PROVIDERS[provider]?.requiresEndpoint) {
+            // Fetch the full model list in the background; the curated list works meanwhile
+            this.refreshModelCatalog(provider);
+        }
         
         // 키가 추가/변경되었으므로, 해당 provider의 모델을 자동 선택할 수 있는지 확인
         await this._autoSelectAvailableModels([]);
@@ -283,15 +313,11 @@ class ModelStateService extends EventEmitter {
         }
         if (!modelId || !type) return null;
         for (const providerId in PROVIDERS) {
-            const models = type === 'llm' ? PROVIDERS[providerId].llmModels : PROVIDERS[providerId].sttModels;
+            const models = type === 'llm' ? this.getModelCatalog(providerId) : PROVIDERS[providerId].sttModels;
             if (models && models.some(m => m.id === modelId)) {
                 return providerId;
             }
         }
-        if (type === 'llm') {
-            const installedModels = ollamaModelRepository.getInstalledModels();
-            if (installedModels.some(m => m.name === modelId)) return 'ollama';
-        }
         return null;
     }
 
@@ -342,9 +368,8 @@ class ModelStateService extends EventEmitter {
             if (!setting.api_key) continue;
 
             const providerId = setting.provider;
-            if (providerId === 'ollama' && type === 'llm') {
-                const installed = ollamaModelRepository.getInstalledModels();
-                available.push(...installed.map(m => ({ id: m.name, name: m.name })));
+            if (type === 'llm') {
+                available.push(...this.getModelCatalog(providerId));
             } else if (PROVIDERS[providerId]?.[modelListKey]) {
                 available.push(...PROVIDERS[providerId][modelListKey]);
             }
@@ -363,13 +388,390 @@ class ModelStateService extends EventEmitter {
             provider: activeSetting.provider,
             model: model,
             apiKey: activeSetting.api_key,
+            ...this._getEndpointOptions(activeSetting),
+            ...(type === 'llm' && this._describeModel(activeSetting, model)),
+        };
+    }
+
+    /**
+     * Like getCurrentModelInfo('stt'), for any STT model whose provider has a key
+     * @param {string} [modelId] - The selected STT model when absent
+     * @returns {Promise<Object|null>}
+     */
+    async getSttModelInfo(modelId) {
+        if (!modelId) return this.getCurrentModelInfo('stt');
+
+        const provider = this.getProviderForModel(modelId, 'stt');
+        const setting = provider && await providerSettingsRepository.getByProvider(provider);
+        if (!setting?.api_key) return null;
+
+        return {
+            provider,
+            model: modelId,
+            apiKey: setting.api_key,
+            ...this._getEndpointOptions(setting),
+        };
+    }
+
+    /**
+     * LLM catalog of a provider: curated models first, then models its API listed
+     * @returns {Array<{ id: string, name: string, capabilities: Object }>}
+     */
+    getModelCatalog(provider) {
+        if (provider === 'ollama') {
+            const installed = ollamaModelRepository.getInstalledModels();
+            return buildCatalog('ollama', installed.map(m => ({ id: m.name, name: m.name })));
+        }
+        return this.modelCatalogs[provider] || buildCatalog(provider);
+    }
+
+    /**
+     * Fetch a provider's model listing and cache it. A failed fetch keeps the previous list.
+     */
+    async refreshModelCatalog(provider) {
+        const setting = await providerSettingsRepository.getByProvider(provider);
+        if (!setting?.api_key) {
+            return { success: false, error: 'Provider is not configured.' };
+        }
+        if (PROVIDERS[provider]?.requiresEndpoint) {
+            return await this.refreshEndpointModels(provider);
+        }
+
+        try {
+            const models = await listModels(provider, { apiKey: setting.api_key });
+            if (!models) {
+                return { success: true, models: this.getModelCatalog(provider) };
+            }
+
+            await providerSettingsRepository.setModelCatalog(provider, JSON.stringify(models), Date.now());
+            this.modelCatalogs[provider] = buildCatalog(provider, models);
+            console.log(`[ModelStateService] ${provider} lists ${models.length} models`);
+
+            this.emit('settings-updated');
+            return { success: true, models: this.modelCatalogs[provider] };
+        } catch (error) {
+            console.warn(`[ModelStateService] Could not list ${provider} models, keeping the cached list: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Refresh the listings of all configured providers. With staleOnly, only listings older than
+     * a day are fetched and endpoints are skipped, since local servers are often not running.
+     * @returns {Promise<Object<string, { success: boolean, error?: string }>>} Result per provider
+     */
+    async refreshModelCatalogs({ staleOnly = false } = {}) {
+        const results = {};
+        const allSettings = await providerSettingsRepository.getAll();
+        for (const setting of allSettings) {
+            const provider = setting.provider;
+            if (!setting.api_key || ['ollama', 'whisper', 'openai-glass'].includes(provider)) continue;
+            if (staleOnly && (PROVIDERS[provider]?.requiresEndpoint || !isCatalogStale(setting.models_fetched_at))) continue;
+
+            const { success, error } = await this.refreshModelCatalog(provider);
+            results[provider] = { success, error };
+        }
+        return results;
+    }
+
+    /**
+     * Capabilities and per-model settings of a model
+     * @returns {{ capabilities: Object, modelSettings: { temperature?: number, maxTokens?: number } }}
+     */
+    _describeModel(setting, modelId) {
+        const entry = this.getModelCatalog(setting.provider).find(m => m.id === modelId);
+        return {
+            capabilities: entry?.capabilities || inferCapabilities(setting.provider, modelId),
+            modelSettings: parseJson(setting.model_settings, {})[modelId] || {},
         };
     }
 
+    async getModelSettings(modelId) {
+        const provider = this.getProviderForModel(modelId, 'llm');
+        const setting = provider && await providerSettingsRepository.getByProvider(provider);
+        return setting ? this._describeModel(setting, modelId) : { capabilities: inferCapabilities(null, modelId), modelSettings: {} };
+    }
+
+    /**
+     * Save per-model overrides. Empty values clear an override.
+     * @param {string} modelId
+     * @param {{ temperature?: number|null, maxTokens?: number|null }} settings
+     */
+    async setModelSettings(modelId, { temperature, maxTokens } = {}) {
+        const provider = this.getProviderForModel(modelId, 'llm');
+        if (!provider) {
+            return { success: false, error: `Unknown model: ${modelId}` };
+        }
+
+        const setting = await providerSettingsRepository.getByProvider(provider) || {};
+        const { capabilities } = this._describeModel({ ...setting, provider }, modelId);
+        const next = {};
+        if (temperature !== null && temperature !== undefined && temperature !== '') {
+            const value = Number(temperature);
+            if (!Number.isFinite(value) || value < 0 || value > 2) {
+                return { success: false, error: 'Temperature must be between 0 and 2.' };
+            }
+            next.temperature = value;
+        }
+        if (maxTokens !== null && maxTokens !== undefined && maxTokens !== '') {
+            const value = Number.parseInt(maxTokens, 10);
+            const limit = capabilities.maxOutputTokens || Infinity;
+            if (!Number.isFinite(value) || value < 1 || value > limit) {
+                return { success: false, error: `Max output tokens must be between 1 and ${limit === Infinity ? 'the model limit' : limit}.` };
+            }
+            next.maxTokens = value;
+        }
+
+        const allModelSettings = parseJson(setting.model_settings, {});
+        if (Object.keys(next).length > 0) {
+            allModelSettings[modelId] = next;
+        } else {
+            delete allModelSettings[modelId];
+        }
+        await providerSettingsRepository.setModelSettings(provider, JSON.stringify(allModelSettings));
+        console.log(`[ModelStateService] Settings for ${modelId}:`, next);
+
+        this.emit('settings-updated');
+        return { success: true, modelSettings: next };
+    }
+
+    /**
+     * Base URL and headers to pass to createLLM() for providers configured with an endpoint
+     * @returns {{ baseUrl?: string, headers?: Object }}
+     */
+    _getEndpointOptions(setting) {
+        if (!setting?.base_url) return {};
+        return { baseUrl: setting.base_url, headers: parseJson(setting.custom_headers, {}) };
+    }
+
+    /**
+     * Connect an OpenAI-compatible endpoint. The endpoint must list its models; the base URL,
+     * headers, key and discovered models are then stored with the provider's settings.
+     * @param {{ baseUrl: string, apiKey?: string, headers?: Object }} endpoint
+     * @param {string} [provider='openai-compatible']
+     * @returns {Promise<{ success: boolean, models?: Array, error?: string }>}
+     */
+    async setCustomEndpoint({ baseUrl, apiKey = '', headers = {} }, provider = 'openai-compatible') {
+        if (!PROVIDERS[provider]?.requiresEndpoint) {
+            return { success: false, error: `${provider} is not configured with an endpoint.` };
+        }
+
+        const key = (apiKey || '').trim();
+        const ProviderClass = getProviderClass(provider);
+        const validation = await ProviderClass.validateApiKey(key, { baseUrl, headers });
+        if (!validation.success) {
+            console.warn(`[ModelStateService] Endpoint validation failed for ${provider}: ${validation.error}`);
+            return validation;
+        }
+
+        const existingSettings = await providerSettingsRepository.getByProvider(provider) || {};
+        await providerSettingsRepository.upsert(provider, {
+            ...existingSettings,
+            api_key: key || 'local',
+            base_url: validation.baseUrl,
+            custom_headers: JSON.stringify(headers),
+        });
+        await providerSettingsRepository.setModelCatalog(provider, JSON.stringify(validation.models), Date.now());
+        this.modelCatalogs[provider] = buildCatalog(provider, validation.models);
+        console.log(`[ModelStateService] ${provider} endpoint ${validation.baseUrl} lists ${validation.models.length} models`);
+
+        await this._autoSelectAvailableModels([]);
+        this.emit('state-updated', await this.getLiveState());
+        this.emit('settings-updated');
+        return { success: true, models: validation.models };
+    }
+
+    /**
+     * Stored endpoint configuration for the settings UI
+     * @returns {Promise<{ baseUrl: string|null, headers: Object, models: Array }>}
+     */
+    async getCustomEndpoint(provider = 'openai-compatible') {
+        const setting = await providerSettingsRepository.getByProvider(provider);
+        return {
+            baseUrl: setting?.base_url || null,
+            headers: parseJson(setting?.custom_headers, {}),
+            models: this.getModelCatalog(provider),
+        };
+    }
+
+    /**
+     * Re-read the model list of a configured endpoint
+     */
+    async refreshEndpointModels(provider = 'openai-compatible') {
+        const setting = await providerSettingsRepository.getByProvider(provider);
+        if (!setting?.base_url || !setting.api_key) {
+            return { success: false, error: 'Endpoint is not configured.' };
+        }
+        return await this.setCustomEndpoint({
+            baseUrl: setting.base_url,
+            apiKey: setting.api_key === 'local' ? '' : setting.api_key,
+            headers: parseJson(setting.custom_headers, {}),
+        }, provider);
+    }
+
+    /**
+     * Providers that can stand in when the selected LLM fails, with the model each would use
+     * @returns {Promise<Array<{ provider: string, name: string, model: string }>>}
+     */
+    async getFallbackOptions() {
+        const allSettings = await providerSettingsRepository.getAll();
+        return allSettings
+            .filter(setting => setting.api_key && setting.provider !== 'openai-glass')
+            .map(setting => ({
+                provider: setting.provider,
+                name: PROVIDERS[setting.provider]?.name || setting.provider,
+                model: this._getFallbackModel(setting),
+            }))
+            .filter(option => option.model);
+    }
+
+    /**
+     * Providers to try, in order, after the selected LLM
+     * @returns {Promise<string[]>}
+     */
+    async getFallbackChain() {
+        const chain = await providerSettingsRepository.getFallbackChain();
+        return chain.map(setting => setting.provider);
+    }
+
+    async setFallbackChain(providers = []) {
+        const options = await this.getFallbackOptions();
+        const chain = [...new Set(providers)].filter(provider => options.some(option => option.provider === provider));
+
+        await providerSettingsRepository.setFallbackChain(chain);
+        console.log(`[ModelStateService] LLM fallback chain: [${chain.join(' → ')}]`);
+
+        this.emit('settings-updated');
+        return { success: true, chain };
+    }
+
+    /**
+     * The model for a feature (its own model, else the selected LLM) followed by the fallback
+     * chain, skipping the primary provider and providers whose key has since been removed.
+     * A feature routed to a local model has no fallbacks, so its data stays on the device; if that
+     * model is no longer installed this throws instead of using the selected LLM.
+     * @param {string} [feature] - A key of LLM_FEATURES
+     * @returns {Promise<Array<{ provider: string, model: string, apiKey: string }>>}
+     */
+    async getLlmCandidates(feature) {
+        const candidates = [];
+        const routed = feature ? await this._getFeatureModelInfo(feature) : null;
+        const current = routed || await this.getCurrentModelInfo('llm');
+        if (current && current.apiKey) candidates.push(current);
+        if (routed?.provider === 'ollama') return candidates;
+
+        for (const setting of await providerSettingsRepository.getFallbackChain()) {
+            if (!setting.api_key || candidates.some(candidate => candidate.provider === setting.provider)) continue;
+            const model = this._getFallbackModel(setting);
+            if (model) {
+                candidates.push({
+                    provider: setting.provider,
+                    model,
+                    apiKey: setting.api_key,
+                    ...this._getEndpointOptions(setting),
+                    ...this._describeModel(setting, model),
+                });
+            }
+        }
+        return candidates;
+    }
+
+    _getFallbackModel(setting) {
+        return setting.selected_llm_model || this.getModelCatalog(setting.provider)[0]?.id || null;
+    }
+
+    /**
+     * Features with the model each one uses (null: the selected LLM), and the models of the
+     * configured providers they can use
+     */
+    async getFeatureModels() {
+        const routes = await settingsRepository.getFeatureModels();
+        const options = [];
+        for (const setting of await providerSettingsRepository.getAll()) {
+            if (!setting.api_key) continue;
+            for (const model of this.getModelCatalog(setting.provider)) {
+                options.push({
+                    provider: setting.provider,
+                    providerName: PROVIDERS[setting.provider]?.name || setting.provider,
+                    id: model.id,
+                    name: model.name,
+                });
+            }
+        }
+
+        const features = Object.entries(LLM_FEATURES).map(([id, name]) => {
+            const route = routes[id];
+            const available = route && options.some(option => option.provider === route.provider && option.id === route.model);
+            return { id, name, provider: available ? route.provider : null, model: available ? route.model : null };
+        });
+        return { features, options };
+    }
+
+    /**
+     * Give a feature its own model, or pass `null` to use the selected LLM again
+     * @param {string} feature - A key of LLM_FEATURES
+     * @param {{ provider: string, model: string }|null} route
+     */
+    async setFeatureModel(feature, route) {
+        if (!LLM_FEATURES[feature]) {
+            return { success: false, error: `Unknown feature: ${feature}` };
+        }
+
+        const routes = { ...await settingsRepository.getFeatureModels() };
+        if (route?.provider && route.model) {
+            const setting = await providerSettingsRepository.getByProvider(route.provider);
+            if (!this._isRoutable(setting, route.model)) {
+                return { success: false, error: `${route.model} is not available from a configured provider.` };
+            }
+            routes[feature] = { provider: route.provider, model: route.model };
+        } else {
+            delete routes[feature];
+        }
+
+        await settingsRepository.setFeatureModels(routes);
+        const assigned = routes[feature];
+        console.log(`[ModelStateService] ${LLM_FEATURES[feature]} model: ${assigned ? `${assigned.provider}/${assigned.model}` : 'selected LLM'}`);
+
+        this.emit('settings-updated');
+        return { success: true, route: assigned || null };
+    }
+
+    /**
+     * Model info for a feature's own model, or null when it has none or the model is no longer available
+     * @private
+     */
+    async _getFeatureModelInfo(feature) {
+        const route = (await settingsRepository.getFeatureModels())[feature];
+        if (!route?.provider || !route.model) return null;
+
+        const setting = await providerSettingsRepository.getByProvider(route.provider);
+        if (!this._isRoutable(setting, route.model)) {
+            if (route.provider === 'ollama') {
+                // Falling back could send data meant to stay on the device to a cloud provider
+                throw new Error(`${LLM_FEATURES[feature] || feature} is set to the local model ${route.model}, which is no longer installed. Install it in Ollama again or pick another model for ${LLM_FEATURES[feature] || feature} in Settings.`);
+            }
+            console.warn(`[ModelStateService] ${feature} model ${route.provider}/${route.model} is no longer available; using the selected LLM`);
+            return null;
+        }
+
+        return {
+            provider: setting.provider,
+            model: route.model,
+            apiKey: setting.api_key,
+            ...this._getEndpointOptions(setting),
+            ...this._describeModel(setting, route.model),
+        };
+    }
+
+    _isRoutable(setting, modelId) {
+        return !!setting?.api_key && this.getModelCatalog(setting.provider).some(model => model.id === modelId);
+    }
+
     // --- 핸들러 및 유틸리티 메서드 ---
 
     async validateApiKey(provider, key) {
-        if (!key || (key.trim() === '' && provider !== 'ollama' && provider !== 'whisper')) {
+        const requiresEndpoint = PROVIDERS[provider]?.requiresEndpoint;
+        if (!requiresEndpoint && (!key || (key.trim() === '' && provider !== 'ollama' && provider !== 'whisper'))) {
             return { success: false, error: 'API key cannot be empty.' };
         }
         const ProviderClass = getProviderClass(provider);
@@ -377,6 +779,10 @@ class ModelStateService extends EventEmitter {
             return { success: true };
         }
         try {
+            if (requiresEndpoint) {
+                const setting = await providerSettingsRepository.getByProvider(provider);
+                return await ProviderClass.validateApiKey(key, this._getEndpointOptions(setting));
+            }
             return await ProviderClass.validateApiKey(key);
         } catch (error) {
             return { success: false, error: 'An unexpected error occurred during validation.' };
@@ -387,7 +793,7 @@ class ModelStateService extends EventEmitter {
         const config = {};
         for (const key in PROVIDERS) {
             const { handler, ...rest } = PROVIDERS[key];
-            config[key] = rest;
+            config[key] = { ...rest, llmModels: this.getModelCatalog(key) };
         }
         return config;
     }
@@ -421,7 +827,7 @@ class ModelStateService extends EventEmitter {
         const hasLlmKey = Object.entries(apiKeyMap).some(([provider, key]) => {
             if (!key) return false;
             if (provider === 'whisper') return false; // whisper는 LLM 없음
-            return PROVIDERS[provider]?.llmModels?.length > 0;
+            return this.getModelCatalog(provider).length > 0;
         });
         // STT
         const hasSttKey = Object.entries(apiKeyMap).some(([provider, key]) => {
@@ -433,5 +839,14 @@ class ModelStateService extends EventEmitter {
     }
 }
 
+function parseJson(text, fallback) {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
 const modelStateService = new ModelStateService();
 module.exports = modelStateService;
\ No newline at end of file
@@ -132,6 +132,120 @@ class SQLiteClient {
         console.log('[DB Sync] Schema synchronization finished.');
     }
 
+    /**
+     * Create the FTS5 indexes over document pages and annotations, keep them in sync
+     * with triggers, and backfill them the first time they are created.
+     * Safe to run on every start.
+     */
+    migrateFullTextSearch() {
+        const tablesInDb = this.getTablesFromDb();
+
+        try {
+            this.db.transaction(() => {
+                if (!tablesInDb.includes('documents_fts')) {
+                    console.log('[DB Migration] Creating documents_fts index...');
+                    this.db.exec(`
+                        CREATE VIRTUAL TABLE documents_fts USING fts5(
+                            document_id UNINDEXED, uid UNINDEXED, page_number UNINDEXED,
+                            filename, body,
+                            tokenize = 'porter unicode61 remove_diacritics 2'
+                        )
+                    `);
+                    const pages = this.db.prepare(`
+                        INSERT INTO documents_fts (document_id, uid, page_number, filename, body)
+                        SELECT d.id, d.uid, p.page_number, d.filename, p.text
+                        FROM document_pages p JOIN documents d ON d.id = p.document_id
+                    `).run();
+                    const documents = this.db.prepare(`
+                        INSERT INTO documents_fts (document_id, uid, page_number, filename, body)
+                        SELECT d.id, d.uid, NULL, d.filename, COALESCE(d.extracted_text, '')
+                        FROM documents d
+                        WHERE NOT EXISTS (SELECT 1 FROM document_pages p WHERE p.document_id = d.id)
+                    `).run();
+                    console.log(`[DB Migration] Indexed ${pages.changes} pages and ${documents.changes} unpaged documents.`);
+                }
+
+                if (!tablesInDb.includes('annotations_fts')) {
+                    console.log('[DB Migration] Creating annotations_fts index...');
+                    this.db.exec(`
+                        CREATE VIRTUAL TABLE annotations_fts USING fts5(
+                            annotation_id UNINDEXED, document_id UNINDEXED, page_number UNINDEXED,
+                            highlight_text, note_text,
+                            tokenize = 'porter unicode61 remove_diacritics 2'
+                        )
+                    `);
+                    const annotations = this.db.prepare(`
+                        INSERT INTO annotations_fts (annotation_id, document_id, page_number, highlight_text, note_text)
+                        SELECT id, document_id, page_number, COALESCE(highlight_text, ''), COALESCE(note_text, '')
+                        FROM annotations
+                    `).run();
+                    console.log(`[DB Migration] Indexed ${annotations.changes} annotations.`);
+                }
+
+                // Documents are indexed per page once pages exist; until then (or for
+                // documents without text layout) a single row with a NULL page holds the full text.
+                this.db.exec(`
+                    CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents BEGIN
+                        INSERT INTO documents_fts (document_id, uid, page_number, filename, body)
+                        VALUES (new.id, new.uid, NULL, new.filename, COALESCE(new.extracted_text, ''));
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE OF filename, extracted_text ON documents BEGIN
+                        UPDATE documents_fts SET filename = new.filename WHERE document_id = new.id;
+                        UPDATE documents_fts SET body = COALESCE(new.extracted_text, '')
+                        WHERE document_id = new.id AND page_number IS NULL;
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents BEGIN
+                        DELETE FROM documents_fts WHERE document_id = old.id;
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS document_pages_fts_insert AFTER INSERT ON document_pages BEGIN
+                        DELETE FROM documents_fts WHERE document_id = new.document_id AND page_number IS NULL;
+                        INSERT INTO documents_fts (document_id, uid, page_number, filename, body)
+                        SELECT d.id, d.uid, new.page_number, d.filename, COALESCE(new.text, '')
+                        FROM documents d WHERE d.id = new.document_id;
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS document_pages_fts_delete AFTER DELETE ON document_pages BEGIN
+                        DELETE FROM documents_fts WHERE document_id = old.document_id AND page_number = old.page_number;
+                        INSERT INTO documents_fts (document_id, uid, page_number, filename, body)
+                        SELECT d.id, d.uid, NULL, d.filename, COALESCE(d.extracted_text, '')
+                        FROM documents d
+                        WHERE d.id = old.document_id
+                          AND NOT EXISTS (SELECT 1 FROM document_pages p WHERE p.document_id = old.document_id)
+                          AND NOT EXISTS (SELECT 1 FROM documents_fts f WHERE f.document_id = old.document_id AND f.page_number IS NULL);
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS annotations_fts_insert AFTER INSERT ON annotations BEGIN
+                        INSERT INTO annotations_fts (annotation_id, document_id, page_number, highlight_text, note_text)
+                        VALUES (new.id, new.document_id, new.page_number, COALESCE(new.highlight_text, ''), COALESCE(new.note_text, ''));
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS annotations_fts_update AFTER UPDATE ON annotations BEGIN
+                        UPDATE annotations_fts
+                        SET page_number = new.page_number,
+                            highlight_text = COALESCE(new.highlight_text, ''),
+                            note_text = COALESCE(new.note_text, '')
+                        WHERE annotation_id = new.id;
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS annotations_fts_delete AFTER DELETE ON annotations BEGIN
+                        DELETE FROM annotations_fts WHERE annotation_id = old.id;
+                    END;
+                `);
+            })();
+            console.log('[DB Migration] Full-text search indexes are ready.');
+        } catch (error) {
+            // SQLite builds without FTS5 keep working with LIKE-based search
+            console.error('[DB Migration] Failed to set up full-text search.', error);
+        }
+    }
+
+    hasFullTextSearch() {
+        return this.getTablesFromDb().includes('documents_fts');
+    }
+
     getTablesFromDb() {
         const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
         return tables.map(t => t.name);
@@ -0,0 +1,176 @@
+const { EventEmitter } = require('events');
+const usageRepository = require('../repositories/usage');
+const settingsRepository = require('../../settings/repositories');
+const { estimateLlmCost, estimateSttCost } = require('../ai/pricing');
+
+// Fractions of a budget at which to warn, once per budget period
+const WARNING_THRESHOLDS = [0.8, 1];
+
+const PERIOD_LABELS = { daily: 'Daily', monthly: 'Monthly' };
+
+/**
+ * Meters LLM tokens and STT audio, prices them with the pricing table and warns when spend
+ * approaches the daily or monthly budget. Emits 'budget-warning' with { period, limitUsd,
+ * spentUsd, exceeded, message }.
+ */
+class UsageService extends EventEmitter {
+    constructor() {
+        super();
+        // Highest threshold already warned about, by period and period start
+        this.warnedThresholds = new Map();
+    }
+
+    /**
+     * Record the tokens of one LLM call. Never throws; metering must not break the feature.
+     * @param {Object} call
+     * @param {string|null} [call.sessionId]
+     * @param {string} [call.feature] - e.g. 'ask', 'summary', 'voice'
+     * @param {string} call.provider
+     * @param {string} call.model
+     * @param {number|null} call.inputTokens
+     * @param {number|null} call.outputTokens
+     * @returns {Promise<{ costUsd: number|null }|null>} null when there was nothing to record
+     */
+    async recordLlmUsage({ sessionId = null, feature = null, provider, model, inputTokens, outputTokens }) {
+        if (!provider || (!inputTokens && !outputTokens)) return null;
+
+        const costUsd = estimateLlmCost(provider, model, { inputTokens, outputTokens });
+        return this._record({ sessionId, feature, kind: 'llm', provider, model, inputTokens, outputTokens, costUsd });
+    }
+
+    /**
+     * Record audio sent to a speech-to-text provider. Never throws.
+     * @param {Object} call
+     * @param {string|null} [call.sessionId]
+     * @param {string} [call.feature] - e.g. 'listen', 'ask'
+     * @param {string} call.provider
+     * @param {string} call.model
+     * @param {number} call.audioSeconds
+     */
+    async recordSttUsage({ sessionId = null, feature = null, provider, model, audioSeconds }) {
+        if (!provider || !(audioSeconds > 0)) return null;
+
+        const costUsd = estimateSttCost(provider, model, audioSeconds);
+        return this._record({ sessionId, feature, kind: 'stt', provider, model, audioSeconds, costUsd });
+    }
+
+    async _record(event) {
+        try {
+            await usageRepository.addEvent(event);
+            if (event.costUsd) await this._checkBudgets();
+        } catch (error) {
+            console.error('[UsageService] Failed to record usage:', error.message);
+        }
+        return { costUsd: event.costUsd };
+    }
+
+    /**
+     * Usage over the last `days` days (including today) with breakdowns and budget status
+     * @param {{ days?: number }} [options]
+     */
+    async getReport({ days = 30 } = {}) {
+        const span = Math.min(Math.max(Number.parseInt(days, 10) || 30, 1), 366);
+        const since = startOfDay(new Date(Date.now() - (span - 1) * 24 * 60 * 60 * 1000));
+
+        const [totals, byProvider, byModel, byFeature, byDay, bySession, budgets] = await Promise.all([
+            usageRepository.getTotals(since),
+            usageRepository.getBreakdown(since, 'provider'),
+            usageRepository.getBreakdown(since, 'model'),
+            usageRepository.getBreakdown(since, 'feature'),
+            usageRepository.getBreakdown(since, 'day', span),
+            usageRepository.getBreakdown(since, 'session'),
+            this.getBudgetStatus(),
+        ]);
+
+        return { days: span, since, totals, byProvider, byModel, byFeature, byDay, bySession, budgets };
+    }
+
+    /**
+     * @returns {Promise<{ dailyUsd: number|null, monthlyUsd: number|null }>}
+     */
+    async getBudgets() {
+        const budgets = await settingsRepository.getUsageBudgets();
+        return {
+            dailyUsd: toBudget(budgets?.dailyUsd),
+            monthlyUsd: toBudget(budgets?.monthlyUsd),
+        };
+    }
+
+    /**
+     * Set the spending limits; an empty value removes a limit
+     * @param {{ dailyUsd?: number|string|null, monthlyUsd?: number|string|null }} budgets
+     */
+    async setBudgets({ dailyUsd, monthlyUsd } = {}) {
+        const next = { dailyUsd: toBudget(dailyUsd), monthlyUsd: toBudget(monthlyUsd) };
+        for (const [key, input] of [['dailyUsd', dailyUsd], ['monthlyUsd', monthlyUsd]]) {
+            if (next[key] === null && input !== null && input !== undefined && String(input).trim() !== '') {
+                return { success: false, error: 'Budgets must be positive amounts in USD.' };
+            }
+        }
+
+        await settingsRepository.setUsageBudgets(next);
+        this.warnedThresholds.clear();
+        console.log(`[UsageService] Budgets: daily ${formatUsd(next.dailyUsd)}, monthly ${formatUsd(next.monthlyUsd)}`);
+        return { success: true, budgets: next };
+    }
+
+    /**
+     * Spend against each budget for the current day and month
+     */
+    async getBudgetStatus() {
+        const budgets = await this.getBudgets();
+        const now = new Date();
+        const periods = {
+            daily: { since: startOfDay(now), limitUsd: budgets.dailyUsd },
+            monthly: { since: startOfMonth(now), limitUsd: budgets.monthlyUsd },
+        };
+
+        const status = {};
+        for (const [period, { since, limitUsd }] of Object.entries(periods)) {
+            const { cost_usd: spentUsd } = await usageRepository.getTotals(since);
+            status[period] = { since, limitUsd, spentUsd, ratio: limitUsd ? spentUsd / limitUsd : null };
+        }
+        return status;
+    }
+
+    async _checkBudgets() {
+        const status = await this.getBudgetStatus();
+
+        for (const [period, { since, limitUsd, spentUsd, ratio }] of Object.entries(status)) {
+            if (!limitUsd) continue;
+
+            const threshold = WARNING_THRESHOLDS.filter(value => ratio >= value).pop();
+            const key = `${period}:${since}`;
+            if (!threshold || threshold <= (this.warnedThresholds.get(key) || 0)) continue;
+            this.warnedThresholds.set(key, threshold);
+
+            const exceeded = ratio >= 1;
+            const message = exceeded
+                ? `${PERIOD_LABELS[period]} AI spend of ${formatUsd(spentUsd)} has reached the ${formatUsd(limitUsd)} budget.`
+                : `${PERIOD_LABELS[period]} AI spend is ${formatUsd(spentUsd)}, ${Math.round(ratio * 100)}% of the ${formatUsd(limitUsd)} budget.`;
+            console.warn(`[UsageService] ${message}`);
+            this.emit('budget-warning', { period, limitUsd, spentUsd, exceeded, message });
+        }
+    }
+}
+
+function toBudget(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+function startOfDay(date) {
+    return Math.floor(new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() / 1000);
+}
+
+function startOfMonth(date) {
+    return Math.floor(new Date(date.getFullYear(), date.getMonth(), 1).getTime() / 1000);
+}
+
+function formatUsd(amount) {
+    return amount === null || amount === undefined ? 'none' : `$${amount.toFixed(2)}`;
+}
+
+const usageService = new UsageService();
+module.exports = usageService;
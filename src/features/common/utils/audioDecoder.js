@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { decodeWav, resamplePcm } = require('./pcmAudio');
+
+/**
+ * Decode an audio or video file to mono 16-bit PCM. WAV files are read directly; other
+ * formats are decoded by ffmpeg, taken from FFMPEG_PATH or the PATH.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=16000]
+ * @param {(progress: number) => void} [options.onProgress] - Share of the file decoded, 0 to 1
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ samples: Int16Array, sampleRate: number, durationSeconds: number }>}
+ */
+async function decodeAudioFile(filePath, { sampleRate = 16000, onProgress = () => {}, signal = null } = {}) {
+    if (path.extname(filePath).toLowerCase() === '.wav') {
+        try {
+            const wav = decodeWav(await fs.promises.readFile(filePath));
+            const samples = resamplePcm(downmix(wav.channels), wav.sampleRate, sampleRate);
+            onProgress(1);
+            return { samples, sampleRate, durationSeconds: samples.length / sampleRate };
+        } catch (error) {
+            // Float and other WAV encodings are left to ffmpeg
+            console.log(`[AudioDecoder] Reading WAV directly failed (${error.message}); trying ffmpeg`);
+        }
+    }
+    return decodeWithFfmpeg(filePath, { sampleRate, onProgress, signal });
+}
+
+async function decodeWithFfmpeg(filePath, { sampleRate, onProgress, signal }) {
+    const ffmpegPath = await findFfmpeg();
+    if (!ffmpegPath) {
+        throw new Error('Decoding this file needs ffmpeg. Install ffmpeg (or set FFMPEG_PATH), or convert the file to WAV.');
+    }
+
+    return new Promise((resolve, reject) => {
+        const proc = spawn(ffmpegPath, [
+            '-nostdin', '-hide_banner',
+            '-i', filePath,
+            '-vn', '-ac', '1', '-ar', String(sampleRate),
+            '-f', 's16le', 'pipe:1',
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        const chunks = [];
+        let stderr = '';
+        let totalSeconds = null;
+        const abort = () => proc.kill('SIGTERM');
+        signal?.addEventListener('abort', abort, { once: true });
+        if (signal?.aborted) abort();
+
+        proc.stdout.on('data', chunk => chunks.push(chunk));
+        proc.stderr.on('data', data => {
+            stderr = (stderr + data.toString()).slice(-4000);
+            totalSeconds ??= parseClock(/Duration: (\d+:\d+:\d+(?:\.\d+)?)/.exec(stderr)?.[1]);
+            const times = [...stderr.matchAll(/time=(\d+:\d+:\d+(?:\.\d+)?)/g)];
+            const decoded = parseClock(times[times.length - 1]?.[1]);
+            if (totalSeconds && decoded !== null) onProgress(Math.min(decoded / totalSeconds, 1));
+        });
+
+        proc.on('error', error => {
+            signal?.removeEventListener('abort', abort);
+            reject(error);
+        });
+        proc.on('close', code => {
+            signal?.removeEventListener('abort', abort);
+            if (signal?.aborted) {
+                const error = new Error('Decoding cancelled');
+                error.name = 'AbortError';
+                return reject(error);
+            }
+            if (code !== 0) {
+                const reason = stderr.trim().split('\n').pop();
+                return reject(new Error(`ffmpeg could not decode the file: ${reason || `exit code ${code}`}`));
+            }
+
+            const data = Buffer.concat(chunks);
+            const samples = new Int16Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.length - (data.length % 2)));
+            onProgress(1);
+            resolve({ samples, sampleRate, durationSeconds: samples.length / sampleRate });
+        });
+    });
+}
+
+function findFfmpeg() {
+    if (process.env.FFMPEG_PATH) return Promise.resolve(process.env.FFMPEG_PATH);
+
+    const checkCmd = process.platform === 'win32' ? 'where' : 'which';
+    return new Promise(resolve => {
+        execFile(checkCmd, ['ffmpeg'], (error, stdout) => {
+            resolve(error ? null : stdout.split(/\r?\n/)[0].trim() || null);
+        });
+    });
+}
+
+function downmix(channels) {
+    if (channels.length === 1) return channels[0];
+    const output = new Int16Array(channels[0].length);
+    for (let i = 0; i < output.length; i++) {
+        let sum = 0;
+        for (const channel of channels) sum += channel[i];
+        output[i] = Math.round(sum / channels.length);
+    }
+    return output;
+}
+
+function parseClock(value) {
+    if (!value) return null;
+    const [hours, minutes, seconds] = value.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+module.exports = {
+    decodeAudioFile,
+};
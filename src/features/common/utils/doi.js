@@ -0,0 +1,29 @@
+/**
+ * Extract and normalize a DOI from a bare DOI, a doi.org URL or free text (e.g. a PDF's first page)
+ * @param {string} input - DOI, URL or text containing a DOI
+ * @returns {string|null} Lowercase DOI without prefix, or null if none found
+ */
+function normalizeDoi(input) {
+    if (!input) return null;
+
+    let text = String(input);
+    try {
+        text = decodeURIComponent(text);
+    } catch (error) {
+        // Not URI-encoded; use as-is
+    }
+
+    const match = text.match(/\b(10\.\d{4,9}\/[-._;()/:a-z0-9]+)/i);
+    if (!match) return null;
+
+    let doi = match[1].replace(/[.,;:]+$/, '');
+    // Drop a trailing ")" that closes surrounding prose rather than the DOI itself
+    while (doi.endsWith(')') && (doi.match(/\(/g) || []).length < (doi.match(/\)/g) || []).length) {
+        doi = doi.slice(0, -1);
+    }
+    return doi.toLowerCase();
+}
+
+module.exports = {
+    normalizeDoi,
+};
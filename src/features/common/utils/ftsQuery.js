@@ -0,0 +1,77 @@
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+function quote(text) {
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert free-form search input into a safe FTS5 MATCH expression.
+ *
+ * Supports "quoted phrases", prefix* terms, AND / OR / NOT and -term exclusion.
+ * Every other token is quoted, so punctuation in user input (C++, e.g., 3.5)
+ * never raises an FTS5 syntax error.
+ *
+ * @param {string} input
+ * @returns {string|null} MATCH expression, or null if nothing searchable remains
+ */
+function buildFtsQuery(input) {
+    const tokens = [];
+    const exclusions = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input || '')) !== null) {
+        if (match[1] !== undefined) {
+            const phrase = match[1].trim().replace(/\s+/g, ' ');
+            if (phrase) tokens.push({ type: 'term', text: quote(phrase) });
+            continue;
+        }
+
+        let raw = match[2];
+        if (OPERATORS.has(raw)) {
+            tokens.push({ type: 'operator', text: raw });
+            continue;
+        }
+
+        const negated = raw.length > 1 && raw.startsWith('-');
+        if (negated) raw = raw.slice(1);
+
+        const prefix = /\*+$/.test(raw);
+        const word = raw.replace(/\*+$/, '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        if (!word) continue;
+
+        const term = quote(word) + (prefix ? '*' : '');
+        if (negated) {
+            exclusions.push(term);
+        } else {
+            tokens.push({ type: 'term', text: term });
+        }
+    }
+
+    // Operators are binary in FTS5: drop leading, trailing and repeated ones.
+    // A leading NOT has nothing to exclude from, so its term is dropped too.
+    const parts = [];
+    let skipNextTerm = false;
+    for (const token of tokens) {
+        const previous = parts[parts.length - 1];
+        if (token.type === 'operator') {
+            if (!previous) {
+                skipNextTerm = token.text === 'NOT';
+                continue;
+            }
+            if (previous.type === 'operator') continue;
+        } else if (skipNextTerm) {
+            skipNextTerm = false;
+            continue;
+        }
+        parts.push(token);
+    }
+    while (parts.length && parts[parts.length - 1].type === 'operator') {
+        parts.pop();
+    }
+
+    if (parts.length === 0) return null;
+    return [...parts.map(part => part.text), ...exclusions.map(term => `NOT ${term}`)].join(' ');
+}
+
+module.exports = { buildFtsQuery };
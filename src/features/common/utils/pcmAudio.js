@@ -0,0 +1,196 @@
+const fs = require('fs');
+
+// WAVE format tags
+const WAV_FORMATS = { pcm: 1, mulaw: 7 };
+const WAV_HEADER_BYTES = 44;
+
+// G.711 mu-law
+const MU_LAW_BIAS = 0x84;
+const MU_LAW_CLIP = 32635;
+const MU_LAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeMuLawSample(byte));
+
+/**
+ * @param {string} base64 - 16-bit little-endian PCM
+ * @returns {Int16Array}
+ */
+function decodeBase64Pcm(base64) {
+    const buffer = Buffer.from(base64 || '', 'base64');
+    const length = buffer.length - (buffer.length % 2);
+    return new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + length));
+}
+
+/**
+ * Linear-interpolation resampling; good enough for speech
+ * @param {Int16Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+function resamplePcm(samples, fromRate, toRate) {
+    if (fromRate === toRate || !samples.length) return samples;
+
+    const ratio = fromRate / toRate;
+    const output = new Int16Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        output[i] = Math.round(samples[index] + (samples[next] - samples[index]) * (position - index));
+    }
+    return output;
+}
+
+/**
+ * @param {Int16Array} samples
+ * @returns {Buffer} One byte per sample
+ */
+function encodeMuLaw(samples) {
+    const output = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let sample = samples[i];
+        const sign = sample < 0 ? 0x80 : 0;
+        if (sign) sample = -sample;
+        sample = Math.min(sample, MU_LAW_CLIP) + MU_LAW_BIAS;
+
+        let exponent = 7;
+        for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+        const mantissa = (sample >> (exponent + 3)) & 0x0f;
+        output[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+    }
+    return output;
+}
+
+/**
+ * @param {Buffer|Uint8Array} bytes
+ * @returns {Int16Array}
+ */
+function decodeMuLaw(bytes) {
+    const output = new Int16Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) output[i] = MU_LAW_DECODE_TABLE[bytes[i]];
+    return output;
+}
+
+/**
+ * 44-byte RIFF/WAVE header
+ * @param {Object} options
+ * @param {number} options.sampleRate
+ * @param {number} [options.channels=1]
+ * @param {'pcm'|'mulaw'} [options.format='pcm'] - 16-bit PCM or 8-bit mu-law
+ * @param {number} [options.dataSize=0] - Bytes of sample data; patched later when streaming
+ * @returns {Buffer}
+ */
+function createWavHeader({ sampleRate, channels = 1, format = 'pcm', dataSize = 0 }) {
+    const bitsPerSample = format === 'mulaw' ? 8 : 16;
+    const blockAlign = channels * bitsPerSample / 8;
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(WAV_FORMATS[format], 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+    return header;
+}
+
+/**
+ * Fix the sizes in the header of a WAV file written by streaming (or cut short by a crash)
+ * @param {string} filePath - A file that starts with createWavHeader's 44 bytes
+ * @returns {number} Bytes of sample data
+ */
+function patchWavSizes(filePath) {
+    const fd = fs.openSync(filePath, 'r+');
+    try {
+        const dataSize = Math.max(0, fs.fstatSync(fd).size - WAV_HEADER_BYTES);
+        const sizes = Buffer.alloc(4);
+        sizes.writeUInt32LE(36 + dataSize, 0);
+        fs.writeSync(fd, sizes, 0, 4, 4);
+        sizes.writeUInt32LE(dataSize, 0);
+        fs.writeSync(fd, sizes, 0, 4, 40);
+        return dataSize;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Decode a 16-bit PCM or mu-law WAV file into one Int16Array per channel
+ * @param {Buffer} buffer - Whole file
+ * @returns {{ sampleRate: number, channels: Int16Array[] }}
+ */
+function decodeWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            format = {
+                tag: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14),
+            };
+        } else if (id === 'data') {
+            if (!format) throw new Error('WAV data before its format');
+            // Streamed files may still carry a zero or oversized data length
+            const end = size && body + size <= buffer.length ? body + size : buffer.length;
+            return { sampleRate: format.sampleRate, channels: deinterleave(buffer.subarray(body, end), format) };
+        }
+        offset = body + size + (size % 2);
+    }
+    throw new Error('WAV file has no audio data');
+}
+
+module.exports = {
+    WAV_HEADER_BYTES,
+    decodeBase64Pcm,
+    resamplePcm,
+    encodeMuLaw,
+    decodeMuLaw,
+    createWavHeader,
+    patchWavSizes,
+    decodeWav,
+};
+
+function decodeMuLawSample(byte) {
+    const value = ~byte & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = ((((value & 0x0f) << 3) + MU_LAW_BIAS) << exponent) - MU_LAW_BIAS;
+    return value & 0x80 ? -magnitude : magnitude;
+}
+
+function deinterleave(data, { tag, channels, bitsPerSample }) {
+    let samples;
+    if (tag === WAV_FORMATS.mulaw && bitsPerSample === 8) {
+        samples = decodeMuLaw(data);
+    } else if (tag === WAV_FORMATS.pcm && bitsPerSample === 16) {
+        const length = data.length - (data.length % 2);
+        samples = new Int16Array(data.buffer.slice(data.byteOffset, data.byteOffset + length));
+    } else {
+        throw new Error(`Unsupported WAV encoding (format ${tag}, ${bitsPerSample}-bit)`);
+    }
+
+    if (channels === 1) return [samples];
+    const frames = Math.floor(samples.length / channels);
+    const output = Array.from({ length: channels }, () => new Int16Array(frames));
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) {
+            output[channel][frame] = samples[frame * channels + channel];
+        }
+    }
+    return output;
+}
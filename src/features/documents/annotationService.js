@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { buildFtsQuery } = require('../common/utils/ftsQuery');
 
 /**
  * Annotation Service for RANI
@@ -211,13 +212,63 @@ class AnnotationService {
     }
 
     /**
-     * Search annotations by text content
+     * Search annotations with the FTS5 index (BM25 ranking, phrase/prefix/boolean queries)
      * @param {string} userId - User ID (to filter documents)
      * @param {string} searchTerm - Search term
      * @param {number} limit - Maximum results
-     * @returns {Promise<Array>} Array of matching annotations
+     * @returns {Promise<Array>} Array of matching annotations with highlighted `snippet`
      */
     async searchAnnotations(userId, searchTerm, limit = 20) {
+        if (!this.db.hasFullTextSearch()) {
+            return this.searchAnnotationsLike(userId, searchTerm, limit);
+        }
+
+        try {
+            const matchQuery = buildFtsQuery(searchTerm);
+            if (!matchQuery) return [];
+
+            // Notes weigh more than highlighted text; bm25() is lower for better matches
+            const query = `
+                SELECT a.*, d.filename, d.content_type,
+                       bm25(annotations_fts, 0, 0, 0, 1.0, 2.0) AS score,
+                       snippet(annotations_fts, 4, '<mark>', '</mark>', '…', 16) AS note_snippet,
+                       snippet(annotations_fts, 3, '<mark>', '</mark>', '…', 16) AS highlight_snippet
+                FROM annotations_fts f
+                JOIN annotations a ON a.id = f.annotation_id
+                JOIN documents d ON a.document_id = d.id
+                WHERE annotations_fts MATCH ? AND d.uid = ?
+                ORDER BY score
+                LIMIT ?
+            `;
+            const annotations = this.db.getDb().prepare(query).all(matchQuery, userId, limit);
+
+            return annotations.map(annotation => ({
+                id: annotation.id,
+                documentId: annotation.document_id,
+                sessionId: annotation.session_id,
+                pageNumber: annotation.page_number,
+                coordinates: annotation.coordinates ? JSON.parse(annotation.coordinates) : {},
+                highlightText: annotation.highlight_text,
+                noteText: annotation.note_text,
+                type: annotation.annotation_type,
+                createdAt: annotation.created_at,
+                relevance: -annotation.score,
+                snippet: annotation.note_snippet.includes('<mark>') ? annotation.note_snippet : annotation.highlight_snippet,
+                document: {
+                    filename: annotation.filename,
+                    contentType: annotation.content_type
+                }
+            }));
+        } catch (error) {
+            console.error('[AnnotationService] Failed to search annotations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Substring search, used when SQLite was built without FTS5
+     */
+    async searchAnnotationsLike(userId, searchTerm, limit = 20) {
         try {
             const query = `
                 SELECT a.*, d.filename, d.content_type,
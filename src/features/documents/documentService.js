@@ -1,6 +1,9 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const DocumentStructureParser = require('./documentStructure');
+const { buildFtsQuery } = require('../common/utils/ftsQuery');
+const { normalizeDoi } = require('../common/utils/doi');
 
 /**
  * Document Service for RANI
@@ -11,6 +14,7 @@ class DocumentService {
         this.db = databaseClient;
         this.userDir = userDir;
         this.documentsDir = path.join(userDir, 'documents');
+        this.structureParser = new DocumentStructureParser();
         
         // Initialize directories without awaiting in constructor
         this.ensureDirectories().catch(error => {
@@ -27,169 +31,670 @@ class DocumentService {
     }
 
     /**
-     * Process and store an uploaded document
-     * @param {string} filePath - Path to the uploaded file
-     * @param {string} originalName - Original filename
+     * Import a document into the library. Single entry point for uploads, dropped
+     * files, downloaded papers and bibliography attachments.
+     *
+     * Files are deduplicated per user by SHA-256 of their content: importing the same
+     * file twice returns the existing document, with any new paper metadata merged in.
+     *
+     * @param {string} filePath - Path to the file on disk
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} Document metadata
+     * @param {Object} [metadata] - Extra metadata; `filename` overrides the stored name,
+     *   paper imports pass `isPaper`, `paperId`, `source`, `doi` and `arxivId`
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with { importId, filename, stage, progress }
+     *   for each stage: reading, hashing, deduplicating, copying, extracting, analyzing, storing,
+     *   then complete, duplicate or error
+     * @returns {Promise<Object>} Document summary, with `duplicate: true` if it already existed
      */
-    async processDocument(filePath, originalName, userId) {
+    async importDocument(filePath, userId, metadata = {}, { onProgress } = {}) {
+        const { filename: overrideName, ...importMetadata } = metadata || {};
+        const originalName = overrideName || path.basename(filePath);
+        const importId = crypto.randomUUID();
+        const report = (stage, progress, extra = {}) => {
+            if (!onProgress) return;
+            try {
+                onProgress({ importId, filename: originalName, stage, progress, ...extra });
+            } catch (error) {
+                console.warn('[DocumentService] Progress listener failed:', error.message);
+            }
+        };
+
+        // The copy in the documents folder, removed again if the import fails after writing it
+        let storedCopy = null;
+
         try {
-            const documentId = crypto.randomUUID();
-            const fileStats = await fs.stat(filePath);
             const contentType = this.getContentType(originalName);
-            
-            // Generate storage path
-            const storagePath = path.join(this.documentsDir, `${documentId}${path.extname(originalName)}`);
-            
-            // Copy file to documents directory
-            await fs.copyFile(filePath, storagePath);
-            
-            // Extract text content based on file type
-            let extractedText = '';
-            let metadata = {};
-            
-            if (contentType === 'application/pdf') {
-                try {
-                    const pdfResult = await this.extractPDFContent(storagePath);
-                    extractedText = pdfResult.text;
-                    metadata = pdfResult.metadata;
-                } catch (error) {
-                    console.warn('[DocumentService] PDF extraction failed, storing without text:', error.message);
-                }
-            } else if (contentType.startsWith('text/')) {
-                extractedText = await fs.readFile(storagePath, 'utf-8');
+            if (!this.isSupportedContentType(contentType)) {
+                throw new Error(`Unsupported document type: ${path.extname(originalName) || originalName}`);
             }
 
-            // Store document metadata in database
+            report('reading', 0);
+            const buffer = await fs.readFile(filePath);
+
+            report('hashing', 0.1);
+            const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+            report('deduplicating', 0.2);
+            const existing = await this.findDuplicate(userId, contentHash, buffer.length);
+            if (existing) {
+                const merged = this.mergeImportMetadata(existing, importMetadata);
+                console.log(`[DocumentService] Document already imported: ${originalName} (${existing.id})`);
+                const summary = { ...this.toSummary(existing, merged), duplicate: true };
+                report('duplicate', 1, { documentId: existing.id });
+                return summary;
+            }
+
+            const documentId = crypto.randomUUID();
+            const storagePath = path.join(this.documentsDir, `${documentId}${path.extname(originalName).toLowerCase()}`);
+
+            report('copying', 0.3);
+            await this.ensureDirectories();
+            await fs.writeFile(storagePath, buffer);
+            storedCopy = storagePath;
+
+            report('extracting', 0.5);
+            const extracted = await this.extractContent(storagePath, contentType, buffer);
+
+            report('analyzing', 0.8);
+            const structure = this.analyzeStructure(extracted, contentType);
+
+            report('storing', 0.9);
             const document = {
                 id: documentId,
                 uid: userId,
                 filename: originalName,
                 content_type: contentType,
                 file_path: storagePath,
-                file_size: fileStats.size,
-                extracted_text: extractedText,
-                metadata: JSON.stringify(metadata),
+                file_size: buffer.length,
+                extracted_text: extracted.text,
+                metadata: JSON.stringify({
+                    ...extracted.metadata,
+                    ...this.compactMetadata({ doi: contentType === 'application/pdf' ? this.findDoi(extracted.pages) : null }),
+                    sectionCount: structure.sections.length,
+                    referenceCount: structure.references.length,
+                    ...this.compactMetadata(importMetadata)
+                }),
+                content_hash: contentHash,
                 uploaded_at: Math.floor(Date.now() / 1000),
                 sync_state: 'clean'
             };
 
-            await this.storeDocument(document);
-            
-            console.log(`[DocumentService] Successfully processed document: ${originalName} (${documentId})`);
-            
-            return {
-                id: documentId,
-                filename: originalName,
-                contentType,
-                fileSize: fileStats.size,
-                uploadedAt: document.uploaded_at,
-                hasText: extractedText.length > 0,
-                metadata
-            };
+            this.db.getDb().transaction(() => {
+                this.storeDocument(document);
+                this.storeStructure(documentId, extracted.pages, structure);
+            })();
+            storedCopy = null;
+
+            console.log(`[DocumentService] Successfully imported document: ${originalName} (${documentId})`);
+
+            const summary = { ...this.toSummary(document, JSON.parse(document.metadata)), duplicate: false };
+            report('complete', 1, { documentId });
+            return summary;
         } catch (error) {
-            console.error('[DocumentService] Failed to process document:', error);
+            if (storedCopy) {
+                await fs.unlink(storedCopy).catch(() => {});
+            }
+            console.error('[DocumentService] Failed to import document:', error);
+            report('error', 1, { error: error.message });
             throw error;
         }
     }
 
     /**
-     * Extract text and metadata from PDF files
+     * Process and store an uploaded document
+     * @deprecated Use importDocument(filePath, userId, { filename })
      */
-    async extractPDFContent(filePath) {
-        try {
-            const fs = require('fs');
-            let pdfParse;
-            
+    async processDocument(filePath, originalName, userId) {
+        return this.importDocument(filePath, userId, { filename: originalName });
+    }
+
+    /**
+     * Find an already imported document with the same content. Rows imported before
+     * content hashing existed are hashed lazily when their size matches.
+     */
+    async findDuplicate(userId, contentHash, fileSize) {
+        const db = this.db.getDb();
+        const existing = db.prepare('SELECT * FROM documents WHERE uid = ? AND content_hash = ? LIMIT 1').get(userId, contentHash);
+        if (existing) return existing;
+
+        const unhashed = db.prepare(
+            'SELECT * FROM documents WHERE uid = ? AND content_hash IS NULL AND file_size = ?'
+        ).all(userId, fileSize);
+
+        for (const candidate of unhashed) {
             try {
-                pdfParse = require('pdf-parse');
-            } catch (requireError) {
-                console.warn('[DocumentService] pdf-parse not found, using fallback text extraction');
-                return {
-                    text: `[PDF Text Content]
-Filename: ${path.basename(filePath)}
-Note: PDF text extraction requires the 'pdf-parse' library to be installed.
-Run: npm install pdf-parse
-
-This document contains PDF content that would be extracted and made searchable.`,
-                    metadata: {
-                        pages: 0,
-                        title: path.basename(filePath),
-                        author: '',
-                        subject: 'PDF content extraction not available',
-                        creator: '',
-                        creationDate: null
-                    }
-                };
+                const candidateHash = crypto.createHash('sha256').update(await fs.readFile(candidate.file_path)).digest('hex');
+                db.prepare('UPDATE documents SET content_hash = ? WHERE id = ?').run(candidateHash, candidate.id);
+                if (candidateHash === contentHash) {
+                    return { ...candidate, content_hash: candidateHash };
+                }
+            } catch (error) {
+                console.warn(`[DocumentService] Could not hash existing document ${candidate.id}:`, error.message);
             }
-            
+        }
+
+        return null;
+    }
+
+    /**
+     * Merge paper metadata from a repeated import into an existing document row
+     * @returns {Object} The merged metadata
+     */
+    mergeImportMetadata(existing, importMetadata) {
+        const current = existing.metadata ? JSON.parse(existing.metadata) : {};
+        const additions = this.compactMetadata(importMetadata);
+        const changed = Object.keys(additions).some(key => current[key] === undefined || current[key] === null || current[key] === '');
+        if (!changed) return current;
+
+        const merged = { ...current };
+        for (const [key, value] of Object.entries(additions)) {
+            if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+                merged[key] = value;
+            }
+        }
+
+        this.db.getDb().prepare('UPDATE documents SET metadata = ?, sync_state = ? WHERE id = ?')
+            .run(JSON.stringify(merged), 'dirty', existing.id);
+        return merged;
+    }
+
+    /**
+     * The DOI printed on a paper's first pages, usually in its header or footer
+     */
+    findDoi(pages) {
+        for (const page of pages.slice(0, 2)) {
+            const doi = normalizeDoi(page.text);
+            if (doi) return doi;
+        }
+        return null;
+    }
+
+    /**
+     * Drop empty values so they never overwrite extracted metadata
+     */
+    compactMetadata(metadata = {}) {
+        return Object.fromEntries(
+            Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+    }
+
+    toSummary(row, metadata) {
+        return {
+            id: row.id,
+            filename: row.filename,
+            contentType: row.content_type,
+            fileSize: row.file_size,
+            uploadedAt: row.uploaded_at,
+            hasText: Boolean(row.extracted_text && row.extracted_text.length > 0),
+            contentHash: row.content_hash,
+            metadata
+        };
+    }
+
+    /**
+     * Extract text, metadata and pages based on content type. Formats without
+     * layout are returned as a single page.
+     * @returns {Promise<{text: string, metadata: Object, pages: Array<Object>}>}
+     */
+    async extractContent(storagePath, contentType, buffer) {
+        if (contentType === 'application/pdf') {
+            return await this.extractPDFContent(storagePath);
+        }
+
+        let extracted = { text: '', metadata: {} };
+        if (contentType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+            try {
+                extracted = this.extractDocxContent(buffer);
+            } catch (error) {
+                console.warn('[DocumentService] DOCX extraction failed, storing without text:', error.message);
+                extracted = { text: '', metadata: { error: error.message } };
+            }
+        } else if (contentType.startsWith('text/')) {
+            extracted = { text: buffer.toString('utf-8').replace(/^\uFEFF/, ''), metadata: {} };
+        }
+
+        const { pages } = this.structureParser.buildTextPages(extracted.text);
+        return { ...extracted, pages: extracted.text ? pages : [] };
+    }
+
+    /**
+     * Detect sections and parse the reference list of extracted pages
+     */
+    analyzeStructure(extracted, contentType) {
+        try {
+            return this.structureParser.analyze(extracted.pages, { markdown: contentType === 'text/markdown' });
+        } catch (error) {
+            console.warn('[DocumentService] Structure analysis failed:', error.message);
+            return { sections: [], references: [] };
+        }
+    }
+
+    /**
+     * Extract paragraphs and core properties from a DOCX (Office Open XML) file
+     */
+    extractDocxContent(buffer) {
+        const documentXml = this.readZipEntry(buffer, 'word/document.xml');
+        if (!documentXml) {
+            throw new Error('word/document.xml not found');
+        }
+
+        const text = this.decodeXmlEntities(
+            documentXml.toString('utf-8')
+                .replace(/<w:tab\/>/g, '\t')
+                .replace(/<w:(?:br|cr)\/>/g, '\n')
+                .replace(/<\/w:p>/g, '\n')
+                .replace(/<[^>]+>/g, '')
+        ).replace(/\n{3,}/g, '\n\n').trim();
+
+        const metadata = {};
+        const coreXml = this.readZipEntry(buffer, 'docProps/core.xml');
+        if (coreXml) {
+            const core = coreXml.toString('utf-8');
+            const field = (tag) => {
+                const match = core.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`));
+                return match ? this.decodeXmlEntities(match[1]).trim() : '';
+            };
+            metadata.title = field('dc:title');
+            metadata.author = field('dc:creator');
+            metadata.subject = field('dc:subject');
+            metadata.keywords = field('cp:keywords');
+        }
+        metadata.extractedAt = new Date().toISOString();
+
+        return { text, metadata: this.compactMetadata(metadata) };
+    }
+
+    /**
+     * Read a single entry from a ZIP archive using its central directory
+     * @returns {Buffer|null}
+     */
+    readZipEntry(buffer, entryName) {
+        const zlib = require('zlib');
+
+        // End of central directory record: signature 0x06054b50, searched backwards past the comment
+        let eocd = -1;
+        for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const entryCount = buffer.readUInt16LE(eocd + 10);
+        let offset = buffer.readUInt32LE(eocd + 16);
+
+        for (let i = 0; i < entryCount; i++) {
+            if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+            const method = buffer.readUInt16LE(offset + 10);
+            const compressedSize = buffer.readUInt32LE(offset + 20);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+            if (name === entryName) {
+                const localNameLength = buffer.readUInt16LE(localOffset + 26);
+                const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+                const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+                const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+                if (method === 0) return data;
+                if (method === 8) return zlib.inflateRawSync(data);
+                throw new Error(`Unsupported ZIP compression method: ${method}`);
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return null;
+    }
+
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Extract per-page text, line layout and metadata from PDF files
+     */
+    async extractPDFContent(filePath) {
+        let pdfParse;
+        try {
+            pdfParse = require('pdf-parse');
+        } catch (requireError) {
+            console.warn('[DocumentService] pdf-parse not found, storing PDF without text');
+            return {
+                text: '',
+                pages: [],
+                metadata: {
+                    pages: 0,
+                    title: path.basename(filePath),
+                    error: 'PDF text extraction requires the pdf-parse library'
+                }
+            };
+        }
+
+        try {
             console.log(`[DocumentService] Extracting text from PDF: ${filePath}`);
-            
-            const dataBuffer = fs.readFileSync(filePath);
-            const data = await pdfParse(dataBuffer, {
-                // Options for pdf-parse
+
+            const rawPages = [];
+            const dataBuffer = await fs.readFile(filePath);
+            // Copy into a standalone array: small Buffers share a pool and pdf.js ignores byteOffset
+            const data = await pdfParse(new Uint8Array(dataBuffer), {
                 max: 0, // 0 means no limit
-                version: 'v1.10.100' // PDF version to use
+                version: 'v1.10.100', // PDF version to use
+                pagerender: async (pageData) => {
+                    const rawPage = await this.readPdfPage(pageData);
+                    rawPages.push(rawPage);
+                    return rawPage.items.map(item => item.str).join(' ');
+                }
             });
-            
-            // Extract and structure the content
-            const extractedText = data.text;
-            const pageCount = data.numpages;
+
+            const { text, pages } = this.structureParser.buildPdfPages(rawPages);
             const pdfInfo = data.info || {};
-            
-            console.log(`[DocumentService] Successfully extracted ${extractedText.length} characters from ${pageCount} pages`);
-            
-            // Create structured metadata
-            const metadata = {
-                pages: pageCount,
-                title: pdfInfo.Title || path.basename(filePath),
-                author: pdfInfo.Author || '',
-                subject: pdfInfo.Subject || '',
-                creator: pdfInfo.Creator || '',
-                creationDate: pdfInfo.CreationDate ? new Date(pdfInfo.CreationDate) : null,
-                keywords: pdfInfo.Keywords || '',
-                extractedAt: new Date().toISOString()
-            };
-            
-            // Create structured text content with metadata header
-            const structuredText = [
-                `[PDF Document: ${metadata.title}]`,
-                metadata.author ? `Author: ${metadata.author}` : '',
-                metadata.subject ? `Subject: ${metadata.subject}` : '',
-                `Pages: ${pageCount}`,
-                metadata.creationDate ? `Created: ${metadata.creationDate.toISOString()}` : '',
-                '--- Content ---',
-                extractedText
-            ].filter(line => line).join('\n\n');
-            
+
+            console.log(`[DocumentService] Successfully extracted ${text.length} characters from ${data.numpages} pages`);
+
             return {
-                text: structuredText,
-                metadata: metadata
+                text,
+                pages,
+                metadata: {
+                    pages: data.numpages,
+                    title: pdfInfo.Title || path.basename(filePath),
+                    author: pdfInfo.Author || '',
+                    subject: pdfInfo.Subject || '',
+                    creator: pdfInfo.Creator || '',
+                    creationDate: pdfInfo.CreationDate || null,
+                    keywords: pdfInfo.Keywords || '',
+                    extractedAt: new Date().toISOString()
+                }
             };
         } catch (error) {
             console.error('[DocumentService] Failed to extract PDF content:', error);
-            
-            // Return fallback content instead of throwing
-            return {
-                text: `[PDF Text Extraction Error]
-Filename: ${path.basename(filePath)}
-Error: ${error.message}
 
-This PDF document could not be processed for text extraction. The file may be encrypted, corrupted, or contain only images.`,
+            // The file may be encrypted, corrupted or contain only images; store it without text
+            return {
+                text: '',
+                pages: [],
                 metadata: {
                     pages: 0,
                     title: path.basename(filePath),
-                    author: '',
-                    subject: 'Extraction failed',
-                    creator: '',
-                    creationDate: null,
                     error: error.message
                 }
             };
         }
     }
 
+    /**
+     * Read positioned text items from a pdf.js page
+     */
+    async readPdfPage(pageData) {
+        const viewport = pageData.getViewport(1);
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: true,
+            disableCombineTextItems: false
+        });
+
+        return {
+            pageNumber: pageData.pageIndex + 1,
+            width: viewport.width,
+            height: viewport.height,
+            items: textContent.items.map(item => ({
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: item.height || Math.hypot(item.transform[2], item.transform[3])
+            }))
+        };
+    }
+
+    /**
+     * Replace the stored pages, sections and references of a document
+     */
+    storeStructure(documentId, pages, { sections, references }) {
+        const db = this.db.getDb();
+        db.prepare('DELETE FROM document_pages WHERE document_id = ?').run(documentId);
+        db.prepare('DELETE FROM document_sections WHERE document_id = ?').run(documentId);
+        db.prepare('DELETE FROM document_references WHERE document_id = ?').run(documentId);
+        // Chunks and embeddings derive from the text; they are rebuilt by indexing the document again
+        db.prepare('DELETE FROM document_chunks WHERE document_id = ?').run(documentId);
+
+        const insertPage = db.prepare(`
+            INSERT INTO document_pages (document_id, page_number, char_start, char_end, width, height, text, layout)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const page of pages) {
+            const layout = page.lines.map(line => [line.start, line.end, line.x, line.top, line.width, line.height, line.fontSize]);
+            insertPage.run(
+                documentId, page.pageNumber, page.charStart, page.charEnd,
+                page.width, page.height, page.text, JSON.stringify(layout)
+            );
+        }
+
+        const insertSection = db.prepare(`
+            INSERT INTO document_sections (id, document_id, title, kind, level, page_number, char_start, char_end)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const section of sections) {
+            insertSection.run(
+                crypto.randomUUID(), documentId, section.title, section.kind, section.level,
+                section.pageNumber, section.charStart, section.charEnd
+            );
+        }
+
+        const insertReference = db.prepare(`
+            INSERT INTO document_references (
+                id, document_id, position, raw_text, authors, title, year, venue, doi, arxiv_id, page_number, char_start
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const reference of references) {
+            insertReference.run(
+                crypto.randomUUID(), documentId, reference.position, reference.raw, reference.authors,
+                reference.title, reference.year, reference.venue, reference.doi, reference.arxivId,
+                reference.pageNumber, reference.charStart
+            );
+        }
+    }
+
+    /**
+     * Re-extract text and structure from the stored file, e.g. for documents imported
+     * before page-aware extraction existed
+     */
+    async reprocessDocument(documentId, userId) {
+        const document = await this.getDocument(documentId, userId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        const buffer = await fs.readFile(document.file_path);
+        const extracted = await this.extractContent(document.file_path, document.content_type, buffer);
+        const structure = this.analyzeStructure(extracted, document.content_type);
+        const metadata = {
+            ...document.metadata,
+            ...extracted.metadata,
+            sectionCount: structure.sections.length,
+            referenceCount: structure.references.length
+        };
+
+        const db = this.db.getDb();
+        db.transaction(() => {
+            db.prepare('UPDATE documents SET extracted_text = ?, metadata = ?, sync_state = ? WHERE id = ?')
+                .run(extracted.text, JSON.stringify(metadata), 'dirty', documentId);
+            this.storeStructure(documentId, extracted.pages, structure);
+        })();
+
+        return this.getDocumentStructure(documentId, userId);
+    }
+
+    /**
+     * Get the page index, section outline and parsed references of a document
+     */
+    async getDocumentStructure(documentId, userId) {
+        if (!(await this.getDocument(documentId, userId))) {
+            throw new Error('Document not found');
+        }
+
+        const db = this.db.getDb();
+        const pages = db.prepare(`
+            SELECT page_number, char_start, char_end, width, height
+            FROM document_pages WHERE document_id = ? ORDER BY page_number
+        `).all(documentId);
+        const sections = db.prepare(`
+            SELECT id, title, kind, level, page_number, char_start, char_end
+            FROM document_sections WHERE document_id = ? ORDER BY char_start
+        `).all(documentId);
+        const references = db.prepare(`
+            SELECT id, position, raw_text, authors, title, year, venue, doi, arxiv_id, page_number
+            FROM document_references WHERE document_id = ? ORDER BY position
+        `).all(documentId);
+
+        return {
+            documentId,
+            pages: pages.map(page => ({
+                pageNumber: page.page_number,
+                charStart: page.char_start,
+                charEnd: page.char_end,
+                width: page.width,
+                height: page.height
+            })),
+            sections: sections.map(section => ({
+                id: section.id,
+                title: section.title,
+                kind: section.kind,
+                level: section.level,
+                pageNumber: section.page_number,
+                charStart: section.char_start,
+                charEnd: section.char_end
+            })),
+            references: references.map(reference => ({
+                id: reference.id,
+                position: reference.position,
+                raw: reference.raw_text,
+                authors: reference.authors,
+                title: reference.title,
+                year: reference.year,
+                venue: reference.venue,
+                doi: reference.doi,
+                arxivId: reference.arxiv_id,
+                pageNumber: reference.page_number
+            }))
+        };
+    }
+
+    /**
+     * Get the text and line boxes of one page
+     */
+    async getDocumentPage(documentId, pageNumber, userId) {
+        if (!(await this.getDocument(documentId, userId))) {
+            throw new Error('Document not found');
+        }
+
+        const page = this.db.getDb().prepare(
+            'SELECT * FROM document_pages WHERE document_id = ? AND page_number = ?'
+        ).get(documentId, pageNumber);
+        return page ? this.rowToPage(page) : null;
+    }
+
+    /**
+     * Find a passage (e.g. a highlight) in a document and return its page, offsets and line boxes
+     * @param {Object} [options]
+     * @param {number} [options.pageNumber] - Only search this page
+     * @returns {Promise<Object|null>} { pageNumber, charStart, charEnd, rects }
+     */
+    async locateText(documentId, userId, text, { pageNumber } = {}) {
+        if (!(await this.getDocument(documentId, userId))) {
+            throw new Error('Document not found');
+        }
+
+        const words = (text || '').trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return null;
+
+        // Tolerate differences in whitespace and end-of-line hyphenation ("hyphen-\nation")
+        const escape = (char) => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = words
+            .map(word => Array.from(word).map(escape).join('(?:-\\s+)?'))
+            .join('[\\s-]*\\s*');
+        const rows = pageNumber
+            ? this.db.getDb().prepare('SELECT * FROM document_pages WHERE document_id = ? AND page_number = ?').all(documentId, pageNumber)
+            : this.db.getDb().prepare('SELECT * FROM document_pages WHERE document_id = ? ORDER BY page_number').all(documentId);
+
+        for (const flags of ['', 'i']) {
+            const regex = new RegExp(pattern, flags);
+            for (const row of rows) {
+                const match = row.text.match(regex);
+                if (!match) continue;
+
+                const page = this.rowToPage(row);
+                const start = match.index;
+                const end = match.index + match[0].length;
+                return {
+                    pageNumber: page.pageNumber,
+                    charStart: page.charStart + start,
+                    charEnd: page.charStart + end,
+                    rects: page.lines
+                        .filter(line => line.start < end && line.end > start && line.width !== undefined)
+                        .map(({ x, top, width, height }) => ({ x, y: top, width, height }))
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the text of the lines intersecting a rectangle on a page (top-left origin, PDF points)
+     */
+    async getTextInRegion(documentId, userId, pageNumber, { x, y, width, height }) {
+        const page = await this.getDocumentPage(documentId, pageNumber, userId);
+        if (!page) return null;
+
+        const lines = page.lines.filter(line => line.width !== undefined
+            && line.x < x + width && line.x + line.width > x
+            && line.top < y + height && line.top + line.height > y);
+        if (lines.length === 0) {
+            return { pageNumber, text: '', charStart: null, charEnd: null };
+        }
+
+        const start = lines[0].start;
+        const end = lines[lines.length - 1].end;
+        return {
+            pageNumber,
+            text: page.text.slice(start, end),
+            charStart: page.charStart + start,
+            charEnd: page.charStart + end
+        };
+    }
+
+    rowToPage(row) {
+        const layout = row.layout ? JSON.parse(row.layout) : [];
+        return {
+            pageNumber: row.page_number,
+            charStart: row.char_start,
+            charEnd: row.char_end,
+            width: row.width,
+            height: row.height,
+            text: row.text || '',
+            lines: layout.map(([start, end, x, top, width, height, fontSize]) => (
+                width === null || width === undefined
+                    ? { start, end }
+                    : { start, end, x, top, width, height, fontSize }
+            ))
+        };
+    }
+
     /**
      * Get document by ID
      */
@@ -256,6 +761,7 @@ This PDF document could not be processed for text extraction. The file may be en
             // Delete from database
             const query = `DELETE FROM documents WHERE id = ? AND uid = ?`;
             this.db.getDb().prepare(query).run(documentId, userId);
+            this.storeStructure(documentId, [], { sections: [], references: [] });
             
             // Delete associated annotations
             const deleteAnnotationsQuery = `DELETE FROM annotations WHERE document_id = ?`;
@@ -270,9 +776,66 @@ This PDF document could not be processed for text extraction. The file may be en
     }
 
     /**
-     * Search documents by text content
+     * Search documents with the FTS5 index: BM25 ranking, "phrases", prefix* terms and
+     * AND / OR / NOT. Each result lists its best matching pages with highlighted snippets.
+     * @returns {Promise<Array>} Documents ordered by relevance, each with `matches: [{ pageNumber, snippet }]`
      */
     async searchDocuments(userId, searchTerm, limit = 20) {
+        if (!this.db.hasFullTextSearch()) {
+            return this.searchDocumentsLike(userId, searchTerm, limit);
+        }
+
+        try {
+            const matchQuery = buildFtsQuery(searchTerm);
+            if (!matchQuery) return [];
+
+            // Filename matches weigh more than body text; bm25() is lower for better matches
+            const query = `
+                SELECT f.document_id, f.page_number,
+                       bm25(documents_fts, 0, 0, 0, 4.0, 1.0) AS score,
+                       snippet(documents_fts, 4, '<mark>', '</mark>', '…', 16) AS snippet,
+                       d.filename, d.content_type, d.file_size, d.uploaded_at, d.metadata
+                FROM documents_fts f
+                JOIN documents d ON d.id = f.document_id
+                WHERE documents_fts MATCH ? AND f.uid = ?
+                ORDER BY score
+                LIMIT ?
+            `;
+            const rows = this.db.getDb().prepare(query).all(matchQuery, userId, limit * 5);
+
+            const results = new Map();
+            for (const row of rows) {
+                if (!results.has(row.document_id)) {
+                    if (results.size >= limit) continue;
+                    results.set(row.document_id, {
+                        id: row.document_id,
+                        filename: row.filename,
+                        content_type: row.content_type,
+                        file_size: row.file_size,
+                        uploaded_at: row.uploaded_at,
+                        metadata: row.metadata ? JSON.parse(row.metadata) : {},
+                        relevance: -row.score,
+                        matches: []
+                    });
+                }
+
+                const result = results.get(row.document_id);
+                if (result.matches.length < 3) {
+                    result.matches.push({ pageNumber: row.page_number, snippet: row.snippet });
+                }
+            }
+
+            return [...results.values()];
+        } catch (error) {
+            console.error('[DocumentService] Failed to search documents:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Substring search, used when SQLite was built without FTS5
+     */
+    async searchDocumentsLike(userId, searchTerm, limit = 20) {
         try {
             const query = `
                 SELECT id, filename, content_type, file_size, uploaded_at, metadata,
@@ -300,7 +863,8 @@ This PDF document could not be processed for text extraction. The file may be en
             
             return documents.map(doc => ({
                 ...doc,
-                metadata: doc.metadata ? JSON.parse(doc.metadata) : {}
+                metadata: doc.metadata ? JSON.parse(doc.metadata) : {},
+                matches: []
             }));
         } catch (error) {
             console.error('[DocumentService] Failed to search documents:', error);
@@ -311,18 +875,18 @@ This PDF document could not be processed for text extraction. The file may be en
     /**
      * Store document in database
      */
-    async storeDocument(document) {
+    storeDocument(document) {
         const query = `
             INSERT INTO documents (
                 id, uid, filename, content_type, file_path, file_size,
-                extracted_text, metadata, uploaded_at, sync_state
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                extracted_text, metadata, content_hash, uploaded_at, sync_state
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         this.db.getDb().prepare(query).run(
             document.id, document.uid, document.filename, document.content_type,
             document.file_path, document.file_size, document.extracted_text,
-            document.metadata, document.uploaded_at, document.sync_state
+            document.metadata, document.content_hash, document.uploaded_at, document.sync_state
         );
     }
 
@@ -335,6 +899,7 @@ This PDF document could not be processed for text extraction. The file may be en
             '.pdf': 'application/pdf',
             '.txt': 'text/plain',
             '.md': 'text/markdown',
+            '.markdown': 'text/markdown',
             '.doc': 'application/msword',
             '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             '.rtf': 'application/rtf'
@@ -343,6 +908,13 @@ This PDF document could not be processed for text extraction. The file may be en
         return mimeTypes[ext] || 'application/octet-stream';
     }
 
+    /**
+     * Whether importDocument accepts this content type
+     */
+    isSupportedContentType(contentType) {
+        return contentType !== 'application/octet-stream';
+    }
+
     /**
      * Get document statistics for a user
      */
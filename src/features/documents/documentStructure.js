@@ -0,0 +1,359 @@
+/**
+ * Document Structure Parser for RANI
+ * Turns extracted text into pages, lines, section headings and a structured reference list.
+ * All character offsets index into the document's stored `extracted_text`.
+ */
+
+const PAGE_SEPARATOR = '\n\n';
+
+const SECTION_KINDS = [
+    { kind: 'abstract', pattern: /^abstract$/ },
+    { kind: 'introduction', pattern: /^introduction$/ },
+    { kind: 'background', pattern: /^(background|related work|preliminaries|literature review)$/ },
+    { kind: 'methods', pattern: /^(methods?|methodology|materials and methods|approach|model|experimental setup|experimental design|proposed method)$/ },
+    { kind: 'results', pattern: /^(results|results and discussion|experiments?|evaluation|experimental results|findings)$/ },
+    { kind: 'discussion', pattern: /^(discussion|limitations|analysis|future work)$/ },
+    { kind: 'conclusion', pattern: /^(conclusions?|concluding remarks|summary|conclusions and future work)$/ },
+    { kind: 'acknowledgements', pattern: /^acknowledge?ments?$/ },
+    { kind: 'references', pattern: /^(references|bibliography|works cited|literature cited)$/ },
+    { kind: 'appendix', pattern: /^(appendix|appendices|supplementary material)\b/ }
+];
+
+class DocumentStructureParser {
+    /**
+     * Build page-aware text from pdf.js text items.
+     * @param {Array<Object>} rawPages - [{ pageNumber, width, height, items: [{ str, x, y, width, height }] }]
+     * @returns {{ text: string, pages: Array<Object> }}
+     */
+    buildPdfPages(rawPages) {
+        const pages = [];
+        let offset = 0;
+
+        for (const rawPage of [...rawPages].sort((a, b) => a.pageNumber - b.pageNumber)) {
+            const page = this.layoutPage(rawPage);
+            if (pages.length > 0) offset += PAGE_SEPARATOR.length;
+
+            pages.push({ ...page, charStart: offset, charEnd: offset + page.text.length });
+            offset += page.text.length;
+        }
+
+        return { text: pages.map(page => page.text).join(PAGE_SEPARATOR), pages };
+    }
+
+    /**
+     * Group text items into lines. Line boxes use a top-left origin in PDF points and
+     * line offsets are relative to the start of the page.
+     */
+    layoutPage({ pageNumber, width = 0, height = 0, items = [] }) {
+        const lines = [];
+        let current = null;
+
+        for (const item of items) {
+            if (!item.str) continue;
+            const fontSize = Math.abs(item.height) || 0;
+            const sameLine = current && Math.abs(current.y - item.y) <= Math.max(current.fontSize, fontSize, 1) * 0.5;
+
+            if (!sameLine) {
+                current = { parts: [], x: item.x, y: item.y, right: item.x, fontSize };
+                lines.push(current);
+            }
+
+            const gap = item.x - current.right;
+            const previous = current.parts[current.parts.length - 1];
+            if (previous && gap > Math.max(fontSize, current.fontSize) * 0.15 && !/\s$/.test(previous) && !/^\s/.test(item.str)) {
+                current.parts.push(' ');
+            }
+
+            current.parts.push(item.str);
+            current.x = Math.min(current.x, item.x);
+            current.right = Math.max(current.right, item.x + (item.width || 0));
+            current.fontSize = Math.max(current.fontSize, fontSize);
+        }
+
+        let text = '';
+        const layout = [];
+        for (const line of lines) {
+            const lineText = line.parts.join('').replace(/\s+/g, ' ').trim();
+            if (!lineText) continue;
+
+            if (text) text += '\n';
+            layout.push({
+                start: text.length,
+                end: text.length + lineText.length,
+                x: round(line.x),
+                top: round(height - line.y - line.fontSize),
+                width: round(line.right - line.x),
+                height: round(line.fontSize),
+                fontSize: round(line.fontSize)
+            });
+            text += lineText;
+        }
+
+        return { pageNumber, width: round(width), height: round(height), text, lines: layout };
+    }
+
+    /**
+     * Text formats without layout become a single page with one line per text line
+     */
+    buildTextPages(text) {
+        const lines = [];
+        let start = 0;
+        for (const lineText of text.split('\n')) {
+            lines.push({ start, end: start + lineText.length });
+            start += lineText.length + 1;
+        }
+
+        return {
+            text,
+            pages: [{ pageNumber: 1, width: null, height: null, text, lines, charStart: 0, charEnd: text.length }]
+        };
+    }
+
+    /**
+     * Analyze a paged document
+     * @returns {{ sections: Array<Object>, references: Array<Object> }}
+     */
+    analyze(pages, { markdown = false } = {}) {
+        const sections = this.detectSections(pages, { markdown });
+        const referencesSection = sections.find(section => section.kind === 'references');
+        const references = referencesSection ? this.parseReferenceSection(pages, referencesSection) : [];
+        return { sections, references };
+    }
+
+    /**
+     * Find section headings. PDF lines qualify by matching a known heading name or by
+     * numbering plus a font larger than the body text; Markdown uses `#` headings.
+     */
+    detectSections(pages, { markdown = false } = {}) {
+        const bodySize = this.bodyFontSize(pages);
+        const headings = [];
+
+        for (const page of pages) {
+            for (const line of page.lines) {
+                const text = page.text.slice(line.start, line.end).trim();
+                const heading = markdown
+                    ? this.matchMarkdownHeading(text)
+                    : this.matchHeading(text, line.fontSize, bodySize);
+                if (!heading) continue;
+
+                headings.push({
+                    ...heading,
+                    pageNumber: page.pageNumber,
+                    charStart: page.charStart + line.start
+                });
+            }
+        }
+
+        const textEnd = pages.length ? pages[pages.length - 1].charEnd : 0;
+        return headings.map((heading, index) => ({
+            ...heading,
+            charEnd: index + 1 < headings.length ? headings[index + 1].charStart : textEnd
+        }));
+    }
+
+    matchMarkdownHeading(text) {
+        const match = text.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (!match) return null;
+        const title = match[2].trim();
+        return { title, kind: this.classifySection(title), level: match[1].length };
+    }
+
+    matchHeading(text, fontSize, bodySize) {
+        if (text.length < 4 || text.length > 100) return null;
+
+        // "Abstract—We propose..." style inline headings
+        const inline = text.match(/^(abstract)\s*[—–:.-]\s*\S/i);
+        if (inline) {
+            return { title: 'Abstract', kind: 'abstract', level: 1 };
+        }
+
+        const numbered = text.match(/^((?:\d+|[IVX]+|[A-H])(?:\.\d+){0,3})\.?\s+(.+)$/);
+        const title = (numbered ? numbered[2] : text).replace(/[:.]$/, '').trim();
+        const level = numbered ? numbered[1].split('.').filter(Boolean).length : 1;
+        const kind = this.classifySection(title);
+        const larger = fontSize && bodySize && fontSize > bodySize * 1.05;
+
+        if (kind !== 'other') {
+            return { title, kind, level };
+        }
+
+        if (!larger || title.split(/\s+/).length > 12 || /[.,;]$/.test(text) || !/^[A-Z]/.test(title)) {
+            return null;
+        }
+
+        if (numbered && /^\d/.test(numbered[1]) && !/\d{3,}/.test(title)) {
+            return { title, kind, level };
+        }
+
+        if (/^[A-Z][A-Z\s\-:&]{3,60}$/.test(text)) {
+            return { title, kind, level: 1 };
+        }
+
+        return null;
+    }
+
+    classifySection(title) {
+        const normalized = title.toLowerCase().replace(/\s+/g, ' ').trim();
+        const match = SECTION_KINDS.find(({ pattern }) => pattern.test(normalized));
+        return match ? match.kind : 'other';
+    }
+
+    /**
+     * Most common font size weighted by line length
+     */
+    bodyFontSize(pages) {
+        const weights = new Map();
+        for (const page of pages) {
+            for (const line of page.lines) {
+                if (!line.fontSize) continue;
+                const size = Math.round(line.fontSize * 2) / 2;
+                weights.set(size, (weights.get(size) || 0) + (line.end - line.start));
+            }
+        }
+
+        let bodySize = null;
+        let best = 0;
+        for (const [size, weight] of weights) {
+            if (weight > best) {
+                best = weight;
+                bodySize = size;
+            }
+        }
+        return bodySize;
+    }
+
+    /**
+     * Split the references section into entries and parse each one
+     */
+    parseReferenceSection(pages, section) {
+        const lines = [];
+        for (const page of pages) {
+            for (const line of page.lines) {
+                const start = page.charStart + line.start;
+                if (start <= section.charStart || start >= section.charEnd) continue;
+
+                const text = page.text.slice(line.start, line.end).trim();
+                // Skip page numbers and running headers that are only digits
+                if (!text || /^\d{1,4}$/.test(text)) continue;
+                lines.push({ text, charStart: start, pageNumber: page.pageNumber });
+            }
+        }
+
+        return this.splitReferenceLines(lines).map((entryLines, index) => ({
+            position: index + 1,
+            pageNumber: entryLines[0].pageNumber,
+            charStart: entryLines[0].charStart,
+            ...this.parseReference(this.joinLines(entryLines.map(line => line.text)))
+        }));
+    }
+
+    splitReferenceLines(lines) {
+        const bracketed = lines.filter(line => /^\[\d+\]/.test(line.text)).length;
+        const numbered = lines.filter(line => /^\d{1,3}\.\s+\S/.test(line.text)).length;
+
+        let startsEntry;
+        if (bracketed >= 2) {
+            startsEntry = (line) => /^\[\d+\]/.test(line.text);
+        } else if (numbered >= 2) {
+            startsEntry = (line) => /^\d{1,3}\.\s+\S/.test(line.text);
+        } else {
+            // Author-year lists: a new entry starts with a capitalized surname after a line ending in a period
+            startsEntry = (line, previous) => !previous
+                || (/[.)]$/.test(previous.text) && /^[A-ZÀ-ɏ][\w'’À-ɏ-]+(,|\s+[A-Z]\.|\s+(and|&)\s)/.test(line.text));
+        }
+
+        const entries = [];
+        lines.forEach((line, index) => {
+            if (entries.length === 0 || startsEntry(line, lines[index - 1])) {
+                entries.push([line]);
+            } else {
+                entries[entries.length - 1].push(line);
+            }
+        });
+
+        return entries.filter(entry => this.joinLines(entry.map(line => line.text)).length >= 20);
+    }
+
+    /**
+     * Join wrapped lines, undoing end-of-line hyphenation
+     */
+    joinLines(lines) {
+        return lines.reduce((joined, line) => {
+            if (!joined) return line;
+            if (/[a-z]-$/.test(joined) && /^[a-z]/.test(line)) return joined.slice(0, -1) + line;
+            return `${joined} ${line}`;
+        }, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Best-effort parse of a single reference string into authors, title, year, venue and identifiers
+     */
+    parseReference(raw) {
+        const text = raw.replace(/^(\[\d+\]|\d{1,3}\.)\s*/, '').trim();
+        const reference = { raw: text, authors: null, title: null, year: null, venue: null, doi: null, arxivId: null };
+
+        const doi = text.match(/\b10\.\d{4,9}\/[^\s"<>]+/);
+        if (doi) reference.doi = doi[0].replace(/[.,;)\]]+$/, '');
+
+        const arxiv = text.match(/arXiv[:\s]*(\d{4}\.\d{4,5})|arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5})/i);
+        if (arxiv) reference.arxivId = arxiv[1] || arxiv[2];
+
+        const body = text.replace(/\s*(https?:\/\/\S+|doi:\s*\S+|\b10\.\d{4,9}\/\S+)/gi, '').trim();
+        const quoted = body.match(/[“"](.{10,}?)[”"]/);
+        const yearPattern = /(?:^|[\s(,.])((?:19|20)\d{2})[a-z]?(?=[).,;:\s]|$)/;
+
+        if (quoted) {
+            reference.authors = cleanPart(body.slice(0, quoted.index));
+            reference.title = cleanPart(quoted[1]);
+            reference.venue = cleanVenue(body.slice(quoted.index + quoted[0].length));
+            const year = body.match(yearPattern);
+            if (year) reference.year = parseInt(year[1], 10);
+            return reference;
+        }
+
+        const year = body.match(yearPattern);
+        if (year) reference.year = parseInt(year[1], 10);
+
+        if (year && year.index < body.length * 0.5) {
+            // Author-year: "Smith, J. and Doe, K. (2019). Title. Venue."
+            reference.authors = cleanPart(body.slice(0, year.index));
+            const rest = body.slice(year.index + year[0].length).replace(/^[a-z]?[).,:\s]+/, '');
+            const [title, ...venue] = splitSentences(rest);
+            reference.title = cleanPart(title);
+            reference.venue = cleanVenue(venue.join('. '));
+            return reference;
+        }
+
+        // "A. Smith and B. Jones. Title of paper. In Venue, 2019."
+        const [authors, title, ...venue] = splitSentences(body);
+        reference.authors = cleanPart(authors);
+        reference.title = cleanPart(title);
+        reference.venue = cleanVenue(venue.join('. ').replace(yearPattern, ''));
+        return reference;
+    }
+}
+
+/**
+ * Split on sentence-ending periods, ignoring periods after initials ("J. Smith") and "et al."
+ */
+function splitSentences(text) {
+    return (text || '')
+        .split(/(?<!\b[A-Z]|\bet al|\bpp|\bvol|\bno)[.?!]\s+(?=\S)/)
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+function cleanPart(text) {
+    const cleaned = (text || '').replace(/^[\s,.:;(]+|[\s,.:;(]+$/g, '').trim();
+    return cleaned || null;
+}
+
+function cleanVenue(text) {
+    return cleanPart((text || '').replace(/^[\s,.]*(in:?\s+)/i, '').replace(/[\s,.(]*(19|20)\d{2}[a-z]?\)?[\s.]*$/, ''));
+}
+
+function round(value) {
+    return Math.round((value || 0) * 100) / 100;
+}
+
+module.exports = DocumentStructureParser;
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const EMBED_BATCH_SIZE = 32;
+
+/**
+ * Embedding Service for RANI
+ * Chunks extracted document text, embeds the chunks and stores the vectors in SQLite
+ * for semantic search over the library. Embeddings come from a local Ollama model when
+ * one is installed; the active cloud provider is used only when indexing is asked for.
+ */
+class EmbeddingService {
+    /**
+     * @param {Object} databaseClient
+     * @param {Object} [options]
+     * @param {Object} [options.embedder] - Fixed embedder ({ id, model, embed(texts) }), e.g. a deterministic one in tests
+     */
+    constructor(databaseClient, { embedder = null } = {}) {
+        this.db = databaseClient;
+        this.embedder = embedder;
+    }
+
+    /**
+     * Pick the embedder: an injected one, then a local Ollama embedding model,
+     * then the active LLM provider if it offers embeddings.
+     * @param {Object} [options]
+     * @param {boolean} [options.localOnly=false] - Never fall back to a cloud provider
+     */
+    async resolveEmbedder({ localOnly = false } = {}) {
+        if (this.embedder) {
+            return { ...this.embedder, id: this.embedder.id || this.embedder.model };
+        }
+
+        const { PROVIDERS, createEmbedder } = require('../common/ai/factory');
+
+        // Prefer local embeddings so document text never leaves the machine
+        const ollamaService = require('../common/services/ollamaService');
+        const localModels = PROVIDERS.ollama.embeddingModels.map(model => model.id);
+        const installed = await ollamaService.getInstalledModels();
+        const local = installed.find(model => localModels.includes(model.name.split(':')[0]));
+        if (local) {
+            const embedder = createEmbedder('ollama', { model: local.name });
+            return { ...embedder, id: `ollama/${local.name}` };
+        }
+
+        if (localOnly) {
+            throw new Error('No local embedding model installed. Install an Ollama embedding model (e.g. nomic-embed-text) to index documents on import.');
+        }
+
+        const modelStateService = require('../common/services/modelStateService');
+        const llm = await modelStateService.getCurrentModelInfo('llm');
+        if (llm && ['openai', 'gemini'].includes(llm.provider) && llm.apiKey) {
+            const model = PROVIDERS[llm.provider].embeddingModels[0].id;
+            const embedder = createEmbedder(llm.provider, { apiKey: llm.apiKey, model });
+            return { ...embedder, id: `${llm.provider}/${model}` };
+        }
+
+        throw new Error('No embedding model available. Install an Ollama embedding model (e.g. nomic-embed-text) or configure an OpenAI or Gemini API key.');
+    }
+
+    /**
+     * Split text into overlapping chunks, preferring paragraph and sentence boundaries.
+     * Chunks entirely inside `skipRanges` (e.g. the reference list) are dropped.
+     * @returns {Array<{ index: number, charStart: number, charEnd: number, text: string }>}
+     */
+    chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP, skipRanges = [] } = {}) {
+        const chunks = [];
+        let start = 0;
+
+        while (start < text.length) {
+            let end = Math.min(start + size, text.length);
+            if (end < text.length) {
+                const window = text.slice(start + Math.floor(size / 2), end);
+                const breakAt = [/\n\n(?![\s\S]*\n\n)/, /[.!?]\s(?![\s\S]*[.!?]\s)/, /\s(?![\s\S]*\s)/]
+                    .map(pattern => window.search(pattern))
+                    .find(index => index >= 0);
+                if (breakAt !== undefined) {
+                    end = start + Math.floor(size / 2) + breakAt + 1;
+                }
+            }
+
+            const raw = text.slice(start, end);
+            const charStart = start + (raw.length - raw.trimStart().length);
+            const charEnd = end - (raw.length - raw.trimEnd().length);
+            const skipped = skipRanges.some(range => charStart >= range.start && charEnd <= range.end);
+
+            if (!skipped && text.slice(charStart, charEnd).replace(/\s/g, '').length >= 40) {
+                chunks.push({ index: chunks.length, charStart, charEnd, text: text.slice(charStart, charEnd) });
+            }
+
+            if (end >= text.length) break;
+            const next = end - overlap;
+            const wordStart = text.slice(next, end).search(/\s\S/);
+            start = Math.max(start + 1, wordStart >= 0 ? next + wordStart + 1 : end);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Chunk and embed one document. Skipped if it is already indexed with the current model.
+     * @param {Object} [options]
+     * @param {boolean} [options.localOnly=false] - Only index with a local model, e.g. on import
+     * @returns {Promise<{ documentId: string, chunks: number, skipped: boolean }>}
+     */
+    async indexDocument(documentId, userId, { force = false, embedder = null, localOnly = false } = {}) {
+        const db = this.db.getDb();
+        const document = db.prepare('SELECT id, uid, extracted_text FROM documents WHERE id = ? AND uid = ?').get(documentId, userId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        embedder = embedder || await this.resolveEmbedder({ localOnly });
+
+        if (!force) {
+            const existing = db.prepare(
+                'SELECT COUNT(*) AS count FROM document_chunks WHERE document_id = ? AND embedding_model = ?'
+            ).get(documentId, embedder.id);
+            if (existing.count > 0) {
+                return { documentId, chunks: existing.count, skipped: true };
+            }
+        }
+
+        const text = document.extracted_text || '';
+        const pages = db.prepare(
+            'SELECT page_number, char_start, char_end FROM document_pages WHERE document_id = ? ORDER BY page_number'
+        ).all(documentId);
+        const skipRanges = db.prepare(
+            "SELECT char_start AS start, char_end AS end FROM document_sections WHERE document_id = ? AND kind = 'references'"
+        ).all(documentId);
+
+        const chunks = this.chunkText(text, { skipRanges });
+        const vectors = [];
+        for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+            const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+            const embeddings = await embedder.embed(batch.map(chunk => chunk.text));
+            if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+                throw new Error(`Embedder returned ${embeddings?.length ?? 0} vectors for ${batch.length} chunks`);
+            }
+            vectors.push(...embeddings.map(normalize));
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const insert = db.prepare(`
+            INSERT INTO document_chunks (
+                id, document_id, uid, chunk_index, page_number, char_start, char_end,
+                text, embedding, embedding_model, dimensions, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        db.transaction(() => {
+            db.prepare('DELETE FROM document_chunks WHERE document_id = ?').run(documentId);
+            chunks.forEach((chunk, i) => {
+                const page = pages.find(p => chunk.charStart >= p.char_start && chunk.charStart <= p.char_end);
+                insert.run(
+                    crypto.randomUUID(), documentId, userId, chunk.index, page ? page.page_number : null,
+                    chunk.charStart, chunk.charEnd, chunk.text, toBlob(vectors[i]), embedder.id,
+                    vectors[i].length, now
+                );
+            });
+        })();
+
+        console.log(`[EmbeddingService] Indexed ${chunks.length} chunks for document ${documentId} with ${embedder.id}`);
+        return { documentId, chunks: chunks.length, skipped: false };
+    }
+
+    /**
+     * Index every document of a user that has text but no chunks for the current model.
+     * This is the explicit "index library" action, so it may use a cloud embedding provider.
+     * @returns {Promise<{ model: string, indexed: number, failed: Array<{ documentId, error }> }>}
+     */
+    async indexLibrary(userId, { documentIds = null, onProgress } = {}) {
+        const embedder = await this.resolveEmbedder();
+        const db = this.db.getDb();
+
+        let pending = db.prepare(`
+            SELECT d.id FROM documents d
+            WHERE d.uid = ? AND COALESCE(d.extracted_text, '') != ''
+              AND NOT EXISTS (
+                  SELECT 1 FROM document_chunks c WHERE c.document_id = d.id AND c.embedding_model = ?
+              )
+        `).all(userId, embedder.id).map(row => row.id);
+        if (documentIds) {
+            pending = pending.filter(id => documentIds.includes(id));
+        }
+
+        const failed = [];
+        let indexed = 0;
+        for (const documentId of pending) {
+            try {
+                await this.indexDocument(documentId, userId, { embedder });
+                indexed++;
+            } catch (error) {
+                console.warn(`[EmbeddingService] Failed to index document ${documentId}:`, error.message);
+                failed.push({ documentId, error: error.message });
+            }
+            if (onProgress) onProgress({ done: indexed + failed.length, total: pending.length });
+        }
+
+        return { model: embedder.id, indexed, failed };
+    }
+
+    /**
+     * Find the passages most similar in meaning to a query. Only documents already indexed
+     * with the current model are searched; indexing happens on import or through indexLibrary().
+     * @param {Object} [options]
+     * @param {number} [options.limit=8] - Maximum passages
+     * @param {string[]} [options.documentIds] - Restrict to these documents
+     * @param {number} [options.perDocument=3] - Maximum passages from one document
+     * @param {number} [options.minScore=0] - Minimum cosine similarity
+     * @returns {Promise<Array>} Passages ordered by similarity
+     */
+    async semanticSearch(userId, query, { limit = 8, documentIds = null, perDocument = 3, minScore = 0 } = {}) {
+        if (!query || !query.trim()) return [];
+
+        const embedder = await this.resolveEmbedder();
+        const scope = documentIds && documentIds.length
+            ? ` AND c.document_id IN (${documentIds.map(() => '?').join(', ')})`
+            : '';
+        const rows = this.db.getDb().prepare(`
+            SELECT c.id, c.document_id, c.page_number, c.char_start, c.char_end, c.text, c.embedding,
+                   d.filename, d.metadata
+            FROM document_chunks c
+            JOIN documents d ON d.id = c.document_id
+            WHERE c.uid = ? AND c.embedding_model = ?${scope}
+        `).all(userId, embedder.id, ...(documentIds && documentIds.length ? documentIds : []));
+        // Nothing indexed with this model: don't send the query to the embedder at all
+        if (rows.length === 0) return [];
+
+        const [queryVector] = await embedder.embed([query]);
+        const target = normalize(queryVector);
+
+        const scored = rows
+            .map(row => ({ row, score: dot(target, fromBlob(row.embedding)) }))
+            .filter(({ score }) => score >= minScore)
+            .sort((a, b) => b.score - a.score);
+
+        const perDocumentCount = new Map();
+        const results = [];
+        for (const { row, score } of scored) {
+            const count = perDocumentCount.get(row.document_id) || 0;
+            if (count >= perDocument) continue;
+            perDocumentCount.set(row.document_id, count + 1);
+
+            results.push({
+                chunkId: row.id,
+                documentId: row.document_id,
+                filename: row.filename,
+                title: (row.metadata ? JSON.parse(row.metadata) : {}).title || row.filename,
+                pageNumber: row.page_number,
+                charStart: row.char_start,
+                charEnd: row.char_end,
+                text: row.text,
+                score
+            });
+            if (results.length >= limit) break;
+        }
+
+        return results;
+    }
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return Array.from(vector, value => value / norm);
+}
+
+function dot(a, b) {
+    const length = Math.min(a.length, b.length);
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function toBlob(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function fromBlob(blob) {
+    // Copy so the Float32Array view is always 4-byte aligned
+    return new Float32Array(new Uint8Array(blob).buffer);
+}
+
+module.exports = EmbeddingService;
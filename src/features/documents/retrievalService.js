@@ -0,0 +1,108 @@
+const { buildFtsQuery } = require('../common/utils/ftsQuery');
+const sessionRepository = require('../common/repositories/session');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+    'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'paper', 'papers', 'say', 'says',
+    'that', 'the', 'their', 'them', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+    'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+/**
+ * Retrieval Service for RANI
+ * Finds passages in the user's library that are relevant to a question and returns them
+ * as numbered sources for grounding answers. Semantic search is used when an embedding model is
+ * available; otherwise passages come from the full-text index.
+ */
+class RetrievalService {
+    constructor(databaseClient, { embeddingService }) {
+        this.db = databaseClient;
+        this.embeddingService = embeddingService;
+    }
+
+    /**
+     * Documents pinned to a session, else to the research session it belongs to, or null when
+     * none are pinned. Signed-in users' sessions live in Firestore, so this goes through the
+     * session repository.
+     * @returns {Promise<string[]|null>}
+     */
+    async getSessionDocumentIds(sessionId) {
+        if (!sessionId) return null;
+        return await sessionRepository.getDocumentRefs(sessionId);
+    }
+
+    /**
+     * Retrieve numbered sources for a question
+     * @param {string} userId
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {string} [options.sessionId] - Restrict to documents pinned to this session
+     * @param {number} [options.limit=6] - Maximum passages
+     * @returns {Promise<Array<{ index, documentId, title, filename, pageNumber, charStart, charEnd, text, score }>>}
+     */
+    async retrieve(userId, query, { sessionId = null, limit = 6 } = {}) {
+        if (!query || !query.trim()) return [];
+
+        const documentIds = await this.getSessionDocumentIds(sessionId);
+        let passages;
+        try {
+            passages = await this.embeddingService.semanticSearch(userId, query, {
+                limit, documentIds, perDocument: 2, minScore: 0.2
+            });
+        } catch (error) {
+            console.log(`[RetrievalService] Semantic search unavailable, using full-text search: ${error.message}`);
+            passages = null;
+        }
+        // Documents that are not embedded yet are still found by their words
+        if (!passages || passages.length === 0) {
+            passages = this.searchPassages(userId, query, { limit, documentIds });
+        }
+
+        return passages.map((passage, i) => ({
+            index: i + 1,
+            documentId: passage.documentId,
+            title: passage.title,
+            filename: passage.filename,
+            pageNumber: passage.pageNumber,
+            charStart: passage.charStart ?? null,
+            charEnd: passage.charEnd ?? null,
+            text: passage.text,
+            score: passage.score
+        }));
+    }
+
+    /**
+     * Keyword fallback: any of the significant query terms, best pages first
+     */
+    searchPassages(userId, query, { limit = 6, documentIds = null } = {}) {
+        if (!this.db.hasFullTextSearch()) return [];
+
+        const terms = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => term.length > 2 && !STOPWORDS.has(term));
+        const match = buildFtsQuery([...new Set(terms)].join(' OR '));
+        if (!match) return [];
+
+        const scope = documentIds ? ` AND f.document_id IN (${documentIds.map(() => '?').join(', ')})` : '';
+        const rows = this.db.getDb().prepare(`
+            SELECT f.document_id, f.page_number, d.filename, d.metadata,
+                   snippet(documents_fts, 4, '', '', '…', 64) AS text,
+                   bm25(documents_fts, 0, 0, 0, 4.0, 1.0) AS score
+            FROM documents_fts f
+            JOIN documents d ON d.id = f.document_id
+            WHERE documents_fts MATCH ? AND f.uid = ?${scope}
+            ORDER BY score
+            LIMIT ?
+        `).all(match, userId, ...(documentIds || []), limit);
+
+        return rows.map(row => ({
+            documentId: row.document_id,
+            filename: row.filename,
+            title: (row.metadata ? JSON.parse(row.metadata) : {}).title || row.filename,
+            pageNumber: row.page_number,
+            text: row.text,
+            score: -row.score
+        }));
+    }
+}
+
+module.exports = RetrievalService;
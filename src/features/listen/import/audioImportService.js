@@ -0,0 +1,215 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const sessionRepository = require('../../common/repositories/session');
+const sttRepository = require('../stt/repositories');
+const modelStateService = require('../../common/services/modelStateService');
+const usageService = require('../../common/services/usageService');
+const SummaryService = require('../summary/summaryService');
+const { decodeAudioFile } = require('../../common/utils/audioDecoder');
+const { transcribeAudio } = require('../../common/ai/batchTranscriber');
+
+const AUDIO_EXTENSIONS = ['wav', 'mp3', 'm4a', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff'];
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'mkv', 'webm', 'avi', 'm4v', 'wmv'];
+
+// Share of the progress bar given to decoding; transcription takes nearly all the rest
+const DECODE_SHARE = 0.1;
+const SUMMARY_SHARE = 0.05;
+
+/**
+ * Transcribes recorded talks and videos offline into ordinary listen sessions with a summary.
+ * One file is imported at a time; progress is emitted as 'progress' with the job status.
+ */
+class AudioImportService extends EventEmitter {
+    constructor() {
+        super();
+        this.job = null;
+    }
+
+    /**
+     * Ask for an audio or video file and import it
+     */
+    async selectAndImport() {
+        const { dialog, BrowserWindow } = require('electron');
+
+        const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+            properties: ['openFile'],
+            filters: [
+                { name: 'Audio and Video', extensions: [...AUDIO_EXTENSIONS, ...VIDEO_EXTENSIONS] },
+                { name: 'All Files', extensions: ['*'] },
+            ],
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+        return this.importFile(result.filePaths[0]);
+    }
+
+    /**
+     * Start importing a file in the background. Follow it with getJob() or the 'progress' event.
+     * @param {string} filePath
+     * @param {{ model?: string }} [options] - STT model; the selected one when absent
+     */
+    async importFile(filePath, { model } = {}) {
+        if (this.isRunning()) {
+            return { success: false, error: 'Another file is being transcribed.' };
+        }
+
+        const modelInfo = await modelStateService.getSttModelInfo(model);
+        if (!modelInfo) {
+            return { success: false, error: model ? `Speech-to-text model ${model} is not available.` : 'No speech-to-text model is configured.' };
+        }
+
+        const job = {
+            id: require('crypto').randomUUID(),
+            fileName: path.basename(filePath),
+            provider: modelInfo.provider,
+            model: modelInfo.model,
+            status: 'decoding',
+            progress: 0,
+            sessionId: null,
+            transcriptCount: null,
+            summarized: false,
+            error: null,
+            controller: new AbortController(),
+        };
+        this.job = job;
+        this._emitProgress(job);
+        this._runImport(job, filePath, modelInfo);
+
+        console.log(`[AudioImportService] Importing ${filePath} with ${modelInfo.provider}/${modelInfo.model}`);
+        return { success: true, job: toJobStatus(job) };
+    }
+
+    /**
+     * Cancel the import while it is decoding or transcribing; once the session exists it is finished
+     */
+    cancel() {
+        if (!this.job || !['decoding', 'transcribing'].includes(this.job.status)) {
+            return { success: false, error: 'No file is being transcribed.' };
+        }
+        this.job.controller.abort();
+        return { success: true };
+    }
+
+    /**
+     * @returns {Object|null} Status of the latest import
+     */
+    getJob() {
+        return this.job ? toJobStatus(this.job) : null;
+    }
+
+    isRunning() {
+        return ['decoding', 'transcribing', 'summarizing'].includes(this.job?.status);
+    }
+
+    async _runImport(job, filePath, modelInfo) {
+        let audioSeconds = 0;
+
+        try {
+            const { samples, sampleRate, durationSeconds } = await decodeAudioFile(filePath, {
+                signal: job.controller.signal,
+                onProgress: share => this._setProgress(job, share * DECODE_SHARE),
+            });
+            if (job.controller.signal.aborted) throw abortError();
+            if (!samples.length) throw new Error('The file has no audio.');
+            console.log(`[AudioImportService] Decoded ${job.fileName}: ${durationSeconds.toFixed(1)}s`);
+
+            this._setStatus(job, 'transcribing', DECODE_SHARE);
+            // Times come back relative to the start of the file and are placed once the session exists
+            const result = await transcribeAudio({
+                modelInfo,
+                startedAt: 0,
+                signal: job.controller.signal,
+                channels: [{ speaker: 'Them', samples, sampleRate, diarize: true }],
+                onProgress: share => {
+                    audioSeconds = share * durationSeconds;
+                    this._setProgress(job, DECODE_SHARE + share * (1 - DECODE_SHARE - SUMMARY_SHARE));
+                },
+            });
+            audioSeconds = result.audioSeconds;
+
+            // The session is created only now, already ended, so live listening never picks it up as the active one
+            const startedAt = Math.floor(Date.now() / 1000);
+            const sessionId = await sessionRepository.create('listen', {
+                title: job.fileName,
+                startedAt,
+                endedAt: startedAt + Math.ceil(durationSeconds),
+            });
+            const turns = result.turns.map(turn => shiftTurn(turn, startedAt));
+            try {
+                await sttRepository.replaceTranscripts(sessionId, turns);
+            } catch (error) {
+                // Don't leave a session without its transcript behind
+                await sessionRepository.deleteWithRelatedData(sessionId);
+                throw error;
+            }
+            job.sessionId = sessionId;
+            job.transcriptCount = turns.length;
+
+            this._setStatus(job, 'summarizing', 1 - SUMMARY_SHARE);
+            if (turns.length) {
+                const summaryService = new SummaryService();
+                summaryService.setSessionId(sessionId);
+                job.summarized = !!(await summaryService.summarizeTranscript(turns, startedAt));
+            }
+
+            this._setStatus(job, 'done', 1);
+            console.log(`[AudioImportService] Imported ${job.fileName} as session ${sessionId}: ${turns.length} transcripts`);
+        } catch (error) {
+            job.error = error.name === 'AbortError' ? null : error.message;
+            this._setStatus(job, error.name === 'AbortError' ? 'cancelled' : 'failed', job.progress);
+            console.error(`[AudioImportService] Import of ${job.fileName} ${job.status}:`, error.message);
+        } finally {
+            if (audioSeconds > 0) {
+                await usageService.recordSttUsage({
+                    sessionId: job.sessionId,
+                    feature: 'import',
+                    provider: modelInfo.provider,
+                    model: modelInfo.model,
+                    audioSeconds,
+                });
+            }
+        }
+    }
+
+    _setStatus(job, status, progress) {
+        job.status = status;
+        job.progress = progress;
+        this._emitProgress(job);
+    }
+
+    // Progress is reported in whole percents so the renderer is not flooded
+    _setProgress(job, progress) {
+        const changed = Math.floor(progress * 100) !== Math.floor(job.progress * 100);
+        job.progress = progress;
+        if (changed) this._emitProgress(job);
+    }
+
+    _emitProgress(job) {
+        this.emit('progress', toJobStatus(job));
+    }
+}
+
+// Move a turn's times, relative to the start of the file, onto the session's clock; missing times stay missing
+function shiftTurn(turn, startedAt) {
+    const shift = time => (time === null || time === undefined ? null : time + startedAt);
+    return {
+        ...turn,
+        startAt: shift(turn.startAt),
+        endAt: shift(turn.endAt),
+        words: turn.words?.map(word => ({ ...word, start: shift(word.start), end: shift(word.end) })) ?? null,
+    };
+}
+
+function abortError() {
+    const error = new Error('Import cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+function toJobStatus({ controller, ...job }) {
+    return job;
+}
+
+const audioImportService = new AudioImportService();
+module.exports = audioImportService;
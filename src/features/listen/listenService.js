@@ -4,6 +4,8 @@ const SummaryService = require('./summary/summaryService');
 const authService = require('../common/services/authService');
 const sessionRepository = require('../common/repositories/session');
 const sttRepository = require('./stt/repositories');
+const summaryRepository = require('./summary/repositories');
+const recordingService = require('./recording/recordingService');
 const internalBridge = require('../../bridge/internalBridge');
 
 class ListenService {
@@ -20,8 +22,8 @@ class ListenService {
     setupServiceCallbacks() {
         // STT service callbacks
         this.sttService.setCallbacks({
-            onTranscriptionComplete: (speaker, text) => {
-                this.handleTranscriptionComplete(speaker, text);
+            onTranscriptionComplete: (speaker, text, details) => {
+                this.handleTranscriptionComplete(speaker, text, details);
             },
             onStatusUpdate: (status) => {
                 this.sendToRenderer('update-status', status);
@@ -96,17 +98,22 @@ class ListenService {
         }
     }
 
-    async handleTranscriptionComplete(speaker, text) {
+    /**
+     * @param {string} speaker
+     * @param {string} text
+     * @param {{ words?: Array|null, confidence?: number|null, startAt?: number|null, endAt?: number|null }} [details] - Timing and confidence from SttService
+     */
+    async handleTranscriptionComplete(speaker, text, details = {}) {
         console.log(`[ListenService] Transcription complete: ${speaker} - ${text}`);
         
         // Save to database
-        await this.saveConversationTurn(speaker, text);
+        await this.saveConversationTurn(speaker, text, details);
         
         // Add to summary service for analysis
-        this.summaryService.addConversationTurn(speaker, text);
+        this.summaryService.addConversationTurn(speaker, text, details.startAt);
     }
 
-    async saveConversationTurn(speaker, transcription) {
+    async saveConversationTurn(speaker, transcription, { words = null, confidence = null, startAt = null, endAt = null } = {}) {
         if (!this.currentSessionId) {
             console.error('[DB] Cannot save turn, no active session ID.');
             return;
@@ -119,6 +126,10 @@ class ListenService {
                 sessionId: this.currentSessionId,
                 speaker: speaker,
                 text: transcription.trim(),
+                startAt,
+                endAt,
+                words,
+                confidence,
             });
             console.log(`[DB] Saved transcript for session ${this.currentSessionId}: (${speaker})`);
         } catch (error) {
@@ -139,8 +150,9 @@ class ListenService {
             this.currentSessionId = await sessionRepository.getOrCreateActive('listen');
             console.log(`[DB] New listen session ensured: ${this.currentSessionId}`);
 
-            // Set session ID for summary service
+            // Set session ID for summary service and STT usage accounting
             this.summaryService.setSessionId(this.currentSessionId);
+            this.sttService.setSessionId(this.currentSessionId);
             
             // Reset conversation history
             this.summaryService.resetConversationHistory();
@@ -193,6 +205,9 @@ class ListenService {
             if (!sttReady) throw new Error('STT init failed after retries');
             /* ------------------------------------------- */
 
+            // Recording is opt-in; without it the recorder is null and audio is only transcribed
+            this.sttService.setRecorder(await recordingService.start(this.currentSessionId));
+
             console.log('✅ Listen service initialized successfully.');
             
             this.sendToRenderer('update-status', 'Connected. Ready to listen.');
@@ -235,6 +250,7 @@ class ListenService {
             await this.sttService.closeSessions();
 
             await this.stopMacOSAudioCapture();
+            await recordingService.stop();
 
             // End database session
             if (this.currentSessionId) {
@@ -267,6 +283,48 @@ class ListenService {
         return this.summaryService.getConversationHistory();
     }
 
+    /**
+     * Rename a speaker in a session's transcript and summary, and for the rest of the session
+     * when it is still being recorded
+     * @param {{ sessionId?: string, from: string, to: string }} rename - sessionId defaults to the current session
+     */
+    async renameSpeaker({ sessionId = this.currentSessionId, from, to } = {}) {
+        const name = typeof to === 'string' ? to.trim() : '';
+        if (!sessionId || !from || !name) {
+            return { success: false, error: 'A session, a speaker and a new name are required.' };
+        }
+        if (name === from) return { success: true, changes: 0 };
+
+        try {
+            const { changes } = await sttRepository.renameSpeaker(sessionId, from, name);
+
+            // 'me' and 'them' are also pronouns, so only the other names are rewritten in the summary
+            const summary = ['Me', 'Them'].includes(from) ? null : await summaryRepository.getSummaryBySessionId(sessionId);
+            if (summary) {
+                await summaryRepository.saveSummary({
+                    sessionId,
+                    text: replaceSpeaker(summary.text, from, name),
+                    tldr: replaceSpeaker(summary.tldr, from, name),
+                    bullet_json: replaceSpeaker(summary.bullet_json, from, name),
+                    action_json: replaceSpeaker(summary.action_json, from, name),
+                    model: summary.model,
+                });
+            }
+
+            if (sessionId === this.currentSessionId) {
+                this.sttService.renameSpeaker(from, name);
+                this.summaryService.renameSpeaker(from, name);
+            }
+            this.sendToRenderer('stt-speaker-renamed', { sessionId, from, to: name });
+
+            console.log(`[ListenService] Renamed speaker "${from}" to "${name}" in session ${sessionId} (${changes} transcripts)`);
+            return { success: true, changes };
+        } catch (error) {
+            console.error('[ListenService] Failed to rename speaker:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     _createHandler(asyncFn, successMessage, errorMessage) {
         return async (...args) => {
             try {
@@ -320,5 +378,12 @@ class ListenService {
     );
 }
 
+// Whole-word and case-insensitive, as the summary may write 'speaker 2'
+function replaceSpeaker(text, from, to) {
+    if (!text) return text;
+    const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`(?<![\\w])${escaped}(?![\\w])`, 'gi'), to);
+}
+
 const listenService = new ListenService();
 module.exports = listenService;
\ No newline at end of file
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const recordingRepository = require('./repositories');
+const sttRepository = require('../stt/repositories');
+const modelStateService = require('../../common/services/modelStateService');
+const usageService = require('../../common/services/usageService');
+const { SessionRecorder } = require('./sessionRecorder');
+const { decodeWav, patchWavSizes } = require('../../common/utils/pcmAudio');
+const { transcribeAudio } = require('../../common/ai/batchTranscriber');
+
+const DEFAULT_SETTINGS = { enabled: false, retentionDays: 30, maxStorageMb: 2048 };
+
+/**
+ * Opt-in audio recording of listen sessions. Recordings are stereo WAV files (Me left, Them
+ * right) under the user data directory, linked to their session and pruned by age and total
+ * size. A session's recordings can later be transcribed again with another STT model.
+ */
+class RecordingService {
+    constructor() {
+        // The recording of the session being listened to: { id, recorder }
+        this.active = null;
+        // Re-transcription jobs, by session id
+        this.jobs = new Map();
+    }
+
+    async initialize() {
+        try {
+            await this.recoverUnfinished();
+            await this.applyRetention();
+        } catch (error) {
+            console.error('[RecordingService] Failed to tidy up recordings:', error);
+        }
+        console.log('[RecordingService] Initialized.');
+    }
+
+    getRecordingsDir() {
+        return path.join(app.getPath('userData'), 'recordings');
+    }
+
+    /**
+     * @returns {Promise<{ enabled: boolean, retentionDays: number, maxStorageMb: number }>}
+     */
+    async getSettings() {
+        const stored = await recordingRepository.getSettings();
+        return {
+            enabled: typeof stored?.enabled === 'boolean' ? stored.enabled : DEFAULT_SETTINGS.enabled,
+            retentionDays: toLimit(stored?.retentionDays) ?? DEFAULT_SETTINGS.retentionDays,
+            maxStorageMb: toLimit(stored?.maxStorageMb) ?? DEFAULT_SETTINGS.maxStorageMb,
+        };
+    }
+
+    /**
+     * Change the recording settings; tighter limits prune existing recordings right away
+     * @param {{ enabled?: boolean, retentionDays?: number|string, maxStorageMb?: number|string }} settings
+     */
+    async setSettings({ enabled, retentionDays, maxStorageMb } = {}) {
+        const current = await this.getSettings();
+        const next = {
+            enabled: typeof enabled === 'boolean' ? enabled : current.enabled,
+            retentionDays: retentionDays === undefined ? current.retentionDays : toLimit(retentionDays),
+            maxStorageMb: maxStorageMb === undefined ? current.maxStorageMb : toLimit(maxStorageMb),
+        };
+        if (next.retentionDays === null || next.maxStorageMb === null) {
+            return { success: false, error: 'Retention and storage limits must be positive numbers.' };
+        }
+
+        await recordingRepository.setSettings(next);
+        console.log(`[RecordingService] Recording ${next.enabled ? 'on' : 'off'}, keeping ${next.retentionDays} days / ${next.maxStorageMb} MB`);
+        await this.applyRetention();
+        return { success: true, settings: next };
+    }
+
+    /**
+     * Start recording a listen session when recording is enabled
+     * @param {string} sessionId
+     * @returns {Promise<SessionRecorder|null>} The recorder to feed, or null when not recording
+     */
+    async start(sessionId) {
+        await this.stop();
+        if (!(await this.getSettings()).enabled) return null;
+
+        try {
+            await fs.promises.mkdir(this.getRecordingsDir(), { recursive: true });
+            const filePath = path.join(this.getRecordingsDir(), `${sessionId}_${Date.now()}.wav`);
+            const recorder = new SessionRecorder(filePath);
+            recorder.open();
+
+            const { id } = await recordingRepository.create({
+                sessionId,
+                filePath,
+                format: recorder.format,
+                sampleRate: recorder.sampleRate,
+                channels: recorder.channels,
+                startedAt: Date.now() / 1000,
+            });
+            this.active = { id, recorder };
+            console.log(`[RecordingService] Recording session ${sessionId} to ${filePath}`);
+            return recorder;
+        } catch (error) {
+            console.error('[RecordingService] Failed to start recording:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Finish the current recording, if any
+     */
+    async stop() {
+        if (!this.active) return null;
+        const { id, recorder } = this.active;
+        this.active = null;
+
+        try {
+            const result = await recorder.close();
+            await recordingRepository.finish(id, { endedAt: Date.now() / 1000, ...result });
+            console.log(`[RecordingService] Recording finished: ${result.durationSeconds.toFixed(1)}s, ${result.sizeBytes} bytes`);
+            await this.applyRetention();
+            return result;
+        } catch (error) {
+            console.error('[RecordingService] Failed to finish recording:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Complete recordings left open when the app quit or crashed; their files end where writing stopped
+     */
+    async recoverUnfinished() {
+        for (const recording of await recordingRepository.getUnfinished()) {
+            if (recording.id === this.active?.id) continue;
+
+            if (!fs.existsSync(recording.file_path)) {
+                await recordingRepository.deleteById(recording.id);
+                continue;
+            }
+            const dataBytes = patchWavSizes(recording.file_path);
+            const durationSeconds = dataBytes / (recording.sample_rate * Math.max(recording.channels.length, 1));
+            await recordingRepository.finish(recording.id, {
+                endedAt: recording.started_at + durationSeconds,
+                durationSeconds,
+                sizeBytes: fs.statSync(recording.file_path).size,
+            });
+            console.log(`[RecordingService] Recovered unfinished recording ${recording.id} (${durationSeconds.toFixed(1)}s)`);
+        }
+    }
+
+    /**
+     * Delete recordings older than the retention period, then the oldest until the rest fit the storage limit
+     */
+    async applyRetention() {
+        const { retentionDays, maxStorageMb } = await this.getSettings();
+        const recordings = (await recordingRepository.getAll()).filter(recording => recording.id !== this.active?.id);
+        const cutoff = Date.now() / 1000 - retentionDays * 24 * 60 * 60;
+
+        const kept = [];
+        for (const recording of recordings) {
+            if (recording.started_at < cutoff) await this._deleteRecording(recording);
+            else kept.push(recording);
+        }
+
+        let totalBytes = kept.reduce((sum, recording) => sum + (recording.size_bytes || 0), 0);
+        const maxBytes = maxStorageMb * 1024 * 1024;
+        for (const recording of kept) {
+            if (totalBytes <= maxBytes) break;
+            await this._deleteRecording(recording);
+            totalBytes -= recording.size_bytes || 0;
+        }
+    }
+
+    /**
+     * @returns {Promise<Array>} The session's recordings, oldest first, with available false when the file is gone
+     */
+    async getSessionRecordings(sessionId) {
+        const recordings = await recordingRepository.getBySessionId(sessionId);
+        return recordings.map(recording => ({ ...recording, available: fs.existsSync(recording.file_path) }));
+    }
+
+    async getRecording(id) {
+        return recordingRepository.getById(id);
+    }
+
+    async deleteSessionRecordings(sessionId) {
+        if (this.active && (await recordingRepository.getById(this.active.id))?.session_id === sessionId) {
+            await this.stop();
+        }
+        for (const recording of await recordingRepository.getBySessionId(sessionId)) {
+            await this._deleteRecording(recording);
+        }
+    }
+
+    /**
+     * Transcribe a session's recordings again, in the background, and replace its transcript
+     * when done. Follow it with getJob().
+     * @param {string} sessionId
+     * @param {{ model?: string }} [options] - STT model; the selected one when absent
+     */
+    async retranscribe(sessionId, { model } = {}) {
+        if (this.jobs.get(sessionId)?.status === 'running') {
+            return { success: false, error: 'This session is already being transcribed.' };
+        }
+
+        const recordings = (await this.getSessionRecordings(sessionId)).filter(recording => recording.available);
+        if (!recordings.length) {
+            return { success: false, error: 'This session has no audio recording.' };
+        }
+        if (recordings.some(recording => !recording.ended_at)) {
+            return { success: false, error: 'Stop listening before transcribing this session again.' };
+        }
+
+        const modelInfo = await modelStateService.getSttModelInfo(model);
+        if (!modelInfo) {
+            return { success: false, error: model ? `Speech-to-text model ${model} is not available.` : 'No speech-to-text model is configured.' };
+        }
+
+        const job = {
+            sessionId,
+            provider: modelInfo.provider,
+            model: modelInfo.model,
+            status: 'running',
+            progress: 0,
+            error: null,
+            transcriptCount: null,
+            controller: new AbortController(),
+        };
+        this.jobs.set(sessionId, job);
+        this._runRetranscription(job, recordings, modelInfo);
+
+        console.log(`[RecordingService] Re-transcribing session ${sessionId} with ${modelInfo.provider}/${modelInfo.model}`);
+        return { success: true, job: toJobStatus(job) };
+    }
+
+    cancelRetranscription(sessionId) {
+        const job = this.jobs.get(sessionId);
+        if (job?.status !== 'running') return { success: false, error: 'No transcription is running for this session.' };
+
+        job.controller.abort();
+        return { success: true };
+    }
+
+    /**
+     * @returns {Object|null} Status of the session's latest re-transcription
+     */
+    getJob(sessionId) {
+        const job = this.jobs.get(sessionId);
+        return job ? toJobStatus(job) : null;
+    }
+
+    async _runRetranscription(job, recordings, modelInfo) {
+        const turns = [];
+        const totalSeconds = recordings.reduce((sum, recording) => sum + recordingAudioSeconds(recording), 0);
+        let doneSeconds = 0;
+        let fedSeconds = 0;
+
+        try {
+            for (const recording of recordings) {
+                const { sampleRate, channels } = decodeWav(await fs.promises.readFile(recording.file_path));
+                const audioSeconds = recordingAudioSeconds(recording);
+
+                const result = await transcribeAudio({
+                    modelInfo,
+                    startedAt: recording.started_at,
+                    signal: job.controller.signal,
+                    channels: channels.map((samples, index) => {
+                        const speaker = recording.channels[index] || `Channel ${index + 1}`;
+                        return { speaker, samples, sampleRate, diarize: speaker === 'Them' };
+                    }),
+                    onProgress: share => {
+                        fedSeconds = doneSeconds + share * audioSeconds;
+                        job.progress = totalSeconds ? fedSeconds / totalSeconds : 0;
+                    },
+                });
+                turns.push(...result.turns);
+                doneSeconds += audioSeconds;
+            }
+
+            // The old transcript is replaced only once the new one is complete
+            await sttRepository.replaceTranscripts(job.sessionId, turns);
+
+            job.status = 'done';
+            job.progress = 1;
+            job.transcriptCount = turns.length;
+            console.log(`[RecordingService] Session ${job.sessionId} re-transcribed: ${turns.length} transcripts`);
+        } catch (error) {
+            job.status = error.name === 'AbortError' ? 'cancelled' : 'failed';
+            job.error = job.status === 'failed' ? error.message : null;
+            console.error(`[RecordingService] Re-transcription of session ${job.sessionId} ${job.status}:`, error.message);
+        } finally {
+            await usageService.recordSttUsage({
+                sessionId: job.sessionId,
+                feature: 'retranscribe',
+                provider: modelInfo.provider,
+                model: modelInfo.model,
+                audioSeconds: fedSeconds,
+            });
+        }
+    }
+
+    async _deleteRecording(recording) {
+        try {
+            await fs.promises.rm(recording.file_path, { force: true });
+            await recordingRepository.deleteById(recording.id);
+            console.log(`[RecordingService] Deleted recording ${recording.id}`);
+        } catch (error) {
+            console.error(`[RecordingService] Failed to delete recording ${recording.id}:`, error);
+        }
+    }
+}
+
+function toLimit(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Audio sent to the provider: every channel is transcribed separately
+function recordingAudioSeconds(recording) {
+    return (recording.duration_seconds || 0) * Math.max(recording.channels.length, 1);
+}
+
+function toJobStatus({ controller, ...job }) {
+    return job;
+}
+
+const recordingService = new RecordingService();
+module.exports = recordingService;
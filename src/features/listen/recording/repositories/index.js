@@ -0,0 +1,51 @@
+const sqliteRepository = require('./sqlite.repository');
+const authService = require('../../../common/services/authService');
+
+// Recordings are files on this machine, so they and their settings are kept in SQLite whether or not the user is logged in
+const recordingRepositoryAdapter = {
+    create: (recording) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.create({ uid, ...recording });
+    },
+
+    finish: (id, result) => {
+        return sqliteRepository.finish(id, result);
+    },
+
+    getById: (id) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getById(uid, id);
+    },
+
+    getBySessionId: (sessionId) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getBySessionId(uid, sessionId);
+    },
+
+    getAll: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getAll(uid);
+    },
+
+    getUnfinished: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getUnfinished(uid);
+    },
+
+    deleteById: (id) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.deleteById(uid, id);
+    },
+
+    getSettings: () => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.getSettings(uid);
+    },
+
+    setSettings: (settings) => {
+        const uid = authService.getCurrentUserId();
+        return sqliteRepository.setSettings(uid, settings);
+    },
+};
+
+module.exports = recordingRepositoryAdapter;
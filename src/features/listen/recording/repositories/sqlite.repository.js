@@ -0,0 +1,127 @@
+const sqliteClient = require('../../../common/services/sqliteClient');
+
+/**
+ * Register a recording as it starts; finish() completes it
+ * @param {Object} recording
+ * @param {string[]} recording.channels - Speaker of each channel
+ * @param {number} recording.startedAt - Epoch seconds with milliseconds
+ */
+function create({ uid, sessionId, filePath, format, sampleRate, channels, startedAt }) {
+    const db = sqliteClient.getDb();
+    const id = require('crypto').randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    const query = `
+        INSERT INTO recordings (id, uid, session_id, file_path, format, sample_rate, channels, started_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+        db.prepare(query).run(id, uid, sessionId, filePath, format, sampleRate, JSON.stringify(channels), startedAt, now);
+        return { id };
+    } catch (err) {
+        console.error('[Recording Repository] Failed to create recording:', err);
+        throw err;
+    }
+}
+
+function finish(id, { endedAt, durationSeconds, sizeBytes }) {
+    const db = sqliteClient.getDb();
+    const query = 'UPDATE recordings SET ended_at = ?, duration_seconds = ?, size_bytes = ? WHERE id = ?';
+
+    try {
+        db.prepare(query).run(Math.floor(endedAt), durationSeconds, sizeBytes, id);
+        return { changes: 1 };
+    } catch (err) {
+        console.error('[Recording Repository] Failed to finish recording:', err);
+        throw err;
+    }
+}
+
+function getById(uid, id) {
+    const db = sqliteClient.getDb();
+    return toRecording(db.prepare('SELECT * FROM recordings WHERE id = ? AND uid = ?').get(id, uid));
+}
+
+function getBySessionId(uid, sessionId) {
+    const db = sqliteClient.getDb();
+    const query = 'SELECT * FROM recordings WHERE session_id = ? AND uid = ? ORDER BY started_at ASC';
+    return db.prepare(query).all(sessionId, uid).map(toRecording);
+}
+
+/**
+ * Oldest first
+ */
+function getAll(uid) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT * FROM recordings WHERE uid = ? ORDER BY started_at ASC').all(uid).map(toRecording);
+}
+
+/**
+ * Recordings that were never finished, because the app quit or crashed while recording
+ */
+function getUnfinished(uid) {
+    const db = sqliteClient.getDb();
+    return db.prepare('SELECT * FROM recordings WHERE uid = ? AND ended_at IS NULL').all(uid).map(toRecording);
+}
+
+function deleteById(uid, id) {
+    const db = sqliteClient.getDb();
+    const result = db.prepare('DELETE FROM recordings WHERE id = ? AND uid = ?').run(id, uid);
+    return { changes: result.changes };
+}
+
+function getSettings(uid) {
+    const db = sqliteClient.getDb();
+
+    try {
+        const row = db.prepare('SELECT audio_recording FROM users WHERE uid = ?').get(uid);
+        return row?.audio_recording ? JSON.parse(row.audio_recording) : {};
+    } catch (error) {
+        console.error('[Recording Repository] Failed to get recording settings:', error);
+        return {};
+    }
+}
+
+function setSettings(uid, settings) {
+    const db = sqliteClient.getDb();
+    const targetUid = uid || sqliteClient.defaultUserId;
+    const value = JSON.stringify(settings || {});
+
+    try {
+        const result = db.prepare('UPDATE users SET audio_recording = ? WHERE uid = ?').run(value, targetUid);
+
+        if (result.changes === 0) {
+            const now = Math.floor(Date.now() / 1000);
+            db.prepare('INSERT INTO users (uid, display_name, email, created_at, audio_recording) VALUES (?, ?, ?, ?, ?)')
+                .run(targetUid, 'User', 'user@example.com', now, value);
+        }
+
+        return { success: true };
+    } catch (error) {
+        console.error('[Recording Repository] Failed to set recording settings:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    create,
+    finish,
+    getById,
+    getBySessionId,
+    getAll,
+    getUnfinished,
+    deleteById,
+    getSettings,
+    setSettings,
+};
+
+function toRecording(row) {
+    if (!row) return null;
+    let channels = [];
+    try {
+        channels = JSON.parse(row.channels || '[]');
+    } catch {
+        // Leave the channels unnamed
+    }
+    return { ...row, channels };
+}
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { decodeBase64Pcm, resamplePcm, encodeMuLaw, createWavHeader, patchWavSizes, WAV_HEADER_BYTES } = require('../../common/utils/pcmAudio');
+
+// Speech needs no more; with 8-bit mu-law a stereo hour is about 115 MB
+const RECORDING_SAMPLE_RATE = 16000;
+// A channel this far ahead of another is written with silence in the other (that source is quiet or stopped)
+const MAX_CHANNEL_LAG_SECONDS = 1;
+
+/**
+ * Streams the audio of a listen session to a stereo mu-law WAV file, one channel per
+ * source (Me on the left, Them on the right). Each source arrives as base64 PCM at its own
+ * rate and pace; chunks are resampled and interleaved as soon as every channel has audio.
+ */
+class SessionRecorder {
+    /**
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {string[]} [options.channels=['Me', 'Them']]
+     */
+    constructor(filePath, { channels = ['Me', 'Them'] } = {}) {
+        this.filePath = filePath;
+        this.channels = channels;
+        this.sampleRate = RECORDING_SAMPLE_RATE;
+        this.format = 'wav/mulaw';
+        this.queues = channels.map(() => ({ chunks: [], length: 0 }));
+        this.dataBytes = 0;
+        this.stream = null;
+        this.failed = false;
+    }
+
+    open() {
+        this.stream = fs.createWriteStream(this.filePath);
+        this.stream.on('error', error => {
+            console.error('[SessionRecorder] Write failed, recording stopped:', error.message);
+            this.failed = true;
+        });
+        this.stream.write(createWavHeader({ sampleRate: this.sampleRate, channels: this.channels.length, format: 'mulaw' }));
+    }
+
+    /**
+     * @param {string} speaker - One of the channel names
+     * @param {string} base64 - 16-bit mono PCM
+     * @param {string} [mimeType] - 'audio/pcm;rate=24000'; 24 kHz when absent
+     */
+    write(speaker, base64, mimeType) {
+        const index = this.channels.indexOf(speaker);
+        if (!this.stream || this.failed || index === -1) return;
+
+        const rate = Number(/rate=(\d+)/.exec(mimeType || '')?.[1]) || 24000;
+        const samples = resamplePcm(decodeBase64Pcm(base64), rate, this.sampleRate);
+        if (!samples.length) return;
+
+        const queue = this.queues[index];
+        queue.chunks.push(samples);
+        queue.length += samples.length;
+        this.flush(false);
+    }
+
+    /**
+     * Write what every channel has; with force (or when one channel lags too far) pad the others
+     */
+    flush(force) {
+        const lengths = this.queues.map(queue => queue.length);
+        const longest = Math.max(...lengths);
+        if (force || longest - Math.min(...lengths) > MAX_CHANNEL_LAG_SECONDS * this.sampleRate) {
+            for (const queue of this.queues) {
+                if (queue.length < longest) {
+                    queue.chunks.push(new Int16Array(longest - queue.length));
+                    queue.length = longest;
+                }
+            }
+        }
+
+        const frames = Math.min(...this.queues.map(queue => queue.length));
+        if (!frames) return;
+
+        const channelSamples = this.queues.map(queue => takeSamples(queue, frames));
+        const interleaved = new Int16Array(frames * channelSamples.length);
+        for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channelSamples.length; channel++) {
+                interleaved[frame * channelSamples.length + channel] = channelSamples[channel][frame];
+            }
+        }
+
+        const bytes = encodeMuLaw(interleaved);
+        this.dataBytes += bytes.length;
+        this.stream.write(bytes);
+    }
+
+    /**
+     * Write the remaining audio and finish the file
+     * @returns {Promise<{ durationSeconds: number, sizeBytes: number }>}
+     */
+    async close() {
+        if (!this.stream) return { durationSeconds: 0, sizeBytes: 0 };
+
+        if (!this.failed) this.flush(true);
+        const stream = this.stream;
+        this.stream = null;
+        await new Promise(resolve => stream.end(resolve));
+
+        const dataBytes = this.failed ? this.dataBytes : patchWavSizes(this.filePath);
+        return {
+            durationSeconds: dataBytes / (this.sampleRate * this.channels.length),
+            sizeBytes: dataBytes + WAV_HEADER_BYTES,
+        };
+    }
+}
+
+/**
+ * Remove the first count samples of a channel queue
+ */
+function takeSamples(queue, count) {
+    const output = new Int16Array(count);
+    let filled = 0;
+    while (filled < count) {
+        const chunk = queue.chunks[0];
+        const take = Math.min(chunk.length, count - filled);
+        output.set(chunk.subarray(0, take), filled);
+        filled += take;
+        if (take === chunk.length) queue.chunks.shift();
+        else queue.chunks[0] = chunk.subarray(take);
+    }
+    queue.length -= count;
+    return output;
+}
+
+module.exports = {
+    SessionRecorder,
+    RECORDING_SAMPLE_RATE,
+};
@@ -1,8 +1,12 @@
-const { collection, addDoc, query, getDocs, orderBy, Timestamp } = require('firebase/firestore');
+const { collection, doc, addDoc, query, where, getDocs, orderBy, writeBatch, Timestamp } = require('firebase/firestore');
 const { getFirestoreInstance } = require('../../../common/services/firebaseClient');
 const { createEncryptedConverter } = require('../../../common/repositories/firestoreConverter');
 
-const transcriptConverter = createEncryptedConverter(['text']);
+// Word timings are stored as a JSON string so they are encrypted along with the text
+const transcriptConverter = createEncryptedConverter(['text', 'words']);
+
+// Firestore's limit on writes per batch
+const MAX_BATCH_OPERATIONS = 500;
 
 function transcriptsCol(sessionId) {
     if (!sessionId) throw new Error("Session ID is required to access transcripts.");
@@ -10,27 +14,78 @@ function transcriptsCol(sessionId) {
     return collection(db, `sessions/${sessionId}/transcripts`).withConverter(transcriptConverter);
 }
 
-async function addTranscript({ uid, sessionId, speaker, text }) {
+function toTranscriptDoc({ uid, sessionId, speaker, text, startAt = null, endAt = null, words = null, confidence = null }) {
     const now = Timestamp.now();
-    const newTranscript = {
+    return {
         uid, // To identify the author/source of the transcript
         session_id: sessionId,
-        start_at: now,
+        start_at: startAt !== null ? Timestamp.fromMillis(Math.round(startAt * 1000)) : now,
+        end_at: endAt !== null ? Timestamp.fromMillis(Math.round(endAt * 1000)) : null,
         speaker,
         text,
+        words: words ? JSON.stringify(words) : null,
+        confidence: confidence ?? null,
         created_at: now,
     };
-    const docRef = await addDoc(transcriptsCol(sessionId), newTranscript);
+}
+
+async function addTranscript(transcript) {
+    const docRef = await addDoc(transcriptsCol(transcript.sessionId), toTranscriptDoc(transcript));
     return { id: docRef.id };
 }
 
 async function getAllTranscriptsBySessionId(sessionId) {
     const q = query(transcriptsCol(sessionId), orderBy('start_at', 'asc'));
     const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map(doc => doc.data());
+    return querySnapshot.docs.map(doc => {
+        const transcript = doc.data();
+        return { ...transcript, words: parseWords(transcript.words) };
+    });
+}
+
+async function renameSpeaker(sessionId, from, to) {
+    const snapshot = await getDocs(query(transcriptsCol(sessionId), where('speaker', '==', from)));
+    if (snapshot.empty) return { changes: 0 };
+
+    const batch = writeBatch(getFirestoreInstance());
+    snapshot.docs.forEach(transcriptDoc => batch.update(transcriptDoc.ref, { speaker: to }));
+    await batch.commit();
+    return { changes: snapshot.size };
+}
+
+/**
+ * Replace a session's transcript in a single batch. A transcript too long for one batch is
+ * written first and the old one deleted afterwards, so a failure leaves duplicates, never a gap.
+ */
+async function replaceTranscripts(sessionId, transcripts) {
+    const db = getFirestoreInstance();
+    const col = transcriptsCol(sessionId);
+    const previous = await getDocs(query(col));
+
+    const writes = [
+        ...transcripts.map(transcript => batch => batch.set(doc(col), toTranscriptDoc({ ...transcript, sessionId }))),
+        ...previous.docs.map(transcriptDoc => batch => batch.delete(transcriptDoc.ref)),
+    ];
+    for (let i = 0; i < writes.length; i += MAX_BATCH_OPERATIONS) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + MAX_BATCH_OPERATIONS).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return { count: transcripts.length };
 }
 
 module.exports = {
     addTranscript,
     getAllTranscriptsBySessionId,
-}; 
\ No newline at end of file
+    renameSpeaker,
+    replaceTranscripts,
+};
+
+function parseWords(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
@@ -11,12 +11,19 @@ function getBaseRepository() {
 }
 
 const sttRepositoryAdapter = {
-    addTranscript: ({ sessionId, speaker, text }) => {
+    addTranscript: ({ sessionId, speaker, text, startAt, endAt, words, confidence }) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().addTranscript({ uid, sessionId, speaker, text });
+        return getBaseRepository().addTranscript({ uid, sessionId, speaker, text, startAt, endAt, words, confidence });
     },
     getAllTranscriptsBySessionId: (sessionId) => {
         return getBaseRepository().getAllTranscriptsBySessionId(sessionId);
+    },
+    renameSpeaker: (sessionId, from, to) => {
+        return getBaseRepository().renameSpeaker(sessionId, from, to);
+    },
+    replaceTranscripts: (sessionId, transcripts) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().replaceTranscripts(sessionId, transcripts.map(transcript => ({ uid, ...transcript })));
     }
 };
 
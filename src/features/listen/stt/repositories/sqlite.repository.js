@@ -1,14 +1,31 @@
 const sqliteClient = require('../../../common/services/sqliteClient');
 
-function addTranscript({ uid, sessionId, speaker, text }) {
+/**
+ * @param {Object} transcript
+ * @param {number} [transcript.startAt] - Epoch seconds; defaults to now
+ * @param {number} [transcript.endAt]
+ * @param {Array<{word: string, start: number|null, end: number|null, confidence: number|null}>|null} [transcript.words] - Word timings in epoch seconds
+ * @param {number|null} [transcript.confidence] - 0 to 1
+ */
+function addTranscript({ uid, sessionId, speaker, text, startAt = null, endAt = null, words = null, confidence = null }) {
     // uid is ignored in the SQLite implementation
     const db = sqliteClient.getDb();
     const transcriptId = require('crypto').randomUUID();
     const now = Math.floor(Date.now() / 1000);
-    const query = `INSERT INTO transcripts (id, session_id, start_at, speaker, text, created_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    const query = `INSERT INTO transcripts (id, session_id, start_at, end_at, speaker, text, words, confidence, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     
     try {
-        db.prepare(query).run(transcriptId, sessionId, now, speaker, text, now);
+        db.prepare(query).run(
+            transcriptId,
+            sessionId,
+            startAt !== null ? Math.floor(startAt) : now,
+            endAt !== null ? Math.ceil(endAt) : null,
+            speaker,
+            text,
+            words ? JSON.stringify(words) : null,
+            confidence,
+            now
+        );
         return { id: transcriptId };
     } catch (err) {
         console.error('Error adding transcript:', err);
@@ -19,10 +36,47 @@ function addTranscript({ uid, sessionId, speaker, text }) {
 function getAllTranscriptsBySessionId(sessionId) {
     const db = sqliteClient.getDb();
     const query = "SELECT * FROM transcripts WHERE session_id = ? ORDER BY start_at ASC";
-    return db.prepare(query).all(sessionId);
+    return db.prepare(query).all(sessionId).map(row => ({ ...row, words: parseWords(row.words) }));
+}
+
+/**
+ * Rename a speaker throughout a session's transcript
+ * @returns {{ changes: number }}
+ */
+function renameSpeaker(sessionId, from, to) {
+    const db = sqliteClient.getDb();
+    const result = db.prepare('UPDATE transcripts SET speaker = ? WHERE session_id = ? AND speaker = ?').run(to, sessionId, from);
+    return { changes: result.changes };
+}
+
+/**
+ * Replace a session's transcript in one transaction, so a failed write keeps the old one
+ * @param {string} sessionId
+ * @param {Array<Object>} transcripts - In addTranscript's shape, without sessionId
+ */
+function replaceTranscripts(sessionId, transcripts) {
+    const db = sqliteClient.getDb();
+    db.transaction(() => {
+        db.prepare('DELETE FROM transcripts WHERE session_id = ?').run(sessionId);
+        for (const transcript of transcripts) {
+            addTranscript({ ...transcript, sessionId });
+        }
+    })();
+    return { count: transcripts.length };
 }
 
 module.exports = {
     addTranscript,
     getAllTranscriptsBySessionId,
-}; 
\ No newline at end of file
+    renameSpeaker,
+    replaceTranscripts,
+};
+
+function parseWords(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
@@ -2,6 +2,8 @@ const { BrowserWindow } = require('electron');
 const { spawn } = require('child_process');
 const { createSTT } = require('../../common/ai/factory');
 const modelStateService = require('../../common/services/modelStateService');
+const usageService = require('../../common/services/usageService');
+const { pcmAudioSeconds } = require('../../common/ai/pricing');
 
 const COMPLETION_DEBOUNCE_MS = 2000;
 
@@ -24,14 +26,12 @@ class SttService {
     constructor() {
         this.mySttSession = null;
         this.theirSttSession = null;
-        this.myCurrentUtterance = '';
-        this.theirCurrentUtterance = '';
         
-        // Turn-completion debouncing
-        this.myCompletionBuffer = '';
-        this.theirCompletionBuffer = '';
-        this.myCompletionTimer = null;
-        this.theirCompletionTimer = null;
+        // Turn-completion debouncing, by speaker
+        this.turns = { Me: createTurn(), Them: createTurn() };
+
+        // Names given to speakers during this session, by their original label ('Them', 'Speaker 2')
+        this.speakerNames = {};
         
         // System audio capture
         this.systemAudioProc = null;
@@ -45,6 +45,24 @@ class SttService {
         this.onStatusUpdate = null;
 
         this.modelInfo = null; 
+
+        // Usage accounting: audio sent to the provider since the sessions were opened
+        this.sessionId = null;
+        this.audioSecondsSent = 0;
+
+        // Receives a copy of both audio streams while the session is recorded
+        this.recorder = null;
+    }
+
+    setSessionId(sessionId) {
+        this.sessionId = sessionId;
+    }
+
+    /**
+     * @param {import('../recording/sessionRecorder').SessionRecorder|null} recorder
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
     }
 
     setCallbacks({ onTranscriptionComplete, onStatusUpdate }) {
@@ -73,85 +91,157 @@ class SttService {
         }
     }
 
-    flushMyCompletion() {
-        const finalText = (this.myCompletionBuffer + this.myCurrentUtterance).trim();
+    /**
+     * Report a speaker's buffered utterances as one finished turn, with its timing, word
+     * timings and confidence when the provider reported them
+     * @param {'Me'|'Them'} speaker
+     */
+    flushCompletion(speaker) {
+        const turn = this.turns[speaker];
+        const finalText = [turn.buffer, turn.utterance].filter(Boolean).join(' ').trim();
         if (!this.modelInfo || !finalText) return;
 
+        const label = this.getSpeakerName(turn.label || speaker);
+
+        const details = {
+            words: turn.words.length ? turn.words : null,
+            confidence: average(turn.confidences),
+            startAt: turn.startAt,
+            endAt: turn.endAt,
+        };
+
         // Notify completion callback
         if (this.onTranscriptionComplete) {
-            this.onTranscriptionComplete('Me', finalText);
+            this.onTranscriptionComplete(label, finalText, details);
         }
         
         // Send to renderer as final
         this.sendToRenderer('stt-update', {
-            speaker: 'Me',
+            sessionId: this.sessionId,
+            speaker,
+            label,
             text: finalText,
+            ...details,
             isPartial: false,
             isFinal: true,
             timestamp: Date.now(),
         });
 
-        this.myCompletionBuffer = '';
-        this.myCompletionTimer = null;
-        this.myCurrentUtterance = '';
+        this.turns[speaker] = createTurn();
         
         if (this.onStatusUpdate) {
             this.onStatusUpdate('Listening...');
         }
     }
 
-    flushTheirCompletion() {
-        const finalText = (this.theirCompletionBuffer + this.theirCurrentUtterance).trim();
-        if (!this.modelInfo || !finalText) return;
-        
-        // Notify completion callback
-        if (this.onTranscriptionComplete) {
-            this.onTranscriptionComplete('Them', finalText);
+    debounceCompletion(speaker, text) {
+        const turn = this.turns[speaker];
+        turn.buffer += (turn.buffer ? ' ' : '') + text;
+
+        if (turn.timer) clearTimeout(turn.timer);
+        turn.timer = setTimeout(() => this.flushCompletion(speaker), COMPLETION_DEBOUNCE_MS);
+    }
+
+    /**
+     * The single path for transcripts from either session, whatever the provider: partials
+     * show the utterance in progress, finals are buffered until the speaker pauses or the
+     * provider reports the end of the turn. On a diarized session a final from another
+     * participant also ends the turn.
+     * @param {'Me'|'Them'} speaker
+     * @param {import('../../common/ai/transcriptEvents').TranscriptEvent} event
+     * @param {number} [streamStartedAt] - Epoch ms the event's session was opened; word timings count from it
+     */
+    handleTranscriptEvent(speaker, event, streamStartedAt = event.timestamp) {
+        if (!this.modelInfo) {
+            console.log('[SttService] Ignoring transcript - session already closed');
+            return;
         }
-        
-        // Send to renderer as final
-        this.sendToRenderer('stt-update', {
-            speaker: 'Them',
-            text: finalText,
-            isPartial: false,
-            isFinal: true,
-            timestamp: Date.now(),
-        });
+        let turn = this.turns[speaker];
 
-        this.theirCompletionBuffer = '';
-        this.theirCompletionTimer = null;
-        this.theirCurrentUtterance = '';
-        
-        if (this.onStatusUpdate) {
-            this.onStatusUpdate('Listening...');
+        if (event.type === 'turn_end') {
+            if (turn.timer) {
+                clearTimeout(turn.timer);
+                this.flushCompletion(speaker);
+            }
+            return;
         }
-    }
 
-    debounceMyCompletion(text) {
-        if (this.modelInfo?.provider === 'gemini') {
-            this.myCompletionBuffer += text;
-        } else {
-            this.myCompletionBuffer += (this.myCompletionBuffer ? ' ' : '') + text;
+        // Word timings become epoch seconds, like the transcript's start_at
+        const words = (event.words || []).map(word => ({
+            ...word,
+            start: toEpochSeconds(streamStartedAt, word.start),
+            end: toEpochSeconds(streamStartedAt, word.end),
+        }));
+
+        const label = typeof event.speaker === 'number' ? `Speaker ${event.speaker + 1}` : null;
+        if (label && event.type === 'final' && turn.label && turn.label !== label && turn.buffer) {
+            // Another participant took over; this final supersedes the utterance in progress
+            clearTimeout(turn.timer);
+            turn.utterance = '';
+            turn.utteranceWords = [];
+            this.flushCompletion(speaker);
+            turn = this.turns[speaker];
         }
+        if (label && (event.type === 'final' || !turn.label)) turn.label = label;
 
-        if (this.myCompletionTimer) clearTimeout(this.myCompletionTimer);
-        this.myCompletionTimer = setTimeout(() => this.flushMyCompletion(), COMPLETION_DEBOUNCE_MS);
-    }
+        if (turn.startAt === null) {
+            turn.startAt = words[0]?.start ?? event.timestamp / 1000;
+        }
 
-    debounceTheirCompletion(text) {
-        if (this.modelInfo?.provider === 'gemini') {
-            this.theirCompletionBuffer += text;
+        if (event.type === 'partial') {
+            // The speaker is still talking, so the turn stays open
+            if (turn.timer) clearTimeout(turn.timer);
+            turn.timer = null;
+            turn.utterance = event.text;
+            turn.utteranceWords = words;
         } else {
-            this.theirCompletionBuffer += (this.theirCompletionBuffer ? ' ' : '') + text;
+            turn.utterance = '';
+            turn.utteranceWords = [];
+            turn.words.push(...words);
+            if (event.confidence !== null) turn.confidences.push(event.confidence);
+            turn.endAt = words[words.length - 1]?.end ?? event.timestamp / 1000;
+            this.debounceCompletion(speaker, event.text);
         }
 
-        if (this.theirCompletionTimer) clearTimeout(this.theirCompletionTimer);
-        this.theirCompletionTimer = setTimeout(() => this.flushTheirCompletion(), COMPLETION_DEBOUNCE_MS);
+        const shownWords = [...turn.words, ...turn.utteranceWords];
+        this.sendToRenderer('stt-update', {
+            sessionId: this.sessionId,
+            speaker,
+            label: this.getSpeakerName(turn.label || speaker),
+            text: [turn.buffer, turn.utterance].filter(Boolean).join(' '),
+            words: shownWords.length ? shownWords : null,
+            startAt: turn.startAt,
+            isPartial: true,
+            isFinal: false,
+            timestamp: event.timestamp,
+        });
+    }
+
+    /**
+     * @param {string} label - 'Me', 'Them' or a diarized 'Speaker N'
+     * @returns {string} The name the speaker was given, or the label
+     */
+    getSpeakerName(label) {
+        return this.speakerNames[label] || label;
+    }
+
+    /**
+     * Name a speaker for the rest of the session; later turns are reported under the new name
+     * @param {string} from - Current name or label
+     * @param {string} to
+     */
+    renameSpeaker(from, to) {
+        const labels = Object.keys(this.speakerNames).filter(label => this.speakerNames[label] === from);
+        if (!labels.length) labels.push(from);
+        for (const label of labels) this.speakerNames[label] = to;
     }
 
     async initializeSttSessions(language = 'en') {
         const effectiveLanguage = process.env.OPENAI_TRANSCRIBE_LANG || language || 'en';
 
+        // Renewal opens new sessions, possibly with another model; bill the audio so far to the old one
+        await this._recordAudioUsage();
+
         const modelInfo = await modelStateService.getCurrentModelInfo('stt');
         if (!modelInfo || !modelInfo.apiKey) {
             throw new Error('AI model or API key is not configured.');
@@ -159,311 +249,38 @@ class SttService {
         this.modelInfo = modelInfo;
         console.log(`[SttService] Initializing STT for ${modelInfo.provider} using model ${modelInfo.model}`);
 
-        const handleMyMessage = message => {
-            if (!this.modelInfo) {
-                console.log('[SttService] Ignoring message - session already closed');
-                return;
-            }
-            // console.log('[SttService] handleMyMessage', message);
-            
-            if (this.modelInfo.provider === 'whisper') {
-                // Whisper STT emits 'transcription' events with different structure
-                if (message.text && message.text.trim()) {
-                    const finalText = message.text.trim();
-                    
-                    // Filter out Whisper noise transcriptions
-                    const noisePatterns = [
-                        '[BLANK_AUDIO]',
-                        '[INAUDIBLE]',
-                        '[MUSIC]',
-                        '[SOUND]',
-                        '[NOISE]',
-                        '(BLANK_AUDIO)',
-                        '(INAUDIBLE)',
-                        '(MUSIC)',
-                        '(SOUND)',
-                        '(NOISE)'
-                    ];
-                    
-                    const isNoise = noisePatterns.some(pattern => 
-                        finalText.includes(pattern) || finalText === pattern
-                    );
-                    
-                    
-                    if (!isNoise && finalText.length > 2) {
-                        this.debounceMyCompletion(finalText);
-                        
-                        this.sendToRenderer('stt-update', {
-                            speaker: 'Me',
-                            text: finalText,
-                            isPartial: false,
-                            isFinal: true,
-                            timestamp: Date.now(),
-                        });
-                    } else {
-                        console.log(`[Whisper-Me] Filtered noise: "${finalText}"`);
-                    }
-                }
-                return;
-            } else if (this.modelInfo.provider === 'gemini') {
-                if (!message.serverContent?.modelTurn) {
-                    console.log('[Gemini STT - Me]', JSON.stringify(message, null, 2));
-                }
-
-                if (message.serverContent?.turnComplete) {
-                    if (this.myCompletionTimer) {
-                        clearTimeout(this.myCompletionTimer);
-                        this.flushMyCompletion();
-                    }
-                    return;
-                }
-            
-                const transcription = message.serverContent?.inputTranscription;
-                if (!transcription || !transcription.text) return;
-                
-                const textChunk = transcription.text;
-                if (!textChunk.trim() || textChunk.trim() === '<noise>') {
-                    return; // 1. Ignore whitespace-only chunks or noise
-                }
-            
-                this.debounceMyCompletion(textChunk);
-                
-                this.sendToRenderer('stt-update', {
-                    speaker: 'Me',
-                    text: this.myCompletionBuffer,
-                    isPartial: true,
-                    isFinal: false,
-                    timestamp: Date.now(),
-                });
-                
-            // Deepgram 
-            } else if (this.modelInfo.provider === 'deepgram') {
-                const text = message.channel?.alternatives?.[0]?.transcript;
-                if (!text || text.trim().length === 0) return;
-
-                const isFinal = message.is_final;
-                console.log(`[SttService-Me-Deepgram] Received: isFinal=${isFinal}, text="${text}"`);
-
-                if (isFinal) {
-                    // 최종 결과가 도착하면, 현재 진행중인 부분 발화는 비우고
-                    // 최종 텍스트로 debounce를 실행합니다.
-                    this.myCurrentUtterance = ''; 
-                    this.debounceMyCompletion(text); 
-                } else {
-                    // 부분 결과(interim)인 경우, 화면에 실시간으로 업데이트합니다.
-                    if (this.myCompletionTimer) clearTimeout(this.myCompletionTimer);
-                    this.myCompletionTimer = null;
-
-                    this.myCurrentUtterance = text;
-                    
-                    const continuousText = (this.myCompletionBuffer + ' ' + this.myCurrentUtterance).trim();
-
-                    this.sendToRenderer('stt-update', {
-                        speaker: 'Me',
-                        text: continuousText,
-                        isPartial: true,
-                        isFinal: false,
-                        timestamp: Date.now(),
-                    });
-                }
-                
-            } else {
-                const type = message.type;
-                const text = message.transcript || message.delta || (message.alternatives && message.alternatives[0]?.transcript) || '';
-
-                if (type === 'conversation.item.input_audio_transcription.delta') {
-                    if (this.myCompletionTimer) clearTimeout(this.myCompletionTimer);
-                    this.myCompletionTimer = null;
-                    this.myCurrentUtterance += text;
-                    const continuousText = this.myCompletionBuffer + (this.myCompletionBuffer ? ' ' : '') + this.myCurrentUtterance;
-                    if (text && !text.includes('vq_lbr_audio_')) {
-                        this.sendToRenderer('stt-update', {
-                            speaker: 'Me',
-                            text: continuousText,
-                            isPartial: true,
-                            isFinal: false,
-                            timestamp: Date.now(),
-                        });
-                    }
-                } else if (type === 'conversation.item.input_audio_transcription.completed') {
-                    if (text && text.trim()) {
-                        const finalUtteranceText = text.trim();
-                        this.myCurrentUtterance = '';
-                        this.debounceMyCompletion(finalUtteranceText);
-                    }
-                }
-            }
-
-            if (message.error) {
-                console.error('[Me] STT Session Error:', message.error);
-            }
-        };
-
-        const handleTheirMessage = message => {
-            if (!message || typeof message !== 'object') return;
-
-            if (!this.modelInfo) {
-                console.log('[SttService] Ignoring message - session already closed');
-                return;
-            }
-            
-            if (this.modelInfo.provider === 'whisper') {
-                // Whisper STT emits 'transcription' events with different structure
-                if (message.text && message.text.trim()) {
-                    const finalText = message.text.trim();
-                    
-                    // Filter out Whisper noise transcriptions
-                    const noisePatterns = [
-                        '[BLANK_AUDIO]',
-                        '[INAUDIBLE]',
-                        '[MUSIC]',
-                        '[SOUND]',
-                        '[NOISE]',
-                        '(BLANK_AUDIO)',
-                        '(INAUDIBLE)',
-                        '(MUSIC)',
-                        '(SOUND)',
-                        '(NOISE)'
-                    ];
-                    
-                    const isNoise = noisePatterns.some(pattern => 
-                        finalText.includes(pattern) || finalText === pattern
-                    );
-                    
-                    
-                    // Only process if it's not noise, not a false positive, and has meaningful content
-                    if (!isNoise && finalText.length > 2) {
-                        this.debounceTheirCompletion(finalText);
-                        
-                        this.sendToRenderer('stt-update', {
-                            speaker: 'Them',
-                            text: finalText,
-                            isPartial: false,
-                            isFinal: true,
-                            timestamp: Date.now(),
-                        });
-                    } else {
-                        console.log(`[Whisper-Them] Filtered noise: "${finalText}"`);
-                    }
-                }
-                return;
-            } else if (this.modelInfo.provider === 'gemini') {
-                if (!message.serverContent?.modelTurn) {
-                    console.log('[Gemini STT - Them]', JSON.stringify(message, null, 2));
-                }
-
-                if (message.serverContent?.turnComplete) {
-                    if (this.theirCompletionTimer) {
-                        clearTimeout(this.theirCompletionTimer);
-                        this.flushTheirCompletion();
-                    }
-                    return;
-                }
-            
-                const transcription = message.serverContent?.inputTranscription;
-                if (!transcription || !transcription.text) return;
-
-                const textChunk = transcription.text;
-                if (!textChunk.trim() || textChunk.trim() === '<noise>') {
-                    return; // 1. Ignore whitespace-only chunks or noise
-                }
-
-                this.debounceTheirCompletion(textChunk);
-                
-                this.sendToRenderer('stt-update', {
-                    speaker: 'Them',
-                    text: this.theirCompletionBuffer,
-                    isPartial: true,
-                    isFinal: false,
-                    timestamp: Date.now(),
-                });
-
-            // Deepgram
-            } else if (this.modelInfo.provider === 'deepgram') {
-                const text = message.channel?.alternatives?.[0]?.transcript;
-                if (!text || text.trim().length === 0) return;
-
-                const isFinal = message.is_final;
-
-                if (isFinal) {
-                    this.theirCurrentUtterance = ''; 
-                    this.debounceTheirCompletion(text); 
-                } else {
-                    if (this.theirCompletionTimer) clearTimeout(this.theirCompletionTimer);
-                    this.theirCompletionTimer = null;
-
-                    this.theirCurrentUtterance = text;
-                    
-                    const continuousText = (this.theirCompletionBuffer + ' ' + this.theirCurrentUtterance).trim();
-
-                    this.sendToRenderer('stt-update', {
-                        speaker: 'Them',
-                        text: continuousText,
-                        isPartial: true,
-                        isFinal: false,
-                        timestamp: Date.now(),
-                    });
-                }
-
-            } else {
-                const type = message.type;
-                const text = message.transcript || message.delta || (message.alternatives && message.alternatives[0]?.transcript) || '';
-                if (type === 'conversation.item.input_audio_transcription.delta') {
-                    if (this.theirCompletionTimer) clearTimeout(this.theirCompletionTimer);
-                    this.theirCompletionTimer = null;
-                    this.theirCurrentUtterance += text;
-                    const continuousText = this.theirCompletionBuffer + (this.theirCompletionBuffer ? ' ' : '') + this.theirCurrentUtterance;
-                    if (text && !text.includes('vq_lbr_audio_')) {
-                        this.sendToRenderer('stt-update', {
-                            speaker: 'Them',
-                            text: continuousText,
-                            isPartial: true,
-                            isFinal: false,
-                            timestamp: Date.now(),
-                        });
-                    }
-                } else if (type === 'conversation.item.input_audio_transcription.completed') {
-                    if (text && text.trim()) {
-                        const finalUtteranceText = text.trim();
-                        this.theirCurrentUtterance = '';
-                        this.debounceTheirCompletion(finalUtteranceText);
-                    }
-                }
-            }
-            
-            if (message.error) {
-                console.error('[Them] STT Session Error:', message.error);
-            }
+        const sttOptions = {
+            apiKey: this.modelInfo.apiKey,
+            model: this.modelInfo.model,
+            language: effectiveLanguage,
+            usePortkey: this.modelInfo.provider === 'openai-glass',
+            portkeyVirtualKey: this.modelInfo.provider === 'openai-glass' ? this.modelInfo.apiKey : undefined,
         };
 
-        const mySttConfig = {
-            language: effectiveLanguage,
+        // sessionType tells the My and Their sessions apart (Whisper names its sessions after it).
+        // Providers time words from the start of their session, so each session's events keep its start.
+        // System audio can carry several people, so that session is diarized where the provider supports it;
+        // speaker numbers are per session and may be reassigned when the sessions are renewed.
+        const startedAt = Date.now();
+        const myOptions = {
+            ...sttOptions,
+            sessionType: 'my',
             callbacks: {
-                onmessage: handleMyMessage,
+                ontranscript: event => this.handleTranscriptEvent('Me', event, startedAt),
                 onerror: error => console.error('My STT session error:', error.message),
                 onclose: event => console.log('My STT session closed:', event.reason),
             },
         };
-        
-        const theirSttConfig = {
-            language: effectiveLanguage,
+        const theirOptions = {
+            ...sttOptions,
+            sessionType: 'their',
+            diarize: true,
             callbacks: {
-                onmessage: handleTheirMessage,
+                ontranscript: event => this.handleTranscriptEvent('Them', event, startedAt),
                 onerror: error => console.error('Their STT session error:', error.message),
                 onclose: event => console.log('Their STT session closed:', event.reason),
             },
         };
-        
-        const sttOptions = {
-            apiKey: this.modelInfo.apiKey,
-            language: effectiveLanguage,
-            usePortkey: this.modelInfo.provider === 'openai-glass',
-            portkeyVirtualKey: this.modelInfo.provider === 'openai-glass' ? this.modelInfo.apiKey : undefined,
-        };
-
-        // Add sessionType for Whisper to distinguish between My and Their sessions
-        const myOptions = { ...sttOptions, callbacks: mySttConfig.callbacks, sessionType: 'my' };
-        const theirOptions = { ...sttOptions, callbacks: theirSttConfig.callbacks, sessionType: 'their' };
 
         [this.mySttSession, this.theirSttSession] = await Promise.all([
             createSTT(this.modelInfo.provider, myOptions),
@@ -544,31 +361,13 @@ class SttService {
     }
 
     async sendMicAudioContent(data, mimeType) {
-        // const provider = await this.getAiProvider();
-        // const isGemini = provider === 'gemini';
-        
         if (!this.mySttSession) {
             throw new Error('User STT session not active');
         }
 
-        let modelInfo = this.modelInfo;
-        if (!modelInfo) {
-            console.warn('[SttService] modelInfo not found, fetching on-the-fly as a fallback...');
-            modelInfo = await modelStateService.getCurrentModelInfo('stt');
-        }
-        if (!modelInfo) {
-            throw new Error('STT model info could not be retrieved.');
-        }
-
-        let payload;
-        if (modelInfo.provider === 'gemini') {
-            payload = { audio: { data, mimeType: mimeType || 'audio/pcm;rate=24000' } };
-        } else if (modelInfo.provider === 'deepgram') {
-            payload = Buffer.from(data, 'base64'); 
-        } else {
-            payload = data;
-        }
-        await this.mySttSession.sendRealtimeInput(payload);
+        this.recorder?.write('Me', data, mimeType);
+        await this.mySttSession.sendRealtimeInput(data, mimeType);
+        this.audioSecondsSent += pcmAudioSeconds(data, mimeType);
     }
 
     async sendSystemAudioContent(data, mimeType) {
@@ -576,25 +375,9 @@ class SttService {
             throw new Error('Their STT session not active');
         }
 
-        let modelInfo = this.modelInfo;
-        if (!modelInfo) {
-            console.warn('[SttService] modelInfo not found, fetching on-the-fly as a fallback...');
-            modelInfo = await modelStateService.getCurrentModelInfo('stt');
-        }
-        if (!modelInfo) {
-            throw new Error('STT model info could not be retrieved.');
-        }
-
-        let payload;
-        if (modelInfo.provider === 'gemini') {
-            payload = { audio: { data, mimeType: mimeType || 'audio/pcm;rate=24000' } };
-        } else if (modelInfo.provider === 'deepgram') {
-            payload = Buffer.from(data, 'base64');
-        } else {
-            payload = data;
-        }
-
-        await this.theirSttSession.sendRealtimeInput(payload);
+        this.recorder?.write('Them', data, mimeType);
+        await this.theirSttSession.sendRealtimeInput(data, mimeType);
+        this.audioSecondsSent += pcmAudioSeconds(data, mimeType);
     }
 
     killExistingSystemAudioDump() {
@@ -659,18 +442,6 @@ class SttService {
 
         let audioBuffer = Buffer.alloc(0);
 
-        // const provider = await this.getAiProvider();
-        // const isGemini = provider === 'gemini';
-
-        let modelInfo = this.modelInfo;
-        if (!modelInfo) {
-            console.warn('[SttService] modelInfo not found, fetching on-the-fly as a fallback...');
-            modelInfo = await modelStateService.getCurrentModelInfo('stt');
-        }
-        if (!modelInfo) {
-            throw new Error('STT model info could not be retrieved.');
-        }
-
         this.systemAudioProc.stdout.on('data', async data => {
             audioBuffer = Buffer.concat([audioBuffer, data]);
 
@@ -682,19 +453,12 @@ class SttService {
                 const base64Data = monoChunk.toString('base64');
 
                 this.sendToRenderer('system-audio-data', { data: base64Data });
+                this.recorder?.write('Them', base64Data, 'audio/pcm;rate=24000');
 
                 if (this.theirSttSession) {
                     try {
-                        let payload;
-                        if (modelInfo.provider === 'gemini') {
-                            payload = { audio: { data: base64Data, mimeType: 'audio/pcm;rate=24000' } };
-                        } else if (modelInfo.provider === 'deepgram') {
-                            payload = Buffer.from(base64Data, 'base64');
-                        } else {
-                            payload = base64Data;
-                        }
-
-                        await this.theirSttSession.sendRealtimeInput(payload);
+                        await this.theirSttSession.sendRealtimeInput(base64Data, 'audio/pcm;rate=24000');
+                        this.audioSecondsSent += pcmAudioSeconds(base64Data);
                     } catch (err) {
                         console.error('Error sending system audio:', err.message);
                     }
@@ -757,13 +521,8 @@ class SttService {
         }
 
         // Clear timers
-        if (this.myCompletionTimer) {
-            clearTimeout(this.myCompletionTimer);
-            this.myCompletionTimer = null;
-        }
-        if (this.theirCompletionTimer) {
-            clearTimeout(this.theirCompletionTimer);
-            this.theirCompletionTimer = null;
+        for (const turn of Object.values(this.turns)) {
+            if (turn.timer) clearTimeout(turn.timer);
         }
 
         const closePromises = [];
@@ -779,13 +538,56 @@ class SttService {
         await Promise.all(closePromises);
         console.log('All STT sessions closed.');
 
+        await this._recordAudioUsage();
+
         // Reset state
-        this.myCurrentUtterance = '';
-        this.theirCurrentUtterance = '';
-        this.myCompletionBuffer = '';
-        this.theirCompletionBuffer = '';
+        this.turns = { Me: createTurn(), Them: createTurn() };
+        this.speakerNames = {};
         this.modelInfo = null; 
+        this.recorder = null;
+    }
+
+    async _recordAudioUsage() {
+        const seconds = this.audioSecondsSent;
+        this.audioSecondsSent = 0;
+        if (!this.modelInfo || seconds <= 0) return;
+
+        await usageService.recordSttUsage({
+            sessionId: this.sessionId,
+            feature: 'listen',
+            provider: this.modelInfo.provider,
+            model: this.modelInfo.model,
+            audioSeconds: seconds,
+        });
     }
 }
 
+/**
+ * Completion state of one speaker: finished utterances not yet reported, the utterance in
+ * progress, their word timings and confidences, when the turn started and ended (epoch
+ * seconds), the diarized speaker label and the pause timer
+ */
+function createTurn() {
+    return {
+        buffer: '',
+        utterance: '',
+        words: [],
+        utteranceWords: [],
+        confidences: [],
+        startAt: null,
+        endAt: null,
+        label: null,
+        timer: null,
+    };
+}
+
+function toEpochSeconds(streamStartedAt, offsetSeconds) {
+    if (typeof offsetSeconds !== 'number') return null;
+    return Math.round(streamStartedAt + offsetSeconds * 1000) / 1000;
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
 module.exports = SttService; 
\ No newline at end of file
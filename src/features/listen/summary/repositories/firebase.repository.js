@@ -1,4 +1,4 @@
-const { collection, doc, setDoc, getDoc, Timestamp } = require('firebase/firestore');
+const { collection, doc, setDoc, getDoc, Timestamp, increment } = require('firebase/firestore');
 const { getFirestoreInstance } = require('../../../common/services/firebaseClient');
 const { createEncryptedConverter } = require('../../../common/repositories/firestoreConverter');
 const encryptionService = require('../../../common/services/encryptionService');
@@ -14,7 +14,7 @@ function summaryDocRef(sessionId) {
     return doc(db, docPath).withConverter(summaryConverter);
 }
 
-async function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model = 'unknown' }) {
+async function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model = 'unknown', tokens_used = 0 }) {
     const now = Timestamp.now();
     const summaryData = {
         uid, // To know who generated the summary
@@ -25,6 +25,7 @@ async function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_jso
         tldr,
         bullet_json,
         action_json,
+        tokens_used: increment(tokens_used || 0),
         updated_at: now,
     };
     
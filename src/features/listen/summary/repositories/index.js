@@ -11,9 +11,9 @@ function getBaseRepository() {
 }
 
 const summaryRepositoryAdapter = {
-    saveSummary: ({ sessionId, tldr, text, bullet_json, action_json, model }) => {
+    saveSummary: ({ sessionId, tldr, text, bullet_json, action_json, model, tokens_used }) => {
         const uid = authService.getCurrentUserId();
-        return getBaseRepository().saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model });
+        return getBaseRepository().saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model, tokens_used });
     },
     getSummaryBySessionId: (sessionId) => {
         return getBaseRepository().getSummaryBySessionId(sessionId);
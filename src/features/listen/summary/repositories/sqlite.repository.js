@@ -1,14 +1,17 @@
 const sqliteClient = require('../../../common/services/sqliteClient');
 
-function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model = 'unknown' }) {
+/**
+ * Save the latest summary of a session. `tokens_used` adds up over every analysis of the session.
+ */
+function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, model = 'unknown', tokens_used = 0 }) {
     // uid is ignored in the SQLite implementation
     return new Promise((resolve, reject) => {
         try {
             const db = sqliteClient.getDb();
             const now = Math.floor(Date.now() / 1000);
             const query = `
-                INSERT INTO summaries (session_id, generated_at, model, text, tldr, bullet_json, action_json, updated_at) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO summaries (session_id, generated_at, model, text, tldr, bullet_json, action_json, tokens_used, updated_at) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
                 ON CONFLICT(session_id) DO UPDATE SET
                     generated_at=excluded.generated_at,
                     model=excluded.model,
@@ -16,10 +19,11 @@ function saveSummary({ uid, sessionId, tldr, text, bullet_json, action_json, mod
                     tldr=excluded.tldr,
                     bullet_json=excluded.bullet_json,
                     action_json=excluded.action_json,
+                    tokens_used=COALESCE(summaries.tokens_used, 0) + excluded.tokens_used,
                     updated_at=excluded.updated_at
             `;
             
-            const result = db.prepare(query).run(sessionId, now, model, text, tldr, bullet_json, action_json, now);
+            const result = db.prepare(query).run(sessionId, now, model, text, tldr, bullet_json, action_json, tokens_used || 0, now);
             resolve({ changes: result.changes });
         } catch (err) {
             console.error('Error saving summary:', err);
@@ -4,12 +4,19 @@ const { createLLM } = require('../../common/ai/factory');
 const sessionRepository = require('../../common/repositories/session');
 const summaryRepository = require('./repositories');
 const modelStateService = require('../../common/services/modelStateService');
+const usageService = require('../../common/services/usageService');
+const { runWithFailover } = require('../../common/ai/failover');
+
+// Turns per analysis when summarizing a whole transcript at once
+const TRANSCRIPT_SECTION_TURNS = 150;
 
 class SummaryService {
     constructor() {
         this.previousAnalysisResult = null;
         this.analysisHistory = [];
         this.conversationHistory = [];
+        // Epoch seconds the conversation started; turns are stamped relative to it
+        this.conversationStartedAt = Date.now() / 1000;
         this.currentSessionId = null;
         
         // Callbacks
@@ -35,8 +42,13 @@ class SummaryService {
         }
     }
 
-    addConversationTurn(speaker, text) {
-        const conversationText = `${speaker.toLowerCase()}: ${text.trim()}`;
+    /**
+     * @param {string} speaker
+     * @param {string} text
+     * @param {number|null} [startAt] - Epoch seconds the turn started; defaults to now
+     */
+    addConversationTurn(speaker, text, startAt = null) {
+        const conversationText = this.formatTurn(speaker, text, startAt);
         this.conversationHistory.push(conversationText);
         console.log(`💬 Added conversation text: ${conversationText}`);
         console.log(`📈 Total conversation history: ${this.conversationHistory.length} texts`);
@@ -45,12 +57,47 @@ class SummaryService {
         this.triggerAnalysisIfNeeded();
     }
 
+    /**
+     * Summarize a finished transcript, such as an imported recording, without the turn-by-turn
+     * analyses. Long transcripts are read in sections, each building on the previous analysis.
+     * @param {Array<{ speaker: string, text: string, startAt?: number }>} turns
+     * @param {number} startedAt - Epoch seconds the transcript starts
+     * @returns {Promise<Object|null>} The final analysis, saved to the current session
+     */
+    async summarizeTranscript(turns, startedAt) {
+        this.resetConversationHistory();
+        this.conversationStartedAt = startedAt;
+        this.conversationHistory = turns.map(turn => this.formatTurn(turn.speaker, turn.text, turn.startAt ?? startedAt));
+
+        let data = null;
+        for (let start = 0; start < this.conversationHistory.length; start += TRANSCRIPT_SECTION_TURNS) {
+            const end = Math.min(start + TRANSCRIPT_SECTION_TURNS, this.conversationHistory.length);
+            data = await this.makeOutlineAndRequests(this.conversationHistory.slice(0, end), end - start);
+        }
+        return data;
+    }
+
+    formatTurn(speaker, text, startAt = null) {
+        const offset = Math.max(0, (startAt ?? Date.now() / 1000) - this.conversationStartedAt);
+        return `[${formatOffset(offset)}] ${historyName(speaker)}: ${text.trim()}`;
+    }
+
     getConversationHistory() {
         return this.conversationHistory;
     }
 
+    /**
+     * Use a speaker's new name in the conversation so later analyses name the right person
+     */
+    renameSpeaker(from, to) {
+        const oldPrefix = `] ${historyName(from)}: `;
+        const newPrefix = `] ${historyName(to)}: `;
+        this.conversationHistory = this.conversationHistory.map(line => line.replace(oldPrefix, newPrefix));
+    }
+
     resetConversationHistory() {
         this.conversationHistory = [];
+        this.conversationStartedAt = Date.now() / 1000;
         this.previousAnalysisResult = null;
         this.analysisHistory = [];
         console.log('🔄 Conversation history and analysis state reset');
@@ -58,7 +105,7 @@ class SummaryService {
 
     /**
      * Converts conversation history into text to include in the prompt.
-     * @param {Array<string>} conversationTexts - Array of conversation texts ["me: ~~~", "them: ~~~", ...]
+     * @param {Array<string>} conversationTexts - Array of conversation texts ["[00:05] me: ~~~", "[00:12] them: ~~~", ...]
      * @param {number} maxTurns - Maximum number of recent turns to include
      * @returns {string} - Formatted conversation string for the prompt
      */
@@ -98,7 +145,9 @@ Please build upon this context while analyzing the new conversation segments.
                 await sessionRepository.touch(this.currentSessionId);
             }
 
-            const modelInfo = await modelStateService.getCurrentModelInfo('llm');
+            // The summary model first, then the configured fallback chain
+            const candidates = await modelStateService.getLlmCandidates('summary');
+            const modelInfo = candidates[0];
             if (!modelInfo || !modelInfo.apiKey) {
                 throw new Error('AI model or API key is not configured.');
             }
@@ -131,26 +180,44 @@ Provide 2-3 sentences explaining the context and implications.
 2. Second follow-up question?
 3. Third follow-up question?
 
+Each conversation line starts with its [mm:ss] time from the start of the session. When a point comes from a specific moment, cite it, e.g. (at 12:04).
+
 Keep all points concise and build upon previous analysis if provided.`,
                 },
             ];
 
             console.log('🤖 Sending analysis request to AI...');
 
-            const llm = createLLM(modelInfo.provider, {
-                apiKey: modelInfo.apiKey,
-                model: modelInfo.model,
-                temperature: 0.7,
-                maxTokens: 1024,
-                usePortkey: modelInfo.provider === 'openai-glass',
-                portkeyVirtualKey: modelInfo.provider === 'openai-glass' ? modelInfo.apiKey : undefined,
+            const { result: completion, candidate, fallback } = await runWithFailover(candidates, (candidate) => {
+                const llm = createLLM(candidate.provider, {
+                    apiKey: candidate.apiKey,
+                    model: candidate.model,
+                    baseUrl: candidate.baseUrl,
+                    headers: candidate.headers,
+                    temperature: candidate.modelSettings?.temperature ?? 0.7,
+                    maxTokens: candidate.modelSettings?.maxTokens ?? 1024,
+                    usePortkey: candidate.provider === 'openai-glass',
+                    portkeyVirtualKey: candidate.provider === 'openai-glass' ? candidate.apiKey : undefined,
+                });
+                return llm.chat(messages);
+            }, {
+                onRetry: (error, attempt, delayMs) => {
+                    console.warn(`[SummaryService] Retrying analysis (attempt ${attempt}) in ${Math.round(delayMs)}ms: ${error.message}`);
+                },
             });
 
-            const completion = await llm.chat(messages);
-
             const responseText = completion.content;
-            console.log(`✅ Analysis response received: ${responseText}`);
+            const { inputTokens, outputTokens } = completion.usage || {};
+            await usageService.recordLlmUsage({
+                sessionId: this.currentSessionId, feature: 'summary', provider: candidate.provider, model: candidate.model, inputTokens, outputTokens,
+            });
+            console.log(`✅ Analysis response received from ${candidate.model}: ${responseText}`);
             const structuredData = this.parseResponseText(responseText, this.previousAnalysisResult);
+            structuredData.answeredBy = {
+                provider: candidate.provider,
+                model: candidate.model,
+                fallbackFrom: fallback ? modelInfo.model : null,
+            };
 
             if (this.currentSessionId) {
                 try {
@@ -160,7 +227,8 @@ Keep all points concise and build upon previous analysis if provided.`,
                         tldr: structuredData.summary.join('\n'),
                         bullet_json: JSON.stringify(structuredData.topic.bullets),
                         action_json: JSON.stringify(structuredData.actions),
-                        model: modelInfo.model
+                        model: candidate.model,
+                        tokens_used: (inputTokens || 0) + (outputTokens || 0),
                     });
                 } catch (err) {
                     console.error('[DB] Failed to save summary:', err);
@@ -330,4 +398,15 @@ Keep all points concise and build upon previous analysis if provided.`,
     }
 }
 
+// The channels keep their lowercase history names; diarized and renamed speakers are shown as named
+function historyName(speaker) {
+    return ['Me', 'Them'].includes(speaker) ? speaker.toLowerCase() : speaker;
+}
+
+function formatOffset(seconds) {
+    const total = Math.floor(seconds);
+    const minutes = Math.floor(total / 60);
+    return `${String(minutes).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
 module.exports = SummaryService; 
\ No newline at end of file
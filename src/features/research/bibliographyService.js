@@ -0,0 +1,1028 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Bibliography Service for RANI
+ * Converts research_papers rows, paper-backed documents and search results into
+ * BibTeX, RIS and CSL-JSON for use in reference managers and LaTeX, and imports
+ * those formats (including Zotero exports) back into research_papers.
+ */
+class BibliographyService {
+    constructor(databaseClient, researchService, documentService) {
+        this.db = databaseClient;
+        this.researchService = researchService;
+        this.documentService = documentService;
+
+        this.formats = {
+            bibtex: { extension: 'bib', mimeType: 'application/x-bibtex' },
+            ris: { extension: 'ris', mimeType: 'application/x-research-info-systems' },
+            csljson: { extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' }
+        };
+
+        // Words skipped when picking the title word of a citation key
+        this.stopWords = new Set(['a', 'an', 'the', 'on', 'of', 'for', 'in', 'to', 'and', 'with', 'from', 'by', 'at', 'towards', 'toward']);
+    }
+
+    /**
+     * Export every paper and paper-backed document in the user's library
+     * @param {string} userId - User ID
+     * @param {string} format - 'bibtex' | 'ris' | 'csljson'
+     * @returns {Promise<Object>} { format, filename, mimeType, content, count }
+     */
+    async exportLibrary(userId, format) {
+        const keys = this.ensureCitationKeys(userId);
+        const { papers, documents } = this.libraryEntries(userId);
+        return this.exportEntries([...papers, ...documents], format, 'rani-library', keys);
+    }
+
+    /**
+     * Export the documents linked to a research session
+     * @param {Object} researchSession - Result of ResearchFeature.getResearchSession
+     * @param {string} format - 'bibtex' | 'ris' | 'csljson'
+     * @param {string} userId - Owner of the library the citation keys come from
+     */
+    async exportSession(researchSession, format, userId) {
+        const paperIds = researchSession.documents
+            .map(doc => doc.metadata?.paperId)
+            .filter(Boolean);
+
+        const papers = paperIds.length > 0
+            ? this.db.getDb()
+                .prepare(`SELECT * FROM research_papers WHERE id IN (${paperIds.map(() => '?').join(', ')})`)
+                .all(...paperIds)
+                .map(row => this.paperRowToEntry(row))
+            : [];
+
+        const keys = this.ensureCitationKeys(userId);
+        const title = researchSession.session?.title || 'research-session';
+        return this.exportEntries([...papers, ...this.documentsToEntries(researchSession.documents, papers)], format, this.slugify(title), keys);
+    }
+
+    /**
+     * Export a search result set (papers in ResearchService shape). Results already in the
+     * library keep their library citation keys; the others get keys that don't clash with them.
+     * @param {Array} papers - Papers from ResearchService.searchPapers
+     * @param {string} format - 'bibtex' | 'ris' | 'csljson'
+     * @param {string} [userId] - Owner of the library to match the results against
+     */
+    async exportPapers(papers, format, userId = null) {
+        const entries = papers.map(paper => this.normalizeEntry(paper));
+        const keys = userId ? this.ensureCitationKeys(userId) : new Map();
+
+        if (userId) {
+            for (const entry of entries) {
+                const existing = await this.researchService.findExistingPaper(entry, userId);
+                if (existing && keys.has(existing.id)) {
+                    entry.id = existing.id;
+                }
+            }
+        }
+
+        return this.exportEntries(entries, format, 'rani-search-results', keys);
+    }
+
+    /**
+     * @param {Map<string, string>} [keys] - Citation keys by entry id, as stored in the library
+     */
+    exportEntries(entries, format, basename, keys = new Map()) {
+        const spec = this.formats[format];
+        if (!spec) {
+            throw new Error(`Unsupported bibliography format: ${format}`);
+        }
+
+        const keyed = this.assignCitationKeys(entries, keys);
+        const serializers = {
+            bibtex: () => this.toBibTeX(keyed),
+            ris: () => this.toRIS(keyed),
+            csljson: () => this.toCSLJSON(keyed)
+        };
+
+        return {
+            format,
+            filename: `${basename}.${spec.extension}`,
+            mimeType: spec.mimeType,
+            content: serializers[format](),
+            count: keyed.length
+        };
+    }
+
+    /**
+     * Import a .bib, .ris or CSL-JSON file into research_papers.
+     * Duplicates (by DOI, arXiv ID or title) are merged into the existing row, filling only missing fields.
+     * PDFs referenced by `file` (BibTeX) or `L1` (RIS) fields are attached through DocumentService.
+     * @param {string} filePath - Path to the bibliography file
+     * @param {string} userId - User ID
+     * @param {Object} options - { format, attachFiles = true }
+     * @returns {Promise<Object>} { total, imported, merged, attached, errors }
+     */
+    async importFile(filePath, userId, options = {}) {
+        const content = await fs.readFile(filePath, 'utf-8');
+        const format = options.format || this.detectFormat(content, filePath);
+
+        return await this.importContent(content, userId, {
+            ...options,
+            format,
+            baseDir: path.dirname(filePath)
+        });
+    }
+
+    /**
+     * Import bibliography text already in memory
+     * @param {string} content - File contents
+     * @param {string} userId - User ID
+     * @param {Object} options - { format, attachFiles = true, baseDir }
+     */
+    async importContent(content, userId, options = {}) {
+        const { attachFiles = true, baseDir = process.cwd() } = options;
+        const format = options.format || this.detectFormat(content);
+
+        const parsers = {
+            bibtex: () => this.parseBibTeX(content),
+            ris: () => this.parseRIS(content),
+            csljson: () => this.parseCSLJSON(content)
+        };
+        if (!parsers[format]) {
+            throw new Error(`Unsupported bibliography format: ${format}`);
+        }
+
+        const entries = parsers[format]();
+        const summary = { format, total: entries.length, imported: 0, merged: 0, attached: 0, errors: [] };
+        console.log(`[BibliographyService] Importing ${entries.length} ${format} entries`);
+
+        for (const entry of entries) {
+            if (!entry.title) {
+                summary.errors.push({ citationKey: entry.citationKey, error: 'Entry has no title' });
+                continue;
+            }
+
+            try {
+                const paperData = this.entryToPaperData(entry);
+                const existing = await this.researchService.findExistingPaper(paperData, userId);
+
+                let paperId;
+                if (existing) {
+                    paperId = existing.id;
+                    this.mergeIntoPaper(existing, paperData);
+                    summary.merged++;
+                } else {
+                    paperId = await this.researchService.storePaperMetadata(paperData, userId, null);
+                    summary.imported++;
+                }
+                if (!existing?.citation_key) {
+                    this.claimCitationKey(paperId, userId, entry.citationKey);
+                }
+
+                if (attachFiles && entry.files.length > 0 && !(existing && existing.file_path)) {
+                    const attached = await this.attachFile(entry, paperId, paperData, userId, baseDir);
+                    if (attached) summary.attached++;
+                }
+            } catch (error) {
+                console.warn(`[BibliographyService] Failed to import entry ${entry.citationKey || entry.title}:`, error.message);
+                summary.errors.push({ citationKey: entry.citationKey, title: entry.title, error: error.message });
+            }
+        }
+
+        console.log(`[BibliographyService] Import finished: ${summary.imported} new, ${summary.merged} merged, ${summary.attached} PDFs attached, ${summary.errors.length} errors`);
+        return summary;
+    }
+
+    /**
+     * Guess the format from the file extension, falling back to the content
+     */
+    detectFormat(content, filePath = '') {
+        const ext = path.extname(filePath).toLowerCase();
+        if (ext === '.bib' || ext === '.bibtex') return 'bibtex';
+        if (ext === '.ris') return 'ris';
+        if (ext === '.json') return 'csljson';
+
+        const trimmed = content.replace(/^\uFEFF/, '').trimStart();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'csljson';
+        if (/^TY {2}- /m.test(trimmed)) return 'ris';
+        if (trimmed.includes('@')) return 'bibtex';
+
+        throw new Error('Could not detect bibliography format');
+    }
+
+    /**
+     * Convert a parsed entry into the paper shape ResearchService stores
+     */
+    entryToPaperData(entry) {
+        return {
+            id: entry.citationKey || null,
+            title: entry.title,
+            authors: entry.authors.map(author => [author.given, author.family].filter(Boolean).join(' ')).join(', '),
+            abstract: entry.abstract || '',
+            year: entry.year,
+            venue: entry.venue || (entry.arxivId ? 'arXiv' : ''),
+            publisher: entry.publisher,
+            url: entry.url,
+            pdfUrl: entry.arxivId ? `https://arxiv.org/pdf/${entry.arxivId}.pdf` : null,
+            doi: entry.doi,
+            arxivId: entry.arxivId,
+            citationCount: 0,
+            citationKey: entry.citationKey,
+            // Structured names survive corporate authors and particles that the author string loses
+            authorList: entry.authors,
+            source: 'import'
+        };
+    }
+
+    /**
+     * Fill fields that are empty on an existing research_papers row
+     */
+    mergeIntoPaper(existing, paperData) {
+        const columns = {
+            authors: paperData.authors,
+            abstract: paperData.abstract,
+            year: paperData.year,
+            venue: paperData.venue,
+            publisher: paperData.publisher,
+            url: paperData.url,
+            doi: paperData.doi,
+            arxiv_id: paperData.arxivId
+        };
+
+        const updates = Object.entries(columns).filter(([column, value]) =>
+            value !== null && value !== undefined && value !== '' && (existing[column] === null || existing[column] === undefined || existing[column] === '')
+        );
+        if (updates.length === 0) return;
+
+        this.db.getDb()
+            .prepare(`UPDATE research_papers SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`)
+            .run(...updates.map(([, value]) => value), existing.id);
+    }
+
+    /**
+     * Attach the first existing PDF referenced by an entry to its paper
+     */
+    async attachFile(entry, paperId, paperData, userId, baseDir) {
+        for (const reference of entry.files) {
+            const filePath = path.resolve(baseDir, reference);
+            if (path.extname(filePath).toLowerCase() !== '.pdf') continue;
+
+            try {
+                await fs.access(filePath);
+            } catch (error) {
+                continue;
+            }
+
+            await this.documentService.importDocument(filePath, userId, {
+                isPaper: true,
+                paperId,
+                source: 'import',
+                doi: paperData.doi,
+                arxivId: paperData.arxivId
+            });
+            this.db.getDb().prepare('UPDATE research_papers SET file_path = ? WHERE id = ?').run(filePath, paperId);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Parse BibTeX into entries. Supports @string macros, quoted and braced values,
+     * `#` concatenation, and common LaTeX accent/escape sequences.
+     */
+    parseBibTeX(content) {
+        const macros = {
+            jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+            jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+        };
+        const entries = [];
+        let pos = 0;
+
+        const skipWhitespace = () => {
+            while (pos < content.length && /\s/.test(content[pos])) pos++;
+        };
+
+        const readDelimited = () => {
+            // pos is on the opening delimiter; braces nest inside any delimiter
+            const close = { '{': '}', '(': ')', '"': '"' }[content[pos]];
+            const start = pos + 1;
+            let depth = 0;
+            for (pos = start; pos < content.length; pos++) {
+                const char = content[pos];
+                if (char === '\\') {
+                    pos++;
+                    continue;
+                }
+                if (char === close && depth === 0) {
+                    pos++;
+                    return content.slice(start, pos - 1);
+                }
+                if (char === '{') depth++;
+                else if (char === '}') depth--;
+            }
+            throw new Error('Unterminated value in BibTeX input');
+        };
+
+        const readValue = () => {
+            const parts = [];
+            for (;;) {
+                skipWhitespace();
+                const char = content[pos];
+                if (char === '{' || char === '"') {
+                    parts.push(readDelimited());
+                } else {
+                    const match = /^[^\s,#}]+/.exec(content.slice(pos));
+                    if (!match) break;
+                    pos += match[0].length;
+                    const token = match[0];
+                    parts.push(/^\d+$/.test(token) ? token : (macros[token.toLowerCase()] ?? token));
+                }
+                skipWhitespace();
+                if (content[pos] === '#') {
+                    pos++;
+                    continue;
+                }
+                break;
+            }
+            return parts.join('');
+        };
+
+        while ((pos = content.indexOf('@', pos)) !== -1) {
+            pos++;
+            const typeMatch = /^([a-zA-Z]+)\s*([{(])/.exec(content.slice(pos));
+            if (!typeMatch) continue;
+
+            const type = typeMatch[1].toLowerCase();
+            const close = typeMatch[2] === '{' ? '}' : ')';
+            pos += typeMatch[0].length;
+
+            if (type === 'comment' || type === 'preamble') {
+                pos--;
+                try {
+                    readDelimited();
+                } catch (error) {
+                    break;
+                }
+                continue;
+            }
+
+            const fields = {};
+            let citationKey = null;
+
+            try {
+                if (type !== 'string') {
+                    const keyMatch = /^\s*([^,\s]+)\s*,/.exec(content.slice(pos));
+                    if (keyMatch) {
+                        citationKey = keyMatch[1];
+                        pos += keyMatch[0].length;
+                    }
+                }
+
+                for (;;) {
+                    skipWhitespace();
+                    if (content[pos] === close) {
+                        pos++;
+                        break;
+                    }
+                    const nameMatch = /^([^=\s,]+)\s*=/.exec(content.slice(pos));
+                    if (!nameMatch) {
+                        // Skip malformed content up to the end of the entry
+                        const end = content.indexOf(close, pos);
+                        pos = end === -1 ? content.length : end + 1;
+                        break;
+                    }
+                    pos += nameMatch[0].length;
+                    fields[nameMatch[1].toLowerCase()] = readValue();
+                    skipWhitespace();
+                    if (content[pos] === ',') pos++;
+                }
+            } catch (error) {
+                console.warn(`[BibliographyService] Skipping malformed BibTeX entry ${citationKey || ''}:`, error.message);
+                continue;
+            }
+
+            if (type === 'string') {
+                for (const [name, value] of Object.entries(fields)) {
+                    macros[name] = value;
+                }
+                continue;
+            }
+
+            entries.push(this.bibtexFieldsToEntry(type, citationKey, fields));
+        }
+
+        return entries;
+    }
+
+    bibtexFieldsToEntry(type, citationKey, fields) {
+        const clean = value => (value ? this.decodeLaTeX(value) : '');
+        const archivePrefix = (fields.archiveprefix || fields.eprinttype || '').toLowerCase();
+
+        const arxivId = (archivePrefix === 'arxiv' && fields.eprint)
+            ? fields.eprint.trim()
+            : this.extractArxivId([fields.journal, fields.url, fields.note].filter(Boolean).join(' '));
+
+        return {
+            type,
+            citationKey,
+            title: clean(fields.title).replace(/\s+/g, ' ').trim(),
+            authors: this.parseBibTeXAuthors(fields.author),
+            year: this.parseYear(fields.year || fields.date),
+            venue: clean(fields.journal || fields.journaltitle || fields.booktitle || ''),
+            publisher: clean(fields.publisher) || null,
+            doi: this.researchService ? this.researchService.normalizeDoi(fields.doi) : (fields.doi || null),
+            arxivId,
+            url: fields.url ? fields.url.trim() : null,
+            abstract: clean(fields.abstract),
+            files: this.parseFileField(fields.file)
+        };
+    }
+
+    /**
+     * Split a BibTeX name list on top-level "and". A name wrapped in braces is a corporate
+     * author and is kept whole, e.g. {World Health Organization}.
+     */
+    parseBibTeXAuthors(value) {
+        if (!value) return [];
+
+        const names = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '\\') i++;
+            else if (value[i] === '{') depth++;
+            else if (value[i] === '}') depth--;
+            else if (depth === 0) {
+                const separator = /^\s+and\s+/i.exec(value.slice(i));
+                if (separator && i > start) {
+                    names.push(value.slice(start, i));
+                    start = i + separator[0].length;
+                    i = start - 1;
+                }
+            }
+        }
+        names.push(value.slice(start));
+
+        return names.map(name => name.trim()).filter(Boolean).map(name => {
+            if (/^\{[\s\S]*\}$/.test(name) && this.enclosedInBraces(name)) {
+                return { family: this.decodeLaTeX(name.slice(1, -1)), given: '' };
+            }
+            return this.parseName(this.decodeLaTeX(name));
+        });
+    }
+
+    /**
+     * Whether the first brace of a value only closes at its last character
+     */
+    enclosedInBraces(value) {
+        let depth = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '\\') {
+                i++;
+                continue;
+            }
+            if (value[i] === '{') depth++;
+            else if (value[i] === '}') depth--;
+            if (depth === 0) return i === value.length - 1;
+        }
+        return false;
+    }
+
+    /**
+     * Parse Zotero/JabRef/Mendeley `file` fields ("desc:path:type;desc:path:type") into paths
+     */
+    parseFileField(value) {
+        if (!value) return [];
+
+        return value.split(/(?<!\\);/).map(item => {
+            const parts = item.split(/(?<!\\):/);
+            const filePath = parts.length >= 3 ? parts.slice(1, -1).join(':') : item;
+            return filePath.replace(/\\([:;\\])/g, '$1').trim();
+        }).filter(Boolean);
+    }
+
+    /**
+     * Parse RIS records into entries
+     */
+    parseRIS(content) {
+        const entries = [];
+        let record = null;
+        let lastTag = null;
+
+        for (const line of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const match = /^([A-Z][A-Z0-9]) {2}-(?: (.*))?$/.exec(line);
+            if (!match) {
+                // Continuation of the previous tag's value
+                if (record && lastTag && line.trim()) {
+                    const values = record[lastTag];
+                    values[values.length - 1] += ` ${line.trim()}`;
+                }
+                continue;
+            }
+
+            const [, tag, value = ''] = match;
+            if (tag === 'TY') {
+                record = { TY: [value.trim()] };
+                lastTag = 'TY';
+                continue;
+            }
+            if (!record) continue;
+            if (tag === 'ER') {
+                entries.push(this.risRecordToEntry(record));
+                record = null;
+                lastTag = null;
+                continue;
+            }
+
+            (record[tag] = record[tag] || []).push(value.trim());
+            lastTag = tag;
+        }
+
+        return entries;
+    }
+
+    risRecordToEntry(record) {
+        const first = (...tags) => tags.map(tag => record[tag]?.[0]).find(Boolean) || '';
+        const all = (...tags) => tags.flatMap(tag => record[tag] || []);
+        const arxivNote = all('M1', 'N1', 'UR', 'JO', 'T2').join(' ');
+
+        return {
+            type: record.TY[0],
+            citationKey: first('ID') || null,
+            title: first('TI', 'T1', 'CT').replace(/\s+/g, ' ').trim(),
+            // RIS names are "Family, Given"; one without a comma is a corporate author
+            authors: all('AU', 'A1').map(name => (name.includes(',') ? this.parseName(name) : { family: name.trim(), given: '' })),
+            year: this.parseYear(first('PY', 'Y1', 'DA')),
+            venue: first('JO', 'JF', 'T2', 'JA', 'BT', 'J2'),
+            publisher: first('PB') || null,
+            doi: this.researchService ? this.researchService.normalizeDoi(first('DO')) : (first('DO') || null),
+            arxivId: this.extractArxivId(arxivNote),
+            url: first('UR') || null,
+            abstract: first('AB', 'N2'),
+            files: all('L1', 'L2')
+                .filter(reference => !/^https?:/i.test(reference))
+                .map(reference => (reference.startsWith('file://') ? decodeURIComponent(reference.replace(/^file:\/\//, '')) : reference))
+        };
+    }
+
+    /**
+     * Parse CSL-JSON (e.g. a Zotero "CSL JSON" export) into entries
+     */
+    parseCSLJSON(content) {
+        let items = JSON.parse(content.replace(/^\uFEFF/, ''));
+        if (!Array.isArray(items)) items = items.items || [items];
+
+        return items.map(item => {
+            const dateParts = item.issued?.['date-parts']?.[0];
+            const year = dateParts ? dateParts[0] : this.parseYear(item.issued?.raw || item.issued?.literal);
+            const arxivId = this.extractArxivId([item.number, item.note, item.URL, item['container-title']].filter(Boolean).join(' '));
+
+            return {
+                type: item.type,
+                citationKey: item.id ? String(item.id) : null,
+                title: (item.title || '').replace(/\s+/g, ' ').trim(),
+                authors: (item.author || []).map(author => (author.literal ? { family: author.literal, given: '' } : { family: author.family || '', given: author.given || '' })),
+                year: year ? parseInt(year, 10) : null,
+                venue: item['container-title'] || '',
+                publisher: item.publisher && !/^arxiv$/i.test(item.publisher) ? item.publisher : null,
+                doi: this.researchService ? this.researchService.normalizeDoi(item.DOI) : (item.DOI || null),
+                arxivId,
+                url: item.URL || null,
+                abstract: item.abstract || '',
+                files: []
+            };
+        });
+    }
+
+    parseYear(value) {
+        const match = value ? String(value).match(/\d{4}/) : null;
+        return match ? parseInt(match[0], 10) : null;
+    }
+
+    extractArxivId(text) {
+        if (!text) return null;
+        const match = text.match(/arxiv(?:\.org\/(?:abs|pdf)\/|:\s*|\s+preprint\s+arxiv:)\s*(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[a-z]{2})?\/\d{7}(?:v\d+)?)/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Decode the LaTeX escapes and accents commonly found in reference manager exports
+     */
+    decodeLaTeX(value) {
+        const accents = {
+            '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303',
+            '=': '\u0304', '.': '\u0307', 'u': '\u0306', 'v': '\u030c', 'H': '\u030b', 'c': '\u0327', 'k': '\u0328'
+        };
+        const symbols = {
+            ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', o: 'ø', O: 'Ø', l: 'ł', L: 'Ł', aa: 'å', AA: 'Å', i: 'ı',
+            textasciitilde: '~', textasciicircum: '^'
+        };
+        // Escaped characters are parked in the private use area so brace stripping can't touch them
+        const escaped = '\\&%$#_{}';
+        const park = char => String.fromCharCode(0xe000 + escaped.indexOf(char));
+
+        return value
+            .replace(/\\textbackslash\{\}/g, () => park('\\'))
+            .replace(/\\([&%$#_{}])/g, (match, char) => park(char))
+            .replace(/(?<!\\)~/g, ' ')
+            .replace(/\\([a-zA-Z]+)\{\}/g, (match, name) => symbols[name] ?? match)
+            .replace(/\{?\\(["'`^~=.])\s*\{?([a-zA-Z])\}?\}?/g, (match, accent, letter) => (letter + accents[accent]).normalize('NFC'))
+            .replace(/\{?\\([uvHck])\s*\{([a-zA-Z])\}\}?/g, (match, accent, letter) => (letter + accents[accent]).normalize('NFC'))
+            .replace(/\{?\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i)\b\}?/g, (match, name) => symbols[name])
+            .replace(/[{}]/g, '')
+            .replace(/[\ue000-\ue008]/g, char => escaped[char.charCodeAt(0) - 0xe000])
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Key entries for export. Library entries use their stored key from `keys`; the rest get a
+     * `family2017word` key with an a/b/c suffix when it is taken, in an order that depends only on the entries.
+     * @param {Array} entries
+     * @param {Map<string, string>} [keys] - Stored citation keys by entry id
+     */
+    assignCitationKeys(entries, keys = new Map()) {
+        const taken = new Set(keys.values());
+        const keyed = entries
+            .filter(entry => keys.has(entry.id))
+            .map(entry => ({ ...entry, citationKey: keys.get(entry.id) }));
+
+        const unkeyed = entries
+            .filter(entry => !keys.has(entry.id))
+            .sort((a, b) => this.entryIdentity(a).localeCompare(this.entryIdentity(b)));
+        for (const entry of unkeyed) {
+            const citationKey = this.freeCitationKey(this.baseCitationKey(entry), taken);
+            taken.add(citationKey);
+            keyed.push({ ...entry, citationKey });
+        }
+
+        return keyed.sort((a, b) => a.citationKey.localeCompare(b.citationKey));
+    }
+
+    /**
+     * Give every paper and paper-backed document in the user's library a citation key and store it,
+     * so a paper keeps its key in every export and LaTeX documents citing it keep working.
+     * Keys are unique across the whole library; earlier imports get the unsuffixed key.
+     * @returns {Map<string, string>} Citation keys by paper or document id
+     */
+    ensureCitationKeys(userId) {
+        const db = this.db.getDb();
+        const { papers, documents } = this.libraryEntries(userId);
+        const keys = new Map();
+        const taken = new Set();
+        for (const entry of [...papers, ...documents]) {
+            if (entry.citationKey && !taken.has(entry.citationKey)) {
+                keys.set(entry.id, entry.citationKey);
+                taken.add(entry.citationKey);
+            }
+        }
+
+        const nextKey = entry => {
+            const citationKey = this.freeCitationKey(this.baseCitationKey(entry), taken);
+            taken.add(citationKey);
+            keys.set(entry.id, citationKey);
+            return citationKey;
+        };
+
+        db.transaction(() => {
+            const updatePaper = db.prepare('UPDATE research_papers SET citation_key = ? WHERE id = ?');
+            for (const entry of papers.filter(paper => !keys.has(paper.id))) {
+                updatePaper.run(nextKey(entry), entry.id);
+            }
+
+            // Documents without a research_papers row keep their key in their metadata
+            const getMetadata = db.prepare('SELECT metadata FROM documents WHERE id = ?');
+            const updateDocument = db.prepare('UPDATE documents SET metadata = ? WHERE id = ?');
+            for (const entry of documents.filter(document => !keys.has(document.id))) {
+                const row = getMetadata.get(entry.id);
+                const metadata = row?.metadata ? JSON.parse(row.metadata) : {};
+                updateDocument.run(JSON.stringify({ ...metadata, citationKey: nextKey(entry) }), entry.id);
+            }
+        })();
+
+        return keys;
+    }
+
+    /**
+     * Keep an imported entry's own citation key when the library doesn't use it yet.
+     * Papers without one get a generated key on their first export.
+     */
+    claimCitationKey(paperId, userId, preferredKey) {
+        if (!preferredKey || !/^[\w:.\-+/]+$/.test(preferredKey)) return;
+
+        const db = this.db.getDb();
+        const taken = db.prepare(`
+            SELECT 1 FROM research_papers WHERE uid = ? AND citation_key = ?
+            UNION ALL
+            SELECT 1 FROM documents
+            WHERE uid = ? AND CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.citationKey') END = ?
+        `).get(userId, preferredKey, userId, preferredKey);
+        if (!taken) {
+            db.prepare('UPDATE research_papers SET citation_key = ? WHERE id = ?').run(preferredKey, paperId);
+        }
+    }
+
+    /**
+     * The user's papers and the paper-backed documents without a research_papers row, as entries
+     */
+    libraryEntries(userId) {
+        const db = this.db.getDb();
+        const papers = db
+            .prepare('SELECT * FROM research_papers WHERE uid = ? ORDER BY imported_at ASC, id ASC')
+            .all(userId)
+            .map(row => this.paperRowToEntry(row));
+
+        const documents = db
+            .prepare('SELECT id, filename, metadata, uploaded_at FROM documents WHERE uid = ? ORDER BY uploaded_at ASC, id ASC')
+            .all(userId)
+            .map(doc => ({ ...doc, metadata: doc.metadata ? JSON.parse(doc.metadata) : {} }));
+
+        return { papers, documents: this.documentsToEntries(documents, papers) };
+    }
+
+    /**
+     * The base key if it is free, else the first free a/b/c… variant
+     */
+    freeCitationKey(base, taken) {
+        if (!taken.has(base)) return base;
+        for (let index = 0; ; index++) {
+            const citationKey = `${base}${this.keySuffix(index)}`;
+            if (!taken.has(citationKey)) return citationKey;
+        }
+    }
+
+    baseCitationKey(entry) {
+        const family = entry.authors[0]?.family || 'anon';
+        const word = (entry.title || '')
+            .split(/\s+/)
+            .map(token => this.asciiFold(token).toLowerCase().replace(/[^a-z0-9]/g, ''))
+            .find(token => token && !this.stopWords.has(token)) || 'untitled';
+
+        return `${this.asciiFold(family).toLowerCase().replace(/[^a-z0-9]/g, '') || 'anon'}${entry.year || 'nd'}${word}`;
+    }
+
+    entryIdentity(entry) {
+        return (entry.doi || entry.arxivId || entry.title || '').toLowerCase();
+    }
+
+    keySuffix(index) {
+        let suffix = '';
+        let n = index;
+        do {
+            suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+            n = Math.floor(n / 26) - 1;
+        } while (n >= 0);
+        return suffix;
+    }
+
+    /**
+     * Serialize entries as BibTeX
+     */
+    toBibTeX(entries) {
+        return entries.map(entry => {
+            const fields = [];
+            const add = (name, value, { raw = false } = {}) => {
+                if (value === null || value === undefined || value === '') return;
+                fields.push(`  ${name} = {${raw ? value : this.escapeBibTeX(String(value))}}`);
+            };
+
+            const type = this.entryType(entry);
+            add('title', `{${this.escapeBibTeX(entry.title)}}`, { raw: true });
+            // Corporate authors (no given name) are braced so BibTeX doesn't split them into name parts
+            add('author', entry.authors.map(author => (author.given
+                ? this.escapeBibTeX(this.formatFamilyGiven(author))
+                : `{${this.escapeBibTeX(author.family)}}`)).join(' and '), { raw: true });
+            add('year', entry.year);
+            if (type === 'inproceedings') add('booktitle', entry.venue);
+            if (type === 'article') add('journal', entry.venue);
+            add('publisher', entry.publisher);
+            add('doi', entry.doi, { raw: true });
+            add('url', entry.url, { raw: true });
+            if (entry.arxivId) {
+                add('eprint', entry.arxivId, { raw: true });
+                add('archiveprefix', 'arXiv');
+            }
+            add('abstract', entry.abstract);
+            add('file', entry.filePath, { raw: true });
+
+            return `@${type}{${entry.citationKey},\n${fields.join(',\n')}\n}`;
+        }).join('\n\n') + (entries.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Serialize entries as RIS
+     */
+    toRIS(entries) {
+        const risTypes = { article: 'JOUR', inproceedings: 'CONF', misc: 'GEN' };
+
+        return entries.map(entry => {
+            const lines = [];
+            const add = (tag, value) => {
+                if (value === null || value === undefined || value === '') return;
+                lines.push(`${tag}  - ${String(value).replace(/\s*\n\s*/g, ' ')}`);
+            };
+
+            const type = this.entryType(entry);
+            add('TY', risTypes[type]);
+            add('ID', entry.citationKey);
+            add('TI', entry.title);
+            entry.authors.forEach(author => add('AU', this.formatFamilyGiven(author)));
+            add('PY', entry.year);
+            add(type === 'inproceedings' ? 'T2' : 'JO', type === 'misc' ? null : entry.venue);
+            add('PB', entry.publisher);
+            add('DO', entry.doi);
+            add('UR', entry.url);
+            if (entry.arxivId) add('M1', `arXiv:${entry.arxivId}`);
+            add('AB', entry.abstract);
+            add('L1', entry.filePath);
+            lines.push('ER  - ');
+
+            return lines.join('\r\n');
+        }).join('\r\n\r\n') + (entries.length > 0 ? '\r\n' : '');
+    }
+
+    /**
+     * Serialize entries as CSL-JSON
+     */
+    toCSLJSON(entries) {
+        const cslTypes = { article: 'article-journal', inproceedings: 'paper-conference', misc: 'article' };
+
+        const items = entries.map(entry => {
+            const type = this.entryType(entry);
+            const item = {
+                id: entry.citationKey,
+                type: cslTypes[type],
+                title: entry.title
+            };
+
+            if (entry.authors.length > 0) {
+                item.author = entry.authors.map(author => (author.given ? { family: author.family, given: author.given } : { literal: author.family }));
+            }
+            if (entry.year) item.issued = { 'date-parts': [[entry.year]] };
+            if (entry.venue && type !== 'misc') item['container-title'] = entry.venue;
+            if (entry.publisher) item.publisher = entry.publisher;
+            if (entry.arxivId) {
+                item.publisher = item.publisher || 'arXiv';
+                item.number = `arXiv:${entry.arxivId}`;
+            }
+            if (entry.doi) item.DOI = entry.doi;
+            if (entry.url) item.URL = entry.url;
+            if (entry.abstract) item.abstract = entry.abstract;
+
+            return item;
+        });
+
+        return JSON.stringify(items, null, 2);
+    }
+
+    /**
+     * Pick the BibTeX entry type from venue information
+     */
+    entryType(entry) {
+        if (!entry.venue || /^arxiv$/i.test(entry.venue)) return 'misc';
+        if (/(conference|proceedings|workshop|symposium|\bconf\b)/i.test(entry.venue)) return 'inproceedings';
+        return 'article';
+    }
+
+    /**
+     * Convert a research_papers row into a bibliography entry
+     */
+    paperRowToEntry(row) {
+        let metadata = {};
+        try {
+            metadata = row.metadata ? JSON.parse(row.metadata) : {};
+        } catch (error) {
+            // Fall back to the columns
+        }
+
+        return this.normalizeEntry({
+            id: row.id,
+            citationKey: row.citation_key,
+            title: row.title,
+            authors: Array.isArray(metadata.authorList) && metadata.authorList.length > 0 ? metadata.authorList : row.authors,
+            year: row.year || (row.published_date ? parseInt(row.published_date, 10) : null),
+            venue: row.venue,
+            publisher: row.publisher,
+            doi: row.doi,
+            arxivId: row.arxiv_id,
+            url: row.url,
+            abstract: row.abstract,
+            filePath: row.file_path
+        });
+    }
+
+    /**
+     * Convert paper-backed documents into entries, skipping those already covered by a research_papers row
+     */
+    documentsToEntries(documents, paperEntries) {
+        const coveredIds = new Set(paperEntries.map(entry => entry.id));
+
+        return documents
+            .filter(doc => doc.metadata && (doc.metadata.isPaper || doc.metadata.paperId || doc.metadata.doi || doc.metadata.arxivId))
+            .filter(doc => !coveredIds.has(doc.metadata.paperId))
+            .map(doc => {
+                const metadata = doc.metadata;
+                const created = metadata.creationDate ? new Date(metadata.creationDate) : null;
+
+                return this.normalizeEntry({
+                    id: doc.id,
+                    citationKey: metadata.citationKey,
+                    title: metadata.title || doc.filename,
+                    authors: metadata.authors || metadata.author || '',
+                    year: metadata.year || (created && !isNaN(created) ? created.getFullYear() : null),
+                    venue: metadata.venue,
+                    doi: metadata.doi,
+                    arxivId: metadata.arxivId,
+                    url: metadata.url,
+                    filePath: doc.file_path
+                });
+            });
+    }
+
+    /**
+     * Normalize paper-shaped data to an entry with parsed author names
+     */
+    normalizeEntry(paper) {
+        return {
+            id: paper.id || null,
+            citationKey: paper.citationKey || null,
+            title: (paper.title || '').replace(/\s+/g, ' ').trim(),
+            authors: Array.isArray(paper.authors) ? paper.authors : this.parseAuthors(paper.authors),
+            year: paper.year ? parseInt(paper.year, 10) : null,
+            venue: paper.venue || '',
+            publisher: paper.publisher || null,
+            doi: paper.doi ? String(paper.doi).toLowerCase() : null,
+            arxivId: paper.arxivId || null,
+            url: paper.url || null,
+            abstract: paper.abstract || '',
+            filePath: paper.filePath || null
+        };
+    }
+
+    /**
+     * Parse a stored author string into { family, given } objects.
+     * Handles "Given Family, Given Family" (Semantic Scholar/CrossRef) and "Family, G. and Family, G." (BibTeX style).
+     */
+    parseAuthors(authorString) {
+        if (!authorString) return [];
+
+        const text = String(authorString).trim();
+        if (/\sand\s/.test(text) || text.includes(';')) {
+            return text.split(/\s+and\s+|\s*;\s*/).filter(Boolean).map(name => this.parseName(name));
+        }
+
+        const parts = text.split(/\s*,\s*/).filter(Boolean);
+        // "Smith, J., Doe, J." — alternating family/initials pairs
+        if (parts.length % 2 === 0 && parts.every((part, i) => i % 2 === 0 || /^([A-Z]\.?\s*-?)+$/.test(part))) {
+            const authors = [];
+            for (let i = 0; i < parts.length; i += 2) {
+                authors.push({ family: parts[i], given: parts[i + 1] });
+            }
+            return authors;
+        }
+
+        return parts.map(name => this.parseName(name));
+    }
+
+    parseName(name) {
+        const trimmed = name.replace(/[{}]/g, '').trim();
+        if (trimmed.includes(',')) {
+            const [family, ...given] = trimmed.split(',');
+            return { family: family.trim(), given: given.join(',').trim() };
+        }
+
+        const tokens = trimmed.split(/\s+/);
+        if (tokens.length === 1) return { family: tokens[0], given: '' };
+
+        // Keep lowercase particles ("van", "de", "von") with the family name
+        let familyStart = tokens.length - 1;
+        while (familyStart > 1 && /^[a-z]/.test(tokens[familyStart - 1])) {
+            familyStart--;
+        }
+        return { family: tokens.slice(familyStart).join(' '), given: tokens.slice(0, familyStart).join(' ') };
+    }
+
+    formatFamilyGiven(author) {
+        return author.given ? `${author.family}, ${author.given}` : author.family;
+    }
+
+    escapeBibTeX(value) {
+        const escapes = {
+            '\\': '\\textbackslash{}',
+            '{': '\\{',
+            '}': '\\}',
+            '&': '\\&',
+            '%': '\\%',
+            '$': '\\$',
+            '#': '\\#',
+            '_': '\\_',
+            '~': '\\textasciitilde{}',
+            '^': '\\textasciicircum{}'
+        };
+        return String(value).replace(/[\\{}&%$#_~^]/g, char => escapes[char]);
+    }
+
+    asciiFold(value) {
+        return String(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    slugify(value) {
+        return this.asciiFold(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'bibliography';
+    }
+}
+
+module.exports = BibliographyService;
@@ -0,0 +1,350 @@
+/**
+ * Citation Graph Service for RANI
+ * Fetches references and citing papers from Semantic Scholar and stores them as
+ * citation edges keyed by Semantic Scholar paper IDs. Library papers join the graph
+ * through research_papers.s2_id, so edges between two library rows are simply edges
+ * whose endpoints both resolve to an imported paper.
+ */
+class CitationGraphService {
+    constructor(databaseClient, researchService) {
+        this.db = databaseClient;
+        this.researchService = researchService;
+
+        this.paperFields = ['paperId', 'title', 'authors', 'year', 'venue', 'externalIds', 'citationCount'];
+        this.pageSize = 100;
+        this.maxEdgesPerDirection = 500;
+    }
+
+    /**
+     * Fetch and store references and citations for a library paper
+     * @param {string} paperId - research_papers.id
+     * @param {string} userId - User ID
+     * @param {Object} options - { refresh = false }
+     * @returns {Promise<Object>} { paperId, s2Id, references, citations }
+     */
+    async fetchCitations(paperId, userId, options = {}) {
+        const { refresh = false } = options;
+
+        const paper = this.getLibraryPaper(paperId, userId);
+        if (!paper) {
+            throw new Error('Paper not found');
+        }
+
+        const s2Id = paper.s2_id || (await this.resolveS2Id(paper));
+        if (!s2Id) {
+            throw new Error('Paper could not be matched on Semantic Scholar (no match by DOI, arXiv ID or title)');
+        }
+
+        if (paper.citations_fetched_at && !refresh) {
+            return {
+                paperId,
+                s2Id,
+                references: this.countEdges(userId, s2Id, 'references'),
+                citations: this.countEdges(userId, s2Id, 'citations'),
+                cached: true
+            };
+        }
+
+        const references = await this.fetchEdgePages(s2Id, 'references', 'citedPaper');
+        const citations = await this.fetchEdgePages(s2Id, 'citations', 'citingPaper');
+
+        const now = Math.floor(Date.now() / 1000);
+        const db = this.db.getDb();
+        db.transaction(() => {
+            for (const node of [...references, ...citations]) {
+                this.upsertNode(node, now);
+            }
+            for (const node of references) {
+                this.insertEdge(userId, s2Id, node.s2Id, now);
+            }
+            for (const node of citations) {
+                this.insertEdge(userId, node.s2Id, s2Id, now);
+            }
+            db.prepare('UPDATE research_papers SET s2_id = ?, citations_fetched_at = ? WHERE id = ?').run(s2Id, now, paperId);
+        })();
+
+        console.log(`[CitationGraphService] Stored ${references.length} references and ${citations.length} citations for ${paperId}`);
+
+        return { paperId, s2Id, references: references.length, citations: citations.length, cached: false };
+    }
+
+    /**
+     * Walk the citation graph N hops out from a library paper
+     * @param {string} paperId - research_papers.id
+     * @param {string} userId - User ID
+     * @param {Object} options - { depth = 1, direction = 'both', maxNodes = 200, expand = false }
+     *   `expand` fetches edges for library papers reached during the walk that haven't been fetched yet.
+     * @returns {Promise<Object>} { root, nodes, edges }
+     */
+    async getCitationGraph(paperId, userId, options = {}) {
+        const { depth = 1, direction = 'both', maxNodes = 200, expand = false } = options;
+
+        const { s2Id: rootId } = await this.fetchCitations(paperId, userId);
+        const libraryIndex = this.getLibraryIndex(userId);
+
+        const visited = new Map([[rootId, 0]]);
+        const edges = new Map();
+        let frontier = [rootId];
+
+        for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+            const next = [];
+
+            for (const nodeId of frontier) {
+                const libraryPaper = libraryIndex.get(nodeId);
+                if (expand && libraryPaper && !libraryPaper.citations_fetched_at) {
+                    try {
+                        await this.fetchCitations(libraryPaper.id, userId);
+                    } catch (error) {
+                        console.warn(`[CitationGraphService] Could not expand ${libraryPaper.id}:`, error.message);
+                    }
+                }
+
+                for (const edge of this.getNeighbourEdges(userId, nodeId, direction)) {
+                    edges.set(`${edge.citing_id}->${edge.cited_id}`, { source: edge.citing_id, target: edge.cited_id });
+
+                    const neighbourId = edge.citing_id === nodeId ? edge.cited_id : edge.citing_id;
+                    if (!visited.has(neighbourId) && visited.size < maxNodes) {
+                        visited.set(neighbourId, hop);
+                        next.push(neighbourId);
+                    }
+                }
+            }
+
+            frontier = next;
+        }
+
+        const nodes = [...visited.entries()].map(([s2Id, hops]) => this.describeNode(s2Id, hops, libraryIndex));
+        const edgeList = [...edges.values()].filter(edge => visited.has(edge.source) && visited.has(edge.target));
+
+        return { root: rootId, nodes, edges: edgeList };
+    }
+
+    /**
+     * Citation edges where both the citing and the cited paper are in the user's library
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} [{ citing: {paperId, title}, cited: {paperId, title} }]
+     */
+    async getLibraryCitations(userId) {
+        const query = `
+            SELECT citing.id AS citing_paper_id, citing.title AS citing_title,
+                   cited.id AS cited_paper_id, cited.title AS cited_title
+            FROM citation_edges e
+            JOIN research_papers citing ON citing.s2_id = e.citing_id AND citing.uid = e.uid
+            JOIN research_papers cited ON cited.s2_id = e.cited_id AND cited.uid = e.uid
+            WHERE e.uid = ?
+            ORDER BY citing.title
+        `;
+
+        return this.db.getDb().prepare(query).all(userId).map(row => ({
+            citing: { paperId: row.citing_paper_id, title: row.citing_title },
+            cited: { paperId: row.cited_paper_id, title: row.cited_title }
+        }));
+    }
+
+    /**
+     * Suggest papers not yet imported that are frequently cited together by library papers
+     * (co-citation with the library as the citing set). Ties are broken by global citation count.
+     * @param {string} userId - User ID
+     * @param {Object} options - { limit = 20, minCoCitations = 2 }
+     * @returns {Promise<Array>} Suggested papers with the library papers that cite them
+     */
+    async suggestCoCitedPapers(userId, options = {}) {
+        const { limit = 20, minCoCitations = 2 } = options;
+
+        const query = `
+            SELECT n.*, COUNT(DISTINCT lib.id) AS co_citations, GROUP_CONCAT(DISTINCT lib.id) AS cited_by
+            FROM citation_edges e
+            JOIN research_papers lib ON lib.s2_id = e.citing_id AND lib.uid = e.uid
+            JOIN citation_nodes n ON n.s2_id = e.cited_id
+            WHERE e.uid = ?
+              AND NOT EXISTS (
+                  SELECT 1 FROM research_papers rp
+                  WHERE rp.uid = e.uid AND (
+                      rp.s2_id = n.s2_id
+                      OR (n.doi IS NOT NULL AND LOWER(rp.doi) = LOWER(n.doi))
+                      OR (n.arxiv_id IS NOT NULL AND rp.arxiv_id = n.arxiv_id)
+                  )
+              )
+            GROUP BY n.s2_id
+            HAVING co_citations >= ?
+            ORDER BY co_citations DESC, n.citation_count DESC
+            LIMIT ?
+        `;
+
+        return this.db.getDb().prepare(query).all(userId, minCoCitations, limit).map(row => ({
+            ...this.nodeToPaper(row),
+            coCitations: row.co_citations,
+            citedBy: row.cited_by ? row.cited_by.split(',') : []
+        }));
+    }
+
+    /**
+     * Look up a library paper's Semantic Scholar ID by DOI, arXiv ID or title and remember it.
+     * Resolves to null when Semantic Scholar doesn't know the paper; failed requests throw.
+     */
+    async resolveS2Id(paper) {
+        const metadata = paper.metadata ? JSON.parse(paper.metadata) : {};
+        const candidates = [];
+        if (paper.doi) candidates.push(`DOI:${paper.doi}`);
+        if (paper.arxiv_id) candidates.push(`arXiv:${paper.arxiv_id.replace(/v\d+$/, '')}`);
+        if (metadata.s2Id) candidates.push(metadata.s2Id);
+
+        let s2Id = null;
+        for (const candidate of candidates) {
+            s2Id = (await this.getS2Record(`/paper/${encodeURIComponent(candidate)}?fields=paperId`))?.paperId;
+            if (s2Id) break;
+        }
+
+        if (!s2Id && paper.title) {
+            const params = new URLSearchParams({ query: paper.title, fields: 'paperId,title' });
+            const match = (await this.getS2Record(`/paper/search/match?${params.toString()}`))?.data?.[0];
+            // The match endpoint returns its closest title, which may be a different paper
+            if (match && this.researchService.normalizeTitle(match.title) === this.researchService.normalizeTitle(paper.title)) {
+                s2Id = match.paperId;
+            }
+        }
+
+        if (s2Id) {
+            this.db.getDb().prepare('UPDATE research_papers SET s2_id = ? WHERE id = ?').run(s2Id, paper.id);
+        }
+        return s2Id || null;
+    }
+
+    /**
+     * GET a Semantic Scholar API path; null when the record doesn't exist
+     */
+    async getS2Record(apiPath) {
+        await this.researchService.rateLimitDelay('semanticScholar');
+        try {
+            return JSON.parse(await this.researchService.httpGet(`${this.researchService.apis.semanticScholar}${apiPath}`));
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw new Error(`Semantic Scholar lookup failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Page through /references or /citations for a paper
+     */
+    async fetchEdgePages(s2Id, endpoint, paperKey) {
+        const nodes = [];
+        let offset = 0;
+
+        while (offset < this.maxEdgesPerDirection) {
+            await this.researchService.rateLimitDelay('semanticScholar');
+            const params = new URLSearchParams({
+                fields: this.paperFields.join(','),
+                offset: String(offset),
+                limit: String(this.pageSize)
+            });
+            const url = `${this.researchService.apis.semanticScholar}/paper/${encodeURIComponent(s2Id)}/${endpoint}?${params.toString()}`;
+
+            let response;
+            try {
+                response = JSON.parse(await this.researchService.httpGet(url));
+            } catch (error) {
+                throw new Error(`Failed to fetch ${endpoint} for ${s2Id}: ${error.message}`);
+            }
+
+            for (const item of response.data || []) {
+                const paper = item[paperKey];
+                // Semantic Scholar returns entries without a paperId for unresolved references
+                if (paper && paper.paperId) {
+                    nodes.push(this.toNode(paper));
+                }
+            }
+
+            if (response.next === undefined || response.next === null) break;
+            offset = response.next;
+        }
+
+        return nodes;
+    }
+
+    toNode(paper) {
+        return {
+            s2Id: paper.paperId,
+            title: paper.title || '',
+            authors: paper.authors ? paper.authors.map(a => a.name).join(', ') : '',
+            year: paper.year || null,
+            venue: paper.venue || '',
+            doi: paper.externalIds?.DOI || null,
+            arxivId: paper.externalIds?.ArXiv || null,
+            citationCount: paper.citationCount || 0
+        };
+    }
+
+    upsertNode(node, now) {
+        this.db.getDb().prepare(`
+            INSERT INTO citation_nodes (s2_id, title, authors, year, venue, doi, arxiv_id, citation_count, fetched_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(s2_id) DO UPDATE SET
+                title = excluded.title, authors = excluded.authors, year = excluded.year, venue = excluded.venue,
+                doi = excluded.doi, arxiv_id = excluded.arxiv_id, citation_count = excluded.citation_count,
+                fetched_at = excluded.fetched_at
+        `).run(node.s2Id, node.title, node.authors, node.year, node.venue, node.doi, node.arxivId, node.citationCount, now);
+    }
+
+    insertEdge(userId, citingId, citedId, now) {
+        this.db.getDb().prepare(`
+            INSERT OR IGNORE INTO citation_edges (uid, citing_id, cited_id, created_at) VALUES (?, ?, ?, ?)
+        `).run(userId, citingId, citedId, now);
+    }
+
+    countEdges(userId, s2Id, direction) {
+        const column = direction === 'references' ? 'citing_id' : 'cited_id';
+        return this.db.getDb().prepare(`SELECT COUNT(*) AS count FROM citation_edges WHERE uid = ? AND ${column} = ?`).get(userId, s2Id).count;
+    }
+
+    getNeighbourEdges(userId, s2Id, direction) {
+        const clauses = [];
+        if (direction === 'both' || direction === 'references') clauses.push('citing_id = @id');
+        if (direction === 'both' || direction === 'citations') clauses.push('cited_id = @id');
+        if (clauses.length === 0) {
+            throw new Error(`Unknown graph direction: ${direction}`);
+        }
+
+        return this.db.getDb()
+            .prepare(`SELECT citing_id, cited_id FROM citation_edges WHERE uid = @uid AND (${clauses.join(' OR ')})`)
+            .all({ uid: userId, id: s2Id });
+    }
+
+    getLibraryPaper(paperId, userId) {
+        return this.db.getDb().prepare('SELECT * FROM research_papers WHERE id = ? AND uid = ?').get(paperId, userId);
+    }
+
+    getLibraryIndex(userId) {
+        const rows = this.db.getDb()
+            .prepare('SELECT id, title, s2_id, citations_fetched_at FROM research_papers WHERE uid = ? AND s2_id IS NOT NULL')
+            .all(userId);
+        return new Map(rows.map(row => [row.s2_id, row]));
+    }
+
+    describeNode(s2Id, hops, libraryIndex) {
+        const row = this.db.getDb().prepare('SELECT * FROM citation_nodes WHERE s2_id = ?').get(s2Id);
+        const libraryPaper = libraryIndex.get(s2Id);
+
+        return {
+            ...(row ? this.nodeToPaper(row) : { s2Id, title: libraryPaper?.title || '' }),
+            hops,
+            inLibrary: Boolean(libraryPaper),
+            paperId: libraryPaper?.id || null
+        };
+    }
+
+    nodeToPaper(row) {
+        return {
+            s2Id: row.s2_id,
+            title: row.title,
+            authors: row.authors,
+            year: row.year,
+            venue: row.venue,
+            doi: row.doi,
+            arxivId: row.arxiv_id,
+            citationCount: row.citation_count,
+            url: `https://www.semanticscholar.org/paper/${row.s2_id}`
+        };
+    }
+}
+
+module.exports = CitationGraphService;
@@ -1,6 +1,15 @@
 const DocumentService = require('../documents/documentService');
 const AnnotationService = require('../documents/annotationService');
+const EmbeddingService = require('../documents/embeddingService');
+const RetrievalService = require('../documents/retrievalService');
 const ResearchService = require('./researchService');
+const CitationGraphService = require('./citationGraphService');
+const BibliographyService = require('./bibliographyService');
+const { createResearchTools } = require('./researchTools');
+const sessionRepository = require('../common/repositories/session');
+const askRepository = require('../ask/repositories');
+const sttRepository = require('../listen/stt/repositories');
+const { DEFAULT_RESEARCH_MODE, isResearchMode } = require('../common/prompts/researchModes');
 
 /**
  * Research Feature Integration for RANI
@@ -19,31 +28,47 @@ class ResearchFeature {
         // Initialize services
         this.documentService = new DocumentService(databaseClient, userDir);
         this.annotationService = new AnnotationService(databaseClient);
+        this.embeddingService = new EmbeddingService(databaseClient);
+        this.retrievalService = new RetrievalService(databaseClient, { embeddingService: this.embeddingService });
         this.researchService = new ResearchService(databaseClient, this.documentService);
+        this.citationGraphService = new CitationGraphService(databaseClient, this.researchService);
+        this.bibliographyService = new BibliographyService(databaseClient, this.researchService, this.documentService);
+        this.assistantTools = createResearchTools({
+            db: databaseClient,
+            documentService: this.documentService,
+            annotationService: this.annotationService,
+            researchService: this.researchService,
+            getUserId: () => this.getCurrentUserId()
+        });
         
         this.setupIpcHandlers();
     }
 
     setupIpcHandlers() {
         // Document management
-        this.ipc.handle('documents:import', async (filePath, userId, metadata = {}) => {
-            return await this.documentService.importDocument(filePath, userId, metadata);
+        this.ipc.handle('documents:import', async (filePath, metadata = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.importDocument(filePath, userId, metadata);
         });
 
-        this.ipc.handle('documents:getUserDocuments', async (userId, limit = 50) => {
+        this.ipc.handle('documents:getUserDocuments', async (limit = 50) => {
+            const userId = await this.getCurrentUserId();
             return await this.documentService.getUserDocuments(userId, limit);
         });
 
-        this.ipc.handle('documents:search', async (userId, searchTerm, limit = 20) => {
+        this.ipc.handle('documents:search', async (searchTerm, limit = 20) => {
+            const userId = await this.getCurrentUserId();
             return await this.documentService.searchDocuments(userId, searchTerm, limit);
         });
 
         this.ipc.handle('documents:getDocument', async (documentId) => {
-            return await this.documentService.getDocument(documentId);
+            const userId = await this.getCurrentUserId();
+            return await this.documentService.getDocument(documentId, userId);
         });
 
         this.ipc.handle('documents:deleteDocument', async (documentId) => {
-            return await this.documentService.deleteDocument(documentId);
+            const userId = await this.getCurrentUserId();
+            return await this.documentService.deleteDocument(documentId, userId);
         });
 
         this.ipc.handle('documents:selectAndUpload', async () => {
@@ -53,16 +78,58 @@ class ResearchFeature {
         this.ipc.handle('documents:uploadFile', async (filePath) => {
             // Get current user ID (implement user session management)
             const userId = await this.getCurrentUserId();
-            return await this.documentService.importDocument(filePath, userId);
+            return await this.importDocument(filePath, userId);
+        });
+
+        this.ipc.handle('documents:semanticSearch', async (query, options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.embeddingService.semanticSearch(userId, query, options);
+        });
+
+        this.ipc.handle('documents:indexEmbeddings', async (documentIds = null) => {
+            const userId = await this.getCurrentUserId();
+            return await this.embeddingService.indexLibrary(userId, { documentIds });
+        });
+
+        this.ipc.handle('documents:getStructure', async (documentId) => {
+            const userId = await this.getCurrentUserId();
+            return await this.documentService.getDocumentStructure(documentId, userId);
+        });
+
+        this.ipc.handle('documents:getPage', async (documentId, pageNumber) => {
+            const userId = await this.getCurrentUserId();
+            return await this.documentService.getDocumentPage(documentId, pageNumber, userId);
+        });
+
+        this.ipc.handle('documents:locateText', async (documentId, text, options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.documentService.locateText(documentId, userId, text, options);
+        });
+
+        this.ipc.handle('documents:getTextInRegion', async (documentId, pageNumber, rect) => {
+            const userId = await this.getCurrentUserId();
+            return await this.documentService.getTextInRegion(documentId, userId, pageNumber, rect);
+        });
+
+        this.ipc.handle('documents:reprocess', async (documentId) => {
+            const userId = await this.getCurrentUserId();
+            const structure = await this.documentService.reprocessDocument(documentId, userId);
+            this.indexInBackground(documentId, userId);
+            return structure;
         });
 
-        this.ipc.handle('documents:openDocument', async (documentId) => {
-            return await this.openDocumentViewer(documentId);
+        this.ipc.handle('documents:openDocument', async (documentId, options = {}) => {
+            return await this.openDocumentViewer(documentId, options);
         });
 
         // Annotation management
         this.ipc.handle('annotations:create', async (annotationData) => {
-            return await this.annotationService.createAnnotation(annotationData);
+            // Annotations made while a research session is open belong to it
+            const openSession = annotationData.sessionId ? null : await sessionRepository.getOpenResearch();
+            return await this.annotationService.createAnnotation({
+                ...annotationData,
+                sessionId: annotationData.sessionId || openSession?.id || null
+            });
         });
 
         this.ipc.handle('annotations:getDocumentAnnotations', async (documentId) => {
@@ -99,10 +166,126 @@ class ResearchFeature {
             const userId = await this.getCurrentUserId();
             return await this.researchService.getUserPapers(userId, limit);
         });
+
+        // DOI resolution and metadata enrichment
+        this.ipc.handle('research:resolveDoi', async (doi) => {
+            return await this.researchService.resolveDoi(doi);
+        });
+
+        this.ipc.handle('research:importByDoi', async (doi) => {
+            const userId = await this.getCurrentUserId();
+            return await this.researchService.importPaperByDoi(doi, userId);
+        });
+
+        this.ipc.handle('research:refreshPaper', async (paperId) => {
+            const userId = await this.getCurrentUserId();
+            return await this.researchService.refreshPaperMetadata(paperId, userId);
+        });
+
+        this.ipc.handle('research:refreshStalePapers', async (options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.researchService.refreshStalePapers(userId, options);
+        });
+
+        // Citation graph exploration
+        this.ipc.handle('research:fetchCitations', async (paperId, options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.citationGraphService.fetchCitations(paperId, userId, options);
+        });
+
+        this.ipc.handle('research:getCitationGraph', async (paperId, options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.citationGraphService.getCitationGraph(paperId, userId, options);
+        });
+
+        this.ipc.handle('research:getLibraryCitations', async () => {
+            const userId = await this.getCurrentUserId();
+            return await this.citationGraphService.getLibraryCitations(userId);
+        });
+
+        this.ipc.handle('research:suggestCoCitedPapers', async (options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.citationGraphService.suggestCoCitedPapers(userId, options);
+        });
+
+        // Bibliography export
+        this.ipc.handle('research:exportBibliography', async (scope, format = 'bibtex') => {
+            return await this.exportBibliography(scope, format);
+        });
+
+        this.ipc.handle('research:saveBibliography', async (scope, format = 'bibtex') => {
+            return await this.saveBibliography(scope, format);
+        });
+
+        // Bibliography import (.bib, .ris, CSL-JSON)
+        this.ipc.handle('research:importBibliography', async (filePath, options = {}) => {
+            const userId = await this.getCurrentUserId();
+            return await this.bibliographyService.importFile(filePath, userId, options);
+        });
+
+        this.ipc.handle('research:selectAndImportBibliography', async () => {
+            return await this.selectAndImportBibliography();
+        });
+
+        // Research sessions
+        this.ipc.handle('research:createSession', async (sessionData) => {
+            return await this.createResearchSession(sessionData);
+        });
+
+        this.ipc.handle('research:listSessions', async () => {
+            return await this.listResearchSessions();
+        });
+
+        this.ipc.handle('research:openSession', async (sessionId) => {
+            return await this.openResearchSession(sessionId);
+        });
+
+        this.ipc.handle('research:closeSession', async (sessionId) => {
+            return await this.closeResearchSession(sessionId);
+        });
+    }
+
+    /**
+     * Import a document and forward its progress to the renderer as `documents:importProgress`
+     */
+    async importDocument(filePath, userId, metadata = {}) {
+        const document = await this.documentService.importDocument(filePath, userId, metadata, {
+            onProgress: (progress) => this.broadcast('documents:importProgress', progress)
+        });
+
+        if (!document.duplicate && document.hasText) {
+            this.indexInBackground(document.id, userId);
+        }
+        if (!document.duplicate && document.metadata?.doi) {
+            this.researchService.enrichDocumentPaper(document.id, userId).catch(error => {
+                console.warn(`[ResearchFeature] Enriching the paper of ${document.id} from its DOI failed:`, error.message);
+            });
+        }
+
+        return document;
+    }
+
+    /**
+     * Embed a document with a local model, if one is installed. Document text is only sent to a
+     * cloud embedding provider when the user indexes the library explicitly (documents:indexEmbeddings).
+     */
+    indexInBackground(documentId, userId) {
+        this.embeddingService.indexDocument(documentId, userId, { localOnly: true }).catch(error => {
+            console.warn(`[ResearchFeature] Embedding ${documentId} deferred:`, error.message);
+        });
+    }
+
+    broadcast(channel, payload) {
+        const { BrowserWindow } = require('electron');
+        BrowserWindow.getAllWindows().forEach(win => {
+            if (win && !win.isDestroyed()) {
+                win.webContents.send(channel, payload);
+            }
+        });
     }
 
     /**
-     * Open file dialog and upload selected PDF
+     * Open file dialog and upload selected documents
      */
     async selectAndUploadFile() {
         const { dialog } = require('electron');
@@ -111,7 +294,7 @@ class ResearchFeature {
         const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
             properties: ['openFile', 'multiSelections'],
             filters: [
-                { name: 'PDF Documents', extensions: ['pdf'] },
+                { name: 'Documents', extensions: ['pdf', 'docx', 'md', 'markdown', 'txt'] },
                 { name: 'All Files', extensions: ['*'] }
             ]
         });
@@ -122,7 +305,7 @@ class ResearchFeature {
 
             for (const filePath of result.filePaths) {
                 try {
-                    const document = await this.documentService.importDocument(filePath, userId);
+                    const document = await this.importDocument(filePath, userId);
                     uploadResults.push(document);
                 } catch (error) {
                     console.error(`Failed to upload ${filePath}:`, error);
@@ -136,12 +319,93 @@ class ResearchFeature {
         return [];
     }
 
+    /**
+     * Export the library, a research session or a search result set as BibTeX, RIS or CSL-JSON
+     * @param {Object} scope - { type: 'library' } | { type: 'session', sessionId } | { type: 'papers', papers }
+     * @param {string} format - 'bibtex' | 'ris' | 'csljson'
+     */
+    async exportBibliography(scope = { type: 'library' }, format = 'bibtex') {
+        switch (scope.type) {
+            case 'library': {
+                const userId = await this.getCurrentUserId();
+                return await this.bibliographyService.exportLibrary(userId, format);
+            }
+            case 'session': {
+                const userId = await this.getCurrentUserId();
+                const researchSession = await this.getResearchSession(scope.sessionId);
+                return await this.bibliographyService.exportSession(researchSession, format, userId);
+            }
+            case 'papers': {
+                const userId = await this.getCurrentUserId();
+                return await this.bibliographyService.exportPapers(scope.papers || [], format, userId);
+            }
+            default:
+                throw new Error(`Unknown export scope: ${scope.type}`);
+        }
+    }
+
+    /**
+     * Export a bibliography and write it to a file chosen in a save dialog
+     */
+    async saveBibliography(scope, format = 'bibtex') {
+        const { dialog, BrowserWindow } = require('electron');
+        const fs = require('fs').promises;
+
+        const exported = await this.exportBibliography(scope, format);
+        const result = await dialog.showSaveDialog(BrowserWindow.getFocusedWindow(), {
+            defaultPath: exported.filename,
+            filters: [{ name: format.toUpperCase(), extensions: [exported.filename.split('.').pop()] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return { saved: false };
+        }
+
+        await fs.writeFile(result.filePath, exported.content, 'utf-8');
+        return { saved: true, filePath: result.filePath, count: exported.count };
+    }
+
+    /**
+     * Open file dialog and import the selected bibliography files
+     */
+    async selectAndImportBibliography() {
+        const { dialog, BrowserWindow } = require('electron');
+
+        const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+            properties: ['openFile', 'multiSelections'],
+            filters: [
+                { name: 'Bibliographies', extensions: ['bib', 'bibtex', 'ris', 'json'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return [];
+        }
+
+        const userId = await this.getCurrentUserId();
+        const importResults = [];
+        for (const filePath of result.filePaths) {
+            try {
+                importResults.push({ filePath, ...(await this.bibliographyService.importFile(filePath, userId)) });
+            } catch (error) {
+                console.error(`Failed to import bibliography ${filePath}:`, error);
+                importResults.push({ error: error.message, filePath });
+            }
+        }
+
+        return importResults;
+    }
+
     /**
      * Open document in external viewer or internal PDF viewer
+     * @param {Object} [options]
+     * @param {number} [options.pageNumber] - Page to open PDFs at, where the viewer supports it
      */
-    async openDocumentViewer(documentId) {
+    async openDocumentViewer(documentId, { pageNumber } = {}) {
         try {
-            const document = await this.documentService.getDocument(documentId);
+            const userId = await this.getCurrentUserId();
+            const document = await this.documentService.getDocument(documentId, userId);
             if (!document) {
                 throw new Error('Document not found');
             }
@@ -150,6 +414,13 @@ class ResearchFeature {
             const fs = require('fs');
 
             if (document.file_path && fs.existsSync(document.file_path)) {
+                if (pageNumber && document.content_type === 'application/pdf') {
+                    // PDF viewers that understand open parameters jump to #page=N
+                    const { pathToFileURL } = require('url');
+                    await shell.openExternal(`${pathToFileURL(document.file_path).href}#page=${pageNumber}`);
+                    return { success: true, path: document.file_path, pageNumber };
+                }
+
                 // Open with system default application
                 await shell.openPath(document.file_path);
                 return { success: true, path: document.file_path };
@@ -162,6 +433,23 @@ class ResearchFeature {
         }
     }
 
+    /**
+     * Numbered library passages for a question, used to ground Ask answers
+     * @param {string} query
+     * @param {Object} [options] - { sessionId, limit }; see RetrievalService.retrieve
+     */
+    async retrieveSources(query, options = {}) {
+        const userId = await this.getCurrentUserId();
+        return await this.retrievalService.retrieve(userId, query, options);
+    }
+
+    /**
+     * Tools the Ask assistant may call (library, paper search, annotations, transcripts)
+     */
+    getAssistantTools() {
+        return this.assistantTools;
+    }
+
     /**
      * Get current user ID (placeholder - implement proper user session management)
      */
@@ -172,98 +460,112 @@ class ResearchFeature {
     }
 
     /**
-     * Create a research session with linked documents and annotations
+     * Create a research session and make it the open one. Ask and listen sessions started while
+     * it is open are linked to it.
+     * @param {Object} sessionData
+     * @param {string} sessionData.title
+     * @param {string} [sessionData.topic]
+     * @param {string[]} [sessionData.questions] - Research questions
+     * @param {string[]} [sessionData.documentIds] - Documents that ground answers in this session
+     * @param {string[]} [sessionData.annotationIds] - Annotations to link
+     * @param {string} [sessionData.mode] - A key of RESEARCH_MODES
      */
-    async createResearchSession(sessionData) {
-        try {
-            const sessionId = require('crypto').randomUUID();
-            const now = Math.floor(Date.now() / 1000);
-            const userId = await this.getCurrentUserId();
-
-            // Store session in database (extend sessions table if needed)
-            const query = `
-                INSERT INTO sessions (
-                    id, uid, title, model_provider, model_name, 
-                    system_prompt, created_at, updated_at, 
-                    conversation_data, sync_state
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-
-            const conversationData = {
-                type: 'research_session',
-                documents: sessionData.documentIds || [],
-                research_topic: sessionData.topic || '',
-                research_questions: sessionData.questions || [],
-                session_metadata: sessionData.metadata || {}
-            };
+    async createResearchSession(sessionData = {}) {
+        const title = sessionData.title?.trim();
+        if (!title) {
+            throw new Error('A research session needs a title');
+        }
+        const mode = sessionData.mode || DEFAULT_RESEARCH_MODE;
+        if (!isResearchMode(mode)) {
+            throw new Error(`Unknown research mode: ${mode}`);
+        }
 
-            this.db.getDb().prepare(query).run(
-                sessionId, userId, sessionData.title || 'Research Session',
-                'research', 'research_assistant', 'research_assistant',
-                now, now, JSON.stringify(conversationData), 'clean'
-            );
+        const sessionId = await sessionRepository.createResearch({
+            title,
+            topic: sessionData.topic?.trim() || null,
+            questions: (sessionData.questions || []).map(question => question.trim()).filter(Boolean),
+            documentIds: sessionData.documentIds || [],
+            mode
+        });
 
-            // Link annotations to session if provided
-            if (sessionData.annotationIds && sessionData.annotationIds.length > 0) {
-                for (const annotationId of sessionData.annotationIds) {
-                    await this.annotationService.linkToSession(annotationId, sessionId);
-                }
-            }
+        for (const annotationId of sessionData.annotationIds || []) {
+            await this.annotationService.linkToSession(annotationId, sessionId);
+        }
 
-            console.log(`[ResearchFeature] Created research session: ${sessionId}`);
-            return {
-                sessionId,
-                title: sessionData.title,
-                createdAt: now,
-                documentCount: sessionData.documentIds?.length || 0,
-                annotationCount: sessionData.annotationIds?.length || 0
-            };
+        console.log(`[ResearchFeature] Created research session: ${sessionId}`);
+        return await this.getResearchSession(sessionId);
+    }
 
-        } catch (error) {
-            console.error('[ResearchFeature] Failed to create research session:', error);
-            throw error;
-        }
+    /**
+     * Research sessions, the open one first
+     */
+    async listResearchSessions() {
+        const sessions = await sessionRepository.getAllResearchByUserId();
+        return sessions.map(session => ({
+            ...toResearchSession(session),
+            linkedSessionCount: session.linked_session_count || 0
+        }));
     }
 
     /**
-     * Get research session with linked content
+     * Reopen a research session, closing whichever one was open
      */
-    async getResearchSession(sessionId) {
-        try {
-            // Get session data
-            const sessionQuery = `SELECT * FROM sessions WHERE id = ?`;
-            const session = this.db.getDb().prepare(sessionQuery).get(sessionId);
-            
-            if (!session) {
-                throw new Error('Session not found');
-            }
+    async openResearchSession(sessionId) {
+        const result = await sessionRepository.openResearch(sessionId);
+        if (!result.changes) {
+            throw new Error('Research session not found');
+        }
 
-            const conversationData = session.conversation_data ? 
-                JSON.parse(session.conversation_data) : {};
+        console.log(`[ResearchFeature] Opened research session: ${sessionId}`);
+        return await this.getResearchSession(sessionId);
+    }
 
-            // Get linked annotations
-            const annotations = await this.annotationService.getSessionAnnotations(sessionId);
+    /**
+     * Close a research session; later ask and listen sessions are no longer linked to it
+     */
+    async closeResearchSession(sessionId) {
+        await sessionRepository.end(sessionId);
+        console.log(`[ResearchFeature] Closed research session: ${sessionId}`);
+        return { success: true };
+    }
 
-            // Get linked documents
-            const documents = [];
-            if (conversationData.documents && conversationData.documents.length > 0) {
-                for (const docId of conversationData.documents) {
-                    const doc = await this.documentService.getDocument(docId);
-                    if (doc) documents.push(doc);
-                }
-            }
+    /**
+     * Research session with its documents, annotations and the ask/listen history linked to it
+     */
+    async getResearchSession(sessionId) {
+        const session = await sessionRepository.getById(sessionId);
+        if (!session || session.session_type !== 'research') {
+            throw new Error('Research session not found');
+        }
 
-            return {
-                session,
-                annotations,
-                documents,
-                metadata: conversationData
-            };
+        const researchSession = toResearchSession(session);
+        const userId = await this.getCurrentUserId();
 
-        } catch (error) {
-            console.error('[ResearchFeature] Failed to get research session:', error);
-            throw error;
+        const documents = [];
+        for (const docId of researchSession.documentIds) {
+            const doc = await this.documentService.getDocument(docId, userId);
+            if (doc) documents.push(doc);
         }
+
+        const annotations = await this.annotationService.getSessionAnnotations(sessionId);
+
+        const linkedSessions = await sessionRepository.getLinkedSessions(sessionId);
+        const history = await Promise.all(linkedSessions.map(async linked => ({
+            id: linked.id,
+            title: linked.title,
+            type: linked.session_type,
+            startedAt: linked.started_at,
+            endedAt: linked.ended_at || null,
+            messages: await askRepository.getAllAiMessagesBySessionId(linked.id),
+            transcripts: await sttRepository.getAllTranscriptsBySessionId(linked.id)
+        })));
+
+        return {
+            session: researchSession,
+            documents,
+            annotations,
+            history
+        };
     }
 
     /**
@@ -281,7 +583,7 @@ class ResearchFeature {
                 annotationCount: sessionData.annotations.length,
                 keyThemes: [],
                 highlightedConcepts: [],
-                researchQuestions: sessionData.metadata.research_questions || [],
+                researchQuestions: sessionData.session.questions,
                 recommendations: []
             };
 
@@ -354,3 +656,33 @@ class ResearchFeature {
 }
 
 module.exports = ResearchFeature;
+
+/**
+ * Research session row in the shape the renderer uses. SQLite stores the lists as JSON text,
+ * Firestore as arrays.
+ */
+function toResearchSession(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        topic: row.topic || '',
+        questions: parseList(row.research_questions),
+        documentIds: parseList(row.document_refs),
+        mode: row.research_mode || DEFAULT_RESEARCH_MODE,
+        isOpen: !row.ended_at,
+        startedAt: row.started_at,
+        endedAt: row.ended_at || null,
+        updatedAt: row.updated_at
+    };
+}
+
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
@@ -1,7 +1,9 @@
 const crypto = require('crypto');
 const https = require('https');
+const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { normalizeDoi } = require('../common/utils/doi');
 
 /**
  * Research Service for RANI
@@ -19,16 +21,23 @@ class ResearchService {
             crossref: 'https://api.crossref.org/works'
         };
         
-        // Rate limiting
-        this.lastApiCall = 0;
-        this.minApiInterval = 1000; // 1 second between API calls
+        // Rate limiting (tracked per API)
+        this.lastApiCall = {};
+        this.minApiInterval = 1000; // 1 second between calls to the same API
+        this.requestTimeout = 15000;
+
+        // CrossRef asks clients to identify themselves for the "polite" pool
+        this.crossrefMailto = process.env.CROSSREF_MAILTO || null;
     }
 
     /**
      * Search for research papers across multiple sources
      * @param {string} query - Search query
      * @param {Object} options - Search options
-     * @returns {Promise<Array>} Array of paper results
+     * @param {number} [options.limit=20] - Maximum number of merged results
+     * @param {string|Array<string>} [options.source='all'] - 'all', a source name, or a list of source names
+     * @param {Object} [options.filters] - { yearFrom, yearTo, minCitations, venue, hasPdf }
+     * @returns {Promise<Object>} { query, papers, sources } where sources records per-source counts and errors
      */
     async searchPapers(query, options = {}) {
         try {
@@ -39,105 +48,211 @@ class ResearchService {
                 filters = {}
             } = options;
 
-            console.log(`[ResearchService] Searching for papers: "${query}"`);
-            
-            // For now, return mock results to test the UI
-            const mockResults = [
-                {
-                    id: 'mock-1',
-                    title: 'A Survey of Large Language Models for Research',
-                    authors: 'Smith, J., Doe, J.',
-                    abstract: 'This paper surveys the current state of large language models and their applications in research contexts.',
-                    year: 2024,
-                    venue: 'ArXiv',
-                    url: 'https://arxiv.org/abs/2401.00000',
-                    citationCount: 42,
-                    source: 'mock'
-                },
-                {
-                    id: 'mock-2',
-                    title: 'Advances in Natural Language Processing',
-                    authors: 'Johnson, A., Brown, K.',
-                    abstract: 'Recent developments in NLP have shown significant improvements in understanding and generation tasks.',
-                    year: 2023,
-                    venue: 'ACL',
-                    url: 'https://aclanthology.org/2023.acl-long.1',
-                    citationCount: 128,
-                    source: 'mock'
+            if (!query || !query.trim()) {
+                throw new Error('Search query is required');
+            }
+
+            const sources = this.resolveSearchSources(source);
+            console.log(`[ResearchService] Searching for papers: "${query}" (sources: ${sources.join(', ')})`);
+
+            const searches = {
+                semanticScholar: () => this.searchSemanticScholar(query, limit, fields, filters),
+                arxiv: () => this.searchArxiv(query, limit)
+            };
+
+            const settled = await Promise.allSettled(sources.map(name => searches[name]()));
+
+            const sourceStatus = [];
+            let merged = [];
+            settled.forEach((outcome, index) => {
+                const name = sources[index];
+                if (outcome.status === 'fulfilled') {
+                    const papers = outcome.value.map(paper => ({ ...paper, source: name }));
+                    merged = merged.concat(papers);
+                    sourceStatus.push({ source: name, count: papers.length, error: null });
+                } else {
+                    console.warn(`[ResearchService] ${name} search failed:`, outcome.reason?.message);
+                    sourceStatus.push({ source: name, count: 0, error: outcome.reason?.message || 'Unknown error' });
                 }
-            ];
-            
-            return mockResults.slice(0, limit);
-            
+            });
+
+            const papers = this.rankPapers(this.applySearchFilters(this.deduplicatePapers(merged), filters), query).slice(0, limit);
+
+            return {
+                query,
+                papers,
+                sources: sourceStatus
+            };
+
         } catch (error) {
             console.error('[ResearchService] Failed to search papers:', error);
             throw error;
         }
     }
 
+    /**
+     * Normalize the `source` search option into a list of known source names
+     */
+    resolveSearchSources(source) {
+        const available = ['semanticScholar', 'arxiv'];
+        if (!source || source === 'all') {
+            return available;
+        }
+
+        const requested = Array.isArray(source) ? source : [source];
+        const unknown = requested.filter(name => !available.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown paper source(s): ${unknown.join(', ')}`);
+        }
+        return [...new Set(requested)];
+    }
+
+    /**
+     * Apply year/citation/venue/PDF filters to merged results.
+     * Sources that support server-side filtering are also filtered upstream; this keeps
+     * the merged list consistent for sources that don't (e.g. arXiv).
+     */
+    applySearchFilters(papers, filters = {}) {
+        const { yearFrom, yearTo, minCitations, venue, hasPdf } = filters;
+
+        return papers.filter(paper => {
+            if (yearFrom && (!paper.year || paper.year < yearFrom)) return false;
+            if (yearTo && (!paper.year || paper.year > yearTo)) return false;
+            if (minCitations && (paper.citationCount || 0) < minCitations) return false;
+            if (venue && !(paper.venue || '').toLowerCase().includes(venue.toLowerCase())) return false;
+            if (hasPdf && !paper.pdfUrl) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Rank merged results by query relevance, citation impact, recency and source agreement
+     */
+    rankPapers(papers, query) {
+        const terms = query.toLowerCase().split(/\W+/).filter(term => term.length > 1);
+        const currentYear = new Date().getFullYear();
+
+        const termCoverage = text => {
+            if (terms.length === 0 || !text) return 0;
+            const haystack = text.toLowerCase();
+            return terms.filter(term => haystack.includes(term)).length / terms.length;
+        };
+
+        const scored = papers.map(paper => {
+            const relevance = 2 * termCoverage(paper.title) + termCoverage(paper.abstract);
+            const impact = Math.min(Math.log10(1 + (paper.citationCount || 0)) / 4, 1);
+            const recency = paper.year ? Math.max(0, 1 - (currentYear - paper.year) / 10) : 0;
+            const agreement = ((paper.sources?.length || 1) - 1) * 0.5;
+
+            return {
+                ...paper,
+                score: Number((relevance + impact + 0.5 * recency + agreement).toFixed(4))
+            };
+        });
+
+        return scored.sort((a, b) => b.score - a.score);
+    }
+
     /**
      * Search Semantic Scholar API
      */
-    async searchSemanticScholar(query, limit, fields) {
-        await this.rateLimitDelay();
+    async searchSemanticScholar(query, limit, fields, filters = {}) {
+        await this.rateLimitDelay('semanticScholar');
         
-        const fieldsParam = fields.join(',');
-        const url = `${this.apis.semanticScholar}/paper/search?query=${encodeURIComponent(query)}&limit=${limit}&fields=${fieldsParam}`;
-        
-        return new Promise((resolve, reject) => {
-            https.get(url, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data);
-                        if (response.data) {
-                            const papers = response.data.map(paper => ({
-                                id: paper.paperId,
-                                title: paper.title,
-                                authors: paper.authors ? paper.authors.map(a => a.name).join(', ') : '',
-                                abstract: paper.abstract || '',
-                                year: paper.year || null,
-                                venue: paper.venue || '',
-                                url: paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
-                                citationCount: paper.citationCount || 0,
-                                doi: paper.externalIds?.DOI || null,
-                                arxivId: paper.externalIds?.ArXiv || null
-                            }));
-                            resolve(papers);
-                        } else {
-                            resolve([]);
-                        }
-                    } catch (error) {
-                        reject(new Error(`Failed to parse Semantic Scholar response: ${error.message}`));
-                    }
-                });
-            }).on('error', reject);
+        const requestFields = [...new Set([...fields, 'externalIds', 'openAccessPdf'])];
+        const params = new URLSearchParams({
+            query,
+            limit: String(limit),
+            fields: requestFields.join(',')
         });
+
+        if (filters.yearFrom || filters.yearTo) {
+            params.set('year', `${filters.yearFrom || ''}-${filters.yearTo || ''}`);
+        }
+        if (filters.minCitations) {
+            params.set('minCitationCount', String(filters.minCitations));
+        }
+        if (filters.venue) {
+            params.set('venue', filters.venue);
+        }
+        if (filters.hasPdf) {
+            params.set('openAccessPdf', '');
+        }
+
+        const url = `${this.apis.semanticScholar}/paper/search?${params.toString()}`;
+        const data = await this.httpGet(url);
+
+        let response;
+        try {
+            response = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Failed to parse Semantic Scholar response: ${error.message}`);
+        }
+
+        if (!response.data) {
+            return [];
+        }
+
+        return response.data.map(paper => ({
+            id: paper.paperId,
+            s2Id: paper.paperId,
+            title: paper.title,
+            authors: paper.authors ? paper.authors.map(a => a.name).join(', ') : '',
+            abstract: paper.abstract || '',
+            year: paper.year || null,
+            venue: paper.venue || '',
+            url: paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
+            pdfUrl: paper.openAccessPdf?.url || null,
+            citationCount: paper.citationCount || 0,
+            doi: paper.externalIds?.DOI || null,
+            arxivId: paper.externalIds?.ArXiv || null
+        }));
     }
 
     /**
      * Search arXiv API
      */
     async searchArxiv(query, limit) {
-        await this.rateLimitDelay();
+        await this.rateLimitDelay('arxiv');
         
         const url = `${this.apis.arxiv}/query?search_query=all:${encodeURIComponent(query)}&start=0&max_results=${limit}`;
-        
+        const data = await this.httpGet(url);
+
+        try {
+            // Parse arXiv Atom feed (simplified XML parsing)
+            return this.parseArxivResponse(data);
+        } catch (error) {
+            throw new Error(`Failed to parse arXiv response: ${error.message}`);
+        }
+    }
+
+    /**
+     * GET a URL and resolve with the response body.
+     * Picks http or https from the URL so API endpoints can point at a local server.
+     */
+    httpGet(url, headers = {}) {
         return new Promise((resolve, reject) => {
-            https.get(url, (res) => {
+            const protocol = url.startsWith('https:') ? https : http;
+
+            const request = protocol.get(url, { headers: { 'User-Agent': 'RANI Research Assistant', ...headers } }, (res) => {
                 let data = '';
+                res.setEncoding('utf8');
                 res.on('data', chunk => data += chunk);
                 res.on('end', () => {
-                    try {
-                        // Parse arXiv Atom feed (simplified XML parsing)
-                        const papers = this.parseArxivResponse(data);
-                        resolve(papers);
-                    } catch (error) {
-                        reject(new Error(`Failed to parse arXiv response: ${error.message}`));
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        const error = new Error(`HTTP ${res.statusCode}: ${res.statusMessage || 'Request failed'}`);
+                        error.statusCode = res.statusCode;
+                        reject(error);
+                        return;
                     }
+                    resolve(data);
                 });
-            }).on('error', reject);
+            });
+
+            request.setTimeout(this.requestTimeout, () => {
+                request.destroy(new Error(`Request timed out after ${this.requestTimeout}ms`));
+            });
+            request.on('error', reject);
         });
     }
 
@@ -161,9 +276,9 @@ class ResearchService {
                 const published = this.extractXmlValue(entry, 'published');
                 
                 // Extract authors
-                const authorMatches = entry.match(/<author><name>(.*?)<\/name><\/author>/g);
+                const authorMatches = entry.match(/<author>\s*<name>(.*?)<\/name>/gs);
                 const authors = authorMatches ? 
-                    authorMatches.map(match => match.match(/<name>(.*?)<\/name>/)[1]).join(', ') : '';
+                    authorMatches.map(match => match.match(/<name>(.*?)<\/name>/s)[1].trim()).join(', ') : '';
                 
                 // Extract arXiv ID and construct URLs
                 const arxivId = id.split('/').pop();
@@ -215,6 +330,13 @@ class ResearchService {
                 return existingPaper;
             }
             
+            // Fill in venue/year/licensing from CrossRef before storing; never fail the import on it
+            try {
+                paperData = await this.enrichPaperMetadata(paperData);
+            } catch (enrichError) {
+                console.warn('[ResearchService] Metadata enrichment failed:', enrichError.message);
+            }
+            
             let filePath = null;
             
             // Try to download PDF if available
@@ -244,6 +366,15 @@ class ResearchService {
                     console.warn('[ResearchService] Document import failed:', importError.message);
                 }
             }
+
+            // The PDF may print the DOI the search result didn't have
+            if (document && !paperData.doi && document.metadata?.doi) {
+                try {
+                    await this.enrichDocumentPaper(document.id, userId);
+                } catch (enrichError) {
+                    console.warn('[ResearchService] Enrichment from the PDF\'s DOI failed:', enrichError.message);
+                }
+            }
             
             console.log(`[ResearchService] Successfully imported paper: ${paperId}`);
             
@@ -280,13 +411,13 @@ class ResearchService {
             }
             
             // Generate filename
-            const filename = `${paperData.id || crypto.randomUUID()}.pdf`;
+            const filename = `${String(paperData.id || crypto.randomUUID()).replace(/[^\w.-]+/g, '_')}.pdf`;
             const filePath = path.join(downloadsDir, filename);
             
             console.log(`[ResearchService] Downloading PDF from: ${url}`);
             
             const file = fs.createWriteStream(filePath);
-            const protocol = url.startsWith('https:') ? https : require('http');
+            const protocol = url.startsWith('https:') ? https : http;
             
             protocol.get(url, (response) => {
                 if (response.statusCode === 200) {
@@ -321,64 +452,428 @@ class ResearchService {
         const query = `
             INSERT INTO research_papers (
                 id, uid, title, authors, abstract, year, venue, url, pdf_url,
-                doi, arxiv_id, source, citation_count, metadata, file_path,
-                imported_at, sync_state
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                doi, arxiv_id, published_date, publisher, source, citation_count,
+                references_count, license, metadata, file_path, imported_at,
+                enriched_at, s2_id, sync_state
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         this.db.getDb().prepare(query).run(
             paperId, userId, paperData.title, paperData.authors, paperData.abstract,
             paperData.year, paperData.venue, paperData.url, paperData.pdfUrl,
-            paperData.doi, paperData.arxivId, paperData.source, paperData.citationCount,
-            JSON.stringify(paperData), filePath, now, 'clean'
+            paperData.doi, paperData.arxivId, paperData.publishedDate || null,
+            paperData.publisher || null, paperData.source, paperData.citationCount,
+            paperData.referencesCount ?? null, paperData.license || null,
+            JSON.stringify(paperData), filePath, now, paperData.enrichedAt || null,
+            paperData.s2Id || null, 'clean'
         );
         
         return paperId;
     }
 
     /**
-     * Find existing paper in database
+     * Extract and normalize a DOI from a bare DOI, a doi.org URL or free text (e.g. a PDF's first page)
+     * @param {string} input - DOI, URL or text containing a DOI
+     * @returns {string|null} Lowercase DOI without prefix, or null if none found
+     */
+    normalizeDoi(input) {
+        return normalizeDoi(input);
+    }
+
+    /**
+     * Resolve a DOI through CrossRef
+     * @param {string} doiInput - DOI, doi.org URL or text containing a DOI
+     * @returns {Promise<Object>} Normalized paper metadata
+     */
+    async resolveDoi(doiInput) {
+        const doi = this.normalizeDoi(doiInput);
+        if (!doi) {
+            throw new Error(`Not a valid DOI: ${doiInput}`);
+        }
+
+        await this.rateLimitDelay('crossref');
+        const data = await this.httpGet(`${this.apis.crossref}/${encodeURIComponent(doi)}`, this.crossrefHeaders());
+
+        let response;
+        try {
+            response = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Failed to parse CrossRef response: ${error.message}`);
+        }
+
+        if (!response.message) {
+            throw new Error(`CrossRef returned no record for ${doi}`);
+        }
+
+        return this.parseCrossrefWork(response.message);
+    }
+
+    /**
+     * Map a CrossRef work record to the paper shape used across ResearchService
+     */
+    parseCrossrefWork(work) {
+        const dateParts = (work.issued || work['published-print'] || work['published-online'] || {})['date-parts']?.[0] || [];
+        const [year, month, day] = dateParts;
+
+        const authors = (work.author || [])
+            .map(author => author.family ? [author.given, author.family].filter(Boolean).join(' ') : author.name)
+            .filter(Boolean)
+            .join(', ');
+
+        return {
+            title: (work.title?.[0] || '').replace(/\s+/g, ' ').trim(),
+            authors,
+            abstract: work.abstract ? work.abstract.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim() : '',
+            year: year || null,
+            publishedDate: year ? [year, month, day].filter(Boolean).map(part => String(part).padStart(2, '0')).join('-') : null,
+            venue: work['container-title']?.[0] || '',
+            publisher: work.publisher || null,
+            doi: work.DOI ? work.DOI.toLowerCase() : null,
+            url: work.URL || (work.DOI ? `https://doi.org/${work.DOI}` : null),
+            citationCount: work['is-referenced-by-count'] ?? null,
+            referencesCount: work['references-count'] ?? work['reference-count'] ?? null,
+            license: work.license?.[0]?.URL || null,
+            type: work.type || null
+        };
+    }
+
+    /**
+     * Find the DOI of the published version of a paper that only has an arXiv ID or title.
+     * Tries Semantic Scholar's external IDs first, then a CrossRef bibliographic title match.
+     */
+    async findPublishedDoi(paperData) {
+        if (paperData.arxivId) {
+            try {
+                await this.rateLimitDelay('semanticScholar');
+                const arxivId = paperData.arxivId.replace(/v\d+$/, '');
+                const data = await this.httpGet(`${this.apis.semanticScholar}/paper/arXiv:${encodeURIComponent(arxivId)}?fields=externalIds`);
+                const doi = this.normalizeDoi(JSON.parse(data).externalIds?.DOI);
+                if (doi && !doi.startsWith('10.48550/')) {
+                    return doi;
+                }
+            } catch (error) {
+                console.warn(`[ResearchService] Semantic Scholar DOI lookup failed for arXiv:${paperData.arxivId}:`, error.message);
+            }
+        }
+
+        if (!paperData.title) return null;
+
+        await this.rateLimitDelay('crossref');
+        const params = new URLSearchParams({
+            'query.bibliographic': paperData.title,
+            rows: '5',
+            select: 'DOI,title,type'
+        });
+        const data = await this.httpGet(`${this.apis.crossref}?${params.toString()}`, this.crossrefHeaders());
+        const items = JSON.parse(data).message?.items || [];
+
+        const wanted = this.normalizeTitle(paperData.title);
+        const match = items.find(item => item.type !== 'posted-content' && this.normalizeTitle(item.title?.[0]) === wanted);
+        return match ? this.normalizeDoi(match.DOI) : null;
+    }
+
+    /**
+     * Fill in missing venue, year, authors, reference count and license info from CrossRef.
+     * Preprint records (venue "arXiv") are upgraded to the published version when one exists.
+     * @param {Object} paperData - Paper metadata in ResearchService shape
+     * @returns {Promise<Object>} Enriched copy of paperData (unchanged copy if nothing was found)
+     */
+    async enrichPaperMetadata(paperData) {
+        let doi = this.normalizeDoi(paperData.doi);
+        const isPreprint = !doi || doi.startsWith('10.48550/') || /^arxiv$/i.test(paperData.venue || '');
+
+        if (isPreprint) {
+            doi = (await this.findPublishedDoi(paperData)) || doi;
+        }
+
+        if (!doi || doi.startsWith('10.48550/')) {
+            return { ...paperData };
+        }
+
+        const work = await this.resolveDoi(doi);
+        return this.mergeCrossrefMetadata(paperData, work);
+    }
+
+    /**
+     * Merge CrossRef metadata into existing paper data without discarding what we already have
+     */
+    mergeCrossrefMetadata(paperData, work) {
+        const merged = { ...paperData };
+        const isEmpty = value => value === null || value === undefined || value === '';
+        const upgradeFromPreprint = /^arxiv$/i.test(paperData.venue || '') && !isEmpty(work.venue);
+
+        for (const field of ['title', 'authors', 'abstract', 'publisher', 'url', 'referencesCount', 'license', 'publishedDate']) {
+            if (isEmpty(merged[field]) && !isEmpty(work[field])) {
+                merged[field] = work[field];
+            }
+        }
+
+        if (isEmpty(merged.venue) || upgradeFromPreprint) {
+            merged.venue = work.venue || merged.venue;
+        }
+        if (isEmpty(merged.year) || upgradeFromPreprint) {
+            merged.year = work.year || merged.year;
+        }
+        if (upgradeFromPreprint && work.publishedDate) {
+            merged.publishedDate = work.publishedDate;
+        }
+
+        merged.doi = work.doi || merged.doi;
+        merged.citationCount = Math.max(merged.citationCount || 0, work.citationCount || 0);
+        merged.enrichedAt = Math.floor(Date.now() / 1000);
+
+        return merged;
+    }
+
+    /**
+     * Import a paper from a DOI typed in by hand
+     */
+    async importPaperByDoi(doiInput, userId) {
+        const work = await this.resolveDoi(doiInput);
+        return await this.downloadAndImportPaper({ ...work, id: work.doi, source: 'crossref', enrichedAt: Math.floor(Date.now() / 1000) }, userId);
+    }
+
+    /**
+     * Re-enrich a stored research_papers row from CrossRef and persist the result
+     * @param {string} paperId - research_papers.id
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { paperId, updated, doi, venue, year }
+     */
+    async refreshPaperMetadata(paperId, userId) {
+        const row = this.db.getDb().prepare('SELECT * FROM research_papers WHERE id = ? AND uid = ?').get(paperId, userId);
+        if (!row) {
+            throw new Error('Paper not found');
+        }
+
+        const current = this.rowToPaper(row);
+        const enriched = await this.enrichPaperMetadata(current);
+        const now = Math.floor(Date.now() / 1000);
+
+        if (!enriched.enrichedAt) {
+            // Nothing resolvable; still mark as checked so it isn't retried on every refresh
+            this.db.getDb().prepare('UPDATE research_papers SET enriched_at = ? WHERE id = ?').run(now, paperId);
+            return { paperId, updated: false, doi: current.doi, venue: current.venue, year: current.year };
+        }
+
+        const { metadata: previousMetadata = {} } = current;
+        this.db.getDb().prepare(`
+            UPDATE research_papers SET
+                title = ?, authors = ?, abstract = ?, year = ?, venue = ?, url = ?, doi = ?,
+                published_date = ?, publisher = ?, citation_count = ?, references_count = ?,
+                license = ?, metadata = ?, enriched_at = ?
+            WHERE id = ?
+        `).run(
+            enriched.title, enriched.authors, enriched.abstract, enriched.year, enriched.venue, enriched.url,
+            enriched.doi, enriched.publishedDate || null, enriched.publisher || null, enriched.citationCount,
+            enriched.referencesCount ?? null, enriched.license || null,
+            JSON.stringify({ ...previousMetadata, crossref: { doi: enriched.doi, venue: enriched.venue, year: enriched.year } }),
+            now, paperId
+        );
+
+        console.log(`[ResearchService] Refreshed metadata for paper ${paperId} (${enriched.doi})`);
+        return { paperId, updated: true, doi: enriched.doi, venue: enriched.venue, year: enriched.year };
+    }
+
+    /**
+     * Enrich the paper a document belongs to from the DOI found in its text, linking the
+     * document to a paper first: an existing one with that DOI, or a new one from CrossRef.
+     * @param {string} documentId - documents.id
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} { paperId, created, updated }, or null if the document has no DOI
+     */
+    async enrichDocumentPaper(documentId, userId) {
+        const db = this.db.getDb();
+        const document = db.prepare('SELECT * FROM documents WHERE id = ? AND uid = ?').get(documentId, userId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        const metadata = document.metadata ? JSON.parse(document.metadata) : {};
+        const doi = this.normalizeDoi(metadata.doi);
+        if (!doi) return null;
+
+        const paper = metadata.paperId
+            ? db.prepare('SELECT * FROM research_papers WHERE id = ? AND uid = ?').get(metadata.paperId, userId)
+            : await this.findExistingPaper({ title: null, doi, arxivId: null }, userId);
+
+        if (!paper) {
+            const work = await this.resolveDoi(doi);
+            const paperId = await this.storePaperMetadata({
+                ...work,
+                id: work.doi,
+                citationCount: work.citationCount ?? 0,
+                source: 'crossref',
+                enrichedAt: Math.floor(Date.now() / 1000)
+            }, userId, document.file_path);
+            this.documentService.mergeImportMetadata(document, { isPaper: true, paperId });
+
+            console.log(`[ResearchService] Created paper ${paperId} for document ${documentId} from its DOI ${doi}`);
+            return { paperId, created: true, updated: true };
+        }
+
+        if (!metadata.paperId) {
+            this.documentService.mergeImportMetadata(document, { isPaper: true, paperId: paper.id });
+        }
+
+        // A paper already enriched under a DOI keeps it; the PDF's DOI only fills a missing one
+        if (paper.doi && paper.enriched_at) {
+            return { paperId: paper.id, created: false, updated: false };
+        }
+        if (!paper.doi) {
+            db.prepare('UPDATE research_papers SET doi = ? WHERE id = ?').run(doi, paper.id);
+        }
+
+        const { updated } = await this.refreshPaperMetadata(paper.id, userId);
+        return { paperId: paper.id, created: false, updated };
+    }
+
+    /**
+     * Refresh papers that were never enriched, were enriched long ago, or are still recorded as arXiv preprints
+     * @param {string} userId - User ID
+     * @param {Object} options - { maxAgeDays = 30, limit = 25 }
+     * @returns {Promise<Object>} { refreshed, failed, results }
+     */
+    async refreshStalePapers(userId, options = {}) {
+        const { maxAgeDays = 30, limit = 25 } = options;
+        const cutoff = Math.floor(Date.now() / 1000) - maxAgeDays * 24 * 60 * 60;
+
+        const rows = this.db.getDb().prepare(`
+            SELECT id FROM research_papers
+            WHERE uid = ? AND (enriched_at IS NULL OR enriched_at < ? OR LOWER(venue) = 'arxiv')
+            ORDER BY enriched_at IS NOT NULL, enriched_at ASC
+            LIMIT ?
+        `).all(userId, cutoff, limit);
+
+        const results = [];
+        for (const { id } of rows) {
+            try {
+                results.push(await this.refreshPaperMetadata(id, userId));
+            } catch (error) {
+                console.warn(`[ResearchService] Failed to refresh paper ${id}:`, error.message);
+                results.push({ paperId: id, updated: false, error: error.message });
+            }
+        }
+
+        return {
+            refreshed: results.filter(result => result.updated).length,
+            failed: results.filter(result => result.error).length,
+            results
+        };
+    }
+
+    /**
+     * Convert a research_papers row to the paper shape used across ResearchService
+     */
+    rowToPaper(row) {
+        return {
+            id: row.id,
+            title: row.title,
+            authors: row.authors,
+            abstract: row.abstract,
+            year: row.year,
+            venue: row.venue,
+            url: row.url,
+            pdfUrl: row.pdf_url,
+            doi: row.doi,
+            arxivId: row.arxiv_id,
+            publishedDate: row.published_date,
+            publisher: row.publisher,
+            citationCount: row.citation_count,
+            referencesCount: row.references_count,
+            license: row.license,
+            source: row.source,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {}
+        };
+    }
+
+    crossrefHeaders() {
+        return this.crossrefMailto
+            ? { 'User-Agent': `RANI Research Assistant (mailto:${this.crossrefMailto})` }
+            : {};
+    }
+
+    /**
+     * Normalize a title for duplicate detection
+     */
+    normalizeTitle(title) {
+        return (title || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Find existing paper in database by DOI, arXiv ID (ignoring version) or case-insensitive title
      */
     async findExistingPaper(paperData, userId) {
         const query = `
             SELECT * FROM research_papers 
-            WHERE uid = ? AND (title = ? OR doi = ? OR arxiv_id = ?)
+            WHERE uid = ? AND (LOWER(title) = LOWER(?) OR LOWER(doi) = LOWER(?) OR arxiv_id = ? OR arxiv_id LIKE ?)
+            ORDER BY (LOWER(doi) = LOWER(?)) DESC
             LIMIT 1
         `;
         
+        const arxivBase = paperData.arxivId ? paperData.arxivId.replace(/v\d+$/, '') : null;
         return this.db.getDb().prepare(query).get(
-            userId, paperData.title, paperData.doi, paperData.arxivId
+            userId, paperData.title, paperData.doi, arxivBase, arxivBase ? `${arxivBase}v%` : null, paperData.doi
         );
     }
 
     /**
-     * Remove duplicate papers based on title similarity
+     * Merge duplicate papers matched by DOI, arXiv ID or normalized title.
+     * Missing fields are filled from later duplicates and every contributing source is kept in `sources`.
      */
     deduplicatePapers(papers) {
-        const seen = new Set();
-        return papers.filter(paper => {
-            const normalizedTitle = paper.title.toLowerCase().replace(/[^\w\s]/g, '').trim();
-            if (seen.has(normalizedTitle)) {
-                return false;
+        const merged = [];
+        const index = new Map();
+
+        const keysFor = paper => {
+            const keys = [];
+            if (paper.doi) keys.push(`doi:${paper.doi.toLowerCase()}`);
+            if (paper.arxivId) keys.push(`arxiv:${paper.arxivId.replace(/v\d+$/, '').toLowerCase()}`);
+            if (paper.title) keys.push(`title:${this.normalizeTitle(paper.title)}`);
+            return keys;
+        };
+
+        for (const paper of papers) {
+            const keys = keysFor(paper);
+            const existing = keys.map(key => index.get(key)).find(Boolean);
+
+            if (!existing) {
+                const entry = { ...paper, sources: paper.source ? [paper.source] : [] };
+                merged.push(entry);
+                keys.forEach(key => index.set(key, entry));
+                continue;
             }
-            seen.add(normalizedTitle);
-            return true;
-        });
+
+            for (const [field, value] of Object.entries(paper)) {
+                if (field === 'source' || field === 'id') continue;
+                if ((existing[field] === null || existing[field] === undefined || existing[field] === '') && value) {
+                    existing[field] = value;
+                }
+            }
+            existing.citationCount = Math.max(existing.citationCount || 0, paper.citationCount || 0);
+            if (paper.source && !existing.sources.includes(paper.source)) {
+                existing.sources.push(paper.source);
+            }
+            keysFor(existing).forEach(key => index.set(key, existing));
+        }
+
+        return merged;
     }
 
     /**
      * Rate limiting for API calls
      */
-    async rateLimitDelay() {
+    async rateLimitDelay(api = 'default') {
         const now = Date.now();
-        const timeSinceLastCall = now - this.lastApiCall;
+        const timeSinceLastCall = now - (this.lastApiCall[api] || 0);
         
         if (timeSinceLastCall < this.minApiInterval) {
             const delay = this.minApiInterval - timeSinceLastCall;
+            this.lastApiCall[api] = now + delay;
             await new Promise(resolve => setTimeout(resolve, delay));
+            return;
         }
         
-        this.lastApiCall = Date.now();
+        this.lastApiCall[api] = now;
     }
 
     /**
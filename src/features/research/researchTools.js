@@ -0,0 +1,189 @@
+const MAX_TRANSCRIPT_LINES = 200;
+
+/**
+ * Tools the research assistant can call to look things up instead of guessing.
+ * Each tool follows the shape in common/ai/tools.js; `execute` receives the model's arguments and
+ * the Ask context ({ sessionId, addSource }), where addSource registers a library passage as a
+ * numbered source and returns its number for [n] citations.
+ *
+ * @param {Object} services
+ * @param {Object} services.db - Database client
+ * @param {import('../documents/documentService')} services.documentService
+ * @param {import('../documents/annotationService')} services.annotationService
+ * @param {import('./researchService')} services.researchService
+ * @param {() => Promise<string>} services.getUserId
+ * @returns {Array<{ name: string, description: string, parameters: Object, execute: Function }>}
+ */
+function createResearchTools({ db, documentService, annotationService, researchService, getUserId }) {
+    return [
+        {
+            name: 'search_library',
+            description: 'Full-text search over the documents in the user\'s library. Returns matching passages, each with a '
+                + 'source number to cite as [n]. Use it before citing or quoting anything from the user\'s papers.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Keywords or a "quoted phrase"' },
+                    limit: { type: 'integer', description: 'Maximum documents to return (1-10, default 5)' },
+                },
+                required: ['query'],
+            },
+            execute: async ({ query, limit = 5 }, context = {}) => {
+                const userId = await getUserId();
+                const documents = await documentService.searchDocuments(userId, requireText(query, 'query'), clamp(limit, 1, 10));
+
+                const passages = [];
+                for (const document of documents) {
+                    const title = document.metadata?.title || document.filename;
+                    for (const match of document.matches || []) {
+                        const text = stripMarks(match.snippet);
+                        const source = context.addSource
+                            ? context.addSource({ documentId: document.id, title, filename: document.filename, pageNumber: match.pageNumber, text })
+                            : null;
+                        passages.push({ source, documentId: document.id, title, page: match.pageNumber, text });
+                    }
+                }
+                return { query, passages };
+            },
+        },
+        {
+            name: 'search_papers',
+            description: 'Search published papers on Semantic Scholar and arXiv. Use it to find related work that is not in the '
+                + 'user\'s library; cite these by title and year, not by source number.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Topic, title or author keywords' },
+                    limit: { type: 'integer', description: 'Maximum papers to return (1-10, default 5)' },
+                    year_from: { type: 'integer', description: 'Earliest publication year' },
+                    year_to: { type: 'integer', description: 'Latest publication year' },
+                },
+                required: ['query'],
+            },
+            execute: async ({ query, limit = 5, year_from, year_to }) => {
+                const result = await researchService.searchPapers(requireText(query, 'query'), {
+                    limit: clamp(limit, 1, 10),
+                    filters: { yearFrom: year_from, yearTo: year_to },
+                });
+
+                return {
+                    query,
+                    papers: result.papers.map(paper => ({
+                        title: paper.title,
+                        authors: paper.authors,
+                        year: paper.year,
+                        venue: paper.venue,
+                        citationCount: paper.citationCount,
+                        doi: paper.doi || null,
+                        url: paper.url,
+                        abstract: truncate(paper.abstract, 600),
+                    })),
+                    failedSources: result.sources.filter(source => source.error).map(source => source.source),
+                };
+            },
+        },
+        {
+            name: 'get_annotations',
+            description: 'Fetch the user\'s highlights and notes, either for one document or matching a search query.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    document_id: { type: 'string', description: 'Document id, e.g. from search_library' },
+                    query: { type: 'string', description: 'Search the text of highlights and notes instead' },
+                    limit: { type: 'integer', description: 'Maximum annotations to return (default 20)' },
+                },
+            },
+            execute: async ({ document_id, query, limit = 20 }) => {
+                const userId = await getUserId();
+                const max = clamp(limit, 1, 50);
+
+                let annotations;
+                if (document_id) {
+                    const document = await documentService.getDocument(document_id, userId);
+                    if (!document) throw new Error(`No document with id ${document_id}`);
+                    annotations = (await annotationService.getDocumentAnnotations(document_id)).slice(0, max);
+                } else if (query) {
+                    annotations = await annotationService.searchAnnotations(userId, query, max);
+                } else {
+                    throw new Error('Provide document_id or query');
+                }
+
+                return {
+                    annotations: annotations.map(annotation => ({
+                        documentId: annotation.documentId,
+                        filename: annotation.document?.filename,
+                        page: annotation.pageNumber,
+                        type: annotation.type,
+                        highlight: annotation.highlightText || null,
+                        note: annotation.noteText || null,
+                    })),
+                };
+            },
+        },
+        {
+            name: 'read_transcript',
+            description: 'Read the transcript of a recorded session (the most recent one by default), optionally only the '
+                + 'lines that mention a query.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    session_id: { type: 'string', description: 'Session id; defaults to the latest session with a transcript' },
+                    query: { type: 'string', description: 'Only return lines containing these words' },
+                },
+            },
+            execute: async ({ session_id, query }) => {
+                const sqlite = db.getDb();
+                const session = session_id
+                    ? sqlite.prepare('SELECT id, title, started_at FROM sessions WHERE id = ?').get(session_id)
+                    : sqlite.prepare(`
+                        SELECT s.id, s.title, s.started_at FROM sessions s
+                        WHERE EXISTS (SELECT 1 FROM transcripts t WHERE t.session_id = s.id)
+                        ORDER BY s.started_at DESC LIMIT 1
+                    `).get();
+                if (!session) {
+                    throw new Error(session_id ? `No session with id ${session_id}` : 'No recorded transcripts yet');
+                }
+
+                let lines = sqlite.prepare(
+                    'SELECT speaker, text, start_at FROM transcripts WHERE session_id = ? ORDER BY start_at ASC, rowid ASC'
+                ).all(session.id);
+
+                if (query && query.trim()) {
+                    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+                    lines = lines.filter(line => terms.some(term => (line.text || '').toLowerCase().includes(term)));
+                }
+
+                return {
+                    sessionId: session.id,
+                    title: session.title,
+                    startedAt: session.started_at ? new Date(session.started_at * 1000).toISOString() : null,
+                    truncated: lines.length > MAX_TRANSCRIPT_LINES,
+                    lines: lines.slice(-MAX_TRANSCRIPT_LINES).map(line => ({ speaker: line.speaker, text: line.text })),
+                };
+            },
+        },
+    ];
+}
+
+function requireText(value, name) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`${name} is required`);
+    }
+    return value;
+}
+
+function clamp(value, min, max) {
+    const number = Number.parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : min;
+}
+
+function stripMarks(snippet) {
+    return (snippet || '').replace(/<\/?mark>/g, '');
+}
+
+function truncate(text, limit) {
+    if (!text || text.length <= limit) return text || '';
+    return `${text.slice(0, limit)}…`;
+}
+
+module.exports = { createResearchTools };
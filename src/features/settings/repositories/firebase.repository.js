@@ -135,7 +135,55 @@ async function setAutoUpdate(uid, isEnabled) {
     }
 }
 
+async function getFeatureModels(uid) {
+    const userDocRef = doc(getFirestoreInstance(), 'users', uid);
+    try {
+        const userSnap = await getDoc(userDocRef);
+        return (userSnap.exists() && userSnap.data().feature_models) || {};
+    } catch (error) {
+        console.error('Firebase: Error getting feature models:', error);
+        return {};
+    }
+}
+
+async function setFeatureModels(uid, featureModels) {
+    const userDocRef = doc(getFirestoreInstance(), 'users', uid);
+    try {
+        const userSnap = await getDoc(userDocRef);
+        if (userSnap.exists()) {
+            await updateDoc(userDocRef, { feature_models: featureModels || {} });
+        }
+        return { success: true };
+    } catch (error) {
+        console.error('Firebase: Error setting feature models:', error);
+        return { success: false, error: error.message };
+    }
+}
 
+async function getUsageBudgets(uid) {
+    const userDocRef = doc(getFirestoreInstance(), 'users', uid);
+    try {
+        const userSnap = await getDoc(userDocRef);
+        return (userSnap.exists() && userSnap.data().usage_budgets) || {};
+    } catch (error) {
+        console.error('Firebase: Error getting usage budgets:', error);
+        return {};
+    }
+}
+
+async function setUsageBudgets(uid, budgets) {
+    const userDocRef = doc(getFirestoreInstance(), 'users', uid);
+    try {
+        const userSnap = await getDoc(userDocRef);
+        if (userSnap.exists()) {
+            await updateDoc(userDocRef, { usage_budgets: budgets || {} });
+        }
+        return { success: true };
+    } catch (error) {
+        console.error('Firebase: Error setting usage budgets:', error);
+        return { success: false, error: error.message };
+    }
+}
 
 module.exports = {
     getPresets,
@@ -145,4 +193,8 @@ module.exports = {
     deletePreset,
     getAutoUpdate,
     setAutoUpdate,
+    getFeatureModels,
+    setFeatureModels,
+    getUsageBudgets,
+    setUsageBudgets,
 }; 
\ No newline at end of file
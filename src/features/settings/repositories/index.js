@@ -44,6 +44,26 @@ const settingsRepositoryAdapter = {
         const uid = authService.getCurrentUserId();
         return getBaseRepository().setAutoUpdate(uid, isEnabled);
     },
+
+    getFeatureModels: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getFeatureModels(uid);
+    },
+
+    setFeatureModels: (featureModels) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().setFeatureModels(uid, featureModels);
+    },
+
+    getUsageBudgets: () => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().getUsageBudgets(uid);
+    },
+
+    setUsageBudgets: (budgets) => {
+        const uid = authService.getCurrentUserId();
+        return getBaseRepository().setUsageBudgets(uid, budgets);
+    },
 };
 
 module.exports = settingsRepositoryAdapter;
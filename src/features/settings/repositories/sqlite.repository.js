@@ -135,6 +135,72 @@ function setAutoUpdate(uid, isEnabled) {
     }
 }
 
+function getFeatureModels(uid) {
+    const db = sqliteClient.getDb();
+
+    try {
+        const row = db.prepare('SELECT feature_models FROM users WHERE uid = ?').get(uid);
+        return row?.feature_models ? JSON.parse(row.feature_models) : {};
+    } catch (error) {
+        console.error('SQLite: Error getting feature models:', error);
+        return {};
+    }
+}
+
+function setFeatureModels(uid, featureModels) {
+    const db = sqliteClient.getDb();
+    const targetUid = uid || sqliteClient.defaultUserId;
+    const value = JSON.stringify(featureModels || {});
+
+    try {
+        const result = db.prepare('UPDATE users SET feature_models = ? WHERE uid = ?').run(value, targetUid);
+
+        if (result.changes === 0) {
+            const now = Math.floor(Date.now() / 1000);
+            db.prepare('INSERT INTO users (uid, display_name, email, created_at, feature_models) VALUES (?, ?, ?, ?, ?)')
+                .run(targetUid, 'User', 'user@example.com', now, value);
+        }
+
+        return { success: true };
+    } catch (error) {
+        console.error('SQLite: Error setting feature models:', error);
+        throw error;
+    }
+}
+
+function getUsageBudgets(uid) {
+    const db = sqliteClient.getDb();
+
+    try {
+        const row = db.prepare('SELECT usage_budgets FROM users WHERE uid = ?').get(uid);
+        return row?.usage_budgets ? JSON.parse(row.usage_budgets) : {};
+    } catch (error) {
+        console.error('SQLite: Error getting usage budgets:', error);
+        return {};
+    }
+}
+
+function setUsageBudgets(uid, budgets) {
+    const db = sqliteClient.getDb();
+    const targetUid = uid || sqliteClient.defaultUserId;
+    const value = JSON.stringify(budgets || {});
+
+    try {
+        const result = db.prepare('UPDATE users SET usage_budgets = ? WHERE uid = ?').run(value, targetUid);
+
+        if (result.changes === 0) {
+            const now = Math.floor(Date.now() / 1000);
+            db.prepare('INSERT INTO users (uid, display_name, email, created_at, usage_budgets) VALUES (?, ?, ?, ?, ?)')
+                .run(targetUid, 'User', 'user@example.com', now, value);
+        }
+
+        return { success: true };
+    } catch (error) {
+        console.error('SQLite: Error setting usage budgets:', error);
+        throw error;
+    }
+}
+
 module.exports = {
     getPresets,
     getPresetTemplates,
@@ -142,5 +208,9 @@ module.exports = {
     updatePreset,
     deletePreset,
     getAutoUpdate,
-    setAutoUpdate
+    setAutoUpdate,
+    getFeatureModels,
+    setFeatureModels,
+    getUsageBudgets,
+    setUsageBudgets,
 };
\ No newline at end of file
@@ -71,6 +71,7 @@ class ShortcutsService {
             nextResponse: isMac ? 'Cmd+]' : 'Ctrl+]',
             scrollUp: isMac ? 'Cmd+Shift+Up' : 'Ctrl+Shift+Up',
             scrollDown: isMac ? 'Cmd+Shift+Down' : 'Ctrl+Shift+Down',
+            cycleResearchMode: isMac ? 'Cmd+Shift+M' : 'Ctrl+Shift+M',
         };
     }
 
@@ -213,6 +214,9 @@ class ShortcutsService {
                 case 'nextStep':
                     callback = () => askService.toggleAskButton(true);
                     break;
+                case 'cycleResearchMode':
+                    callback = () => askService.cycleResearchMode();
+                    break;
                 case 'scrollUp':
                     callback = () => {
                         const askWindow = this.windowPool.get('ask');
@@ -19,6 +19,7 @@ const askService = require('./features/ask/askService');
 const settingsService = require('./features/settings/settingsService');
 const sessionRepository = require('./features/common/repositories/session');
 const modelStateService = require('./features/common/services/modelStateService');
+const recordingService = require('./features/listen/recording/recordingService');
 const featureBridge = require('./bridge/featureBridge');
 const windowBridge = require('./bridge/windowBridge');
 const ResearchBridge = require('./bridge/researchBridge');
@@ -192,6 +193,8 @@ app.whenReady().then(async () => {
         await modelStateService.initialize();
         //////// after_modelStateService ////////
 
+        await recordingService.initialize();
+
         featureBridge.initialize();  // 추가: featureBridge 초기화
         windowBridge.initialize();
         
@@ -210,6 +213,8 @@ app.whenReady().then(async () => {
         // Initialize research functionality
         const sqliteClient = require('./features/common/services/sqliteClient');
         global.researchBridge = new ResearchBridge(ipcMain, sqliteClient);
+        askService.setSourceProvider(global.researchBridge.researchFeature);
+        askService.setToolProvider(global.researchBridge.researchFeature);
         console.log('[Main] Research functionality initialized');
         
         setupWebDataHandlers();
@@ -333,6 +338,7 @@ function setupWebDataHandlers() {
     const askRepository = require('./features/ask/repositories');
     const userRepository = require('./features/common/repositories/user');
     const presetRepository = require('./features/common/repositories/preset');
+    const usageService = require('./features/common/services/usageService');
 
     const handleRequest = async (channel, responseChannel, payload) => {
         let result;
@@ -350,14 +356,24 @@ function setupWebDataHandlers() {
                         result = null;
                         break;
                     }
-                    const [transcripts, ai_messages, summary] = await Promise.all([
+                    const [transcripts, ai_messages, summary, recordings] = await Promise.all([
                         sttRepository.getAllTranscriptsBySessionId(payload),
                         askRepository.getAllAiMessagesBySessionId(payload),
-                        summaryRepository.getSummaryBySessionId(payload)
+                        summaryRepository.getSummaryBySessionId(payload),
+                        recordingService.getSessionRecordings(payload)
                     ]);
-                    result = { session, transcripts, ai_messages, summary };
+                    result = {
+                        session,
+                        transcripts,
+                        ai_messages,
+                        summary,
+                        // File paths stay in the main process; the audio is served by id
+                        recordings: recordings.map(({ file_path, uid, ...recording }) => recording),
+                        transcription: recordingService.getJob(payload)
+                    };
                     break;
                 case 'delete-session':
+                    await recordingService.deleteSessionRecordings(payload);
                     result = await sessionRepository.deleteWithRelatedData(payload);
                     break;
                 case 'create-session':
@@ -369,6 +385,26 @@ function setupWebDataHandlers() {
                     result = { id };
                     break;
                 
+
+                // RECORDING
+                case 'get-session-audio':
+                    const recording = await recordingService.getRecording(payload.recordingId);
+                    result = recording && recording.session_id === payload.sessionId ? { filePath: recording.file_path } : null;
+                    break;
+                case 'retranscribe-session':
+                    result = await recordingService.retranscribe(payload.sessionId, { model: payload.model });
+                    break;
+                case 'cancel-retranscription':
+                    result = recordingService.cancelRetranscription(payload);
+                    break;
+                case 'get-stt-models':
+                    const [models, selected] = await Promise.all([
+                        modelStateService.getAvailableModels('stt'),
+                        modelStateService.getSelectedModels()
+                    ]);
+                    result = { models, selected: selected.stt };
+                    break;
+                
                 // USER
                 case 'get-user-profile':
                     // Adapter injects UID
@@ -416,6 +452,11 @@ function setupWebDataHandlers() {
                     settingsService.notifyPresetUpdate('deleted', payload);
                     break;
                 
+                // USAGE
+                case 'get-usage-report':
+                    result = await usageService.getReport(payload);
+                    break;
+
                 // BATCH
                 case 'get-batch-data':
                     const includes = payload ? payload.split(',').map(item => item.trim()) : ['profile', 'presets', 'sessions'];
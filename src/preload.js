@@ -118,12 +118,19 @@ contextBridge.exposeInMainWorld('api', {
     sendAskButtonClick: () => ipcRenderer.invoke('ask:toggleAskButton'),
     sendResearchButtonClick: () => ipcRenderer.invoke('research:toggleResearchView'),
     sendToggleAllWindowsVisibility: () => ipcRenderer.invoke('shortcut:toggleAllWindowsVisibility'),
+
+    // Research Mode
+    getResearchMode: () => ipcRenderer.invoke('ask:getResearchMode'),
+    setResearchMode: (mode) => ipcRenderer.invoke('ask:setResearchMode', mode),
+    cycleResearchMode: () => ipcRenderer.invoke('ask:cycleResearchMode'),
     
     // Listeners
     onListenChangeSessionResult: (callback) => ipcRenderer.on('listen:changeSessionResult', callback),
     removeOnListenChangeSessionResult: (callback) => ipcRenderer.removeListener('listen:changeSessionResult', callback),
     onShortcutsUpdated: (callback) => ipcRenderer.on('shortcuts-updated', callback),
-    removeOnShortcutsUpdated: (callback) => ipcRenderer.removeListener('shortcuts-updated', callback)
+    removeOnShortcutsUpdated: (callback) => ipcRenderer.removeListener('shortcuts-updated', callback),
+    onResearchModeChanged: (callback) => ipcRenderer.on('ask:researchModeChanged', callback),
+    removeOnResearchModeChanged: (callback) => ipcRenderer.removeListener('ask:researchModeChanged', callback)
   },
 
   // src/ui/app/PermissionHeader.js
@@ -154,16 +161,31 @@ contextBridge.exposeInMainWorld('api', {
     // Message Handling
     sendMessage: (text) => ipcRenderer.invoke('ask:sendQuestionFromAsk', text),
 
+    // Conversation Threads
+    loadConversationHistory: () => ipcRenderer.invoke('ask:loadConversationHistory'),
+    restartThread: () => ipcRenderer.invoke('ask:restartThread'),
+    branchThread: (keepCount) => ipcRenderer.invoke('ask:branchThread', keepCount),
+
     // Voice Input
     startVoiceInput: () => ipcRenderer.invoke('ask:startVoiceInput'),
     stopVoiceInput: () => ipcRenderer.invoke('ask:stopVoiceInput'),
     toggleVoiceInput: () => ipcRenderer.invoke('ask:toggleVoiceInput'),
     sendAudioData: (data, mimeType) => ipcRenderer.invoke('ask:sendAudioData', { data, mimeType }),
 
+    // Research Mode
+    getResearchMode: () => ipcRenderer.invoke('ask:getResearchMode'),
+    cycleResearchMode: () => ipcRenderer.invoke('ask:cycleResearchMode'),
+
+    // Cited sources
+    openDocument: (documentId, options = {}) => ipcRenderer.invoke('documents:openDocument', documentId, options),
+
     // Listeners
     onAskStateUpdate: (callback) => ipcRenderer.on('ask:stateUpdate', callback),
     removeOnAskStateUpdate: (callback) => ipcRenderer.removeListener('ask:stateUpdate', callback),
 
+    onThreadChanged: (callback) => ipcRenderer.on('ask:threadChanged', callback),
+    removeOnThreadChanged: (callback) => ipcRenderer.removeListener('ask:threadChanged', callback),
+
     onAskStreamError: (callback) => ipcRenderer.on('ask-response-stream-error', callback),
     removeOnAskStreamError: (callback) => ipcRenderer.removeListener('ask-response-stream-error', callback),
 
@@ -203,9 +225,14 @@ contextBridge.exposeInMainWorld('api', {
 
   // src/ui/listen/stt/SttView.js
   sttView: {
+    // Speakers
+    renameSpeaker: (sessionId, from, to) => ipcRenderer.invoke('listen:renameSpeaker', { sessionId, from, to }),
+
     // Listeners
     onSttUpdate: (callback) => ipcRenderer.on('stt-update', callback),
-    removeOnSttUpdate: (callback) => ipcRenderer.removeListener('stt-update', callback)
+    removeOnSttUpdate: (callback) => ipcRenderer.removeListener('stt-update', callback),
+    onSpeakerRenamed: (callback) => ipcRenderer.on('stt-speaker-renamed', callback),
+    removeOnSpeakerRenamed: (callback) => ipcRenderer.removeListener('stt-speaker-renamed', callback)
   },
 
   // src/ui/listen/summary/SummaryView.js
@@ -237,6 +264,34 @@ contextBridge.exposeInMainWorld('api', {
     saveApiKey: (key) => ipcRenderer.invoke('model:save-api-key', key),
     removeApiKey: (provider) => ipcRenderer.invoke('model:remove-api-key', provider),
     setSelectedModel: (data) => ipcRenderer.invoke('model:set-selected-model', data),
+    getFallbackChain: () => ipcRenderer.invoke('model:get-fallback-chain'),
+    setFallbackChain: (providers) => ipcRenderer.invoke('model:set-fallback-chain', providers),
+    getFeatureModels: () => ipcRenderer.invoke('model:get-feature-models'),
+    setFeatureModel: (data) => ipcRenderer.invoke('model:set-feature-model', data),
+    getCustomEndpoint: (provider) => ipcRenderer.invoke('model:get-custom-endpoint', provider),
+    setCustomEndpoint: (data) => ipcRenderer.invoke('model:set-custom-endpoint', data),
+    refreshEndpointModels: (provider) => ipcRenderer.invoke('model:refresh-endpoint-models', provider),
+    refreshModelCatalogs: () => ipcRenderer.invoke('model:refresh-catalogs'),
+    getLlmModelSettings: (modelId) => ipcRenderer.invoke('model:get-model-settings', modelId),
+    setLlmModelSettings: (data) => ipcRenderer.invoke('model:set-model-settings', data),
+
+    // Usage and budgets
+    getUsageReport: (options) => ipcRenderer.invoke('usage:get-report', options),
+    getUsageBudgets: () => ipcRenderer.invoke('usage:get-budgets'),
+    setUsageBudgets: (budgets) => ipcRenderer.invoke('usage:set-budgets', budgets),
+    onBudgetWarning: (callback) => ipcRenderer.on('usage:budget-warning', callback),
+    removeOnBudgetWarning: (callback) => ipcRenderer.removeListener('usage:budget-warning', callback),
+
+    // Audio recording
+    getRecordingSettings: () => ipcRenderer.invoke('recording:get-settings'),
+    setRecordingSettings: (settings) => ipcRenderer.invoke('recording:set-settings', settings),
+
+    // Audio and video file import
+    importAudioFile: () => ipcRenderer.invoke('import:select-file'),
+    cancelAudioImport: () => ipcRenderer.invoke('import:cancel'),
+    getAudioImport: () => ipcRenderer.invoke('import:get-job'),
+    onAudioImportProgress: (callback) => ipcRenderer.on('import:progress', callback),
+    removeOnAudioImportProgress: (callback) => ipcRenderer.removeListener('import:progress', callback),
     
     // Ollama Management
     getOllamaStatus: () => ipcRenderer.invoke('ollama:get-status'),
@@ -356,8 +411,40 @@ contextBridge.exposeInMainWorld('api', {
       ipcRenderer.invoke('documents:uploadFile', filePath),
     
     // Open document in viewer
-    openDocument: (documentId) => 
-      ipcRenderer.invoke('documents:openDocument', documentId)
+    openDocument: (documentId, options = {}) => 
+      ipcRenderer.invoke('documents:openDocument', documentId, options),
+
+    // Passages most similar in meaning to a query
+    semanticSearch: (query, options = {}) => 
+      ipcRenderer.invoke('documents:semanticSearch', query, options),
+
+    // Embed documents that are not indexed yet
+    indexEmbeddings: (documentIds = null) => 
+      ipcRenderer.invoke('documents:indexEmbeddings', documentIds),
+
+    // Page index, section outline and parsed references
+    getStructure: (documentId) => 
+      ipcRenderer.invoke('documents:getStructure', documentId),
+
+    // Text and line boxes of one page
+    getPage: (documentId, pageNumber) => 
+      ipcRenderer.invoke('documents:getPage', documentId, pageNumber),
+
+    // Find a passage and return its page, offsets and line boxes
+    locateText: (documentId, text, options = {}) => 
+      ipcRenderer.invoke('documents:locateText', documentId, text, options),
+
+    // Text of the lines inside a rectangle on a page
+    getTextInRegion: (documentId, pageNumber, rect) => 
+      ipcRenderer.invoke('documents:getTextInRegion', documentId, pageNumber, rect),
+
+    // Re-extract text and structure from the stored file
+    reprocess: (documentId) => 
+      ipcRenderer.invoke('documents:reprocess', documentId),
+
+    // Listeners
+    onImportProgress: (callback) => ipcRenderer.on('documents:importProgress', callback),
+    removeOnImportProgress: (callback) => ipcRenderer.removeListener('documents:importProgress', callback)
   },
 
   // Annotation management API
@@ -399,7 +486,71 @@ contextBridge.exposeInMainWorld('api', {
     
     // Get user's imported papers
     getUserPapers: (limit = 50) => 
-      ipcRenderer.invoke('research:getUserPapers', limit)
+      ipcRenderer.invoke('research:getUserPapers', limit),
+    
+    // Resolve DOI metadata via CrossRef
+    resolveDoi: (doi) => 
+      ipcRenderer.invoke('research:resolveDoi', doi),
+    
+    // Import a paper from a DOI
+    importByDoi: (doi) => 
+      ipcRenderer.invoke('research:importByDoi', doi),
+    
+    // Refresh stored metadata for one paper
+    refreshPaper: (paperId) => 
+      ipcRenderer.invoke('research:refreshPaper', paperId),
+    
+    // Refresh never-enriched, outdated or preprint-only papers
+    refreshStalePapers: (options = {}) => 
+      ipcRenderer.invoke('research:refreshStalePapers', options),
+    
+    // Fetch and store references/citations for a library paper
+    fetchCitations: (paperId, options = {}) => 
+      ipcRenderer.invoke('research:fetchCitations', paperId, options),
+    
+    // Walk the citation graph N hops out from a library paper
+    getCitationGraph: (paperId, options = {}) => 
+      ipcRenderer.invoke('research:getCitationGraph', paperId, options),
+    
+    // Citations between papers already in the library
+    getLibraryCitations: () => 
+      ipcRenderer.invoke('research:getLibraryCitations'),
+    
+    // Papers frequently co-cited by the library that aren't imported yet
+    suggestCoCitedPapers: (options = {}) => 
+      ipcRenderer.invoke('research:suggestCoCitedPapers', options),
+    
+    // Export library/session/search results as 'bibtex', 'ris' or 'csljson'
+    exportBibliography: (scope, format = 'bibtex') => 
+      ipcRenderer.invoke('research:exportBibliography', scope, format),
+    
+    // Export and save to a file chosen in a save dialog
+    saveBibliography: (scope, format = 'bibtex') => 
+      ipcRenderer.invoke('research:saveBibliography', scope, format),
+    
+    // Import a .bib, .ris or CSL-JSON file into the library
+    importBibliography: (filePath, options = {}) => 
+      ipcRenderer.invoke('research:importBibliography', filePath, options),
+    
+    // Select bibliography files via dialog and import them
+    selectAndImportBibliography: () => 
+      ipcRenderer.invoke('research:selectAndImportBibliography'),
+    
+    // Create a research session ({ title, topic, questions, documentIds, annotationIds, mode }) and open it
+    createSession: (sessionData) => 
+      ipcRenderer.invoke('research:createSession', sessionData),
+    
+    // Research sessions, the open one first
+    listSessions: () => 
+      ipcRenderer.invoke('research:listSessions'),
+    
+    // Reopen a research session with its documents, annotations and ask/listen history
+    openSession: (sessionId) => 
+      ipcRenderer.invoke('research:openSession', sessionId),
+    
+    // Close a research session
+    closeSession: (sessionId) => 
+      ipcRenderer.invoke('research:closeSession', sessionId)
   },
 
   // Voice/TTS API
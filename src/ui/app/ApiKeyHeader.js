@@ -438,6 +438,8 @@ export class ApiKeyHeader extends LitElement {
             for (const id in config) {
                 // 'openai-glass' 같은 가상 Provider는 UI에 표시하지 않음
                 if (id.includes('-glass')) continue;
+                // Endpoint providers need a base URL and are set up in Settings
+                if (config[id].requiresEndpoint) continue;
                 const hasLlmModels = config[id].llmModels.length > 0 || id === 'ollama';
                 const hasSttModels = config[id].sttModels.length > 0 || id === 'whisper';
 
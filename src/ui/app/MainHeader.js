@@ -5,6 +5,8 @@ export class MainHeader extends LitElement {
         isTogglingSession: { type: Boolean, state: true },
         shortcuts: { type: Object, state: true },
         listenSessionStatus: { type: String, state: true },
+        researchMode: { type: String, state: true },
+        researchModes: { type: Object, state: true },
     };
 
     static styles = css`
@@ -213,6 +215,16 @@ export class MainHeader extends LitElement {
             margin-left: 4px;
         }
 
+        .mode-action {
+            margin-left: 4px;
+            background: rgba(255, 255, 255, 0.08);
+        }
+
+        .mode-action .action-text-content {
+            min-width: 58px;
+            text-align: center;
+        }
+
         .action-button,
         .action-text {
             padding-bottom: 1px;
@@ -353,6 +365,8 @@ export class MainHeader extends LitElement {
         this.settingsHideTimer = null;
         this.isTogglingSession = false;
         this.listenSessionStatus = 'beforeSession';
+        this.researchMode = 'exploration';
+        this.researchModes = {};
         this.animationEndTimer = null;
         this.handleAnimationEnd = this.handleAnimationEnd.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -496,6 +510,15 @@ export class MainHeader extends LitElement {
                 this.shortcuts = keybinds;
             };
             window.api.mainHeader.onShortcutsUpdated(this._shortcutListener);
+
+            this._researchModeListener = (event, { mode }) => {
+                this.researchMode = mode;
+            };
+            window.api.mainHeader.onResearchModeChanged(this._researchModeListener);
+            window.api.mainHeader.getResearchMode().then(({ mode, modes }) => {
+                this.researchMode = mode;
+                this.researchModes = modes;
+            }).catch(error => console.error('[MainHeader] Failed to load research mode:', error));
         }
     }
 
@@ -515,6 +538,9 @@ export class MainHeader extends LitElement {
             if (this._shortcutListener) {
                 window.api.mainHeader.removeOnShortcutsUpdated(this._shortcutListener);
             }
+            if (this._researchModeListener) {
+                window.api.mainHeader.removeOnResearchModeChanged(this._researchModeListener);
+            }
         }
     }
 
@@ -578,6 +604,19 @@ export class MainHeader extends LitElement {
         }
     }
 
+    async _handleModeClick() {
+        if (this.wasJustDragged) return;
+
+        try {
+            if (window.api) {
+                const result = await window.api.mainHeader.cycleResearchMode();
+                if (result?.success) this.researchMode = result.mode;
+            }
+        } catch (error) {
+            console.error('IPC invoke for research mode failed:', error);
+        }
+    }
+
     async _handleToggleAllWindowsVisibility() {
         if (this.wasJustDragged) return;
 
@@ -678,6 +717,16 @@ export class MainHeader extends LitElement {
                     </div>
                 </div>
 
+                <div
+                    class="header-actions mode-action"
+                    title="Research mode (${this.shortcuts.cycleResearchMode || 'click'} to switch)"
+                    @click=${() => this._handleModeClick()}
+                >
+                    <div class="action-text">
+                        <div class="action-text-content">${this.researchModes[this.researchMode]?.label || 'Explore'}</div>
+                    </div>
+                </div>
+
                 <div class="header-actions" @click=${() => this._handleToggleAllWindowsVisibility()}>
                     <div class="action-text">
                         <div class="action-text-content">Show/Hide</div>
@@ -79,6 +79,14 @@ export class RaniApp extends LitElement {
             window.api.raniApp.onClickThroughToggled((_, isEnabled) => {
                 this._isClickThrough = isEnabled;
             });
+
+            this._handleImportProgress = (_, progress) => {
+                const researchView = this.shadowRoot.querySelector('research-view');
+                if (researchView) {
+                    researchView.updateImportProgress(progress);
+                }
+            };
+            window.api.documents?.onImportProgress(this._handleImportProgress);
         }
     }
 
@@ -86,6 +94,7 @@ export class RaniApp extends LitElement {
         super.disconnectedCallback();
         if (window.api) {
             window.api.raniApp.removeAllClickThroughListeners();
+            window.api.documents?.removeOnImportProgress(this._handleImportProgress);
         }
     }
 
@@ -133,7 +142,7 @@ export class RaniApp extends LitElement {
                 const results = await window.api.research.searchPapers(query);
                 const researchView = this.shadowRoot.querySelector('research-view');
                 if (researchView) {
-                    researchView.updateSearchResults(results);
+                    researchView.updateSearchResults(results.papers, results.sources);
                 }
             } else {
                 // Fallback to mock data if API not available
@@ -204,9 +213,13 @@ export class RaniApp extends LitElement {
         const { files } = e.detail;
         try {
             if (window.api && window.api.documents) {
+                const supported = /\.(pdf|docx|md|markdown|txt)$/i;
                 for (const file of files) {
-                    if (file.type === 'application/pdf') {
+                    if (!supported.test(file.name)) continue;
+                    try {
                         await window.api.documents.uploadFile(file.path);
+                    } catch (error) {
+                        console.error(`Failed to upload ${file.name}:`, error);
                     }
                 }
                 // Refresh documents list
@@ -249,6 +262,48 @@ export class RaniApp extends LitElement {
         }
     }
 
+    async handleLoadResearchSessions() {
+        if (!window.api?.research) return;
+        try {
+            const sessions = await window.api.research.listSessions();
+            const open = sessions.find(session => session.isOpen);
+            const activeSession = open ? await window.api.research.openSession(open.id) : null;
+            this.shadowRoot.querySelector('research-view')?.updateResearchSessions(sessions, activeSession);
+        } catch (error) {
+            console.error('Failed to load research sessions:', error);
+        }
+    }
+
+    async handleCreateResearchSession(e) {
+        try {
+            const activeSession = await window.api.research.createSession(e.detail.sessionData);
+            const sessions = await window.api.research.listSessions();
+            this.shadowRoot.querySelector('research-view')?.updateResearchSessions(sessions, activeSession);
+        } catch (error) {
+            console.error('Failed to create research session:', error);
+        }
+    }
+
+    async handleOpenResearchSession(e) {
+        try {
+            const activeSession = await window.api.research.openSession(e.detail.sessionId);
+            const sessions = await window.api.research.listSessions();
+            this.shadowRoot.querySelector('research-view')?.updateResearchSessions(sessions, activeSession);
+        } catch (error) {
+            console.error('Failed to open research session:', error);
+        }
+    }
+
+    async handleCloseResearchSession(e) {
+        try {
+            await window.api.research.closeSession(e.detail.sessionId);
+            const sessions = await window.api.research.listSessions();
+            this.shadowRoot.querySelector('research-view')?.updateResearchSessions(sessions, null);
+        } catch (error) {
+            console.error('Failed to close research session:', error);
+        }
+    }
+
     handleDocumentSelected(e) {
         const { document } = e.detail;
         console.log('Document selected:', document);
@@ -282,6 +337,10 @@ export class RaniApp extends LitElement {
                     @load-documents=${this.handleLoadDocuments}
                     @document-selected=${this.handleDocumentSelected}
                     @open-document=${this.handleOpenDocument}
+                    @load-research-sessions=${this.handleLoadResearchSessions}
+                    @create-research-session=${this.handleCreateResearchSession}
+                    @open-research-session=${this.handleOpenResearchSession}
+                    @close-research-session=${this.handleCloseResearchSession}
                 ></research-view>`;
             case 'listen':
                 return html`<listen-view
@@ -3,6 +3,13 @@ import { parser, parser_write, parser_end, default_renderer } from '../../ui/ass
 import './askAudioCapture.js';
 import '../ask/askAudioCapture.js';
 
+const TOOL_LABELS = {
+    search_library: 'Searching your library',
+    search_papers: 'Searching papers',
+    get_annotations: 'Reading annotations',
+    read_transcript: 'Reading transcript',
+};
+
 export class AskView extends LitElement {
     static properties = {
         currentResponse: { type: String },
@@ -21,6 +28,9 @@ export class AskView extends LitElement {
         voiceActivity: { type: Boolean },
         conversationalResponse: { type: String },
         conversationHistory: { type: Array },
+        researchMode: { type: String },
+        researchModes: { type: Object },
+        toolCalls: { type: Array },
     };
 
     static styles = css`
@@ -256,6 +266,23 @@ export class AskView extends LitElement {
             overflow: hidden;
         }
 
+        .mode-badge {
+            -webkit-app-region: no-drag;
+            background: rgba(255, 255, 255, 0.1);
+            border: none;
+            border-radius: 4px;
+            padding: 2px 6px;
+            font-size: 11px;
+            color: rgba(255, 255, 255, 0.75);
+            cursor: pointer;
+            white-space: nowrap;
+        }
+
+        .mode-badge:hover {
+            background: rgba(255, 255, 255, 0.18);
+            color: white;
+        }
+
         .response-label.animating {
             animation: fadeInOut 0.3s ease-in-out;
         }
@@ -345,6 +372,45 @@ export class AskView extends LitElement {
             transform: translate(-50%, -50%) scale(1);
         }
 
+        .thread-button {
+            background: transparent;
+            color: rgba(255, 255, 255, 0.9);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            padding: 4px;
+            border-radius: 3px;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-width: 24px;
+            height: 24px;
+            flex-shrink: 0;
+            transition: background-color 0.15s ease;
+        }
+
+        .thread-button:hover {
+            background: rgba(255, 255, 255, 0.15);
+        }
+
+        .branch-button {
+            visibility: hidden;
+            background: none;
+            border: none;
+            padding: 2px 0;
+            margin-top: 4px;
+            font-size: 11px;
+            color: rgba(255, 255, 255, 0.5);
+            cursor: pointer;
+        }
+
+        .conversation-message.assistant:hover .branch-button {
+            visibility: visible;
+        }
+
+        .branch-button:hover {
+            color: rgba(255, 255, 255, 0.9);
+        }
+
         .close-button {
             background: rgba(255, 255, 255, 0.07);
             color: white;
@@ -876,6 +942,92 @@ export class AskView extends LitElement {
             /* Use the same styling as the main response content */
         }
 
+        .citation {
+            color: rgba(120, 180, 255, 0.95);
+            text-decoration: none;
+            font-size: 0.85em;
+            cursor: pointer;
+        }
+
+        .citation:hover {
+            text-decoration: underline;
+        }
+
+        .tool-activity {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin-top: 8px;
+        }
+
+        .tool-call {
+            font-size: 11px;
+            padding: 2px 6px;
+            border-radius: 3px;
+            background: rgba(255, 255, 255, 0.08);
+            color: rgba(255, 255, 255, 0.6);
+        }
+
+        .tool-call.running {
+            color: rgba(255, 255, 255, 0.9);
+            animation: pulse 1.5s ease-in-out infinite;
+        }
+
+        .tool-call.error {
+            color: rgba(255, 130, 130, 0.9);
+        }
+
+        .stop-notice {
+            margin-top: 8px;
+            font-size: 11px;
+            color: rgba(255, 200, 120, 0.9);
+        }
+
+        .stop-notice.error {
+            color: rgba(255, 130, 130, 0.9);
+        }
+
+        .answered-by {
+            margin-top: 6px;
+            font-size: 10px;
+            color: rgba(255, 255, 255, 0.45);
+        }
+
+        .answered-by.fallback {
+            color: rgba(255, 200, 120, 0.85);
+        }
+
+        .sources-list {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            margin-top: 10px;
+            padding-top: 8px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        .source-link {
+            background: none;
+            border: none;
+            padding: 0;
+            color: rgba(255, 255, 255, 0.65);
+            font-size: 12px;
+            text-align: left;
+            cursor: pointer;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .source-link:hover {
+            color: rgba(120, 180, 255, 0.95);
+        }
+
+        .source-link .source-index {
+            color: rgba(120, 180, 255, 0.95);
+            margin-right: 4px;
+        }
+
         /* Focus Lock: Hide all messages except those marked as focus-visible */
         :host(.focus-lock) .conversation-container .conversation-message {
             display: none !important;
@@ -906,6 +1058,9 @@ export class AskView extends LitElement {
         this.voiceActivity = false;
         this.conversationalResponse = '';
         this.conversationHistory = [];
+        this.researchMode = 'exploration';
+        this.toolCalls = [];
+        this.researchModes = {};
         this.conversationHistoryLoaded = false; // Flag to prevent duplicate loading
 
         // Focus lock for latest exchange mode
@@ -936,6 +1091,8 @@ export class AskView extends LitElement {
         this.handleCloseAskWindow = this.handleCloseAskWindow.bind(this);
         this.handleCloseIfNoContent = this.handleCloseIfNoContent.bind(this);
         this.handleMicClick = this.handleMicClick.bind(this);
+        this.handleThreadChanged = this.handleThreadChanged.bind(this);
+        this.handleNewThread = this.handleNewThread.bind(this);
 
         this.loadLibraries();
 
@@ -987,6 +1144,13 @@ export class AskView extends LitElement {
                   }
             });
 
+            window.api.askView.getResearchMode().then(({ mode, modes }) => {
+                this.researchMode = mode;
+                this.researchModes = modes;
+            }).catch(error => console.error('[AskView] Failed to load research mode:', error));
+
+            window.api.askView.onThreadChanged(this.handleThreadChanged);
+
             window.api.askView.onScrollResponseUp(() => this.handleScroll('up'));
             window.api.askView.onScrollResponseDown(() => this.handleScroll('down'));
             window.api.askView.onAskStateUpdate((event, newState) => {
@@ -1017,6 +1181,9 @@ export class AskView extends LitElement {
                 // Always update these non-reactive properties
                 this.sttTranscription = newState.sttTranscription || '';
                 this.conversationalResponse = newState.conversationalResponse || '';
+                const toolCalls = newState.toolCalls || [];
+                if (toolCallsKey(toolCalls) !== toolCallsKey(this.toolCalls)) this.toolCalls = toolCalls;
+                if (newState.researchMode) this.researchMode = newState.researchMode;
                 
                 // Debug streaming state changes
                 if (this.focusLock && (stateChanged.streaming || stateChanged.loading)) {
@@ -1043,7 +1210,12 @@ export class AskView extends LitElement {
                                       lastMessage.content.trim() === newState.currentResponse.trim();
                     
                     if (!isDuplicate) {
-                        this.addToConversationHistory('assistant', newState.currentResponse);
+                        this.addToConversationHistory('assistant', newState.currentResponse, Date.now(), newState.sources || [], {
+                            stopReason: newState.stopReason,
+                            model: newState.answeredBy,
+                            fallbackFrom: newState.fallbackFrom,
+                            toolCalls: newState.toolCalls
+                        });
                         console.log('📝 [Stream Complete] Added unique assistant response to history');
                     } else {
                         console.log('⚠️ [Stream Complete] Skipped duplicate assistant response');
@@ -1202,6 +1374,7 @@ export class AskView extends LitElement {
             window.api.askView.removeOnScrollResponseUp(this.handleScroll);
             window.api.askView.removeOnScrollResponseDown(this.handleScroll);
             window.api.askView.removeOnConversationalResponse();
+            window.api.askView.removeOnThreadChanged(this.handleThreadChanged);
             console.log('✅ AskView: IPC 이벤트 리스너 제거 필요');
         }
 
@@ -1750,6 +1923,37 @@ export class AskView extends LitElement {
         }
     }
 
+    /**
+     * Replace the visible conversation after a thread restart or branch
+     */
+    handleThreadChanged(event, { conversationHistory }) {
+        this.conversationHistory = conversationHistory || [];
+        this.currentResponse = '';
+        this.resetStreamingParser();
+        this.focusLock = false;
+        this.classList.remove('focus-lock');
+        this.updateComplete.then(() => this.scrollToBottom());
+    }
+
+    async handleNewThread() {
+        try {
+            await window.api.askView.restartThread();
+        } catch (error) {
+            console.error('[AskView] Failed to start a new thread:', error);
+        }
+    }
+
+    async handleBranch(index) {
+        try {
+            const result = await window.api.askView.branchThread(index + 1);
+            if (!result.success) {
+                console.error('[AskView] Failed to branch thread:', result.error);
+            }
+        } catch (error) {
+            console.error('[AskView] Failed to branch thread:', error);
+        }
+    }
+
     async handleMicClick() {
         try {
             if (this.isListening) {
@@ -1810,10 +2014,54 @@ export class AskView extends LitElement {
         }
     }
 
+    /**
+     * Lookups the assistant made while answering, e.g. "Searching your library: attention"
+     */
+    renderToolActivity(toolCalls) {
+        if (!toolCalls || toolCalls.length === 0) return '';
+        return html`
+            <div class="tool-activity">
+                ${toolCalls.map(call => html`
+                    <span class="tool-call ${call.status}" title=${call.name}>
+                        ${TOOL_LABELS[call.name] || call.name}${call.arguments?.query ? html`: <em>${call.arguments.query}</em>` : ''}
+                    </span>
+                `)}
+            </div>
+        `;
+    }
+
+    /**
+     * Note under an answer that did not end normally (truncated, filtered or failed)
+     */
+    renderStopNotice(stopReason) {
+        const notices = {
+            max_tokens: 'Answer cut off: reached the response length limit.',
+            content_filter: 'Answer stopped by the provider\'s content filter.',
+            error: 'Answer incomplete: the provider reported an error.',
+        };
+        const notice = notices[stopReason];
+        return notice ? html`<div class="stop-notice ${stopReason}">${notice}</div>` : '';
+    }
+
+    /**
+     * Which model answered, flagged when the selected model failed and a fallback stepped in
+     */
+    renderAnsweredBy(message) {
+        if (!message.model) return '';
+        if (message.fallbackFrom) {
+            return html`<div class="answered-by fallback" title="${message.fallbackFrom} was unavailable">
+                Answered by ${message.model} (fallback for ${message.fallbackFrom})
+            </div>`;
+        }
+        return html`<div class="answered-by">Answered by ${message.model}</div>`;
+    }
+
     /**
      * Add a new message to conversation history
+     * @param {Array} [sources] - Library sources cited by an assistant message
+     * @param {Object} [details] - How an assistant message was produced: { stopReason, model, fallbackFrom, toolCalls }
      */
-    addToConversationHistory(role, content, timestamp = Date.now()) {
+    addToConversationHistory(role, content, timestamp = Date.now(), sources = [], details = {}) {
         console.log(`📝 [History] Adding ${role} message to conversation history (current length: ${this.conversationHistory.length}, focus lock: ${this.focusLock})`);
         console.log(`📝 [History] Content preview: "${content.substring(0, 50)}..."`);
         
@@ -1825,7 +2073,12 @@ export class AskView extends LitElement {
             id: `temp-${Date.now()}`,
             role,
             content,
-            timestamp
+            timestamp,
+            sources,
+            stopReason: details.stopReason || null,
+            model: details.model || null,
+            fallbackFrom: details.fallbackFrom || null,
+            toolCalls: details.toolCalls || []
         });
         console.log(`📝 [History] New conversation history length: ${this.conversationHistory.length}`);
         this.requestUpdate();
@@ -1907,6 +2160,78 @@ export class AskView extends LitElement {
         }
     }
 
+    /**
+     * Turn [n] citation markers into links to the cited source
+     */
+    linkCitations(element, sources) {
+        if (!element || !sources || sources.length === 0) return;
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('pre, code, a')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        const pattern = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+        textNodes.forEach(node => {
+            const text = node.textContent;
+            if (!pattern.test(text)) return;
+            pattern.lastIndex = 0;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            for (const match of text.matchAll(pattern)) {
+                fragment.append(text.slice(lastIndex, match.index));
+                match[1].split(',').map(n => Number(n.trim())).forEach(index => {
+                    const source = sources.find(s => s.index === index);
+                    if (!source) {
+                        fragment.append(`[${index}]`);
+                        return;
+                    }
+                    const link = document.createElement('a');
+                    link.className = 'citation';
+                    link.href = '#';
+                    link.textContent = `[${index}]`;
+                    link.title = this.formatSourceLabel(source);
+                    link.addEventListener('click', event => {
+                        event.preventDefault();
+                        this.openSource(source);
+                    });
+                    fragment.append(link);
+                });
+                lastIndex = match.index + match[0].length;
+            }
+            fragment.append(text.slice(lastIndex));
+            node.replaceWith(fragment);
+        });
+    }
+
+    formatSourceLabel(source) {
+        return source.pageNumber ? `${source.title}, p. ${source.pageNumber}` : source.title;
+    }
+
+    renderSources(sources) {
+        return html`
+            <div class="sources-list">
+                ${sources.map(source => html`
+                    <button class="source-link" title=${this.formatSourceLabel(source)} @click=${() => this.openSource(source)}>
+                        <span class="source-index">[${source.index}]</span>${this.formatSourceLabel(source)}
+                    </button>
+                `)}
+            </div>
+        `;
+    }
+
+    async openSource(source) {
+        try {
+            await window.api.askView.openDocument(source.documentId, { pageNumber: source.pageNumber });
+        } catch (error) {
+            console.error('[AskView] Failed to open source:', error);
+        }
+    }
+
     /**
      * Scroll conversation container to bottom
      */
@@ -2068,9 +2393,11 @@ export class AskView extends LitElement {
         this.conversationHistory.forEach((message, index) => {
             if (message.role === 'assistant') {
                 const element = this.shadowRoot.querySelector(`#history-message-${index}`);
-                if (element && !element.dataset.rendered) {
+                // Keyed by message id: after a thread switch the same element can hold a different message
+                if (element && element.dataset.rendered !== String(message.id)) {
                     this.renderMarkdownIntoElement(element, message.content);
-                    element.dataset.rendered = 'true';
+                    this.linkCitations(element, message.sources);
+                    element.dataset.rendered = String(message.id);
                 }
             }
         });
@@ -2112,10 +2439,23 @@ export class AskView extends LitElement {
                             </svg>
                         </div>
                         <span class="response-label">${headerText}</span>
+                        <button
+                            class="mode-badge"
+                            title="Research mode (click to switch)"
+                            @click=${() => window.api?.askView.cycleResearchMode()}
+                        >
+                            ${this.researchModes[this.researchMode]?.label || this.researchMode}
+                        </button>
                     </div>
                     <div class="header-right">
                         <span class="question-text">${this.getTruncatedQuestion(this.currentQuestion)}</span>
                         <div class="header-controls">
+                            <button class="thread-button" title="New thread" @click=${this.handleNewThread}>
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <line x1="12" y1="5" x2="12" y2="19" />
+                                    <line x1="5" y1="12" x2="19" y2="12" />
+                                </svg>
+                            </button>
                             <button class="copy-button ${this.copyState === 'copied' ? 'copied' : ''}" @click=${this.handleCopy}>
                                 <svg class="copy-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <rect x="9" y="9" width="13" height="13" rx="2" ry="2" />
@@ -2152,6 +2492,15 @@ export class AskView extends LitElement {
                                 <div class="conversation-message-content" id="history-message-${index}" data-message-index="${index}" data-role="${message.role}">
                                     ${message.role === 'assistant' ? '' : message.content}
                                 </div>
+                                ${message.role === 'assistant' && message.sources?.length ? this.renderSources(message.sources) : ''}
+                                ${message.role === 'assistant' ? this.renderStopNotice(message.stopReason) : ''}
+                                ${message.role === 'assistant' ? this.renderToolActivity(message.toolCalls) : ''}
+                                ${message.role === 'assistant' ? this.renderAnsweredBy(message) : ''}
+                                ${message.role === 'assistant' ? html`
+                                    <button class="branch-button" title="Continue in a new thread from this answer" @click=${() => this.handleBranch(index)}>
+                                        Branch from here
+                                    </button>
+                                ` : ''}
                             </div>
                         `);
                     })()}
@@ -2169,6 +2518,7 @@ export class AskView extends LitElement {
                                 ` : ''}
                                 <!-- Content is dynamically generated in updateResponseContent() -->
                             </div>
+                            ${this.renderToolActivity(this.toolCalls)}
                         </div>
                     ` : ''}
                 </div>
@@ -2260,4 +2610,8 @@ export class AskView extends LitElement {
     }
 }
 
+function toolCallsKey(toolCalls) {
+    return (toolCalls || []).map(call => `${call.id}:${call.status}`).join('|');
+}
+
 customElements.define('ask-view', AskView);
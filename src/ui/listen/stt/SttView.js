@@ -1,5 +1,8 @@
 import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
 
+// Words the provider is less sure of than this are highlighted
+const LOW_CONFIDENCE = 0.6;
+
 export class SttView extends LitElement {
     static styles = css`
         :host {
@@ -67,6 +70,38 @@ export class SttView extends LitElement {
             margin-left: auto;
         }
 
+        .stt-meta {
+            display: block;
+            font-size: 10px;
+            opacity: 0.6;
+            margin-bottom: 2px;
+        }
+
+        .speaker-name {
+            cursor: pointer;
+            font-weight: 600;
+        }
+
+        .speaker-name:hover {
+            text-decoration: underline;
+        }
+
+        .speaker-input {
+            font-size: 10px;
+            width: 120px;
+            padding: 1px 4px;
+            border-radius: 4px;
+            border: 1px solid rgba(255, 255, 255, 0.4);
+            background: rgba(0, 0, 0, 0.3);
+            color: white;
+        }
+
+        .low-confidence {
+            text-decoration: underline dotted rgba(255, 200, 0, 0.9);
+            text-underline-offset: 3px;
+            color: rgba(255, 220, 120, 1);
+        }
+
         .empty-state {
             display: flex;
             align-items: center;
@@ -81,22 +116,26 @@ export class SttView extends LitElement {
     static properties = {
         sttMessages: { type: Array },
         isVisible: { type: Boolean },
+        editingMessageId: { type: Number },
     };
 
     constructor() {
         super();
         this.sttMessages = [];
         this.isVisible = true;
+        this.editingMessageId = null;
         this.messageIdCounter = 0;
         this._shouldScrollAfterUpdate = false;
 
         this.handleSttUpdate = this.handleSttUpdate.bind(this);
+        this.handleSpeakerRenamed = this.handleSpeakerRenamed.bind(this);
     }
 
     connectedCallback() {
         super.connectedCallback();
         if (window.api) {
             window.api.sttView.onSttUpdate(this.handleSttUpdate);
+            window.api.sttView.onSpeakerRenamed(this.handleSpeakerRenamed);
         }
     }
 
@@ -104,6 +143,7 @@ export class SttView extends LitElement {
         super.disconnectedCallback();
         if (window.api) {
             window.api.sttView.removeOnSttUpdate(this.handleSttUpdate);
+            window.api.sttView.removeOnSpeakerRenamed(this.handleSpeakerRenamed);
         }
     }
 
@@ -113,7 +153,7 @@ export class SttView extends LitElement {
         this.requestUpdate();
     }
 
-    handleSttUpdate(event, { speaker, text, isFinal, isPartial }) {
+    handleSttUpdate(event, { sessionId = null, speaker, label = speaker, text, words = null, startAt = null, isFinal, isPartial }) {
         if (text === undefined) return;
 
         const container = this.shadowRoot.querySelector('.transcription-container');
@@ -134,7 +174,11 @@ export class SttView extends LitElement {
             if (targetIdx !== -1) {
                 newMessages[targetIdx] = {
                     ...newMessages[targetIdx],
+                    sessionId,
+                    label,
                     text,
+                    words,
+                    startAt,
                     isPartial: true,
                     isFinal: false,
                 };
@@ -142,7 +186,11 @@ export class SttView extends LitElement {
                 newMessages.push({
                     id: this.messageIdCounter++,
                     speaker,
+                    sessionId,
+                    label,
                     text,
+                    words,
+                    startAt,
                     isPartial: true,
                     isFinal: false,
                 });
@@ -151,7 +199,11 @@ export class SttView extends LitElement {
             if (targetIdx !== -1) {
                 newMessages[targetIdx] = {
                     ...newMessages[targetIdx],
+                    sessionId,
+                    label,
                     text,
+                    words,
+                    startAt,
                     isPartial: false,
                     isFinal: true,
                 };
@@ -159,7 +211,11 @@ export class SttView extends LitElement {
                 newMessages.push({
                     id: this.messageIdCounter++,
                     speaker,
+                    sessionId,
+                    label,
                     text,
+                    words,
+                    startAt,
                     isPartial: false,
                     isFinal: true,
                 });
@@ -175,6 +231,39 @@ export class SttView extends LitElement {
         }));
     }
 
+    handleSpeakerRenamed(event, { sessionId, from, to }) {
+        this.sttMessages = this.sttMessages.map(msg =>
+            msg.sessionId === sessionId && msg.label === from ? { ...msg, label: to } : msg
+        );
+        this.dispatchEvent(new CustomEvent('stt-messages-updated', {
+            detail: { messages: this.sttMessages },
+            bubbles: true
+        }));
+    }
+
+    startRenaming(msg) {
+        if (!msg.sessionId) return;
+        this.editingMessageId = msg.id;
+        this.updateComplete.then(() => this.shadowRoot.querySelector('.speaker-input')?.select());
+    }
+
+    async handleRenameKeydown(e, msg) {
+        if (e.key === 'Escape') {
+            this.editingMessageId = null;
+            return;
+        }
+        if (e.key !== 'Enter') return;
+
+        const name = e.target.value.trim();
+        this.editingMessageId = null;
+        if (!name || name === msg.label) return;
+
+        const result = await window.api.sttView.renameSpeaker(msg.sessionId, msg.label, name);
+        if (!result?.success) {
+            console.error('[SttView] Failed to rename speaker:', result?.error);
+        }
+    }
+
     scrollToBottom() {
         setTimeout(() => {
             const container = this.shadowRoot.querySelector('.transcription-container');
@@ -188,8 +277,44 @@ export class SttView extends LitElement {
         return speaker.toLowerCase() === 'me' ? 'me' : 'them';
     }
 
+    formatTime(startAt) {
+        if (!startAt) return '';
+        return new Date(startAt * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    renderMessageText(msg) {
+        if (!msg.words?.length) return msg.text;
+
+        return msg.words.map((word, index) => {
+            const spacer = index > 0 ? ' ' : '';
+            if (typeof word.confidence !== 'number' || word.confidence >= LOW_CONFIDENCE) {
+                return `${spacer}${word.word}`;
+            }
+            const at = word.start ? ` at ${this.formatTime(word.start)}` : '';
+            return html`${spacer}<span class="low-confidence" title="${Math.round(word.confidence * 100)}% confidence${at}">${word.word}</span>`;
+        });
+    }
+
+    renderMeta(msg) {
+        const showName = msg.speaker !== 'Me' || msg.label !== 'Me';
+        if (!showName && !msg.startAt) return '';
+
+        const name = this.editingMessageId === msg.id
+            ? html`<input
+                  class="speaker-input"
+                  .value=${msg.label}
+                  @keydown=${e => this.handleRenameKeydown(e, msg)}
+                  @blur=${() => (this.editingMessageId = null)}
+              />`
+            : html`<span class="speaker-name" title="Click to rename this speaker" @click=${() => this.startRenaming(msg)}>${msg.label}</span>`;
+
+        return html`<span class="stt-meta">
+            ${showName ? name : ''}${showName && msg.startAt ? ' · ' : ''}${this.formatTime(msg.startAt)}
+        </span>`;
+    }
+
     getTranscriptText() {
-        return this.sttMessages.map(msg => `${msg.speaker}: ${msg.text}`).join('\n');
+        return this.sttMessages.map(msg => `${msg.label || msg.speaker}: ${msg.text}`).join('\n');
     }
 
     updated(changedProperties) {
@@ -214,7 +339,8 @@ export class SttView extends LitElement {
                     ? html`<div class="empty-state">Waiting for speech...</div>`
                     : this.sttMessages.map(msg => html`
                         <div class="stt-message ${this.getSpeakerClass(msg.speaker)}">
-                            ${msg.text}
+                            ${this.renderMeta(msg)}
+                            ${this.renderMessageText(msg)}
                         </div>
                     `)
                 }
@@ -231,6 +231,12 @@ export class SummaryView extends LitElement {
             font-size: 12px;
             font-style: italic;
         }
+
+        .answered-by {
+            margin-top: 8px;
+            font-size: 10px;
+            color: rgba(255, 200, 120, 0.85);
+        }
     `;
 
     static properties = {
@@ -539,6 +545,13 @@ export class SummaryView extends LitElement {
                                   )}
                               `
                             : ''}
+                        ${data.answeredBy?.fallbackFrom
+                            ? html`
+                                  <div class="answered-by" title="${data.answeredBy.fallbackFrom} was unavailable">
+                                      Summarized by ${data.answeredBy.model} (fallback for ${data.answeredBy.fallbackFrom})
+                                  </div>
+                              `
+                            : ''}
                     `}
             </div>
         `;
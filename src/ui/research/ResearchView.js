@@ -8,6 +8,13 @@ const classMap = (classes) => {
         .join(' ');
 };
 
+// Mirrors RESEARCH_MODES in features/common/prompts/researchModes.js
+const RESEARCH_MODE_OPTIONS = [
+    { id: 'exploration', label: 'Explore' },
+    { id: 'paper_analysis', label: 'Paper' },
+    { id: 'experiment', label: 'Experiment' }
+];
+
 /**
  * Research View Component for RANI
  * Main research interface with paper search, document management, and annotations
@@ -218,6 +225,16 @@ export class ResearchView extends LitElement {
             overflow: hidden;
         }
 
+        .source-warning {
+            padding: 0.5rem 0.75rem;
+            margin-bottom: 1rem;
+            border: 1px solid rgba(255, 193, 7, 0.4);
+            border-radius: 6px;
+            background: rgba(255, 193, 7, 0.1);
+            font-size: 0.75rem;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+        }
+
         .paper-actions {
             display: flex;
             gap: 0.5rem;
@@ -297,6 +314,88 @@ export class ResearchView extends LitElement {
             color: var(--description-color, rgba(255, 255, 255, 0.6));
         }
 
+        .import-progress {
+            margin-bottom: 1rem;
+            font-size: 0.75rem;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+        }
+
+        .import-progress .error {
+            color: #ff6b6b;
+        }
+
+        .session-picker {
+            display: flex;
+            gap: 0.5rem;
+            margin-top: 0.75rem;
+        }
+
+        .session-select {
+            flex: 1;
+            min-width: 0;
+            padding: 0.375rem 0.5rem;
+            border: 1px solid var(--border-color, rgba(255, 255, 255, 0.2));
+            border-radius: 6px;
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            color: var(--text-color, #e5e5e7);
+            font-size: 0.75rem;
+        }
+
+        .session-summary {
+            margin-top: 0.75rem;
+            font-size: 0.75rem;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+        }
+
+        .session-summary ul {
+            margin: 0.25rem 0;
+            padding-left: 1rem;
+        }
+
+        .session-form {
+            display: grid;
+            gap: 0.5rem;
+            margin-top: 0.75rem;
+        }
+
+        .session-form .search-input {
+            box-sizing: border-box;
+            font-family: inherit;
+            font-size: 0.75rem;
+        }
+
+        .session-form-documents {
+            max-height: 120px;
+            overflow-y: auto;
+            font-size: 0.75rem;
+        }
+
+        .session-form-documents label {
+            display: block;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .session-form-actions {
+            display: flex;
+            gap: 0.5rem;
+        }
+
+        .history-item {
+            padding: 0.75rem;
+            margin-bottom: 0.75rem;
+            background: var(--header-background, rgba(0, 0, 0, 0.8));
+            border: 1px solid var(--border-color, rgba(255, 255, 255, 0.2));
+            border-radius: 6px;
+            font-size: 0.8rem;
+        }
+
+        .history-item p {
+            margin: 0.25rem 0;
+            line-height: 1.4;
+        }
+
         @media (max-width: 768px) {
             .research-container {
                 flex-direction: column;
@@ -325,9 +424,14 @@ export class ResearchView extends LitElement {
         currentTab: { type: String },
         searchQuery: { type: String },
         searchResults: { type: Array },
+        searchSources: { type: Array },
         documents: { type: Array },
+        imports: { type: Array },
         isLoading: { type: Boolean },
-        selectedDocument: { type: Object }
+        selectedDocument: { type: Object },
+        researchSessions: { type: Array },
+        activeResearchSession: { type: Object },
+        showSessionForm: { type: Boolean }
     };
 
     constructor() {
@@ -335,14 +439,20 @@ export class ResearchView extends LitElement {
         this.currentTab = 'search';
         this.searchQuery = '';
         this.searchResults = [];
+        this.searchSources = [];
         this.documents = [];
+        this.imports = [];
         this.isLoading = false;
         this.selectedDocument = null;
+        this.researchSessions = [];
+        this.activeResearchSession = null;
+        this.showSessionForm = false;
     }
 
     connectedCallback() {
         super.connectedCallback();
         this.loadDocuments();
+        this.loadResearchSessions();
     }
 
     render() {
@@ -352,6 +462,7 @@ export class ResearchView extends LitElement {
                     <div class="sidebar-header">
                         <h2 class="sidebar-title">Research Library</h2>
                         <p class="sidebar-subtitle">Manage your papers and documents</p>
+                        ${this.renderSessionPicker()}
                     </div>
                     <div class="sidebar-content">
                         ${this.renderDocumentList()}
@@ -378,7 +489,7 @@ export class ResearchView extends LitElement {
                             ${this.isLoading ? 'Searching...' : 'Search Papers'}
                         </button>
                         <button class="secondary-button" @click=${this.handleUpload}>
-                            Upload PDF
+                            Upload Documents
                         </button>
                     </div>
 
@@ -402,6 +513,14 @@ export class ResearchView extends LitElement {
                             >
                                 Annotations
                             </div>
+                            ${this.activeResearchSession ? html`
+                                <div 
+                                    class="tab ${this.currentTab === 'history' ? 'active' : ''}"
+                                    @click=${() => this.currentTab = 'history'}
+                                >
+                                    Session History
+                                </div>
+                            ` : ''}
                         </div>
 
                         ${this.renderTabContent()}
@@ -419,6 +538,8 @@ export class ResearchView extends LitElement {
                 return this.renderLibrary();
             case 'annotations':
                 return this.renderAnnotations();
+            case 'history':
+                return this.renderSessionHistory();
             default:
                 return html`<div class="empty-state">Select a tab</div>`;
         }
@@ -429,8 +550,16 @@ export class ResearchView extends LitElement {
             return html`<div class="loading">Searching for papers...</div>`;
         }
 
+        const failedSources = this.searchSources.filter(status => status.error);
+        const sourceWarning = failedSources.length > 0 ? html`
+            <div class="source-warning">
+                ${failedSources.map(status => html`<div>${status.source} unavailable: ${status.error}</div>`)}
+            </div>
+        ` : '';
+
         if (this.searchResults.length === 0) {
             return html`
+                ${sourceWarning}
                 <div class="empty-state">
                     <h3>No search results</h3>
                     <p>Enter a search query to find research papers</p>
@@ -439,6 +568,7 @@ export class ResearchView extends LitElement {
         }
 
         return html`
+            ${sourceWarning}
             <div class="search-results">
                 ${this.searchResults.map(paper => this.renderPaperCard(paper))}
             </div>
@@ -454,7 +584,7 @@ export class ResearchView extends LitElement {
                     ${paper.year ? html`<span>${paper.year}</span>` : ''}
                     ${paper.venue ? html`<span>${paper.venue}</span>` : ''}
                     ${paper.citationCount ? html`<span>${paper.citationCount} citations</span>` : ''}
-                    <span class="source-tag">${paper.source}</span>
+                    <span class="source-tag">${(paper.sources || [paper.source]).join(' + ')}</span>
                 </div>
                 <p class="paper-abstract">${paper.abstract}</p>
                 <div class="paper-actions">
@@ -480,16 +610,26 @@ export class ResearchView extends LitElement {
     renderLibrary() {
         return html`
             <div class="upload-zone" @drop=${this.handleDrop} @dragover=${this.handleDragOver} @dragleave=${this.handleDragLeave}>
-                <p>Drop PDF files here to upload them to your research library</p>
+                <p>Drop PDF, Word, Markdown or text files here to add them to your research library</p>
                 <button class="action-button" @click=${this.handleUpload}>
                     Choose Files
                 </button>
             </div>
+
+            ${this.imports.length > 0 ? html`
+                <div class="import-progress">
+                    ${this.imports.map(item => html`
+                        <div class=${item.stage === 'error' ? 'error' : ''}>
+                            ${item.filename}: ${this.formatImportStage(item)}
+                        </div>
+                    `)}
+                </div>
+            ` : ''}
             
             ${this.documents.length === 0 ? html`
                 <div class="empty-state">
                     <h3>No documents yet</h3>
-                    <p>Upload PDF files or import papers from search results</p>
+                    <p>Upload documents or import papers from search results</p>
                 </div>
             ` : html`
                 <div class="document-list">
@@ -532,15 +672,124 @@ export class ResearchView extends LitElement {
         `;
     }
 
+    renderSessionPicker() {
+        const active = this.activeResearchSession?.session;
+
+        return html`
+            <div class="session-picker">
+                <select class="session-select" .value=${active?.id || ''} @change=${this.handleSessionSelect}>
+                    <option value="" ?selected=${!active}>No research session</option>
+                    ${this.researchSessions.map(session => html`
+                        <option value=${session.id} ?selected=${session.id === active?.id}>
+                            ${session.title}${session.isOpen ? '' : ` (${this.formatDate(session.endedAt)})`}
+                        </option>
+                    `)}
+                </select>
+                ${active ? html`
+                    <button class="secondary-button small-button" @click=${this.handleCloseSession}>Close</button>
+                ` : ''}
+                <button class="secondary-button small-button" @click=${() => this.showSessionForm = !this.showSessionForm}>
+                    New
+                </button>
+            </div>
+
+            ${this.showSessionForm ? this.renderSessionForm() : ''}
+
+            ${active && !this.showSessionForm ? html`
+                <div class="session-summary">
+                    ${active.topic ? html`<div>${active.topic}</div>` : ''}
+                    ${active.questions.length > 0 ? html`
+                        <ul>${active.questions.map(question => html`<li>${question}</li>`)}</ul>
+                    ` : ''}
+                    <div>
+                        ${this.activeResearchSession.documents.length} documents •
+                        ${this.activeResearchSession.annotations.length} annotations •
+                        ${this.activeResearchSession.history.length} ask/listen sessions
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderSessionForm() {
+        return html`
+            <form class="session-form" @submit=${this.handleCreateSession}>
+                <input class="search-input" name="title" placeholder="Title" required />
+                <input class="search-input" name="topic" placeholder="Topic" />
+                <textarea class="search-input" name="questions" rows="3" placeholder="Research questions, one per line"></textarea>
+                <select class="session-select" name="mode">
+                    ${RESEARCH_MODE_OPTIONS.map(mode => html`<option value=${mode.id}>${mode.label}</option>`)}
+                </select>
+                ${this.documents.length > 0 ? html`
+                    <div class="session-form-documents">
+                        ${this.documents.map(doc => html`
+                            <label><input type="checkbox" name="documentIds" value=${doc.id} /> ${doc.filename}</label>
+                        `)}
+                    </div>
+                ` : ''}
+                <div class="session-form-actions">
+                    <button class="action-button small-button" type="submit">Start session</button>
+                    <button class="secondary-button small-button" type="button" @click=${() => this.showSessionForm = false}>
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
     renderAnnotations() {
+        const annotations = this.activeResearchSession?.annotations || [];
+        if (annotations.length === 0) {
+            return html`
+                <div class="empty-state">
+                    <h3>Annotations</h3>
+                    <p>Your highlights and notes will appear here</p>
+                </div>
+            `;
+        }
+
         return html`
-            <div class="empty-state">
-                <h3>Annotations</h3>
-                <p>Your highlights and notes will appear here</p>
+            <div class="document-list">
+                ${annotations.map(annotation => html`
+                    <div class="document-item">
+                        <h4 class="document-name">${annotation.highlightText || annotation.noteText}</h4>
+                        <p class="document-info">
+                            ${annotation.document?.filename || ''} • p. ${annotation.pageNumber}
+                            ${annotation.highlightText && annotation.noteText ? html` • ${annotation.noteText}` : ''}
+                        </p>
+                    </div>
+                `)}
             </div>
         `;
     }
 
+    renderSessionHistory() {
+        const history = this.activeResearchSession?.history || [];
+        if (history.length === 0) {
+            return html`
+                <div class="empty-state">
+                    <h3>No ask or listen history yet</h3>
+                    <p>Questions and transcripts from this research session will appear here</p>
+                </div>
+            `;
+        }
+
+        return html`
+            ${history.map(entry => html`
+                <div class="history-item">
+                    <h4 class="document-name">${entry.title}</h4>
+                    <p class="document-info">${entry.type} • ${this.formatDate(entry.startedAt)}</p>
+                    ${entry.messages.map(message => html`
+                        <p><strong>${message.role === 'user' ? 'You' : 'Assistant'}:</strong> ${message.content}</p>
+                    `)}
+                    ${entry.transcripts.map(transcript => html`
+                        <p><strong>${transcript.speaker}:</strong> ${transcript.text}</p>
+                    `)}
+                </div>
+            `)}
+        `;
+    }
+
     // Event handlers
     handleSearchInput(e) {
         this.searchQuery = e.target.value;
@@ -631,6 +880,53 @@ export class ResearchView extends LitElement {
         }
     }
 
+    loadResearchSessions() {
+        this.dispatchEvent(new CustomEvent('load-research-sessions', {
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    handleSessionSelect(e) {
+        const sessionId = e.target.value;
+        if (sessionId) {
+            this.dispatchEvent(new CustomEvent('open-research-session', {
+                detail: { sessionId },
+                bubbles: true,
+                composed: true
+            }));
+        } else if (this.activeResearchSession) {
+            this.handleCloseSession();
+        }
+    }
+
+    handleCloseSession() {
+        this.dispatchEvent(new CustomEvent('close-research-session', {
+            detail: { sessionId: this.activeResearchSession.session.id },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    handleCreateSession(e) {
+        e.preventDefault();
+        const form = new FormData(e.target);
+        const sessionData = {
+            title: form.get('title'),
+            topic: form.get('topic'),
+            questions: form.get('questions').split('\n'),
+            mode: form.get('mode'),
+            documentIds: form.getAll('documentIds')
+        };
+
+        this.showSessionForm = false;
+        this.dispatchEvent(new CustomEvent('create-research-session', {
+            detail: { sessionData },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
     selectDocument(document) {
         this.selectedDocument = document;
         this.dispatchEvent(new CustomEvent('document-selected', {
@@ -649,8 +945,9 @@ export class ResearchView extends LitElement {
     }
 
     // Public methods for updating from parent
-    updateSearchResults(results) {
+    updateSearchResults(results, sources = []) {
         this.searchResults = results;
+        this.searchSources = sources;
         this.requestUpdate();
     }
 
@@ -659,7 +956,35 @@ export class ResearchView extends LitElement {
         this.requestUpdate();
     }
 
+    updateResearchSessions(sessions, activeSession = this.activeResearchSession) {
+        this.researchSessions = sessions;
+        this.activeResearchSession = activeSession;
+        if (!activeSession && this.currentTab === 'history') {
+            this.currentTab = 'search';
+        }
+    }
+
+    updateImportProgress(progress) {
+        const others = this.imports.filter(item => item.importId !== progress.importId);
+        this.imports = [...others, progress];
+
+        if (['complete', 'duplicate', 'error'].includes(progress.stage)) {
+            setTimeout(() => {
+                this.imports = this.imports.filter(item => item !== progress);
+            }, progress.stage === 'error' ? 8000 : 3000);
+        }
+    }
+
     // Utility methods
+    formatImportStage(item) {
+        switch (item.stage) {
+            case 'complete': return 'imported';
+            case 'duplicate': return 'already in library';
+            case 'error': return `failed (${item.error})`;
+            default: return `${item.stage}… ${Math.round(item.progress * 100)}%`;
+        }
+    }
+
     formatFileSize(bytes) {
         const sizes = ['Bytes', 'KB', 'MB', 'GB'];
         if (bytes === 0) return '0 Bytes';
@@ -393,10 +393,12 @@ export class SettingsView extends LitElement {
             color: white;
             font-weight: 600;
         }
-        .provider-key-group input {
+        .provider-key-group input, .provider-key-group textarea {
             width: 100%; background: rgba(0,0,0,0.2); border: 1px solid rgba(255,255,255,0.2);
             color: white; border-radius: 4px; padding: 5px 8px; font-size: 11px; box-sizing: border-box;
         }
+        .provider-key-group textarea { resize: vertical; min-height: 36px; font-family: inherit; }
+        .endpoint-status { font-size: 10px; color: rgba(0, 255, 0, 0.8); margin-left: 2px; }
         .key-buttons { display: flex; gap: 4px; }
         .key-buttons .settings-button { flex: 1; padding: 4px; }
         .model-list {
@@ -423,6 +425,24 @@ export class SettingsView extends LitElement {
         }
         .model-status.installed { color: rgba(0, 255, 0, 0.8); }
         .model-status.not-installed { color: rgba(255, 200, 0, 0.8); }
+        .fallback-item { cursor: default; gap: 6px; }
+        .fallback-item:hover { background-color: transparent; }
+        .fallback-item .fallback-name { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .fallback-item .settings-button { padding: 1px 6px; font-size: 10px; }
+        .fallback-hint { font-size: 10px; color: rgba(255,255,255,0.5); }
+        .model-capabilities { font-size: 9px; color: rgba(255,255,255,0.5); margin-left: 8px; white-space: nowrap; }
+        .model-settings-row { display: flex; gap: 4px; }
+        .model-settings-row input {
+            flex: 1; min-width: 0; background: rgba(0,0,0,0.2); border: 1px solid rgba(255,255,255,0.2);
+            color: white; border-radius: 4px; padding: 4px 6px; font-size: 10px; box-sizing: border-box;
+        }
+        .feature-model-row { display: flex; align-items: center; gap: 6px; font-size: 11px; }
+        .feature-model-row span { width: 90px; flex-shrink: 0; }
+        .feature-model-row select {
+            flex: 1; min-width: 0; background: rgba(0,0,0,0.2); border: 1px solid rgba(255,255,255,0.2);
+            color: white; border-radius: 4px; padding: 3px 4px; font-size: 10px;
+        }
+        .feature-model-row option { background: #1e1e1e; }
         .install-progress {
             flex: 1;
             height: 4px;
@@ -492,6 +512,16 @@ export class SettingsView extends LitElement {
         availableSttModels: { type: Array, state: true },
         selectedLlm: { type: String, state: true },
         selectedStt: { type: String, state: true },
+        fallbackChain: { type: Array, state: true },
+        fallbackOptions: { type: Array, state: true },
+        featureModels: { type: Array, state: true },
+        featureModelOptions: { type: Array, state: true },
+        usageReport: { type: Object, state: true },
+        budgetWarning: { type: String, state: true },
+        recordingSettings: { type: Object, state: true },
+        audioImport: { type: Object, state: true },
+        customEndpoints: { type: Object, state: true },
+        selectedLlmSettings: { type: Object, state: true },
         isLlmListVisible: { type: Boolean },
         isSttListVisible: { type: Boolean },
         presets: { type: Array, state: true },
@@ -522,6 +552,16 @@ export class SettingsView extends LitElement {
         this.availableSttModels = [];
         this.selectedLlm = null;
         this.selectedStt = null;
+        this.fallbackChain = [];
+        this.fallbackOptions = [];
+        this.featureModels = [];
+        this.featureModelOptions = [];
+        this.usageReport = null;
+        this.budgetWarning = null;
+        this.recordingSettings = null;
+        this.audioImport = null;
+        this.customEndpoints = {};
+        this.selectedLlmSettings = null;
         this.isLlmListVisible = false;
         this.isSttListVisible = false;
         this.presets = [];
@@ -632,6 +672,13 @@ export class SettingsView extends LitElement {
                 this.selectedLlm = selectedModels.llm;
                 this.selectedStt = selectedModels.stt;
             }
+            await this.loadFallbackChain();
+            await this.loadFeatureModels();
+            await this.loadCustomEndpoints();
+            await this.loadUsage();
+            await this.loadRecordingSettings();
+            this.audioImport = await window.api.settingsView.getAudioImport();
+            await this.loadSelectedLlmSettings();
 
             this.presets = presets || [];
             this.isContentProtectionOn = contentProtection;
@@ -729,8 +776,195 @@ export class SettingsView extends LitElement {
         this.selectedLlm = selected.llm;
         this.selectedStt = selected.stt;
         this.apiKeys = storedKeys;
+        await this.loadFallbackChain();
+        await this.loadFeatureModels();
+        await this.loadSelectedLlmSettings();
         this.requestUpdate();
     }
+
+    async loadSelectedLlmSettings() {
+        this.selectedLlmSettings = this.selectedLlm
+            ? await window.api.settingsView.getLlmModelSettings(this.selectedLlm)
+            : null;
+    }
+
+    async handleSaveModelSettings() {
+        const temperature = this.shadowRoot.querySelector('#llm-temperature')?.value;
+        const maxTokens = this.shadowRoot.querySelector('#llm-max-tokens')?.value;
+
+        this.saving = true;
+        const result = await window.api.settingsView.setLlmModelSettings({
+            modelId: this.selectedLlm,
+            settings: { temperature, maxTokens },
+        });
+        if (result.success) {
+            await this.loadSelectedLlmSettings();
+        } else {
+            alert(result.error);
+        }
+        this.saving = false;
+    }
+
+    async handleRefreshModelCatalogs() {
+        this.saving = true;
+        const results = await window.api.settingsView.refreshModelCatalogs();
+        const failed = Object.entries(results).filter(([, result]) => !result.success);
+        this.providerConfig = await window.api.settingsView.getProviderConfig();
+        await this.refreshModelData();
+        this.saving = false;
+        if (failed.length > 0) {
+            alert(`Could not refresh: ${failed.map(([provider, result]) => `${provider} (${result.error})`).join(', ')}`);
+        }
+    }
+
+    async loadCustomEndpoints() {
+        const endpoints = {};
+        for (const [id, config] of Object.entries(this.providerConfig)) {
+            if (config.requiresEndpoint) {
+                endpoints[id] = await window.api.settingsView.getCustomEndpoint(id);
+            }
+        }
+        this.customEndpoints = endpoints;
+    }
+
+    async handleSaveEndpoint(provider) {
+        const baseUrl = this.shadowRoot.querySelector(`#endpoint-url-${provider}`)?.value.trim();
+        const apiKey = this.shadowRoot.querySelector(`#key-input-${provider}`)?.value.trim();
+        const headersText = this.shadowRoot.querySelector(`#endpoint-headers-${provider}`)?.value || '';
+        if (!baseUrl) {
+            alert('Enter the base URL of the endpoint, e.g. http://localhost:8000/v1');
+            return;
+        }
+
+        this.saving = true;
+        const result = await window.api.settingsView.setCustomEndpoint({ provider, baseUrl, apiKey, headers: parseHeaderLines(headersText) });
+        if (result.success) {
+            this.providerConfig = await window.api.settingsView.getProviderConfig();
+            await this.loadCustomEndpoints();
+            await this.refreshModelData();
+        } else {
+            alert(`Failed to connect to ${baseUrl}: ${result.error}`);
+        }
+        this.saving = false;
+    }
+
+    async handleRefreshEndpointModels(provider) {
+        this.saving = true;
+        const result = await window.api.settingsView.refreshEndpointModels(provider);
+        if (result.success) {
+            this.providerConfig = await window.api.settingsView.getProviderConfig();
+            await this.loadCustomEndpoints();
+            await this.refreshModelData();
+        } else {
+            alert(`Failed to refresh models: ${result.error}`);
+        }
+        this.saving = false;
+    }
+
+    async loadFallbackChain() {
+        const result = await window.api.settingsView.getFallbackChain();
+        this.fallbackChain = result?.chain || [];
+        this.fallbackOptions = result?.options || [];
+    }
+
+    async updateFallbackChain(chain) {
+        this.saving = true;
+        const result = await window.api.settingsView.setFallbackChain(chain);
+        if (result?.success) {
+            this.fallbackChain = result.chain;
+        }
+        this.saving = false;
+    }
+
+    async loadFeatureModels() {
+        const result = await window.api.settingsView.getFeatureModels();
+        this.featureModels = result?.features || [];
+        this.featureModelOptions = result?.options || [];
+    }
+
+    async handleFeatureModelChange(feature, value) {
+        // Option values are "provider/model"; model ids may contain slashes themselves
+        const separator = value.indexOf('/');
+        const route = value ? { provider: value.slice(0, separator), model: value.slice(separator + 1) } : null;
+
+        this.saving = true;
+        const result = await window.api.settingsView.setFeatureModel({ feature, route });
+        if (!result?.success) {
+            alert(`Failed to set model: ${result?.error || 'Unknown error'}`);
+        }
+        await this.loadFeatureModels();
+        this.saving = false;
+    }
+
+    async loadUsage() {
+        this.usageReport = await window.api.settingsView.getUsageReport({ days: 30 });
+    }
+
+    async handleSaveBudgets() {
+        const dailyUsd = this.shadowRoot.querySelector('#budget-daily')?.value;
+        const monthlyUsd = this.shadowRoot.querySelector('#budget-monthly')?.value;
+
+        this.saving = true;
+        const result = await window.api.settingsView.setUsageBudgets({ dailyUsd, monthlyUsd });
+        if (!result?.success) {
+            alert(`Failed to save budgets: ${result?.error || 'Unknown error'}`);
+        }
+        this.budgetWarning = null;
+        await this.loadUsage();
+        this.saving = false;
+    }
+
+    async loadRecordingSettings() {
+        this.recordingSettings = await window.api.settingsView.getRecordingSettings();
+    }
+
+    async handleToggleRecording() {
+        this.saving = true;
+        const result = await window.api.settingsView.setRecordingSettings({ enabled: !this.recordingSettings.enabled });
+        if (!result?.success) {
+            alert(`Failed to change recording: ${result?.error || 'Unknown error'}`);
+        }
+        await this.loadRecordingSettings();
+        this.saving = false;
+    }
+
+    async handleSaveRecordingLimits() {
+        const retentionDays = this.shadowRoot.querySelector('#recording-retention-days')?.value;
+        const maxStorageMb = this.shadowRoot.querySelector('#recording-max-storage')?.value;
+
+        this.saving = true;
+        const result = await window.api.settingsView.setRecordingSettings({ retentionDays, maxStorageMb });
+        if (!result?.success) {
+            alert(`Failed to save recording limits: ${result?.error || 'Unknown error'}`);
+        }
+        await this.loadRecordingSettings();
+        this.saving = false;
+    }
+
+    async handleImportAudioFile() {
+        const result = await window.api.settingsView.importAudioFile();
+        if (result?.canceled) return;
+        if (!result?.success) {
+            alert(`Failed to transcribe the file: ${result?.error || 'Unknown error'}`);
+            return;
+        }
+        this.audioImport = result.job;
+    }
+
+    async handleCancelAudioImport() {
+        const result = await window.api.settingsView.cancelAudioImport();
+        if (!result?.success) {
+            alert(`Failed to cancel: ${result?.error || 'Unknown error'}`);
+        }
+    }
+
+    moveFallback(index, offset) {
+        const chain = [...this.fallbackChain];
+        const target = index + offset;
+        if (target < 0 || target >= chain.length) return;
+        [chain[index], chain[target]] = [chain[target], chain[index]];
+        this.updateFallbackChain(chain);
+    }
     
     async toggleModelList(type) {
         const visibilityProp = type === 'llm' ? 'isLlmListVisible' : 'isSttListVisible';
@@ -774,7 +1008,10 @@ export class SettingsView extends LitElement {
         
         this.saving = true;
         await window.api.settingsView.setSelectedModel({ type, modelId });
-        if (type === 'llm') this.selectedLlm = modelId;
+        if (type === 'llm') {
+            this.selectedLlm = modelId;
+            await this.loadSelectedLlmSettings();
+        }
         if (type === 'stt') this.selectedStt = modelId;
         this.isLlmListVisible = false;
         this.isSttListVisible = false;
@@ -986,6 +1223,13 @@ export class SettingsView extends LitElement {
                 console.error('[SettingsView] Failed to refresh presets:', error);
             }
         };
+        this._budgetWarningListener = (event, warning) => {
+            this.budgetWarning = warning.message;
+            this.loadUsage();
+        };
+        this._audioImportListener = (event, job) => {
+            this.audioImport = job;
+        };
         this._shortcutListener = (event, keybinds) => {
             console.log('[SettingsView] Received updated shortcuts:', keybinds);
             this.shortcuts = keybinds;
@@ -995,6 +1239,8 @@ export class SettingsView extends LitElement {
         window.api.settingsView.onSettingsUpdated(this._settingsUpdatedListener);
         window.api.settingsView.onPresetsUpdated(this._presetsUpdatedListener);
         window.api.settingsView.onShortcutsUpdated(this._shortcutListener);
+        window.api.settingsView.onBudgetWarning(this._budgetWarningListener);
+        window.api.settingsView.onAudioImportProgress(this._audioImportListener);
     }
 
     cleanupIpcListeners() {
@@ -1012,6 +1258,12 @@ export class SettingsView extends LitElement {
         if (this._shortcutListener) {
             window.api.settingsView.removeOnShortcutsUpdated(this._shortcutListener);
         }
+        if (this._budgetWarningListener) {
+            window.api.settingsView.removeOnBudgetWarning(this._budgetWarningListener);
+        }
+        if (this._audioImportListener) {
+            window.api.settingsView.removeOnAudioImportProgress(this._audioImportListener);
+        }
     }
 
     setupWindowResize() {
@@ -1248,6 +1500,29 @@ export class SettingsView extends LitElement {
                             `;
                         }
                         
+                        if (config.requiresEndpoint) {
+                            const endpoint = this.customEndpoints[id] || {};
+                            const isConnected = !!this.apiKeys[id] && !!endpoint.baseUrl;
+                            const headerLines = Object.entries(endpoint.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+                            return html`
+                                <div class="provider-key-group">
+                                    <label for="endpoint-url-${id}">${config.name} Endpoint</label>
+                                    <input type="text" id="endpoint-url-${id}" placeholder="http://localhost:8000/v1" .value=${endpoint.baseUrl || ''}>
+                                    <input type="password" id="key-input-${id}" placeholder="API key (optional)"
+                                        .value=${this.apiKeys[id] && this.apiKeys[id] !== 'local' ? this.apiKeys[id] : ''}>
+                                    <textarea id="endpoint-headers-${id}" rows="2" placeholder="Extra headers, one per line (Header-Name: value)" .value=${headerLines}></textarea>
+                                    ${isConnected ? html`<span class="endpoint-status">✓ Connected · ${endpoint.models?.length || 0} models</span>` : ''}
+                                    <div class="key-buttons">
+                                        <button class="settings-button" @click=${() => this.handleSaveEndpoint(id)} ?disabled=${this.saving}>Connect</button>
+                                        ${isConnected ? html`
+                                            <button class="settings-button" @click=${() => this.handleRefreshEndpointModels(id)} ?disabled=${this.saving}>Refresh Models</button>
+                                        ` : ''}
+                                        <button class="settings-button danger" @click=${() => this.handleClearKey(id)} ?disabled=${this.saving}>Clear</button>
+                                    </div>
+                                </div>
+                            `;
+                        }
+
                         // Regular providers
                         return html`
                         <div class="provider-key-group">
@@ -1272,6 +1547,63 @@ export class SettingsView extends LitElement {
             return model ? model.name : id;
         }
 
+        const selectedLlmProvider = this.getProviderForModel('llm', this.selectedLlm);
+        const fallbackOption = (provider) => this.fallbackOptions.find(option => option.provider === provider);
+        const addableFallbacks = this.fallbackOptions.filter(option =>
+            option.provider !== selectedLlmProvider && !this.fallbackChain.includes(option.provider));
+
+        const fallbackChainHTML = html`
+            <div class="model-select-group">
+                <label>Fallback Models</label>
+                <span class="fallback-hint">Tried in order when the LLM model fails or is rate limited.</span>
+                ${this.fallbackChain.length > 0 ? html`
+                    <div class="model-list">
+                        ${this.fallbackChain.map((provider, index) => {
+                            const option = fallbackOption(provider);
+                            return html`
+                                <div class="model-item fallback-item">
+                                    <span class="fallback-name">${index + 1}. ${option?.name || provider} · ${option?.model || ''}</span>
+                                    <button class="settings-button" title="Move up" @click=${() => this.moveFallback(index, -1)} ?disabled=${this.saving || index === 0}>↑</button>
+                                    <button class="settings-button" title="Move down" @click=${() => this.moveFallback(index, 1)} ?disabled=${this.saving || index === this.fallbackChain.length - 1}>↓</button>
+                                    <button class="settings-button danger" title="Remove" @click=${() => this.updateFallbackChain(this.fallbackChain.filter(p => p !== provider))} ?disabled=${this.saving}>×</button>
+                                </div>
+                            `;
+                        })}
+                    </div>
+                ` : ''}
+                ${addableFallbacks.length > 0 ? html`
+                    <div class="model-list">
+                        ${addableFallbacks.map(option => html`
+                            <div class="model-item" @click=${() => !this.saving && this.updateFallbackChain([...this.fallbackChain, option.provider])}>
+                                <span>+ ${option.name} · ${option.model}</span>
+                            </div>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        const featureModelsHTML = this.featureModels.length > 0 && this.featureModelOptions.length > 0 ? html`
+            <div class="model-select-group">
+                <label>Model per Feature</label>
+                <span class="fallback-hint">Features left on the LLM model follow it. A local model is never swapped for a cloud fallback.</span>
+                ${this.featureModels.map(feature => html`
+                    <div class="feature-model-row">
+                        <span>${feature.name}</span>
+                        <select ?disabled=${this.saving} @change=${e => this.handleFeatureModelChange(feature.id, e.target.value)}>
+                            <option value="" ?selected=${!feature.model}>LLM model</option>
+                            ${this.featureModelOptions.map(option => html`
+                                <option value="${option.provider}/${option.id}"
+                                    ?selected=${feature.provider === option.provider && feature.model === option.id}>
+                                    ${option.providerName} · ${option.name}
+                                </option>
+                            `)}
+                        </select>
+                    </div>
+                `)}
+            </div>
+        ` : '';
+
         const modelSelectionHTML = html`
             <div class="model-selection-section">
                 <div class="model-select-group">
@@ -1291,6 +1623,7 @@ export class SettingsView extends LitElement {
                                     <div class="model-item ${this.selectedLlm === model.id ? 'selected' : ''}" 
                                          @click=${() => this.selectModel('llm', model.id)}>
                                         <span>${model.name}</span>
+                                        <span class="model-capabilities">${formatCapabilities(model.capabilities)}</span>
                                         ${isOllama ? html`
                                             ${isInstalling ? html`
                                                 <div class="install-progress">
@@ -1306,6 +1639,21 @@ export class SettingsView extends LitElement {
                                 `;
                             })}
                         </div>
+                        <button class="settings-button full-width" @click=${this.handleRefreshModelCatalogs} ?disabled=${this.saving}>
+                            Refresh Model Lists
+                        </button>
+                    ` : ''}
+                    ${this.selectedLlm && this.selectedLlmSettings ? html`
+                        <span class="fallback-hint">${formatCapabilities(this.selectedLlmSettings.capabilities) || 'Capabilities unknown'}</span>
+                        <div class="model-settings-row">
+                            <input type="number" id="llm-temperature" min="0" max="2" step="0.1" placeholder="Temperature"
+                                title="Temperature for this model; empty uses each feature's default"
+                                .value=${this.selectedLlmSettings.modelSettings?.temperature ?? ''}>
+                            <input type="number" id="llm-max-tokens" min="1" placeholder="Max output tokens"
+                                title="Output token limit for this model; empty uses each feature's default"
+                                .value=${this.selectedLlmSettings.modelSettings?.maxTokens ?? ''}>
+                            <button class="settings-button" @click=${this.handleSaveModelSettings} ?disabled=${this.saving}>Save</button>
+                        </div>
                     ` : ''}
                 </div>
                 <div class="model-select-group">
@@ -1344,6 +1692,77 @@ export class SettingsView extends LitElement {
                         </div>
                     ` : ''}
                 </div>
+                ${featureModelsHTML}
+                ${fallbackChainHTML}
+            </div>
+        `;
+
+        const usage = this.usageReport;
+        const usageHTML = usage ? html`
+            <div class="model-selection-section">
+                <div class="model-select-group">
+                    <label>
+                        AI Spend: <strong>${formatUsd(usage.budgets.daily.spentUsd)}</strong> today,
+                        <strong>${formatUsd(usage.budgets.monthly.spentUsd)}</strong> this month
+                    </label>
+                    ${this.budgetWarning ? html`<span class="fallback-hint" style="color: rgba(255, 200, 0, 0.9);">${this.budgetWarning}</span>` : ''}
+                    ${usage.byProvider.map(row => html`
+                        <span class="fallback-hint">
+                            ${row.group_key}: ${formatUsd(row.cost_usd)} · ${(row.input_tokens + row.output_tokens).toLocaleString()} tokens${row.audio_seconds ? ` · ${Math.round(row.audio_seconds / 60)} min audio` : ''}
+                        </span>
+                    `)}
+                    ${usage.totals.unpriced_calls > 0 ? html`
+                        <span class="fallback-hint">${usage.totals.unpriced_calls} calls to models without a known price are not counted.</span>
+                    ` : ''}
+                    <span class="fallback-hint">Last ${usage.days} days. Budgets warn at 80% and 100%; nothing is blocked.</span>
+                    <div class="model-settings-row">
+                        <input type="number" id="budget-daily" min="0" step="0.5" placeholder="Daily budget (USD)"
+                            .value=${usage.budgets.daily.limitUsd ?? ''}>
+                        <input type="number" id="budget-monthly" min="0" step="1" placeholder="Monthly budget (USD)"
+                            .value=${usage.budgets.monthly.limitUsd ?? ''}>
+                        <button class="settings-button" @click=${this.handleSaveBudgets} ?disabled=${this.saving}>Save</button>
+                    </div>
+                </div>
+            </div>
+        ` : '';
+
+        const recording = this.recordingSettings;
+        const recordingHTML = recording ? html`
+            <div class="model-selection-section">
+                <div class="model-select-group">
+                    <button class="settings-button full-width" @click=${this.handleToggleRecording} ?disabled=${this.saving}>
+                        <span>Record Listen Audio: ${recording.enabled ? 'On' : 'Off'}</span>
+                    </button>
+                    <span class="fallback-hint">Recordings stay on this computer and can be played back and transcribed again from Activity.</span>
+                    <div class="model-settings-row">
+                        <input type="number" id="recording-retention-days" min="1" step="1" placeholder="Keep (days)"
+                            .value=${recording.retentionDays}>
+                        <input type="number" id="recording-max-storage" min="1" step="100" placeholder="Max storage (MB)"
+                            .value=${recording.maxStorageMb}>
+                        <button class="settings-button" @click=${this.handleSaveRecordingLimits} ?disabled=${this.saving}>Save</button>
+                    </div>
+                    <span class="fallback-hint">Kept ${recording.retentionDays} days, up to ${recording.maxStorageMb} MB; the oldest are deleted first.</span>
+                </div>
+            </div>
+        ` : '';
+
+        const importJob = this.audioImport;
+        const importRunning = ['decoding', 'transcribing', 'summarizing'].includes(importJob?.status);
+        const audioImportHTML = html`
+            <div class="model-selection-section">
+                <div class="model-select-group">
+                    <div class="model-settings-row">
+                        <button class="settings-button full-width" @click=${this.handleImportAudioFile} ?disabled=${importRunning}>
+                            <span>Transcribe a File…</span>
+                        </button>
+                        ${importRunning && importJob.status !== 'summarizing'
+                            ? html`<button class="settings-button" @click=${this.handleCancelAudioImport}>Cancel</button>`
+                            : ''}
+                    </div>
+                    <span class="fallback-hint">
+                        ${importJob ? formatAudioImport(importJob) : 'Turns a recorded talk or video into a listen session with a summary, using the selected speech-to-text model.'}
+                    </span>
+                </div>
             </div>
         `;
 
@@ -1368,6 +1787,9 @@ export class SettingsView extends LitElement {
 
                 ${apiKeyManagementHTML}
                 ${modelSelectionHTML}
+                ${usageHTML}
+                ${recordingHTML}
+                ${audioImportHTML}
 
                 <div class="buttons-section" style="border-top: 1px solid rgba(255, 255, 255, 0.1); padding-top: 6px; margin-top: 6px;">
                     <button class="settings-button full-width" @click=${this.openShortcutEditor}>
@@ -1461,4 +1883,52 @@ export class SettingsView extends LitElement {
     //////// after_modelStateService ////////
 }
 
+function formatUsd(amount) {
+    return `$${(amount || 0).toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * One-line status of a file import, e.g. "talk.mp4: transcribing 42%"
+ */
+function formatAudioImport(job) {
+    const percent = `${Math.round(job.progress * 100)}%`;
+    switch (job.status) {
+        case 'decoding': return `${job.fileName}: reading audio ${percent}`;
+        case 'transcribing': return `${job.fileName}: transcribing ${percent}`;
+        case 'summarizing': return `${job.fileName}: summarizing…`;
+        case 'done': return `${job.fileName}: ${job.transcriptCount} transcripts${job.summarized ? ' and a summary' : ''} saved to Activity.`;
+        case 'cancelled': return `${job.fileName}: cancelled.`;
+        default: return `${job.fileName}: failed — ${job.error}`;
+    }
+}
+
+/**
+ * Short capability summary for a model, e.g. "1M ctx · vision · tools"
+ */
+function formatCapabilities(capabilities) {
+    if (!capabilities) return '';
+    const parts = [];
+    const context = capabilities.contextLength;
+    if (context) {
+        parts.push(`${context >= 1000000 ? `${Math.round(context / 100000) / 10}M` : `${Math.round(context / 1000)}K`} ctx`);
+    }
+    if (capabilities.vision) parts.push('vision');
+    if (capabilities.tools) parts.push('tools');
+    return parts.join(' · ');
+}
+
+/**
+ * Parse "Header-Name: value" lines into a headers object
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    for (const line of text.split('\n')) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+        const name = line.slice(0, separator).trim();
+        if (name) headers[name] = line.slice(separator + 1).trim();
+    }
+    return headers;
+}
+
 customElements.define('settings-view', SettingsView);
\ No newline at end of file
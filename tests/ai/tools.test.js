@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { streamWithTools, parseToolArguments } = require('../../src/features/common/ai/tools');
+const { STOP_REASONS } = require('../../src/features/common/ai/streamEvents');
+const { createScriptedLLM } = require('../fixtures/scriptedLLM');
+
+const searchTool = {
+    name: 'search_library',
+    description: 'Search the library',
+    parameters: { type: 'object', properties: { query: { type: 'string' } } },
+    execute: async ({ query }) => ({ matches: [`paper about ${query}`] }),
+};
+
+const failingTool = {
+    name: 'get_paper',
+    description: 'Fetch a paper',
+    execute: async () => {
+        throw new Error('Paper not found');
+    },
+};
+
+async function collect(generator) {
+    const events = [];
+    for await (const event of generator) events.push(event);
+    return events;
+}
+
+function answerText(events) {
+    return events.filter(event => event.type === 'text').map(event => event.text).join('');
+}
+
+test('runs tool calls and streams the continuation', async () => {
+    const llm = createScriptedLLM([
+        { text: 'Let me look.', toolCalls: [{ id: 'a', name: 'search_library', arguments: { query: 'attention' } }], usage: { inputTokens: 10, outputTokens: 5 } },
+        { text: 'Found one paper about attention.', usage: { inputTokens: 30, outputTokens: 7 } },
+    ]);
+
+    const events = await collect(streamWithTools(llm, [{ role: 'user', content: 'Find attention papers' }], { tools: [searchTool] }));
+
+    assert.equal(llm.requests.length, 2);
+    assert.deepEqual(llm.requests[0].tools.map(tool => tool.name), ['search_library']);
+    assert.equal('execute' in llm.requests[0].tools[0], false, 'only definitions are sent to the provider');
+
+    const [, assistant, toolMessage] = llm.requests[1].messages;
+    assert.deepEqual(assistant, {
+        role: 'assistant',
+        content: 'Let me look.',
+        toolCalls: [{ id: 'a', name: 'search_library', arguments: { query: 'attention' } }],
+    });
+    assert.equal(toolMessage.role, 'tool');
+    assert.equal(toolMessage.toolCallId, 'a');
+    assert.deepEqual(JSON.parse(toolMessage.content), { matches: ['paper about attention'] });
+
+    assert.equal(answerText(events), 'Let me look.\n\nFound one paper about attention.');
+    assert.deepEqual(events.find(event => event.type === 'tool_result'), { type: 'tool_result', id: 'a', name: 'search_library', error: null });
+
+    const stops = events.filter(event => event.type === 'stop');
+    assert.deepEqual(stops, [{ type: 'stop', reason: STOP_REASONS.COMPLETE }], 'only the final round\'s stop is passed on');
+
+    const usage = events.filter(event => event.type === 'usage').pop();
+    assert.deepEqual(usage, { type: 'usage', inputTokens: 40, outputTokens: 12 });
+});
+
+test('groups the calls of one round under a single assistant turn, results in call order', async () => {
+    const llm = createScriptedLLM([
+        {
+            toolCalls: [
+                { id: 'first', name: 'search_library', arguments: { query: 'a' } },
+                { id: 'second', name: 'get_paper', arguments: { id: 'p1' } },
+                { id: 'third', name: 'no_such_tool' },
+            ],
+        },
+        { text: 'Done.' },
+    ]);
+
+    const events = await collect(streamWithTools(llm, [{ role: 'user', content: 'Go' }], { tools: [searchTool, failingTool] }));
+
+    const messages = llm.requests[1].messages.slice(1);
+    assert.deepEqual(messages.map(message => message.role), ['assistant', 'tool', 'tool', 'tool']);
+    assert.deepEqual(messages[0].toolCalls.map(call => call.id), ['first', 'second', 'third']);
+    assert.deepEqual(messages.slice(1).map(message => message.toolCallId), ['first', 'second', 'third']);
+    assert.deepEqual(JSON.parse(messages[2].content), { error: 'Paper not found' });
+    assert.deepEqual(JSON.parse(messages[3].content), { error: 'Unknown tool: no_such_tool' });
+
+    const results = events.filter(event => event.type === 'tool_result');
+    assert.deepEqual(results.map(result => [result.id, result.error]), [
+        ['first', null],
+        ['second', 'Paper not found'],
+        ['third', 'Unknown tool: no_such_tool'],
+    ]);
+});
+
+test('forbids further tool calls after the round limit but keeps sending the definitions', async () => {
+    const loop = () => ({ toolCalls: [{ name: 'search_library', arguments: { query: 'again' } }] });
+    const llm = createScriptedLLM([loop, loop, (messages, options) => {
+        // Earlier tool turns are still in the conversation, so providers need the definitions to read them
+        assert.deepEqual(options.tools.map(tool => tool.name), ['search_library']);
+        assert.equal(options.toolChoice, 'none');
+        assert.equal(messages.filter(message => message.role === 'tool').length, 2);
+        return { text: 'Answer without more lookups.' };
+    }]);
+
+    const events = await collect(streamWithTools(llm, [{ role: 'user', content: 'Go' }], { tools: [searchTool], maxRounds: 2 }));
+
+    assert.equal(llm.requests.length, 3);
+    assert.deepEqual(llm.requests.map(request => request.toolChoice), ['auto', 'auto', 'none']);
+    assert.equal(events.filter(event => event.type === 'tool_result').length, 2);
+    assert.equal(answerText(events), 'Answer without more lookups.');
+});
+
+test('ignores calls made past the round limit by providers that cannot forbid them', async () => {
+    const loop = () => ({ text: 'Still looking.', toolCalls: [{ name: 'search_library', arguments: { query: 'again' } }] });
+    const llm = createScriptedLLM([loop, loop]);
+
+    const events = await collect(streamWithTools(llm, [{ role: 'user', content: 'Go' }], { tools: [searchTool], maxRounds: 1 }));
+
+    assert.equal(llm.requests.length, 2);
+    assert.equal(events.filter(event => event.type === 'tool_call').length, 1);
+    assert.equal(events.filter(event => event.type === 'tool_result').length, 1);
+    assert.equal(events.filter(event => event.type === 'stop').length, 1);
+});
+
+test('does not offer tools when there are none', async () => {
+    const llm = createScriptedLLM([{ text: 'Plain answer.' }]);
+
+    const events = await collect(streamWithTools(llm, [{ role: 'user', content: 'Hi' }]));
+
+    assert.deepEqual(llm.requests[0].tools, []);
+    assert.equal(llm.requests[0].toolChoice, null);
+    assert.equal(answerText(events), 'Plain answer.');
+});
+
+test('parses streamed tool arguments leniently', () => {
+    assert.deepEqual(parseToolArguments('{"query":"x"}'), { query: 'x' });
+    assert.deepEqual(parseToolArguments({ query: 'x' }), { query: 'x' });
+    assert.deepEqual(parseToolArguments('{"query":'), {});
+    assert.deepEqual(parseToolArguments('"text"'), {});
+    assert.deepEqual(parseToolArguments(''), {});
+});
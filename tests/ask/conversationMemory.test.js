@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConversationMemory } = require('../../src/features/ask/conversationMemory');
+
+const messages = Array.from({ length: 6 }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `message ${i} `.repeat(10),
+}));
+
+test('summarizes older turns once per thread until the thread is forgotten', async () => {
+    const memory = new ConversationMemory({ budgetTokens: 70 });
+    const calls = [];
+    const summarize = async (previous, turns) => {
+        calls.push(turns.length);
+        return `summary of ${turns.length}`;
+    };
+
+    const first = await memory.build('session:main', messages, summarize);
+    assert.equal(first.summary, 'summary of 4');
+    assert.deepEqual(first.turns.map(turn => turn.content), [messages[4].content, messages[5].content]);
+
+    await memory.build('session:main', messages, summarize);
+    assert.deepEqual(calls, [4], 'the cached summary is reused');
+
+    memory.forget('session:main');
+    assert.equal(memory.summaries.size, 0);
+    await memory.build('session:main', messages, summarize);
+    assert.deepEqual(calls, [4, 4]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('../helpers/database');
+const sessionRepository = require('../../src/features/common/repositories/session/sqlite.repository');
+
+const USER = 'user-1';
+
+test('a session created already ended is never picked up as the active one', async () => {
+    await useTestDatabase();
+
+    const importedId = sessionRepository.create(USER, 'listen', { title: 'talk.mp3', startedAt: 1000, endedAt: 1600 });
+    const imported = sessionRepository.getById(importedId);
+    assert.equal(imported.title, 'talk.mp3');
+    assert.equal(imported.started_at, 1000);
+    assert.equal(imported.ended_at, 1600);
+
+    const activeId = sessionRepository.getOrCreateActive(USER, 'listen');
+    assert.notEqual(activeId, importedId);
+    assert.equal(sessionRepository.getById(activeId).ended_at, null);
+});
+
+test('a session uses the documents pinned to the research session it belongs to', async () => {
+    await useTestDatabase();
+
+    const plainId = sessionRepository.create(USER, 'ask');
+    assert.equal(sessionRepository.getDocumentRefs(plainId), null);
+    sessionRepository.end(plainId);
+
+    const researchId = sessionRepository.createResearch(USER, { title: 'Sleep', documentIds: ['doc-1', 'doc-2'] });
+    assert.deepEqual(sessionRepository.getDocumentRefs(researchId), ['doc-1', 'doc-2']);
+
+    const askId = sessionRepository.getOrCreateActive(USER, 'ask');
+    assert.deepEqual(sessionRepository.getDocumentRefs(askId), ['doc-1', 'doc-2']);
+    assert.equal(sessionRepository.getDocumentRefs('missing'), null);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const DocumentService = require('../../src/features/documents/documentService');
+const { createTestDatabase } = require('../helpers/database');
+
+const USER = 'user-1';
+
+async function createLibrary(t) {
+    const db = await createTestDatabase();
+    const userDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rani-test-'));
+    t.after(() => fs.rm(userDir, { recursive: true, force: true }));
+    const documentService = new DocumentService(db, userDir);
+
+    const source = path.join(userDir, 'notes.txt');
+    await fs.writeFile(source, 'Attention is all you need.');
+    return { db, documentService, source };
+}
+
+test('keeps the stored copy of an imported document', async (t) => {
+    const { documentService, source } = await createLibrary(t);
+
+    const document = await documentService.importDocument(source, USER);
+
+    assert.deepEqual(await fs.readdir(documentService.documentsDir), [`${document.id}.txt`]);
+});
+
+test('removes the stored copy when extraction fails', async (t) => {
+    const { db, documentService, source } = await createLibrary(t);
+    documentService.extractContent = async () => {
+        throw new Error('Corrupt file');
+    };
+
+    await assert.rejects(documentService.importDocument(source, USER), /Corrupt file/);
+
+    assert.deepEqual(await fs.readdir(documentService.documentsDir), []);
+    assert.equal(db.getDb().prepare('SELECT COUNT(*) AS n FROM documents').get().n, 0);
+});
+
+test('removes the stored copy when the document cannot be saved', async (t) => {
+    const { documentService, source } = await createLibrary(t);
+    documentService.storeDocument = () => {
+        throw new Error('Disk full');
+    };
+
+    await assert.rejects(documentService.importDocument(source, USER), /Disk full/);
+
+    assert.deepEqual(await fs.readdir(documentService.documentsDir), []);
+});
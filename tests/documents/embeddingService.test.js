@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmbeddingService = require('../../src/features/documents/embeddingService');
+const { createTestDatabase } = require('../helpers/database');
+const { createHashEmbedder } = require('../fixtures/hashEmbedder');
+
+const USER = 'user-1';
+
+const DOCUMENTS = {
+    transformers: 'Transformer models rely on self attention. Multi head attention lets each token attend to every other token in the sequence, and positional encodings give the attention layers a sense of word order.',
+    proteins: 'Protein folding predicts the three dimensional structure of a protein from its amino acid sequence. Folding models use contact maps and residue distances to place each amino acid.',
+    glaciers: 'Glacier retreat in the Alps has accelerated. Ice cores and satellite altimetry measure how much glacier mass is lost each summer as temperatures rise.'
+};
+
+async function createLibrary(documents = DOCUMENTS) {
+    const db = await createTestDatabase();
+    const insert = db.getDb().prepare(`
+        INSERT INTO documents (id, uid, filename, content_type, file_path, extracted_text, metadata, uploaded_at)
+        VALUES (?, ?, ?, 'text/plain', ?, ?, ?, 0)
+    `);
+    for (const [id, text] of Object.entries(documents)) {
+        insert.run(id, USER, `${id}.txt`, `/library/${id}.txt`, text, JSON.stringify({ title: id }));
+    }
+    return db;
+}
+
+function countingEmbedder() {
+    const embedder = createHashEmbedder();
+    const calls = [];
+    return {
+        ...embedder,
+        calls,
+        embed: async (texts) => {
+            calls.push(texts);
+            return embedder.embed(texts);
+        }
+    };
+}
+
+test('ranks the passage closest in meaning first', async () => {
+    const db = await createLibrary();
+    const service = new EmbeddingService(db, { embedder: createHashEmbedder() });
+
+    const indexed = await service.indexLibrary(USER);
+    assert.equal(indexed.indexed, 3);
+    assert.deepEqual(indexed.failed, []);
+
+    const results = await service.semanticSearch(USER, 'how does multi head self attention work');
+    assert.equal(results[0].documentId, 'transformers');
+    assert.equal(results[0].title, 'transformers');
+    assert.ok(results[0].score > results[results.length - 1].score);
+
+    const [top] = await service.semanticSearch(USER, 'amino acid sequence and protein structure');
+    assert.equal(top.documentId, 'proteins');
+});
+
+test('restricts results to the given documents', async () => {
+    const db = await createLibrary();
+    const service = new EmbeddingService(db, { embedder: createHashEmbedder() });
+    await service.indexLibrary(USER);
+
+    const results = await service.semanticSearch(USER, 'self attention', { documentIds: ['glaciers', 'proteins'] });
+    assert.ok(results.length > 0);
+    assert.ok(results.every(result => result.documentId !== 'transformers'));
+});
+
+test('searches only indexed documents and never indexes on a query', async () => {
+    const db = await createLibrary();
+    const embedder = countingEmbedder();
+    const service = new EmbeddingService(db, { embedder });
+
+    assert.deepEqual(await service.semanticSearch(USER, 'self attention'), []);
+    assert.equal(embedder.calls.length, 0, 'the query is not embedded when nothing is indexed');
+
+    await service.indexDocument('glaciers', USER);
+    embedder.calls.length = 0;
+
+    const results = await service.semanticSearch(USER, 'self attention');
+    assert.deepEqual([...new Set(results.map(result => result.documentId))], ['glaciers']);
+    assert.deepEqual(embedder.calls, [['self attention']]);
+});
+
+test('does not index a document twice with the same model', async () => {
+    const db = await createLibrary();
+    const service = new EmbeddingService(db, { embedder: createHashEmbedder() });
+
+    const first = await service.indexDocument('proteins', USER);
+    const second = await service.indexDocument('proteins', USER);
+    assert.equal(first.skipped, false);
+    assert.equal(second.skipped, true);
+    assert.equal(second.chunks, first.chunks);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const DocumentService = require('../../src/features/documents/documentService');
+const AnnotationService = require('../../src/features/documents/annotationService');
+const { buildFtsQuery } = require('../../src/features/common/utils/ftsQuery');
+const { createTestDatabase } = require('../helpers/database');
+
+const USER = 'user-1';
+
+async function createLibrary(t) {
+    const db = await createTestDatabase();
+    const userDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rani-test-'));
+    t.after(() => fs.rm(userDir, { recursive: true, force: true }));
+    const documentService = new DocumentService(db, userDir);
+    const annotationService = new AnnotationService(db);
+
+    const source = path.join(userDir, 'notes.txt');
+    await fs.writeFile(source, 'Attention is all you need.');
+    const document = await documentService.importDocument(source, USER);
+    return { db, documentService, annotationService, document };
+}
+
+async function searchIds(documentService, query) {
+    return (await documentService.searchDocuments(USER, query)).map(result => result.id);
+}
+
+test('the document index follows inserts, updates and deletes', async (t) => {
+    const { db, documentService, document } = await createLibrary(t);
+    assert.ok(db.hasFullTextSearch());
+
+    assert.deepEqual(await searchIds(documentService, 'attention'), [document.id]);
+
+    const stored = await documentService.getDocument(document.id, USER);
+    await fs.writeFile(stored.file_path, 'Transformers replace recurrence.');
+    await documentService.reprocessDocument(document.id, USER);
+    assert.deepEqual(await searchIds(documentService, 'attention'), []);
+    assert.deepEqual(await searchIds(documentService, 'transformers'), [document.id]);
+
+    db.getDb().prepare('UPDATE documents SET filename = ? WHERE id = ?').run('vaswani-2017.txt', document.id);
+    assert.deepEqual(await searchIds(documentService, 'vaswani'), [document.id]);
+
+    await documentService.deleteDocument(document.id, USER);
+    assert.deepEqual(await searchIds(documentService, 'transformers'), []);
+    assert.equal(db.getDb().prepare('SELECT COUNT(*) AS n FROM documents_fts').get().n, 0);
+});
+
+test('the annotation index follows inserts, updates and deletes', async (t) => {
+    const { annotationService, document } = await createLibrary(t);
+    const searchNotes = async (query) => (await annotationService.searchAnnotations(USER, query)).map(result => result.id);
+
+    const annotation = await annotationService.createAnnotation({
+        documentId: document.id,
+        highlightText: 'all you need',
+        noteText: 'Bold claim about attention'
+    });
+    assert.deepEqual(await searchNotes('claim'), [annotation.id]);
+
+    await annotationService.updateAnnotation(annotation.id, { note_text: 'Compare with convolutions' });
+    assert.deepEqual(await searchNotes('claim'), []);
+    assert.deepEqual(await searchNotes('convolutions'), [annotation.id]);
+
+    await annotationService.deleteAnnotation(annotation.id);
+    assert.deepEqual(await searchNotes('convolutions'), []);
+});
+
+test('search input with quotes, dashes, stars and punctuation never raises a syntax error', async (t) => {
+    const { documentService, annotationService, document } = await createLibrary(t);
+    await annotationService.createAnnotation({ documentId: document.id, noteText: 'Attention heads' });
+
+    const inputs = [
+        '"', '"attention', 'attention"', '""', '"all you" need"', "it's", '-', '--', '-attention',
+        'need -', '*', '**', 'atten*', '-*', 'all*you', 'NOT', 'AND OR', 'attention NOT', 'OR need',
+        'C++', 'e.g.,', '3.5', '(attention)', 'near:', '^attention', '{need}', 'attention:need'
+    ];
+    for (const input of inputs) {
+        await assert.doesNotReject(documentService.searchDocuments(USER, input), `documents: ${input}`);
+        await assert.doesNotReject(annotationService.searchAnnotations(USER, input), `annotations: ${input}`);
+    }
+
+    assert.deepEqual(await searchIds(documentService, '"all you need"'), [document.id]);
+    assert.deepEqual(await searchIds(documentService, 'atten*'), [document.id]);
+    assert.deepEqual(await searchIds(documentService, 'need -attention'), []);
+});
+
+test('buildFtsQuery quotes terms and keeps only the operators FTS5 accepts', () => {
+    assert.equal(buildFtsQuery('C++ "all you" atten* -recurrence'), '"C" "all you" "atten"* NOT "recurrence"');
+    assert.equal(buildFtsQuery('NOT attention OR'), null);
+    assert.equal(buildFtsQuery('attention AND OR need'), '"attention" AND "need"');
+    assert.equal(buildFtsQuery('say "it""s"'), '"say" "it" "s"');
+    assert.equal(buildFtsQuery('- * "'), null);
+});
@@ -0,0 +1,44 @@
+/**
+ * Deterministic embedder based on feature hashing of word unigrams and bigrams.
+ * Needs no model or network, and the same text always maps to the same vector,
+ * so it is used to exercise chunking, storage and ranking without a real model.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.dimensions=256]
+ * @returns {{ id: string, model: string, embed: (texts: string[]) => Promise<number[][]> }}
+ */
+function createHashEmbedder({ dimensions = 256 } = {}) {
+    const embedOne = (text) => {
+        const vector = new Array(dimensions).fill(0);
+        const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+        const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+        for (const feature of features) {
+            const hash = fnv1a(feature);
+            const sign = (hash & 0x80000000) ? -1 : 1;
+            vector[hash % dimensions] += sign;
+        }
+        return vector;
+    };
+
+    return {
+        id: `hash/${dimensions}`,
+        model: `hash-${dimensions}`,
+        embed: async (texts) => texts.map(embedOne)
+    };
+}
+
+function stem(word) {
+    return word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word;
+}
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+module.exports = { createHashEmbedder };
@@ -0,0 +1,60 @@
+const { STOP_REASONS, createEventResponse } = require('../../src/features/common/ai/streamEvents');
+
+/**
+ * Streaming LLM that replays a fixed script instead of calling a provider.
+ * Each streamChat() call plays the next turn and records what it was sent, so tool-calling
+ * flows can be exercised deterministically without a network or API key.
+ *
+ * A turn is `{ text?, toolCalls?: [{ id?, name, arguments }], usage?, stopReason?, model? }`,
+ * or a function `(messages, options) => turn` for answers that depend on the request.
+ *
+ * @param {Array<Object|Function>} script
+ * @param {object} [opts]
+ * @param {string} [opts.model='scripted']
+ * @returns {{ model: string, requests: Array<{ messages: Array, tools: Array, toolChoice: string|null }>, streamChat: Function }}
+ */
+function createScriptedLLM(script, { model = 'scripted' } = {}) {
+    const requests = [];
+
+    return {
+        model,
+        requests,
+        streamChat: async (messages, options = {}) => {
+            const tools = options.tools || [];
+            requests.push({ messages: JSON.parse(JSON.stringify(messages)), tools, toolChoice: options.toolChoice || null });
+
+            const step = script[requests.length - 1];
+            if (!step) {
+                throw new Error(`Scripted LLM has no turn ${requests.length}`);
+            }
+            const turn = typeof step === 'function' ? step(messages, options) : step;
+
+            return createEventResponse(async (emit) => {
+                emit({ type: 'start', model: turn.model || model });
+                if (turn.text) {
+                    // Split on word boundaries to behave like a real stream
+                    for (const piece of turn.text.match(/\S+\s*|\s+/g)) {
+                        emit({ type: 'text', text: piece });
+                    }
+                }
+
+                const toolCalls = turn.toolCalls || [];
+                toolCalls.forEach((call, i) => {
+                    emit({ type: 'tool_call', id: call.id || `call_${requests.length}_${i + 1}`, name: call.name, arguments: call.arguments || {} });
+                });
+
+                emit({
+                    type: 'usage',
+                    inputTokens: turn.usage?.inputTokens ?? 0,
+                    outputTokens: turn.usage?.outputTokens ?? 0,
+                });
+                emit({
+                    type: 'stop',
+                    reason: turn.stopReason || (toolCalls.length > 0 ? STOP_REASONS.TOOL_USE : STOP_REASONS.COMPLETE),
+                });
+            });
+        },
+    };
+}
+
+module.exports = { createScriptedLLM };
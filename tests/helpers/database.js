@@ -0,0 +1,23 @@
+const sqliteClient = require('../../src/features/common/services/sqliteClient');
+
+/**
+ * A fresh in-memory database with the app's full schema and full-text indexes, wrapped like sqliteClient
+ */
+async function createTestDatabase() {
+    const client = new sqliteClient.constructor();
+    client.connect(':memory:');
+    await client.synchronizeSchema();
+    client.migrateFullTextSearch();
+    return client;
+}
+
+/**
+ * Point the shared sqliteClient, which the SQLite repositories use, at a fresh test database
+ */
+async function useTestDatabase() {
+    const client = await createTestDatabase();
+    sqliteClient.db = client.db;
+    return client;
+}
+
+module.exports = { createTestDatabase, useTestDatabase };
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('../helpers/database');
+const sttRepository = require('../../src/features/listen/stt/repositories/sqlite.repository');
+
+const SESSION = 'session-1';
+
+function texts() {
+    return sttRepository.getAllTranscriptsBySessionId(SESSION).map(row => row.text);
+}
+
+test('replaces a session transcript with the new turns', async () => {
+    await useTestDatabase();
+    sttRepository.addTranscript({ sessionId: SESSION, speaker: 'Me', text: 'old one', startAt: 100 });
+    sttRepository.addTranscript({ sessionId: 'other', speaker: 'Me', text: 'other session', startAt: 100 });
+
+    const result = sttRepository.replaceTranscripts(SESSION, [
+        { speaker: 'Me', text: 'new one', startAt: 100, endAt: 101, words: [{ word: 'new', start: 100, end: 100.5, confidence: 0.9 }] },
+        { speaker: 'Speaker 1', text: 'new two', startAt: 102 },
+    ]);
+
+    assert.deepEqual(result, { count: 2 });
+    assert.deepEqual(texts(), ['new one', 'new two']);
+    assert.equal(sttRepository.getAllTranscriptsBySessionId(SESSION)[0].words[0].word, 'new');
+    assert.deepEqual(sttRepository.getAllTranscriptsBySessionId('other').map(row => row.text), ['other session']);
+});
+
+test('keeps the old transcript when writing the new one fails', async () => {
+    await useTestDatabase();
+    sttRepository.addTranscript({ sessionId: SESSION, speaker: 'Me', text: 'old one', startAt: 100 });
+
+    assert.throws(() => sttRepository.replaceTranscripts(SESSION, [
+        { speaker: 'Me', text: 'new one', startAt: 100 },
+        { speaker: 'Me', text: { not: 'bindable' }, startAt: 101 },
+    ]));
+
+    assert.deepEqual(texts(), ['old one']);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BibliographyService = require('../../src/features/research/bibliographyService');
+const ResearchService = require('../../src/features/research/researchService');
+const { createTestDatabase } = require('../helpers/database');
+
+const USER = 'user-1';
+
+const papers = [
+    {
+        id: 'p1',
+        title: 'Deep {BERT} models for {NLP}',
+        authors: 'José Núñez, Zoë Müller, Ada Lovelace',
+        year: 2017,
+        venue: 'Journal of Élite Research',
+        doi: '10.1000/deep.1',
+    },
+    {
+        id: 'p2',
+        title: 'Global Burden of Disease 2019',
+        authors: [{ family: 'World Health Organization', given: '' }, { family: 'Smith', given: 'Jane' }],
+        year: 2019,
+        venue: 'The Lancet',
+    },
+];
+
+async function setup() {
+    const db = await createTestDatabase();
+    const researchService = new ResearchService(db, null);
+    return { db, bibliography: new BibliographyService(db, researchService, null) };
+}
+
+function parse(bibliography, format, content) {
+    const parsers = {
+        bibtex: () => bibliography.parseBibTeX(content),
+        ris: () => bibliography.parseRIS(content),
+        csljson: () => bibliography.parseCSLJSON(content),
+    };
+    return parsers[format]();
+}
+
+function names(entry) {
+    return entry.authors.map(author => [author.given, author.family]);
+}
+
+for (const format of ['bibtex', 'ris', 'csljson']) {
+    test(`${format} export parses back to the same entries`, async () => {
+        const { bibliography } = await setup();
+
+        const exported = await bibliography.exportPapers(papers, format);
+        const [deep, burden] = parse(bibliography, format, exported.content)
+            .sort((a, b) => a.year - b.year);
+
+        assert.equal(deep.title, 'Deep {BERT} models for {NLP}');
+        assert.deepEqual(names(deep), [['José', 'Núñez'], ['Zoë', 'Müller'], ['Ada', 'Lovelace']]);
+        assert.equal(deep.year, 2017);
+        assert.equal(deep.venue, 'Journal of Élite Research');
+        assert.equal(deep.doi, '10.1000/deep.1');
+
+        assert.equal(burden.title, 'Global Burden of Disease 2019');
+        assert.deepEqual(names(burden), [['', 'World Health Organization'], ['Jane', 'Smith']]);
+    });
+}
+
+test('imported entries round-trip through the library with their own keys', async () => {
+    const { bibliography } = await setup();
+    const bibtex = `
+@article{vaswani2017attention,
+  title = {Attention Is All You Need},
+  author = {Vaswani, Ashish and Shazeer, Noam and {Google Brain}},
+  year = {2017},
+  journal = {Advances in Neural Information Processing Systems}
+}
+@article{goedel1931,
+  title = {{\\"U}ber formal unentscheidbare S{\\"a}tze},
+  author = {G{\\"o}del, Kurt},
+  year = {1931}
+}`;
+
+    const summary = await bibliography.importContent(bibtex, USER, { format: 'bibtex', attachFiles: false });
+    assert.equal(summary.imported, 2);
+
+    const exported = await bibliography.exportLibrary(USER, 'bibtex');
+    const entries = bibliography.parseBibTeX(exported.content);
+    const attention = entries.find(entry => entry.citationKey === 'vaswani2017attention');
+    const goedel = entries.find(entry => entry.citationKey === 'goedel1931');
+
+    assert.deepEqual(names(attention), [['Ashish', 'Vaswani'], ['Noam', 'Shazeer'], ['', 'Google Brain']]);
+    assert.equal(goedel.title, 'Über formal unentscheidbare Sätze');
+    assert.deepEqual(names(goedel), [['Kurt', 'Gödel']]);
+});
+
+test('citation keys stay the same whatever is exported', async () => {
+    const { db, bibliography } = await setup();
+    const first = { title: 'Deep learning for graphs', authors: 'John Smith', year: 2017 };
+    const second = { title: 'Deep learning for text', authors: 'Mary Smith', year: 2017 };
+    const firstId = await bibliography.researchService.storePaperMetadata(first, USER, null);
+    const secondId = await bibliography.researchService.storePaperMetadata(second, USER, null);
+    db.getDb().prepare('UPDATE research_papers SET imported_at = 1 WHERE id = ?').run(firstId);
+    db.getDb().prepare('UPDATE research_papers SET imported_at = 2 WHERE id = ?').run(secondId);
+
+    const keysOf = exported => Object.fromEntries(
+        bibliography.parseBibTeX(exported.content).map(entry => [entry.title, entry.citationKey])
+    );
+
+    const library = keysOf(await bibliography.exportLibrary(USER, 'bibtex'));
+    assert.deepEqual(library, {
+        'Deep learning for graphs': 'smith2017deep',
+        'Deep learning for text': 'smith2017deepa',
+    });
+
+    const session = keysOf(await bibliography.exportSession({
+        session: { title: 'Reading group' },
+        documents: [{ id: 'd1', title: 'Deep learning for text', metadata: { paperId: secondId } }],
+    }, 'bibtex', USER));
+    assert.deepEqual(session, { 'Deep learning for text': 'smith2017deepa' });
+
+    const search = keysOf(await bibliography.exportPapers([second], 'bibtex', USER));
+    assert.deepEqual(search, { 'Deep learning for text': 'smith2017deepa' });
+
+    // A new paper with the same base key doesn't shift the existing ones
+    await bibliography.researchService.storePaperMetadata({ title: 'Deep learning for audio', authors: 'Ann Smith', year: 2017 }, USER, null);
+    const grown = keysOf(await bibliography.exportLibrary(USER, 'bibtex'));
+    assert.equal(grown['Deep learning for graphs'], 'smith2017deep');
+    assert.equal(grown['Deep learning for text'], 'smith2017deepa');
+    assert.equal(grown['Deep learning for audio'], 'smith2017deepb');
+});
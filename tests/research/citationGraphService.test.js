@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ResearchService = require('../../src/features/research/researchService');
+const CitationGraphService = require('../../src/features/research/citationGraphService');
+const { createTestDatabase } = require('../helpers/database');
+
+const USER = 'user-1';
+
+/**
+ * Semantic Scholar stub: `routes` maps a request path (without query) to [status, body]
+ */
+async function startGraph(t, routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const [status, body] = routes[decodeURIComponent(url.pathname)] || [404, { error: 'Paper not found' }];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const db = await createTestDatabase();
+    const researchService = new ResearchService(db, null);
+    researchService.apis = { ...researchService.apis, semanticScholar: `http://127.0.0.1:${server.address().port}` };
+    researchService.minApiInterval = 0;
+    return { db, requests, researchService, graph: new CitationGraphService(db, researchService) };
+}
+
+async function addPaper(researchService, paper) {
+    const paperId = await researchService.storePaperMetadata({ source: 'import', ...paper }, USER, null);
+    return researchService.db.getDb().prepare('SELECT * FROM research_papers WHERE id = ?').get(paperId);
+}
+
+test('resolves a paper by DOI and remembers the ID', async (t) => {
+    const { db, researchService, graph } = await startGraph(t, {
+        '/paper/DOI:10.1000/attention': [200, { paperId: 's2-attention' }],
+    });
+    const paper = await addPaper(researchService, { title: 'Attention Is All You Need', doi: '10.1000/attention' });
+
+    assert.equal(await graph.resolveS2Id(paper), 's2-attention');
+    assert.equal(db.getDb().prepare('SELECT s2_id FROM research_papers WHERE id = ?').get(paper.id).s2_id, 's2-attention');
+});
+
+test('falls back to an exact title match', async (t) => {
+    const { requests, researchService, graph } = await startGraph(t, {
+        '/paper/search/match': [200, { data: [{ paperId: 's2-attention', title: 'Attention is all you need.' }] }],
+    });
+    const paper = await addPaper(researchService, { title: 'Attention Is All You Need', doi: '10.1000/unknown' });
+
+    assert.equal(await graph.resolveS2Id(paper), 's2-attention');
+    assert.deepEqual(requests.map(url => url.pathname), ['/paper/DOI%3A10.1000%2Funknown', '/paper/search/match']);
+    assert.equal(requests[1].searchParams.get('query'), 'Attention Is All You Need');
+});
+
+test('does not take a different paper the title search came closest to', async (t) => {
+    const { researchService, graph } = await startGraph(t, {
+        '/paper/search/match': [200, { data: [{ paperId: 's2-other', title: 'Attention in vision transformers' }] }],
+    });
+    const paper = await addPaper(researchService, { title: 'Attention Is All You Need' });
+
+    assert.equal(await graph.resolveS2Id(paper), null);
+    await assert.rejects(graph.fetchCitations(paper.id, USER), /could not be matched on Semantic Scholar/);
+});
+
+test('reports Semantic Scholar failures instead of a failed match', async (t) => {
+    const { researchService, graph } = await startGraph(t, {
+        '/paper/DOI:10.1000/attention': [429, { message: 'Too Many Requests' }],
+    });
+    const paper = await addPaper(researchService, { title: 'Attention Is All You Need', doi: '10.1000/attention' });
+
+    await assert.rejects(graph.fetchCitations(paper.id, USER), /Semantic Scholar lookup failed: HTTP 429/);
+});
@@ -0,0 +1,258 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const ResearchService = require('../../src/features/research/researchService');
+const DocumentService = require('../../src/features/documents/documentService');
+const { createTestDatabase } = require('../helpers/database');
+
+const USER = 'user-1';
+const currentYear = new Date().getFullYear();
+
+const semanticScholarPapers = [
+    {
+        paperId: 's2-attention',
+        title: 'Attention Is All You Need',
+        authors: [{ name: 'Ashish Vaswani' }],
+        abstract: 'The dominant sequence transduction models...',
+        year: 2017,
+        venue: 'NeurIPS',
+        citationCount: 90000,
+        externalIds: { DOI: '10.5555/attention', ArXiv: '1706.03762' },
+    },
+    {
+        paperId: 's2-cooking',
+        title: 'A survey of cooking robots',
+        authors: [{ name: 'Jane Doe' }],
+        abstract: 'Robots that cook, with a short note on attention.',
+        year: currentYear - 1,
+        venue: 'ICRA',
+        citationCount: 3,
+        externalIds: {},
+    },
+];
+
+const arxivFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>http://arxiv.org/abs/1706.03762v5</id>
+    <published>2017-06-12T17:57:34Z</published>
+    <title>Attention Is All
+      You Need</title>
+    <summary>The dominant sequence transduction models are based on recurrent networks.</summary>
+    <author><name>Ashish Vaswani</name></author>
+    <author><name>Noam Shazeer</name></author>
+  </entry>
+  <entry>
+    <id>http://arxiv.org/abs/2301.00001v1</id>
+    <published>${currentYear}-01-01T00:00:00Z</published>
+    <title>Sparse attention for long documents</title>
+    <summary>We make attention sparse.</summary>
+    <author><name>Ann Lee</name></author>
+  </entry>
+</feed>`;
+
+const crossrefWork = {
+    DOI: '10.1145/3292500.3330701',
+    title: ['Graph neural networks for recommender systems'],
+    author: [{ given: 'Rex', family: 'Ying' }],
+    'container-title': ['Proceedings of KDD'],
+    issued: { 'date-parts': [[2019, 7, 25]] },
+    publisher: 'ACM',
+    'is-referenced-by-count': 120,
+    'references-count': 42,
+};
+
+/**
+ * Serve canned Semantic Scholar, arXiv and CrossRef responses; `failing` names sources that answer 500
+ */
+async function startStubServer(databaseClient = null, documentService = null) {
+    const stub = { requests: [], failing: new Set() };
+
+    stub.server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stub.requests.push(url);
+        const source = url.pathname.split('/')[1];
+
+        if (stub.failing.has(source)) {
+            res.writeHead(500, 'Internal Server Error');
+            return res.end('oops');
+        }
+        if (source === 'crossref') {
+            const doi = decodeURIComponent(url.pathname.slice('/crossref/'.length));
+            res.writeHead(doi === crossrefWork.DOI ? 200 : 404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ message: doi === crossrefWork.DOI ? crossrefWork : null }));
+        }
+        if (source === 'semanticScholar') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ data: semanticScholarPapers }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+        res.end(arxivFeed);
+    });
+
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${stub.server.address().port}`;
+
+    stub.service = new ResearchService(databaseClient, documentService);
+    stub.service.apis = { semanticScholar: `${base}/semanticScholar`, arxiv: `${base}/arxiv`, crossref: `${base}/crossref` };
+    stub.service.minApiInterval = 0;
+    stub.close = () => new Promise(resolve => stub.server.close(resolve));
+    return stub;
+}
+
+test('searches every source and merges duplicates across them', async (t) => {
+    const stub = await startStubServer();
+    t.after(stub.close);
+
+    const result = await stub.service.searchPapers('attention', { limit: 10 });
+
+    assert.deepEqual(stub.requests.map(url => url.pathname).sort(), ['/arxiv/query', '/semanticScholar/paper/search']);
+    assert.deepEqual(result.sources, [
+        { source: 'semanticScholar', count: 2, error: null },
+        { source: 'arxiv', count: 2, error: null },
+    ]);
+
+    assert.equal(result.papers.length, 3);
+    const attention = result.papers.find(paper => paper.title === 'Attention Is All You Need');
+    assert.deepEqual(attention.sources, ['semanticScholar', 'arxiv']);
+    assert.equal(attention.doi, '10.5555/attention');
+    assert.equal(attention.citationCount, 90000);
+    assert.equal(attention.pdfUrl, 'https://arxiv.org/pdf/1706.03762v5.pdf', 'missing fields are filled from the duplicate');
+});
+
+test('ranks by title match, impact and source agreement', async (t) => {
+    const stub = await startStubServer();
+    t.after(stub.close);
+
+    const { papers } = await stub.service.searchPapers('attention', { limit: 10 });
+
+    assert.deepEqual(papers.map(paper => paper.title), [
+        'Attention Is All You Need',
+        'Sparse attention for long documents',
+        'A survey of cooking robots',
+    ]);
+    assert.ok(papers.every((paper, i) => i === 0 || papers[i - 1].score >= paper.score));
+    assert.deepEqual(
+        (await stub.service.searchPapers('attention', { limit: 1 })).papers.map(paper => paper.title),
+        ['Attention Is All You Need']
+    );
+});
+
+test('passes filters upstream and applies them to the merged list', async (t) => {
+    const stub = await startStubServer();
+    t.after(stub.close);
+
+    const result = await stub.service.searchPapers('attention', {
+        source: 'semanticScholar',
+        filters: { yearFrom: 2020, minCitations: 1, venue: 'icra', hasPdf: false },
+    });
+
+    assert.equal(stub.requests.length, 1, 'only the requested source is queried');
+    const params = stub.requests[0].searchParams;
+    assert.equal(params.get('query'), 'attention');
+    assert.equal(params.get('year'), '2020-');
+    assert.equal(params.get('minCitationCount'), '1');
+    assert.equal(params.get('venue'), 'icra');
+    assert.ok(params.get('fields').split(',').includes('externalIds'));
+
+    // The stub ignores the filters, so the 2017 paper is dropped locally
+    assert.deepEqual(result.papers.map(paper => paper.title), ['A survey of cooking robots']);
+    assert.deepEqual(result.sources, [{ source: 'semanticScholar', count: 2, error: null }]);
+});
+
+test('records a failing source without failing the search', async (t) => {
+    const stub = await startStubServer();
+    t.after(stub.close);
+    stub.failing.add('semanticScholar');
+
+    const result = await stub.service.searchPapers('attention', { source: ['semanticScholar', 'arxiv'] });
+
+    assert.deepEqual(result.sources, [
+        { source: 'semanticScholar', count: 0, error: 'HTTP 500: Internal Server Error' },
+        { source: 'arxiv', count: 2, error: null },
+    ]);
+    assert.deepEqual(result.papers.map(paper => paper.title).sort(), ['Attention Is All You Need', 'Sparse attention for long documents']);
+});
+
+test('rejects unknown sources and empty queries', async () => {
+    const service = new ResearchService(null, null);
+    await assert.rejects(service.searchPapers('attention', { source: 'scopus' }), /Unknown paper source\(s\): scopus/);
+    await assert.rejects(service.searchPapers('  '), /Search query is required/);
+});
+
+async function importPdf(documentService, firstPage, metadata = {}) {
+    const file = path.join(documentService.userDir, `${crypto.randomUUID()}.pdf`);
+    await fs.writeFile(file, `%PDF-1.4 ${file}`);
+    // pdf-parse isn't installed for tests; hand over the text the PDF would have
+    documentService.extractPDFContent = async () => {
+        const pageTexts = [firstPage, 'Method and results.', 'References\n[1] Some other work. doi:10.1000/not-this-one'];
+        let charStart = 0;
+        const pages = pageTexts.map((text, index) => {
+            const [page] = documentService.structureParser.buildTextPages(text).pages;
+            const placed = { ...page, pageNumber: index + 1, charStart, charEnd: charStart + text.length };
+            charStart += text.length + 1;
+            return placed;
+        });
+        return { text: pageTexts.join('\n'), metadata: {}, pages };
+    };
+    return documentService.importDocument(file, USER, metadata);
+}
+
+async function startLibrary(t) {
+    const db = await createTestDatabase();
+    const userDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rani-test-'));
+    t.after(() => fs.rm(userDir, { recursive: true, force: true }));
+    const documentService = new DocumentService(db, userDir);
+    const stub = await startStubServer(db, documentService);
+    t.after(stub.close);
+    return { db, documentService, stub };
+}
+
+function documentMetadata(db, documentId) {
+    return JSON.parse(db.getDb().prepare('SELECT metadata FROM documents WHERE id = ?').get(documentId).metadata);
+}
+
+test('finds the DOI on a PDF\'s first page and creates its paper from CrossRef', async (t) => {
+    const { db, documentService, stub } = await startLibrary(t);
+
+    const document = await importPdf(documentService, 'Graph neural networks for recommender systems\nhttps://doi.org/10.1145/3292500.3330701');
+    assert.equal(document.metadata.doi, '10.1145/3292500.3330701');
+
+    const result = await stub.service.enrichDocumentPaper(document.id, USER);
+    assert.equal(result.created, true);
+
+    const paper = db.getDb().prepare('SELECT * FROM research_papers WHERE id = ?').get(result.paperId);
+    assert.equal(paper.title, 'Graph neural networks for recommender systems');
+    assert.equal(paper.venue, 'Proceedings of KDD');
+    assert.equal(paper.year, 2019);
+    assert.equal(paper.references_count, 42);
+    assert.equal(documentMetadata(db, document.id).paperId, result.paperId);
+});
+
+test('fills the DOI of the paper a PDF was imported for and enriches it', async (t) => {
+    const { db, documentService, stub } = await startLibrary(t);
+    const paperId = await stub.service.storePaperMetadata({ title: 'Graph neural networks for recommender systems', authors: 'Rex Ying', source: 'import' }, USER, null);
+
+    const document = await importPdf(documentService, 'KDD \'19, DOI: 10.1145/3292500.3330701.', { isPaper: true, paperId });
+    const result = await stub.service.enrichDocumentPaper(document.id, USER);
+
+    assert.deepEqual(result, { paperId, created: false, updated: true });
+    const paper = db.getDb().prepare('SELECT * FROM research_papers WHERE id = ?').get(paperId);
+    assert.equal(paper.doi, '10.1145/3292500.3330701');
+    assert.equal(paper.venue, 'Proceedings of KDD');
+    assert.equal(db.getDb().prepare('SELECT COUNT(*) AS n FROM research_papers').get().n, 1);
+});
+
+test('leaves documents without a DOI alone', async (t) => {
+    const { documentService, stub } = await startLibrary(t);
+
+    const document = await importPdf(documentService, 'A paper that never mentions its DOI');
+
+    assert.equal(document.metadata.doi, undefined, 'DOIs in the reference list are not the paper\'s own');
+    assert.equal(await stub.service.enrichDocumentPaper(document.id, USER), null);
+    assert.equal(stub.requests.length, 0);
+});